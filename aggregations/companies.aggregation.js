@@ -51,6 +51,7 @@ function getClientConsumersAggregation(options) {
         name: "$user.name",
         phone: "$user.phone",
         created_at: "$user.created_at",
+        lastCreditDate: 1,
       },
     },
   );
@@ -79,32 +80,593 @@ function getClientConsumersAggregation(options) {
   return aggregation;
 }
 
-function getNewClientsAggregationLast4Weeks(options) {
+// Staff of a company through their memberships, with the code fields needed to tell the state of an invitation
+function getCompanyUsersAggregation(options) {
   const aggregation = [
     {
       $match: {
         company_id: ObjectId(options.company_id),
         excluded: false,
-        created_at: { $gte: options.baseDate },
       },
     },
+    {
+      $lookup: {
+        from: "users",
+        let: {
+          user_id: "$user_id",
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [{ $eq: ["$_id", "$$user_id"] }, { $eq: ["$excluded", false] }],
+              },
+            },
+          },
+        ],
+        as: "user",
+      },
+    },
+    {
+      $unwind: "$user",
+    },
+    {
+      $project: {
+        _id: "$user._id",
+        name: "$user.name",
+        status: 1,
+        company_role: 1,
+        invited_at: 1,
+        validation_token_purpose: "$user.validation_token_purpose",
+        validation_token_expires_at: "$user.validation_token_expires_at",
+      },
+    },
+    {
+      $sort: { status: 1, name: 1 },
+    },
+  ];
+
+  if (options.skip) {
+    aggregation.push({
+      $skip: options.skip,
+    });
+  }
+
+  if (options.limit) {
+    aggregation.push({
+      $limit: options.limit,
+    });
+  }
+
+  return aggregation;
+}
+
+// Credits of a company counted per day, week or month of `dateField`, in the given timezone. Buckets are keyed by
+// the local date they start on. With `distinctField`, each value counts once, in the bucket of its latest date.
+function getCreditCountsByPeriodAggregation(options) {
+  const { dateField, distinctField } = options;
+
+  const aggregation = [
+    {
+      $match: {
+        ...options.filter,
+        company_id: ObjectId(options.company_id),
+        excluded: false,
+        [dateField]: { $gte: options.from, $lte: options.to },
+      },
+    },
+  ];
+
+  if (distinctField) {
+    aggregation.push({
+      $group: {
+        _id: `$${distinctField}`,
+        [dateField]: { $max: `$${dateField}` },
+      },
+    });
+  }
+
+  aggregation.push({
+    $group: {
+      _id: toPeriodKey(dateField, options),
+      count: { $sum: 1 },
+    },
+  });
+
+  return aggregation;
+}
+
+// Local date the day, week or month of `dateField` starts on, as createDateBuckets keys its buckets
+function toPeriodKey(dateField, options) {
+  return {
+    $dateToString: {
+      format: "%Y-%m-%d",
+      date: {
+        $dateTrunc: {
+          date: `$${dateField}`,
+          unit: options.granularity,
+          timezone: options.timezone,
+          startOfWeek: "sunday",
+        },
+      },
+      timezone: options.timezone,
+    },
+  };
+}
+
+// Credits or redemptions of each staff member, the one in `staffField`, counted per period as in
+// getCreditCountsByPeriodAggregation. Excluded credits still count, removing stamps is what gets investigated.
+function getStaffCountsByPeriodAggregation(options) {
+  const { staffField, dateField } = options;
+
+  return [
+    {
+      $match: {
+        ...options.filter,
+        company_id: ObjectId(options.company_id),
+        [staffField]: { $in: options.staff_ids },
+        [dateField]: { $gte: options.from, $lte: options.to },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          staff_id: `$${staffField}`,
+          period: toPeriodKey(dateField, options),
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ];
+}
+
+// Consumer requests each staff member reviewed between `from` and `to`, and how many of them were rejected
+function getStaffReviewCountsAggregation(options) {
+  return [
+    {
+      $match: {
+        company_id: ObjectId(options.company_id),
+        reviewed_by: { $in: options.staff_ids },
+        reviewed_at: { $gte: options.from, $lte: options.to },
+      },
+    },
+    {
+      $group: {
+        _id: "$reviewed_by",
+        reviewed: { $sum: 1 },
+        rejected: {
+          $sum: { $cond: [{ $eq: ["$status", statusConsts.CREDITS_STATUS.REJECTED] }, 1, 0] },
+        },
+      },
+    },
+  ];
+}
+
+// Credits that stand for a visit: requests still waiting for review or rejected are left out
+function visitCreditsMatch(options) {
+  return {
+    company_id: ObjectId(options.company_id),
+    excluded: false,
+    status: { $nin: [statusConsts.CREDITS_STATUS.PENDING, statusConsts.CREDITS_STATUS.REJECTED] },
+  };
+}
+
+// Consumers grouped by the month of their first credit since `from`, counted again in every month they got a credit.
+// Months are keyed by the local date they start on, as createDateBuckets does.
+function getCohortRetentionAggregation(options) {
+  const toMonthKey = (date) => ({
+    $dateToString: { format: "%Y-%m-01", date, timezone: options.timezone },
+  });
+
+  return [
+    {
+      $match: visitCreditsMatch(options),
+    },
     {
       $group: {
         _id: "$user_id",
-        created_at: { $last: "$created_at" },
+        first_credit_at: { $min: "$created_at" },
+        months: { $addToSet: toMonthKey("$created_at") },
       },
     },
+    {
+      $match: { first_credit_at: { $gte: options.from } },
+    },
+    {
+      $unwind: "$months",
+    },
+    {
+      $group: {
+        _id: { cohort: toMonthKey("$first_credit_at"), month: "$months" },
+        consumers: { $sum: 1 },
+      },
+    },
+  ];
+}
+
+// Credits issued on each card and what became of them. Available credits past their date count as expired.
+function getCardRedemptionRatesAggregation(options) {
+  const isExpired = {
+    $or: [
+      { $eq: ["$status", statusConsts.CREDITS_STATUS.EXPIRED] },
+      {
+        $and: [{ $eq: ["$status", statusConsts.CREDITS_STATUS.AVAILABLE] }, { $lte: ["$expires_at", options.now] }],
+      },
+    ],
+  };
+
+  const percentageOfIssued = (field) => ({
+    $round: [{ $multiply: [{ $divide: [field, "$issued"] }, 100] }, 1],
+  });
+
+  return [
+    {
+      $match: visitCreditsMatch(options),
+    },
+    {
+      $group: {
+        _id: "$card_id",
+        issued: { $sum: 1 },
+        used: { $sum: { $cond: [{ $eq: ["$status", statusConsts.CREDITS_STATUS.USED] }, 1, 0] } },
+        expired: { $sum: { $cond: [isExpired, 1, 0] } },
+      },
+    },
+    {
+      $lookup: {
+        from: "cards",
+        let: {
+          card_id: "$_id",
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [{ $eq: ["$_id", "$$card_id"] }, { $eq: ["$excluded", false] }],
+              },
+            },
+          },
+        ],
+        as: "card",
+      },
+    },
+    {
+      $unwind: "$card",
+    },
     {
       $project: {
-        created_at: 1,
+        title: "$card.title",
+        credits_needed: "$card.credits_needed",
+        issued: 1,
+        used: 1,
+        expired: 1,
+        available: { $subtract: ["$issued", { $add: ["$used", "$expired"] }] },
+        redemption_rate: percentageOfIssued("$used"),
+        expiration_rate: percentageOfIssued("$expired"),
+      },
+    },
+    {
+      $sort: { issued: -1 },
+    },
+  ];
+}
+
+// Days between the first credit of a completed card and its redemption, averaged per card
+function getCardCompletionTimeAggregation(options) {
+  return [
+    {
+      $match: {
+        company_id: ObjectId(options.company_id),
+        status: statusConsts.REDEMPTION_STATUS.ACTIVE,
+      },
+    },
+    {
+      $lookup: {
+        from: "credits",
+        localField: "credit_ids",
+        foreignField: "_id",
+        pipeline: [{ $project: { created_at: 1 } }],
+        as: "credits",
+      },
+    },
+    {
+      $match: { "credits.0": { $exists: true } },
+    },
+    {
+      $group: {
+        _id: "$card_id",
+        redemptions: { $sum: 1 },
+        average_ms: { $avg: { $subtract: ["$created_at", { $min: "$credits.created_at" }] } },
+      },
+    },
+    {
+      $project: {
+        redemptions: 1,
+        average_days_to_complete: { $round: [{ $divide: ["$average_ms", 24 * 60 * 60 * 1000] }, 1] },
       },
     },
   ];
+}
+
+// Consumers whose last credit is older than `before`, the most recently lapsed first.
+// With `count`, gives only how many there are.
+function getAtRiskConsumersAggregation(options) {
+  const aggregation = [
+    {
+      $match: visitCreditsMatch(options),
+    },
+    {
+      $group: {
+        _id: "$user_id",
+        last_credit_at: { $max: "$created_at" },
+        available_credits: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", statusConsts.CREDITS_STATUS.AVAILABLE] },
+                  { $gt: ["$expires_at", options.now] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+    {
+      $match: { last_credit_at: { $lt: options.before } },
+    },
+    {
+      $lookup: {
+        from: "users",
+        let: {
+          user_id: "$_id",
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$_id", "$$user_id"] },
+                  { $eq: ["$status", statusConsts.RESOURCE_STATUS.AVAILABLE] },
+                  { $eq: ["$excluded", false] },
+                ],
+              },
+            },
+          },
+        ],
+        as: "user",
+      },
+    },
+    {
+      $unwind: "$user",
+    },
+  ];
+
+  if (options.count) {
+    aggregation.push({
+      $count: "total",
+    });
+
+    return aggregation;
+  }
+
+  aggregation.push(
+    {
+      $sort: { last_credit_at: -1 },
+    },
+    {
+      $project: {
+        name: "$user.name",
+        phone: "$user.phone",
+        last_credit_at: 1,
+        available_credits: 1,
+      },
+    },
+  );
+
+  if (options.skip) {
+    aggregation.push({
+      $skip: options.skip,
+    });
+  }
+
+  if (options.limit) {
+    aggregation.push({
+      $limit: options.limit,
+    });
+  }
 
   return aggregation;
 }
 
+function lookupUser(localField, as) {
+  return [
+    {
+      $lookup: {
+        from: "users",
+        localField,
+        foreignField: "_id",
+        pipeline: [{ $project: { name: 1, phone: 1 } }],
+        as,
+      },
+    },
+    {
+      $unwind: { path: `$${as}`, preserveNullAndEmptyArrays: true },
+    },
+  ];
+}
+
+// Credits with who received them and on which card, newest first, for exports
+function getCreditsExportAggregation(options) {
+  return [
+    {
+      $match: options.filter,
+    },
+    {
+      $sort: { created_at: -1 },
+    },
+    ...lookupUser("user_id", "user"),
+    {
+      $lookup: {
+        from: "cards",
+        localField: "card_id",
+        foreignField: "_id",
+        pipeline: [{ $project: { title: 1 } }],
+        as: "card",
+      },
+    },
+    {
+      $unwind: { path: "$card", preserveNullAndEmptyArrays: true },
+    },
+    {
+      $project: {
+        user: 1,
+        card: 1,
+        status: 1,
+        requested_at: 1,
+        expires_at: 1,
+        created_at: 1,
+      },
+    },
+  ];
+}
+
+// Redemptions with the consumer and the staff member who performed them, newest first, for exports
+function getRedemptionsExportAggregation(options) {
+  return [
+    {
+      $match: options.filter,
+    },
+    {
+      $sort: { created_at: -1 },
+    },
+    ...lookupUser("user_id", "user"),
+    ...lookupUser("operator_id", "operator"),
+    {
+      $project: {
+        user: 1,
+        operator: { _id: 1, name: 1 },
+        card: 1,
+        status: 1,
+        reverted_at: 1,
+        created_at: 1,
+      },
+    },
+  ];
+}
+
+function getExpiringCreditsAggregation(options) {
+  return [
+    {
+      $match: {
+        company_id: ObjectId(options.company_id),
+        status: statusConsts.CREDITS_STATUS.AVAILABLE,
+        excluded: false,
+        expires_at: { $gt: options.from, $lte: options.to },
+      },
+    },
+    {
+      $group: {
+        _id: { user_id: "$user_id", card_id: "$card_id" },
+        credit_ids: { $push: "$_id" },
+        count: { $sum: 1 },
+        expires_at: { $min: "$expires_at" },
+        pending_reminder: {
+          $sum: { $cond: [{ $eq: [{ $ifNull: ["$reminded_at", null] }, null] }, 1, 0] },
+        },
+      },
+    },
+    {
+      // A batch is reminded only while it holds credits that were never reminded
+      $match: { pending_reminder: { $gt: 0 } },
+    },
+    {
+      $lookup: {
+        from: "users",
+        let: {
+          user_id: "$_id.user_id",
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$_id", "$$user_id"] },
+                  { $eq: ["$status", statusConsts.RESOURCE_STATUS.AVAILABLE] },
+                  { $eq: ["$excluded", false] },
+                  { $ne: ["$notification_preferences.expiring_credits", false] },
+                ],
+              },
+            },
+          },
+        ],
+        as: "user",
+      },
+    },
+    {
+      $unwind: "$user",
+    },
+    {
+      $lookup: {
+        from: "cards",
+        let: {
+          card_id: "$_id.card_id",
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$_id", "$$card_id"] },
+                  { $eq: ["$status", statusConsts.RESOURCE_STATUS.AVAILABLE] },
+                  { $eq: ["$excluded", false] },
+                ],
+              },
+            },
+          },
+        ],
+        as: "card",
+      },
+    },
+    {
+      $unwind: "$card",
+    },
+    {
+      $sort: { expires_at: 1 },
+    },
+    {
+      $project: {
+        _id: 0,
+        user: {
+          _id: "$user._id",
+          name: "$user.name",
+          phone: "$user.phone",
+        },
+        card: {
+          _id: "$card._id",
+          title: "$card.title",
+        },
+        credit_ids: 1,
+        count: 1,
+        expires_at: 1,
+      },
+    },
+  ];
+}
+
 module.exports = {
   getClientConsumersAggregation,
-  getNewClientsAggregationLast4Weeks,
+  getCompanyUsersAggregation,
+  getCreditCountsByPeriodAggregation,
+  getStaffCountsByPeriodAggregation,
+  getStaffReviewCountsAggregation,
+  getCohortRetentionAggregation,
+  getCardRedemptionRatesAggregation,
+  getCardCompletionTimeAggregation,
+  getAtRiskConsumersAggregation,
+  getCreditsExportAggregation,
+  getRedemptionsExportAggregation,
+  getExpiringCreditsAggregation,
 };
@@ -0,0 +1,45 @@
+module.exports = {
+  ACTIONS: {
+    ADMIN_COMPANIES_LIST: "admin.companies.list",
+    ADMIN_USERS_LIST: "admin.users.list",
+    ADMIN_MESSAGES_LIST: "admin.messages.list",
+    ADMIN_COMPANY_APPROVE: "admin.company.approve",
+    ADMIN_COMPANY_SUSPEND: "admin.company.suspend",
+    ADMIN_COMPANY_RESTORE: "admin.company.restore",
+    ADMIN_COMPANY_STATS_VIEW: "admin.company.stats.view",
+    ADMIN_USER_RESTORE: "admin.user.restore",
+    ADMIN_SEGMENT_CREATE: "admin.segment.create",
+    ADMIN_SEGMENT_UPDATE: "admin.segment.update",
+    ADMIN_SEGMENT_ARCHIVE: "admin.segment.archive",
+    COMPANY_PROFILE_UPDATE: "company.profile.update",
+    COMPANY_REMINDERS_UPDATE: "company.reminders.update",
+    COMPANY_CONSUMER_CREATE: "company.consumer.create",
+    COMPANY_CONSUMER_UPDATE: "company.consumer.update",
+    COMPANY_CONSUMER_DELETE: "company.consumer.delete",
+    COMPANY_CREDITS_ADD: "company.credits.add",
+    COMPANY_CREDIT_DELETE: "company.credit.delete",
+    COMPANY_CREDIT_REVIEW: "company.credit.review",
+    COMPANY_REDEMPTION_CREATE: "company.redemption.create",
+    COMPANY_REDEMPTION_REVERT: "company.redemption.revert",
+    COMPANY_CARD_CREATE: "company.card.create",
+    COMPANY_CARD_UPDATE: "company.card.update",
+    COMPANY_CARD_DELETE: "company.card.delete",
+    COMPANY_USER_INVITE: "company.user.invite",
+    COMPANY_USER_INVITE_RESEND: "company.user.invite.resend",
+    COMPANY_USER_INVITE_REVOKE: "company.user.invite.revoke",
+    COMPANY_USER_UPDATE: "company.user.update",
+    COMPANY_USER_REMOVE: "company.user.remove",
+    COMPANY_DATA_EXPORT: "company.data.export",
+  },
+  // Prefix of the actions done by company staff, the only ones shown to the company
+  COMPANY_ACTION_PREFIX: "company.",
+  TARGETS: {
+    COMPANY: "company",
+    USER: "user",
+    MESSAGE: "message",
+    SEGMENT: "segment",
+    CARD: "card",
+    CREDIT: "credit",
+    REDEMPTION: "redemption",
+  },
+};
@@ -1,9 +1,22 @@
 module.exports = {
+  TIMEZONE: "America/Sao_Paulo",
   TYPES: {
     YEAR: "year",
     MONTH: "month",
     DAY: "day",
   },
+  GRANULARITIES: {
+    DAY: "day",
+    WEEK: "week",
+    MONTH: "month",
+  },
+  // How many days, weeks or months company stats cover when no period is given, the current one included
+  STATS_DEFAULT_PERIODS: {
+    day: 28,
+    week: 4,
+    month: 6,
+  },
+  STATS_MAX_RANGE_DAYS: 366,
   UNITS: {
     HOUR: "hours",
     MINUTE: "minutes",
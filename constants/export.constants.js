@@ -0,0 +1,10 @@
+module.exports = {
+  FORMATS: {
+    CSV: "csv",
+    XLSX: "xlsx",
+  },
+  CONTENT_TYPES: {
+    csv: "text/csv; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  CHANNELS: {
+    SMS: "sms",
+    WHATSAPP: "whatsapp",
+  },
+  TEMPLATES: {
+    SEND_TOKEN: "sendToken",
+    EXPIRING_CREDITS: "expiringCredits",
+    PHONE_CHANGED: "phoneChanged",
+    COMPANY_INVITE: "companyInvite",
+  },
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  PURPOSES: {
+    PHONE_CHANGE: "phone_change",
+    INVITE: "invite",
+  },
+};
@@ -0,0 +1,56 @@
+const { COMPANY_ROLES } = require("./roles.constants");
+
+const PERMISSIONS = {
+  PROFILE_VIEW: "profile:view",
+  PROFILE_UPDATE: "profile:update",
+  STATS_VIEW: "stats:view",
+  REMINDERS_MANAGE: "reminders:manage",
+  CONSUMERS_VIEW: "consumers:view",
+  CONSUMERS_CREATE: "consumers:create",
+  CONSUMERS_UPDATE: "consumers:update",
+  CONSUMERS_DELETE: "consumers:delete",
+  CREDITS_ADD: "credits:add",
+  CREDITS_MANAGE: "credits:manage",
+  REDEMPTIONS_VIEW: "redemptions:view",
+  REDEMPTIONS_CREATE: "redemptions:create",
+  REDEMPTIONS_DELETE: "redemptions:delete",
+  CARDS_VIEW: "cards:view",
+  CARDS_MANAGE: "cards:manage",
+  USERS_VIEW: "users:view",
+  USERS_MANAGE: "users:manage",
+  AUDIT_VIEW: "audit:view",
+  DATA_EXPORT: "data:export",
+};
+
+// Cashiers run the counter, managers also fix mistakes and follow the numbers,
+// owners are the only ones who change the company, its cards and its staff, who see what the staff did
+// and who take the company data out in spreadsheets
+const CASHIER_PERMISSIONS = [
+  PERMISSIONS.PROFILE_VIEW,
+  PERMISSIONS.CONSUMERS_VIEW,
+  PERMISSIONS.CONSUMERS_CREATE,
+  PERMISSIONS.CREDITS_ADD,
+  PERMISSIONS.REDEMPTIONS_VIEW,
+  PERMISSIONS.REDEMPTIONS_CREATE,
+  PERMISSIONS.CARDS_VIEW,
+];
+
+const MANAGER_PERMISSIONS = [
+  ...CASHIER_PERMISSIONS,
+  PERMISSIONS.STATS_VIEW,
+  PERMISSIONS.REMINDERS_MANAGE,
+  PERMISSIONS.CONSUMERS_UPDATE,
+  PERMISSIONS.CONSUMERS_DELETE,
+  PERMISSIONS.CREDITS_MANAGE,
+  PERMISSIONS.REDEMPTIONS_DELETE,
+  PERMISSIONS.USERS_VIEW,
+];
+
+module.exports = {
+  PERMISSIONS,
+  COMPANY_ROLE_PERMISSIONS: {
+    [COMPANY_ROLES.OWNER]: Object.values(PERMISSIONS),
+    [COMPANY_ROLES.MANAGER]: MANAGER_PERMISSIONS,
+    [COMPANY_ROLES.CASHIER]: CASHIER_PERMISSIONS,
+  },
+};
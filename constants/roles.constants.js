@@ -4,4 +4,10 @@ module.exports = {
     CLIENT: "client",
     CONSUMER: "consumer",
   },
+  // What a client user may do inside their company, see permissions.constants
+  COMPANY_ROLES: {
+    OWNER: "owner",
+    MANAGER: "manager",
+    CASHIER: "cashier",
+  },
 };
@@ -9,5 +9,20 @@ module.exports = {
     PENDING: "pending",
     USED: "used",
     REJECTED: "rejected",
+    EXPIRED: "expired",
+  },
+  REDEMPTION_STATUS: {
+    ACTIVE: "active",
+    REVERTED: "reverted",
+  },
+  INVITATION_STATUS: {
+    PENDING: "pending",
+    EXPIRED: "expired",
+    ACCEPTED: "accepted",
+  },
+  MESSAGE_STATUS: {
+    QUEUED: "queued",
+    SENT: "sent",
+    FAILED: "failed",
   },
 };
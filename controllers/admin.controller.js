@@ -0,0 +1,1059 @@
+const mongoose = require("mongoose");
+const userModel = require("../models/user.model");
+const companyModel = require("../models/company.model");
+const messageModel = require("../models/message.model");
+const membershipModel = require("../models/membership.model");
+const dbHandler = require("../utils/db-handler.utils");
+const auditService = require("../services/audit.service");
+const statsService = require("../services/stats.service");
+const statusConsts = require("../constants/status.constants");
+const roleConstants = require("../constants/roles.constants");
+const auditConstants = require("../constants/audit.constants");
+const messageConstants = require("../constants/message.constants");
+
+const { localize } = require("../utils/localization.utils");
+const { normalizeDocument, formatDocument } = require("../utils/document.utils");
+const { ValidationError, NotFoundError, ConflictError } = require("../infra/errors");
+
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const messageHandler = dbHandler(messageModel);
+const membershipHandler = dbHandler(membershipModel);
+
+// Secrets never leave the API, not even for admins
+const USER_PROJECTION = {
+  password: 0,
+  validation_token: 0,
+  validation_token_expires_at: 0,
+  validation_token_purpose: 0,
+  token_version: 0,
+};
+
+/**
+ * @swagger
+ * /v1/admin/messages:
+ *   get:
+ *     summary: List outbound messages
+ *     description: Query the log of messages sent by the API to help support answer delivery tickets
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *         description: Recipient phone number
+ *         example: "5511999999999"
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *         description: Recipient user ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, failed]
+ *         description: Delivery status
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *           enum: [sendToken, expiringCredits, phoneChanged]
+ *         description: Template used to build the message
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages created at or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of results to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getMessages(req, res, next) {
+  try {
+    const { phone, user_id, status, template, from, to } = req.query;
+    const { limit, skip } = parsePagination(req.query);
+
+    const filter = {};
+
+    if (phone) {
+      filter.recipient = phone;
+    }
+
+    if (user_id) {
+      if (!mongoose.Types.ObjectId.isValid(user_id)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "user_id" }),
+        });
+      }
+
+      filter.user_id = user_id;
+    }
+
+    if (status) {
+      if (!Object.values(statusConsts.MESSAGE_STATUS).includes(status)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "status" }),
+        });
+      }
+
+      filter.status = status;
+    }
+
+    if (template) {
+      if (!Object.values(messageConstants.TEMPLATES).includes(template)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "template" }),
+        });
+      }
+
+      filter.template = template;
+    }
+
+    const dateFilters = { $gte: from, $lte: to };
+
+    for (const [operator, value] of Object.entries(dateFilters)) {
+      if (!value) continue;
+
+      const date = new Date(value);
+
+      if (isNaN(date.getTime())) {
+        throw new ValidationError({
+          message: localize("error.generic.invalidFormat", { field: operator === "$gte" ? "from" : "to" }),
+        });
+      }
+
+      filter.created_at = { ...filter.created_at, [operator]: date };
+    }
+
+    const messages = await messageHandler.list({
+      filter,
+      sort: {
+        created_at: -1,
+      },
+      limit,
+      skip,
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_MESSAGES_LIST,
+      target_type: auditConstants.TARGETS.MESSAGE,
+      metadata: req.query,
+    });
+
+    return res.status(200).json(messages);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/companies:
+ *   get:
+ *     summary: List companies
+ *     description: List and search companies of every status, including soft-deleted ones, for support and approval
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive search by name, document or phone
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, unavailable, pending]
+ *         description: Company status
+ *       - in: query
+ *         name: excluded
+ *         schema:
+ *           type: boolean
+ *         description: Only soft-deleted (true) or only active (false) companies. Both when omitted
+ *       - in: query
+ *         name: document_active
+ *         schema:
+ *           type: boolean
+ *         description: Use false to find companies whose CNPJ is no longer active at the Receita Federal
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of results to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Companies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Company'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getCompanies(req, res, next) {
+  try {
+    const { search, status, excluded, document_active } = req.query;
+    const { limit, skip } = parsePagination(req.query);
+
+    const filter = {
+      ...parseStatusFilters({ status, excluded }),
+    };
+
+    if (document_active !== undefined) {
+      if (document_active !== "true" && document_active !== "false") {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "document_active" }),
+        });
+      }
+
+      filter.document_active = document_active === "true";
+    }
+
+    const searchTerm = typeof search === "string" ? search.trim() : "";
+    if (searchTerm) {
+      filter.$or = [
+        { name: { $regex: searchTerm, $options: "i" } },
+        { document: { $regex: normalizeDocument(searchTerm) || searchTerm, $options: "i" } },
+        { phone: { $regex: searchTerm, $options: "i" } },
+      ];
+    }
+
+    const companies = await companyHandler.list({
+      filter,
+      sort: {
+        created_at: -1,
+      },
+      limit,
+      skip,
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_COMPANIES_LIST,
+      target_type: auditConstants.TARGETS.COMPANY,
+      metadata: req.query,
+    });
+
+    return res.status(200).json(
+      companies.map((company) => ({
+        ...company,
+        formatted_document: formatDocument(company.document),
+      })),
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/users:
+ *   get:
+ *     summary: List users
+ *     description: List and search users of every role and status, including soft-deleted ones. Passwords and codes are never returned
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive search by name or phone
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, client, consumer]
+ *         description: User role
+ *       - in: query
+ *         name: company_id
+ *         schema:
+ *           type: string
+ *         description: Only client users of this company
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, unavailable, pending]
+ *         description: User status
+ *       - in: query
+ *         name: excluded
+ *         schema:
+ *           type: boolean
+ *         description: Only soft-deleted (true) or only active (false) users. Both when omitted
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of results to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getUsers(req, res, next) {
+  try {
+    const { search, role, company_id, status, excluded } = req.query;
+    const { limit, skip } = parsePagination(req.query);
+
+    const filter = {
+      ...parseStatusFilters({ status, excluded }),
+    };
+
+    if (role) {
+      if (!Object.values(roleConstants.USER_ROLES).includes(role)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "role" }),
+        });
+      }
+
+      filter.role = role;
+    }
+
+    if (company_id) {
+      if (!mongoose.Types.ObjectId.isValid(company_id)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "company_id" }),
+        });
+      }
+
+      // Staff may work in several companies, so they are found through their memberships
+      const memberships = await membershipHandler.list({
+        filter: { company_id, excluded: false },
+        projection: { user_id: 1 },
+      });
+
+      filter._id = { $in: memberships.map((membership) => membership.user_id) };
+    }
+
+    const searchTerm = typeof search === "string" ? search.trim() : "";
+    if (searchTerm) {
+      filter.$or = [{ name: { $regex: searchTerm, $options: "i" } }, { phone: { $regex: searchTerm, $options: "i" } }];
+    }
+
+    const users = await userHandler.list({
+      filter,
+      projection: USER_PROJECTION,
+      sort: {
+        created_at: -1,
+      },
+      limit,
+      skip,
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_USERS_LIST,
+      target_type: auditConstants.TARGETS.USER,
+      metadata: req.query,
+    });
+
+    return res.status(200).json(users);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/companies/{company_id}/approve:
+ *   post:
+ *     summary: Approve company
+ *     description: Make a pending company available
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: company_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Company approved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Empresa aprovada com sucesso"
+ *       400:
+ *         description: Invalid company ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Company is not pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function approveCompany(req, res, next) {
+  try {
+    await changeCompany({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_COMPANY_APPROVE,
+      filter: { status: statusConsts.RESOURCE_STATUS.PENDING, excluded: false },
+      data: { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+      conflictMessage: localize("admin.companies.approve.conflict"),
+    });
+
+    return res.status(200).json({
+      message: localize("admin.companies.approve.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/companies/{company_id}/suspend:
+ *   post:
+ *     summary: Suspend company
+ *     description: Make a company unavailable. Its users lose access to the company routes right away
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: company_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Company suspended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Empresa suspensa com sucesso"
+ *       400:
+ *         description: Invalid company ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Company is already suspended or excluded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function suspendCompany(req, res, next) {
+  try {
+    await changeCompany({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_COMPANY_SUSPEND,
+      filter: { status: { $ne: statusConsts.RESOURCE_STATUS.UNAVAILABLE }, excluded: false },
+      data: { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE },
+      conflictMessage: localize("admin.companies.suspend.conflict"),
+    });
+
+    return res.status(200).json({
+      message: localize("admin.companies.suspend.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/companies/{company_id}/restore:
+ *   post:
+ *     summary: Restore company
+ *     description: Undo the soft delete of a company. Its status is kept, so a suspended company stays suspended
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: company_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *     responses:
+ *       200:
+ *         description: Company restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Empresa restaurada com sucesso"
+ *       400:
+ *         description: Invalid company ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Company is not excluded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function restoreCompany(req, res, next) {
+  try {
+    await changeCompany({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_COMPANY_RESTORE,
+      filter: { excluded: true },
+      data: { excluded: false },
+      conflictMessage: localize("admin.companies.restore.conflict"),
+    });
+
+    return res.status(200).json({
+      message: localize("admin.companies.restore.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/users/{user_id}/restore:
+ *   post:
+ *     summary: Restore user
+ *     description: Undo the soft delete of a user, such as a cancelled account, and make it available again along with the company access the cancellation took
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Usuário restaurado com sucesso"
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is not excluded, or the phone now belongs to another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function restoreUser(req, res, next) {
+  try {
+    const { user_id } = req.params;
+
+    validateObjectId(user_id, "user_id");
+
+    const user = await userHandler.read({
+      filter: { _id: user_id },
+      projection: USER_PROJECTION,
+    });
+
+    if (!user) {
+      throw new NotFoundError({
+        message: localize("error.generic.notFound", { resource: localize("resources.user") }),
+      });
+    }
+
+    if (!user.excluded) {
+      throw new ConflictError({
+        message: localize("admin.users.restore.conflict"),
+      });
+    }
+
+    // A cancelled number may have been registered again in the meantime
+    if (user.phone) {
+      const phoneOwner = await userHandler.read({
+        filter: { phone: user.phone, excluded: false, _id: { $ne: user._id } },
+        projection: { _id: 1 },
+      });
+
+      if (phoneOwner) {
+        throw new ConflictError({
+          message: localize("error.generic.alreadyInUse", { field: "phone", value: user.phone }),
+        });
+      }
+    }
+
+    const restoredUser = await userHandler.update({
+      filter: { _id: user._id, excluded: true },
+      data: {
+        excluded: false,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      },
+    });
+
+    if (!restoredUser) {
+      throw new ConflictError();
+    }
+
+    // Gives back the company access the cancellation took, not the one companies removed
+    await membershipHandler.updateMany({
+      filter: { user_id: user._id, cancelled_at: { $ne: null }, excluded: false },
+      data: { status: statusConsts.RESOURCE_STATUS.AVAILABLE, cancelled_at: null },
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_USER_RESTORE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: user._id,
+      company_id: user.company_id || null,
+      before: { excluded: user.excluded, status: user.status },
+      after: { excluded: restoredUser.excluded, status: restoredUser.status },
+    });
+
+    return res.status(200).json({
+      message: localize("admin.users.restore.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/companies/{company_id}/stats:
+ *   get:
+ *     summary: View company stats
+ *     description: See the same dashboard stats a company user sees, for support. Works for companies of any status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: company_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Company ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the period, in the America/Sao_Paulo timezone. Same as for company users
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the period, included in full. Defaults to now
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Size of the buckets of the charts. Weeks start on Sunday. Periods can cover up to 366 days
+ *     responses:
+ *       200:
+ *         description: Stats retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: object
+ *                 previousPeriod:
+ *                   type: object
+ *                 recentClients:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 newClientsChart:
+ *                   $ref: '#/components/schemas/StatsChart'
+ *                 creditsGivenChart:
+ *                   $ref: '#/components/schemas/StatsChart'
+ *                 creditsUsedChart:
+ *                   $ref: '#/components/schemas/StatsChart'
+ *       400:
+ *         description: Invalid company ID, period or granularity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getCompanyStats(req, res, next) {
+  try {
+    const { company_id } = req.params;
+    const { from, to, granularity } = req.query;
+
+    validateObjectId(company_id, "company_id");
+
+    const company = await companyHandler.read({
+      filter: { _id: company_id },
+      projection: { _id: 1 },
+    });
+
+    if (!company) {
+      throw new NotFoundError({
+        message: localize("error.generic.notFound", { resource: localize("resources.company") }),
+      });
+    }
+
+    const response = await statsService.getCompanyStats({ company_id: company._id, from, to, granularity });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_COMPANY_STATS_VIEW,
+      target_type: auditConstants.TARGETS.COMPANY,
+      target_id: company._id,
+      company_id: company._id,
+    });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Applies a status change only when the company is in the expected state, then records it
+async function changeCompany(options) {
+  const { req, action, filter, data, conflictMessage } = options;
+  const { company_id } = req.params;
+
+  validateObjectId(company_id, "company_id");
+
+  const company = await companyHandler.read({
+    filter: { _id: company_id },
+    projection: { _id: 1, status: 1, excluded: 1 },
+  });
+
+  if (!company) {
+    throw new NotFoundError({
+      message: localize("error.generic.notFound", { resource: localize("resources.company") }),
+    });
+  }
+
+  const updatedCompany = await companyHandler.update({
+    filter: { _id: company._id, ...filter },
+    data,
+  });
+
+  if (!updatedCompany) {
+    throw new ConflictError({
+      message: conflictMessage,
+    });
+  }
+
+  await auditService.record({
+    req,
+    action,
+    target_type: auditConstants.TARGETS.COMPANY,
+    target_id: company._id,
+    company_id: company._id,
+    before: { status: company.status, excluded: company.excluded },
+    after: { status: updatedCompany.status, excluded: updatedCompany.excluded },
+  });
+
+  return updatedCompany;
+}
+
+function parsePagination(query) {
+  let { limit, skip } = query;
+
+  if (limit) {
+    limit = parseInt(limit);
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "limit" }),
+      });
+    }
+  } else {
+    limit = parseInt(process.env.PAGINATION_DEFAULT_LIMIT) || 10;
+  }
+
+  if (skip) {
+    skip = parseInt(skip);
+    if (isNaN(skip) || skip < 0) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "skip" }),
+      });
+    }
+  } else {
+    skip = 0;
+  }
+
+  return { limit, skip };
+}
+
+function parseStatusFilters({ status, excluded }) {
+  const filter = {};
+
+  if (status) {
+    if (!Object.values(statusConsts.RESOURCE_STATUS).includes(status)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "status" }),
+      });
+    }
+
+    filter.status = status;
+  }
+
+  if (excluded !== undefined) {
+    if (excluded !== "true" && excluded !== "false") {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "excluded" }),
+      });
+    }
+
+    filter.excluded = excluded === "true";
+  }
+
+  return filter;
+}
+
+function validateObjectId(id, field) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field }),
+    });
+  }
+}
+
+module.exports = {
+  getMessages,
+  getCompanies,
+  getUsers,
+  approveCompany,
+  suspendCompany,
+  restoreCompany,
+  restoreUser,
+  getCompanyStats,
+};
@@ -1,24 +1,33 @@
 const jwt = require("jsonwebtoken");
-const crypto = require("crypto");
-const { Buffer } = require("buffer");
+const mongoose = require("mongoose");
 
 const userModel = require("../models/user.model");
-const smsService = require("../services/sms.service");
+const otpService = require("../services/otp.service");
+const sessionService = require("../services/session.service");
+const membershipService = require("../services/membership.service");
+const notificationService = require("../services/notification.service");
+const geocodingService = require("../services/geocoding.service");
+const cnpjService = require("../services/cnpj.service");
 const dbHandler = require("../utils/db-handler.utils");
 const companyModel = require("../models/company.model");
+const segmentModel = require("../models/segment.model");
+const membershipModel = require("../models/membership.model");
 const passwordUtils = require("../utils/password.utils");
-const smsTemplates = require("../templates/sms.templates");
 const statusConsts = require("../constants/status.constants");
 const roleConstants = require("../constants/roles.constants");
+const messageConstants = require("../constants/message.constants");
+const otpConstants = require("../constants/otp.constants");
 
-const { addTime } = require("../utils/date.utils");
-const { generateToken, isTokenExpired, validateToken } = require("../utils/token.utils");
+const { validateToken } = require("../utils/token.utils");
 const { localize } = require("../utils/localization.utils");
-const { UnauthorizedError, ServiceError, ValidationError } = require("../infra/errors");
-const { validatePhone } = require("../utils/validation.utils");
+const { UnauthorizedError, ForbiddenError, ServiceError, ValidationError } = require("../infra/errors");
+const { validatePhone, validateDocument } = require("../utils/validation.utils");
+const { normalizeDocument, formatDocument } = require("../utils/document.utils");
 
 const userHandler = dbHandler(userModel);
 const companyHandler = dbHandler(companyModel);
+const segmentHandler = dbHandler(segmentModel);
+const membershipHandler = dbHandler(membershipModel);
 
 /**
  * @swagger
@@ -62,6 +71,12 @@ const companyHandler = dbHandler(companyModel);
  *                 expiresIn:
  *                   type: number
  *                   description: Token expiration time in seconds
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token to renew the access token through /v1/auth/refresh
+ *                 refreshExpiresIn:
+ *                   type: number
+ *                   description: Refresh token expiration time in seconds
  *                 user:
  *                   type: object
  *                   properties:
@@ -129,7 +144,7 @@ async function login(req, res, next) {
         excluded: false,
         status: statusConsts.RESOURCE_STATUS.AVAILABLE,
       },
-      projection: { _id: 1, password: 1, role: 1, company_id: 1, name: 1, phone: 1 },
+      projection: { _id: 1, password: 1, role: 1, company_id: 1, name: 1, phone: 1, token_version: 1 },
     };
 
     const user = await userHandler.read(userOptions);
@@ -146,71 +161,189 @@ async function login(req, res, next) {
       throw new UnauthorizedError({ message: localize("error.generic.invalid", { field: "password" }) });
     }
 
+    const response = await createLoginResponse(req, user);
+
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token. The refresh token is rotated on every call and reusing an old one ends the session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token received on login or on the last refresh
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 accessToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: number
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function refresh(req, res, next) {
+  const { refreshToken } = req.body;
+
+  try {
+    if (!refreshToken) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "refreshToken" }),
+      });
+    }
+
+    const rotated = await sessionService.rotateSession({
+      refreshToken,
+      user_agent: req.get("user-agent"),
+      ip: req.ip,
+    });
+
+    const user = await userHandler.read({
+      filter: {
+        _id: rotated.session.user_id,
+        excluded: false,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      },
+      projection: { _id: 1, role: 1, company_id: 1, token_version: 1 },
+    });
+
+    if (!user) {
+      await sessionService.revokeSession({ session_id: rotated.session._id });
+
+      throw new UnauthorizedError({
+        message: localize("error.generic.notFound", { resource: localize("resources.user") }),
+      });
+    }
+
     const encode = {
       _id: user._id,
       role: user.role,
+      token_version: user.token_version || 0,
+      session_id: rotated.session._id,
     };
 
-    let company = null;
-
     if (user.role === roleConstants.USER_ROLES.CLIENT) {
-      encode.company_id = user.company_id;
-
-      const companyHandlerOptions = {
-        filter: {
-          _id: user.company_id,
-          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
-          excluded: false,
-        },
-        projection: {
-          name: 1,
-          phone: 1,
-          address: 1,
-          logo: 1,
-          segment: 1,
-          document: 1,
-        },
-      };
-
-      company = await companyHandler.read(companyHandlerOptions);
-
-      if (!company) {
-        throw new UnauthorizedError({
-          message: localize("error.generic.notAvailable", { resource: localize("resources.company") }),
-        });
-      }
+      // Sessions started before switching company existed have no company of their own
+      encode.company_id = rotated.session.company_id || user.company_id;
     }
 
     const token = jwt.sign(encode, process.env.JWT_SECRET, {
       expiresIn: parseInt(process.env.LOGIN_EXPIRES_IN),
     });
 
-    const response = {
+    return res.status(200).json({
       tokenType: "Bearer",
       accessToken: token,
       expiresIn: parseInt(process.env.LOGIN_EXPIRES_IN),
-      user: {
-        _id: user._id,
-        name: user.name,
-        role: user.role,
-        phone: user.phone,
-      },
-    };
+      refreshToken: rotated.refreshToken,
+      refreshExpiresIn: sessionService.getRefreshTokenExpiresIn(),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: End the session tied to the refresh token so it can no longer be renewed
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Logout successful"
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid or already revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function logout(req, res, next) {
+  const { refreshToken } = req.body;
 
-    if (user.role === roleConstants.USER_ROLES.CLIENT && company) {
-      // Surface company_id to the client user payload
-      response.user.company_id = user.company_id;
-      response.company = {
-        name: company.name,
-        phone: company.phone,
-        address: company.address,
-        logo: company.logo,
-        segment: company.segment,
-        document: company.document,
-      };
+  try {
+    if (!refreshToken) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "refreshToken" }),
+      });
     }
 
-    return res.status(200).json(response);
+    const session = await sessionService.revokeSession({ refreshToken });
+
+    if (!session) {
+      throw new UnauthorizedError({
+        message: localize("error.generic.invalid", { field: "refreshToken" }),
+      });
+    }
+
+    return res.status(200).json({
+      message: localize("auth.logout.success"),
+    });
   } catch (error) {
     next(error);
   }
@@ -312,28 +445,28 @@ async function register(req, res, next) {
     }
 
     // create validation token
-    const validationToken = generateToken();
-    const validationTokenExpiresAt = addTime(new Date(), 10, "minutes");
+    const { token: validationToken, data: validationTokenData } = otpService.createToken();
 
-    await userHandler.create({
+    const createdUser = await userHandler.create({
       data: {
         name,
         phone,
         password,
         status: statusConsts.RESOURCE_STATUS.PENDING,
         role: roleConstants.USER_ROLES.CONSUMER,
-        validation_token: validationToken,
-        validation_token_expires_at: validationTokenExpiresAt,
+        ...validationTokenData,
       },
     });
 
     // send sms with validation token
-    const smsOptions = {
+    const notificationOptions = {
       phone,
-      content: smsTemplates.sendToken(validationToken),
+      template: messageConstants.TEMPLATES.SEND_TOKEN,
+      params: { token: validationToken },
+      user_id: createdUser._id,
     };
 
-    const { err } = await smsService.sendSms(smsOptions);
+    const { err } = await notificationService.notify(notificationOptions);
 
     if (err) {
       throw new ServiceError({
@@ -353,10 +486,10 @@ async function register(req, res, next) {
 
 /**
  * @swagger
- * /v1/auth/forgot-password:
+ * /v1/auth/register-company:
  *   post:
- *     summary: Forgot password
- *     description: Send password reset token via SMS
+ *     summary: Company registration
+ *     description: Register a new company and its owner. The owner phone is verified through /v1/auth/validate-register-token and the company stays pending until an admin approves it. For a CNPJ, a blank company name or address field is filled from the registry
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -366,14 +499,61 @@ async function register(req, res, next) {
  *             type: object
  *             required:
  *               - phone
+ *               - name
+ *               - password
+ *               - document
+ *               - segment_id
  *             properties:
  *               phone:
  *                 type: string
- *                 description: User phone number
+ *                 description: Owner phone number
  *                 example: "5511999999999"
+ *               name:
+ *                 type: string
+ *                 description: Owner full name
+ *                 example: "João Silva"
+ *               password:
+ *                 type: string
+ *                 description: Owner password
+ *                 example: "password123"
+ *               company_name:
+ *                 type: string
+ *                 description: Defaults to the trade name, or the legal name, of the CNPJ
+ *                 example: "Padaria Central"
+ *               document:
+ *                 type: string
+ *                 description: Company CNPJ or owner CPF
+ *                 example: "12345678000195"
+ *               segment_id:
+ *                 type: string
+ *                 description: ID of an available segment
+ *               address:
+ *                 type: object
+ *                 description: Fields left out are taken from the CNPJ registry and become required when it has none
+ *                 properties:
+ *                   zipcode:
+ *                     type: string
+ *                     example: "01310100"
+ *                   street:
+ *                     type: string
+ *                     example: "Avenida Paulista"
+ *                   number:
+ *                     type: number
+ *                     example: 1000
+ *                   complement:
+ *                     type: string
+ *                   neighborhood:
+ *                     type: string
+ *                     example: "Bela Vista"
+ *                   city:
+ *                     type: string
+ *                     example: "São Paulo"
+ *                   state:
+ *                     type: string
+ *                     example: "SP"
  *     responses:
  *       200:
- *         description: Reset token sent successfully
+ *         description: Registration successful, validation code sent to the owner phone
  *         content:
  *           application/json:
  *             schema:
@@ -381,28 +561,23 @@ async function register(req, res, next) {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Password reset token sent to your phone."
+ *                   example: "Empresa cadastrada com sucesso. Confirme o código enviado ao seu telefone"
  *       400:
- *         description: Invalid phone number
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: User not found
+ *         description: Invalid data, phone or document already in use
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: SMS service error
+ *         description: Geocoding or SMS service error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-async function forgotPassword(req, res, next) {
-  const { phone } = req.body;
+async function registerCompany(req, res, next) {
+  const { phone, name, password, segment_id } = req.body;
+  const document = normalizeDocument(req.body.document);
 
   try {
     if (!phone) {
@@ -417,40 +592,185 @@ async function forgotPassword(req, res, next) {
       });
     }
 
-    const readUserOptions = {
-      filter: { phone },
-      projection: { _id: 1, phone: 1 },
-    };
+    if (!name) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "name" }),
+      });
+    }
 
-    const user = await userHandler.read(readUserOptions);
+    if (!password) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "password" }),
+      });
+    }
 
-    if (!user || !user.phone) {
-      throw new UnauthorizedError({
-        message: localize("error.generic.notFound", { resource: localize("resources.user") }),
-        action: localize("error.generic.notFoundActionMessage", {
-          resource: localize("resources.user").toLowerCase(),
-        }),
+    if (!document) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "document" }),
+      });
+    }
+
+    if (!validateDocument(document)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "document" }),
       });
     }
 
-    const token = generateToken();
+    if (!segment_id) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "segment_id" }),
+      });
+    }
 
-    const userUpdateOptions = {
-      filter: { _id: user._id },
+    // Registry data fills whatever the owner left blank
+    const companyData = await cnpjService.findCompanyData(document);
+
+    const company_name = req.body.company_name || companyData?.trade_name || companyData?.legal_name;
+
+    if (!company_name) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "company_name" }),
+      });
+    }
+
+    const address = ["zipcode", "street", "number", "complement", "neighborhood", "city", "state"].reduce(
+      (acc, field) => {
+        acc[field] = req.body.address?.[field] || companyData?.address?.[field] || null;
+        return acc;
+      },
+      {},
+    );
+
+    for (const field of ["zipcode", "street", "number", "neighborhood", "city", "state"]) {
+      if (!address[field]) {
+        throw new ValidationError({
+          message: localize("error.generic.required", { field: `address.${field}` }),
+        });
+      }
+    }
+
+    const number = parseInt(address.number, 10);
+    if (isNaN(number) || number <= 0) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "address.number" }),
+      });
+    }
+
+    const existingUser = await userHandler.read({
+      filter: { phone, excluded: false },
+      projection: { _id: 1 },
+    });
+
+    if (existingUser) {
+      throw new ValidationError({
+        message: localize("error.generic.alreadyInUse", { field: "phone", value: phone }),
+      });
+    }
+
+    const existingCompany = await companyHandler.read({
+      filter: { document },
+      projection: { _id: 1 },
+    });
+
+    if (existingCompany) {
+      throw new ValidationError({
+        message: localize("error.generic.alreadyInUse", { field: "document", value: document }),
+      });
+    }
+
+    const segment = mongoose.Types.ObjectId.isValid(segment_id)
+      ? await segmentHandler.read({
+          filter: {
+            _id: segment_id,
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            excluded: false,
+          },
+          projection: { name: 1, icon: 1, description: 1, status: 1, excluded: 1 },
+        })
+      : null;
+
+    if (!segment) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "segment_id" }),
+      });
+    }
+
+    const zipcode = String(address.zipcode).replace("-", "");
+    const { latitude, longitude } = await geocodingService.getCoordinates({
+      street: address.street,
+      number,
+      neighborhood: address.neighborhood,
+      city: address.city,
+      state: address.state,
+      zipcode,
+    });
+
+    const company = await companyHandler.create({
       data: {
-        validation_token: token,
-        validation_token_expires_at: addTime(new Date(), 10, "minutes"),
+        name: company_name,
+        phone,
+        document,
+        address: {
+          zipcode,
+          street: address.street,
+          number,
+          complement: address.complement,
+          neighborhood: address.neighborhood,
+          city: address.city,
+          state: address.state,
+          location: {
+            type: "Point",
+            coordinates: [longitude, latitude],
+          },
+        },
+        segment,
+        ...(companyData ? cnpjService.getCompanyFields(companyData) : {}),
+        status: statusConsts.RESOURCE_STATUS.PENDING,
+        excluded: false,
       },
-    };
+    });
 
-    await userHandler.update(userUpdateOptions);
+    const { token: validationToken, data: validationTokenData } = otpService.createToken();
 
-    const smsOptions = {
-      phone: user.phone,
-      content: smsTemplates.sendToken(token),
-    };
+    let createdUser;
+
+    try {
+      createdUser = await userHandler.create({
+        data: {
+          name,
+          phone,
+          password,
+          status: statusConsts.RESOURCE_STATUS.PENDING,
+          role: roleConstants.USER_ROLES.CLIENT,
+          company_id: company._id,
+          ...validationTokenData,
+        },
+      });
+
+      await membershipHandler.create({
+        data: {
+          user_id: createdUser._id,
+          company_id: company._id,
+          company_role: roleConstants.COMPANY_ROLES.OWNER,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      });
+    } catch (error) {
+      // Without its owner the company could never be managed, so it is discarded too
+      if (createdUser) {
+        await userHandler.remove({ filter: { _id: createdUser._id } });
+      }
+
+      await companyHandler.remove({ filter: { _id: company._id } });
+      throw error;
+    }
 
-    const { err } = await smsService.sendSms(smsOptions);
+    const { err } = await notificationService.notify({
+      phone,
+      template: messageConstants.TEMPLATES.SEND_TOKEN,
+      params: { token: validationToken },
+      user_id: createdUser._id,
+    });
 
     if (err) {
       throw new ServiceError({
@@ -461,7 +781,7 @@ async function forgotPassword(req, res, next) {
     }
 
     return res.status(200).json({
-      message: localize("auth.forgotPassword.success"),
+      message: localize("auth.registerCompany.success"),
     });
   } catch (error) {
     next(error);
@@ -470,11 +790,127 @@ async function forgotPassword(req, res, next) {
 
 /**
  * @swagger
- * /v1/auth/validate-reset-token:
+ * /v1/auth/forgot-password:
  *   post:
- *     summary: Validate reset token
- *     description: Validate password reset token before allowing password reset
- *     tags: [Authentication]
+ *     summary: Forgot password
+ *     description: Send password reset token via SMS
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: User phone number
+ *                 example: "5511999999999"
+ *     responses:
+ *       200:
+ *         description: Reset token sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Password reset token sent to your phone."
+ *       400:
+ *         description: Invalid phone number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: SMS service error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function forgotPassword(req, res, next) {
+  const { phone } = req.body;
+
+  try {
+    if (!phone) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "phone" }),
+      });
+    }
+
+    if (!validatePhone(phone)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "phone" }),
+      });
+    }
+
+    const readUserOptions = {
+      filter: { phone },
+      projection: { _id: 1, phone: 1 },
+    };
+
+    const user = await userHandler.read(readUserOptions);
+
+    if (!user || !user.phone) {
+      throw new UnauthorizedError({
+        message: localize("error.generic.notFound", { resource: localize("resources.user") }),
+        action: localize("error.generic.notFoundActionMessage", {
+          resource: localize("resources.user").toLowerCase(),
+        }),
+      });
+    }
+
+    const { token, data: validationTokenData } = otpService.createToken();
+
+    const userUpdateOptions = {
+      filter: { _id: user._id },
+      data: validationTokenData,
+    };
+
+    await userHandler.update(userUpdateOptions);
+
+    const notificationOptions = {
+      phone: user.phone,
+      template: messageConstants.TEMPLATES.SEND_TOKEN,
+      params: { token },
+      user_id: user._id,
+    };
+
+    const { err } = await notificationService.notify(notificationOptions);
+
+    if (err) {
+      throw new ServiceError({
+        message: localize("error.services.sms.message"),
+        action: localize("error.services.sms.action"),
+        cause: err,
+      });
+    }
+
+    return res.status(200).json({
+      message: localize("auth.forgotPassword.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/auth/validate-reset-token:
+ *   post:
+ *     summary: Validate reset token
+ *     description: Validate password reset token before allowing password reset
+ *     tags: [Authentication]
  *     requestBody:
  *       required: true
  *       content:
@@ -511,7 +947,7 @@ async function forgotPassword(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Token expired or user not found
+ *         description: Token expired, locked after too many wrong guesses or user not found
  *         content:
  *           application/json:
  *             schema:
@@ -546,11 +982,11 @@ async function validateResetToken(req, res, next) {
     }
 
     const user = await searchForUser(phone);
-    validateTokenEntries(user, token);
+    await otpService.verifyToken({ user, token });
 
     const userUpdateOptions = {
       filter: { phone },
-      data: { validation_token: null, validation_token_expires_at: null },
+      data: otpService.getClearTokenData(),
     };
 
     await userHandler.update(userUpdateOptions);
@@ -606,7 +1042,7 @@ async function validateResetToken(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Token expired or user not found
+ *         description: Token expired, locked after too many wrong guesses or user not found
  *         content:
  *           application/json:
  *             schema:
@@ -641,14 +1077,13 @@ async function validateRegisterToken(req, res, next) {
     }
 
     const user = await searchForUser(phone, statusConsts.RESOURCE_STATUS.PENDING, false);
-    validateTokenEntries(user, token);
+    await otpService.verifyToken({ user, token });
 
     const userUpdateOptions = {
       filter: { phone },
       data: {
         status: statusConsts.RESOURCE_STATUS.AVAILABLE,
-        validation_token: null,
-        validation_token_expires_at: null,
+        ...otpService.getClearTokenData(),
       },
     };
 
@@ -710,7 +1145,7 @@ async function validateRegisterToken(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Token expired or user not found
+ *         description: Token expired, locked after too many wrong guesses or user not found
  *         content:
  *           application/json:
  *             schema:
@@ -751,7 +1186,7 @@ async function resetPassword(req, res, next) {
     }
 
     const user = await searchForUser(phone);
-    validateTokenEntries(user, token);
+    await otpService.verifyToken({ user, token });
 
     const userUpdateOptions = {
       filter: { phone },
@@ -760,6 +1195,9 @@ async function resetPassword(req, res, next) {
 
     await userHandler.update(userUpdateOptions);
 
+    // Whoever held the old password may still hold a token
+    await sessionService.revokeUserTokens({ user_id: user._id });
+
     return res.status(200).json({
       message: localize("auth.resetPassword.success"),
     });
@@ -768,58 +1206,730 @@ async function resetPassword(req, res, next) {
   }
 }
 
-async function searchForUser(phone, status = statusConsts.RESOURCE_STATUS.AVAILABLE, excluded = false) {
-  const readUserOptions = {
-    filter: { phone, excluded, status },
-    projection: { _id: 1, phone: 1, validation_token: 1, validation_token_expires_at: 1 },
-  };
+/**
+ * @swagger
+ * /v1/auth/otp/request:
+ *   post:
+ *     summary: Request login code
+ *     description: Send a one-time login code via SMS to a consumer, including accounts created by a cashier without a password
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: Consumer phone number
+ *                 example: "5511999999999"
+ *     responses:
+ *       200:
+ *         description: Login code sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Código enviado com sucesso"
+ *       400:
+ *         description: Invalid phone number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Consumer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: SMS service error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function requestOtp(req, res, next) {
+  const { phone } = req.body;
 
-  const user = await userHandler.read(readUserOptions);
+  try {
+    if (!phone) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "phone" }),
+      });
+    }
 
-  if (!user || !user.phone) {
-    throw new UnauthorizedError({
-      message: localize("error.generic.notFound", { resource: localize("resources.user") }),
-      action: localize("error.generic.notFoundActionMessage", {
-        resource: localize("resources.user").toLowerCase(),
-      }),
-    });
-  }
+    if (!validatePhone(phone)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "phone" }),
+      });
+    }
 
-  return user;
-}
+    const user = await searchForConsumer(phone);
 
-function validateTokenEntries(user, token) {
-  if (!user) {
-    throw new UnauthorizedError({
-      message: localize("error.generic.notFound", { resource: localize("resources.user") }),
-    });
-  }
+    const { token, data: validationTokenData } = otpService.createToken();
 
-  if (!user.validation_token) {
-    throw new UnauthorizedError({
-      message: localize("error.generic.invalid", { field: "token" }),
+    await userHandler.update({
+      filter: { _id: user._id },
+      data: validationTokenData,
     });
-  }
 
-  if (isTokenExpired(user.validation_token_expires_at)) {
-    throw new UnauthorizedError({
-      message: localize("error.auth.token.expired"),
+    const { err } = await notificationService.notify({
+      phone: user.phone,
+      template: messageConstants.TEMPLATES.SEND_TOKEN,
+      params: { token },
+      user_id: user._id,
     });
-  }
 
-  // timing-safe comparison
-  if (!crypto.timingSafeEqual(Buffer.from(token.toString()), Buffer.from(user.validation_token.toString()))) {
-    throw new UnauthorizedError({
-      message: localize("error.generic.invalid", { field: "token" }),
+    if (err) {
+      throw new ServiceError({
+        message: localize("error.services.sms.message"),
+        action: localize("error.services.sms.action"),
+        cause: err,
+      });
+    }
+
+    return res.status(200).json({
+      message: localize("auth.otp.request.success"),
     });
+  } catch (error) {
+    next(error);
   }
 }
 
+/**
+ * @swagger
+ * /v1/auth/otp/verify:
+ *   post:
+ *     summary: Login with code
+ *     description: Log a consumer in with the code received via SMS. The response is the same as /v1/auth/login, plus whether the account already has a password
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - token
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: Consumer phone number
+ *                 example: "5511999999999"
+ *               token:
+ *                 type: string
+ *                 description: Code received via SMS
+ *                 example: "12345"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 accessToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: number
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                       enum: [consumer]
+ *                     phone:
+ *                       type: string
+ *                     has_password:
+ *                       type: boolean
+ *                       description: False for accounts created by a cashier, which can be claimed through /v1/users/profile/claim
+ *       400:
+ *         description: Invalid token or phone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Token invalid, expired, locked after too many wrong guesses or consumer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function verifyOtp(req, res, next) {
+  const { phone, token } = req.body;
+
+  try {
+    if (!phone) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "phone" }),
+      });
+    }
+
+    if (!validatePhone(phone)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "phone" }),
+      });
+    }
+
+    if (!token) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "token" }),
+      });
+    }
+
+    if (!validateToken(token)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "token" }),
+      });
+    }
+
+    const user = await searchForConsumer(phone);
+    await otpService.verifyToken({ user, token });
+
+    await userHandler.update({
+      filter: { _id: user._id },
+      data: otpService.getClearTokenData(),
+    });
+
+    const response = await createLoginResponse(req, user);
+    response.user.has_password = Boolean(user.password);
+
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/auth/invite/accept:
+ *   post:
+ *     summary: Accept company invitation
+ *     description: Join a company with the code received via SMS, choosing a password for new accounts. The response is the same as /v1/auth/login, scoped to the company that sent the invitation
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - token
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: Invited user phone number
+ *                 example: "5511999999999"
+ *               token:
+ *                 type: string
+ *                 description: Code received in the invitation
+ *                 example: "12345"
+ *               password:
+ *                 type: string
+ *                 description: Password chosen by the invited user. Only required when they have no account yet, an existing password is kept
+ *                 example: "password123"
+ *     responses:
+ *       200:
+ *         description: Invitation accepted and user logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 accessToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: number
+ *                 user:
+ *                   type: object
+ *                 company:
+ *                   type: object
+ *       400:
+ *         description: Invalid token, phone or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Token invalid, expired, locked after too many wrong guesses or invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function acceptInvite(req, res, next) {
+  const { phone, token, password } = req.body;
+
+  try {
+    if (!phone) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "phone" }),
+      });
+    }
+
+    if (!validatePhone(phone)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "phone" }),
+      });
+    }
+
+    if (!token) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "token" }),
+      });
+    }
+
+    if (!validateToken(token)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "token" }),
+      });
+    }
+
+    const { user, invitation } = await searchForInvitation(phone);
+
+    if (!user.password && !password) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "password" }),
+      });
+    }
+
+    await otpService.verifyToken({ user, token, purpose: otpConstants.PURPOSES.INVITE });
+
+    // Someone who already works for another company keeps their password
+    const updatedUser = await userHandler.update({
+      filter: { _id: user._id },
+      data: {
+        ...(user.password ? {} : { password }),
+        company_id: invitation.company_id,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        ...otpService.getClearTokenData(),
+      },
+    });
+
+    // Only the invitation the code was sent for, older ones stay pending
+    await membershipHandler.update({
+      filter: {
+        _id: invitation._id,
+      },
+      data: {
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      },
+    });
+
+    const response = await createLoginResponse(req, updatedUser, { company_id: invitation.company_id });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/auth/companies:
+ *   get:
+ *     summary: List my companies
+ *     description: List the companies the authenticated client user works for, flagging the one the token is scoped to
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Companies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   logo:
+ *                     type: string
+ *                   company_role:
+ *                     type: string
+ *                     enum: [owner, manager, cashier]
+ *                   current:
+ *                     type: boolean
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getCompanies(req, res, next) {
+  try {
+    const memberships = await membershipService.listCompanies({ user_id: req.user._id });
+
+    return res.status(200).json(
+      memberships.map((membership) => ({
+        _id: membership.company_id,
+        ...formatCompany(membership.company),
+        company_role: membership.company_role,
+        current: membership.company_id.toString() === req.user.company_id?.toString(),
+      })),
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/auth/switch-company:
+ *   post:
+ *     summary: Switch company
+ *     description: Issue an access token scoped to another company the client user works for. The refresh token keeps working and renews tokens for the new company, which also becomes the default on the next login
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - company_id
+ *             properties:
+ *               company_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Company switched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 accessToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                 company_role:
+ *                   type: string
+ *                   enum: [owner, manager, cashier]
+ *                 company:
+ *                   type: object
+ *       400:
+ *         description: Missing or invalid company ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user does not work for this company or it is not available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function switchCompany(req, res, next) {
+  const { company_id } = req.body;
+
+  try {
+    if (!company_id) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "company_id" }),
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(company_id)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "company_id" }),
+      });
+    }
+
+    const memberships = await membershipService.listCompanies({ user_id: req.user._id });
+    const membership = memberships.find((companyMembership) => companyMembership.company_id.toString() === company_id);
+
+    if (!membership) {
+      throw new ForbiddenError({
+        message: localize("error.ForbiddenError.membership"),
+        action: localize("error.ForbiddenError.membershipAction"),
+      });
+    }
+
+    const user = await userHandler.update({
+      filter: { _id: req.user._id },
+      data: { company_id: membership.company_id },
+    });
+
+    if (req.user.session_id) {
+      await sessionService.switchCompany({
+        session_id: req.user.session_id,
+        company_id: membership.company_id,
+      });
+    }
+
+    const encode = {
+      _id: user._id,
+      role: user.role,
+      token_version: user.token_version || 0,
+      company_id: membership.company_id,
+    };
+
+    if (req.user.session_id) {
+      encode.session_id = req.user.session_id;
+    }
+
+    const token = jwt.sign(encode, process.env.JWT_SECRET, {
+      expiresIn: parseInt(process.env.LOGIN_EXPIRES_IN),
+    });
+
+    return res.status(200).json({
+      tokenType: "Bearer",
+      accessToken: token,
+      expiresIn: parseInt(process.env.LOGIN_EXPIRES_IN),
+      company_role: membership.company_role,
+      company: formatCompany(membership.company),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Shared by every way of logging in, so the token payload is always the same.
+// Client users start in the given company, else in the last one they worked in, else in the first one available.
+async function createLoginResponse(req, user, options = {}) {
+  const encode = {
+    _id: user._id,
+    role: user.role,
+    token_version: user.token_version || 0,
+  };
+
+  let membership = null;
+
+  if (user.role === roleConstants.USER_ROLES.CLIENT) {
+    const preferredCompanyId = (options.company_id || user.company_id)?.toString();
+    const memberships = await membershipService.listCompanies({ user_id: user._id });
+
+    membership =
+      memberships.find((companyMembership) => companyMembership.company_id.toString() === preferredCompanyId) ||
+      memberships[0];
+
+    if (!membership) {
+      throw new UnauthorizedError({
+        message: localize("error.generic.notAvailable", { resource: localize("resources.company") }),
+      });
+    }
+
+    encode.company_id = membership.company_id;
+  }
+
+  const { session, refreshToken } = await sessionService.createSession({
+    user_id: user._id,
+    company_id: membership?.company_id || null,
+    user_agent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  encode.session_id = session._id;
+
+  const token = jwt.sign(encode, process.env.JWT_SECRET, {
+    expiresIn: parseInt(process.env.LOGIN_EXPIRES_IN),
+  });
+
+  const response = {
+    tokenType: "Bearer",
+    accessToken: token,
+    expiresIn: parseInt(process.env.LOGIN_EXPIRES_IN),
+    refreshToken,
+    refreshExpiresIn: sessionService.getRefreshTokenExpiresIn(),
+    user: {
+      _id: user._id,
+      name: user.name,
+      role: user.role,
+      phone: user.phone,
+    },
+  };
+
+  if (membership) {
+    // Surface company_id to the client user payload
+    response.user.company_id = membership.company_id;
+    response.user.company_role = membership.company_role;
+    response.company = formatCompany(membership.company);
+  }
+
+  return response;
+}
+
+function formatCompany(company) {
+  return {
+    name: company.name,
+    phone: company.phone,
+    address: company.address,
+    logo: company.logo,
+    segment: company.segment,
+    document: company.document,
+    formatted_document: formatDocument(company.document),
+  };
+}
+
+async function searchForUser(phone, status = statusConsts.RESOURCE_STATUS.AVAILABLE, excluded = false) {
+  const readUserOptions = {
+    filter: { phone, excluded, status },
+    projection: {
+      _id: 1,
+      phone: 1,
+      validation_token: 1,
+      validation_token_expires_at: 1,
+      validation_token_purpose: 1,
+      validation_token_locked_at: 1,
+    },
+  };
+
+  const user = await userHandler.read(readUserOptions);
+
+  if (!user || !user.phone) {
+    throw new UnauthorizedError({
+      message: localize("error.generic.notFound", { resource: localize("resources.user") }),
+      action: localize("error.generic.notFoundActionMessage", {
+        resource: localize("resources.user").toLowerCase(),
+      }),
+    });
+  }
+
+  return user;
+}
+
+async function searchForConsumer(phone) {
+  const user = await userHandler.read({
+    filter: {
+      phone,
+      role: roleConstants.USER_ROLES.CONSUMER,
+      excluded: false,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+    projection: {
+      _id: 1,
+      name: 1,
+      phone: 1,
+      role: 1,
+      password: 1,
+      token_version: 1,
+      validation_token: 1,
+      validation_token_expires_at: 1,
+      validation_token_purpose: 1,
+      validation_token_locked_at: 1,
+    },
+  });
+
+  if (!user) {
+    throw new UnauthorizedError({
+      message: localize("error.generic.notFound", { resource: localize("resources.consumer") }),
+      action: localize("error.generic.notFoundActionMessage", {
+        resource: localize("resources.consumer").toLowerCase(),
+      }),
+    });
+  }
+
+  return user;
+}
+
+async function searchForInvitation(phone) {
+  const user = await userHandler.read({
+    filter: {
+      phone,
+      role: roleConstants.USER_ROLES.CLIENT,
+      excluded: false,
+      status: { $in: [statusConsts.RESOURCE_STATUS.PENDING, statusConsts.RESOURCE_STATUS.AVAILABLE] },
+    },
+    projection: {
+      _id: 1,
+      password: 1,
+      validation_token: 1,
+      validation_token_expires_at: 1,
+      validation_token_purpose: 1,
+      validation_token_locked_at: 1,
+    },
+  });
+
+  // The latest invitation is the one the code was sent for
+  const [invitation] = user
+    ? await membershipHandler.list({
+        filter: {
+          user_id: user._id,
+          status: statusConsts.RESOURCE_STATUS.PENDING,
+          invited_at: { $ne: null },
+          excluded: false,
+        },
+        sort: { invited_at: -1 },
+        limit: 1,
+      })
+    : [];
+
+  if (!invitation) {
+    throw new UnauthorizedError({
+      message: localize("error.generic.notFound", { resource: localize("resources.invitation") }),
+      action: localize("error.generic.notFoundActionMessage", {
+        resource: localize("resources.invitation").toLowerCase(),
+      }),
+    });
+  }
+
+  return { user, invitation };
+}
+
 module.exports = {
   login,
+  refresh,
+  logout,
   forgotPassword,
   validateResetToken,
   resetPassword,
   register,
+  registerCompany,
   validateRegisterToken,
+  requestOtp,
+  verifyOtp,
+  acceptInvite,
+  getCompanies,
+  switchCompany,
 };
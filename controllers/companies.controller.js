@@ -1,4 +1,5 @@
 const dateUtils = require("../utils/date.utils");
+const retry = require("async-retry");
 const mongoose = require("mongoose");
 const { haversineKm } = require("../utils/data.utils");
 const userModel = require("../models/user.model");
@@ -6,23 +7,61 @@ const cardModel = require("../models/card.model");
 const creditModel = require("../models/credit.model");
 const dbHandler = require("../utils/db-handler.utils");
 const companyModel = require("../models/company.model");
+const redemptionModel = require("../models/redemption.model");
+const membershipModel = require("../models/membership.model");
+const auditEventModel = require("../models/auditevent.model");
+const auditService = require("../services/audit.service");
+const reminderService = require("../services/reminder.service");
+const sessionService = require("../services/session.service");
+const statsService = require("../services/stats.service");
+const cnpjService = require("../services/cnpj.service");
+const membershipService = require("../services/membership.service");
+const otpService = require("../services/otp.service");
+const notificationService = require("../services/notification.service");
 const statusConsts = require("../constants/status.constants");
 const roleConstants = require("../constants/roles.constants");
 const datesConstants = require("../constants/dates.constants");
+const messageConstants = require("../constants/message.constants");
+const otpConstants = require("../constants/otp.constants");
+const auditConstants = require("../constants/audit.constants");
+const exportConstants = require("../constants/export.constants");
 
-const { subTime, processWeeklyStats } = require("../utils/date.utils");
+const { subTime } = require("../utils/date.utils");
 const { localize } = require("../utils/localization.utils");
-const { NotFoundError, ForbiddenError, ValidationError, UnauthorizedError } = require("../infra/errors");
+const {
+  NotFoundError,
+  ForbiddenError,
+  ValidationError,
+  UnauthorizedError,
+  ConflictError,
+  ServiceError,
+} = require("../infra/errors");
 const {
   getClientConsumersAggregation,
-  getNewClientsAggregationLast4Weeks,
+  getCompanyUsersAggregation,
+  getCreditsExportAggregation,
+  getRedemptionsExportAggregation,
 } = require("../aggregations/companies.aggregation");
 const { validatePhone } = require("../utils/validation.utils");
+const { isTokenExpired } = require("../utils/token.utils");
+const { formatDocument } = require("../utils/document.utils");
+const { streamExport } = require("../utils/export.utils");
+const { availableCreditsFilter, earnedCreditsFilter } = require("../utils/credit.utils");
 
 const userHandler = dbHandler(userModel);
 const cardHandler = dbHandler(cardModel);
 const creditHandler = dbHandler(creditModel);
 const companyHandler = dbHandler(companyModel);
+const redemptionHandler = dbHandler(redemptionModel);
+const membershipHandler = dbHandler(membershipModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+// Card fields kept in the activity log when a card is created
+const CARD_AUDIT_FIELDS = ["title", "credits_needed", "credit_expires_at"];
+
+// Document field each id query parameter filters on
+const CREDIT_ID_FILTERS = { user_id: "consumer_id", card_id: "card_id" };
+const REDEMPTION_ID_FILTERS = { user_id: "consumer_id", card_id: "card_id", operator_id: "operator_id" };
 
 /**
  * @swagger
@@ -291,7 +330,7 @@ async function exploreCompanies(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -327,7 +366,11 @@ async function getCompanyCards(req, res, next) {
     let cardsWithCount = [];
 
     const creditList = await creditHandler.list({
-      filter: { card_id: { $in: cards.map((card) => card._id) } },
+      filter: {
+        card_id: { $in: cards.map((card) => card._id) },
+        excluded: false,
+        ...earnedCreditsFilter(),
+      },
       projection: {
         card_id: 1,
         user_id: 1,
@@ -378,7 +421,7 @@ async function getCompanyCards(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -406,12 +449,19 @@ async function getCompanyProfile(req, res, next) {
         },
         phone: 1,
         document: 1,
+        legal_name: 1,
+        activity_code: 1,
+        document_active: 1,
+        settings: 1,
         status: 1,
         excluded: 1,
       },
     });
 
-    return res.status(200).json(company);
+    return res.status(200).json({
+      ...company,
+      formatted_document: formatDocument(company.document),
+    });
   } catch (error) {
     next(error);
   }
@@ -422,7 +472,7 @@ async function getCompanyProfile(req, res, next) {
  * /v1/companies/profile:
  *   patch:
  *     summary: Update company profile
- *     description: Update the authenticated company's profile information
+ *     description: Update the authenticated company's profile information. Legal name, activity code and CNPJ status are refreshed from the registry
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -471,7 +521,7 @@ async function getCompanyProfile(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -490,8 +540,20 @@ async function updateCompanyProfile(req, res, next) {
       throw new ForbiddenError();
     }
 
-    await validateCompany({
+    const company = await validateCompany({
       company_id,
+      projection: {
+        _id: 1,
+        document: 1,
+        name: 1,
+        phone: 1,
+        address: 1,
+        logo: 1,
+        legal_name: 1,
+        activity_code: 1,
+        document_active: 1,
+        document_checked_at: 1,
+      },
     });
 
     const allowedFields = ["name", "phone", "address", "logo"];
@@ -503,13 +565,29 @@ async function updateCompanyProfile(req, res, next) {
       return acc;
     }, {});
 
-    await companyHandler.update({
+    // Legal name, activity code and the inactive flag come from the registry instead of being typed
+    const companyData = await cnpjService.findCompanyData(company.document);
+    if (companyData) {
+      Object.assign(data, cnpjService.getCompanyFields(companyData));
+    }
+
+    const updatedCompany = await companyHandler.update({
       filter: {
         _id: company_id,
       },
       data,
     });
 
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_PROFILE_UPDATE,
+      target_type: auditConstants.TARGETS.COMPANY,
+      target_id: company._id,
+      company_id,
+      before: pick(company, Object.keys(data)),
+      after: pick(updatedCompany, Object.keys(data)),
+    });
+
     return res.status(200).json({
       message: localize("companies.profile.update.success"),
     });
@@ -518,6 +596,263 @@ async function updateCompanyProfile(req, res, next) {
   }
 }
 
+/**
+ * @swagger
+ * /v1/companies/reminders/settings:
+ *   patch:
+ *     summary: Update reminder settings
+ *     description: Enable or disable the SMS reminders sent to consumers whose credits are about to expire
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 description: Whether reminders are sent
+ *                 example: true
+ *               days_before:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 description: How many days before expiration the reminder is sent
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Reminder settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Reminder settings updated successfully"
+ *                 reminders:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     days_before:
+ *                       type: number
+ *       400:
+ *         description: Invalid data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function updateReminderSettings(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { enabled, days_before } = req.body;
+
+    if (enabled === undefined && days_before === undefined) {
+      throw new ValidationError();
+    }
+
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "enabled" }),
+      });
+    }
+
+    if (days_before !== undefined && (!Number.isInteger(days_before) || days_before < 1 || days_before > 30)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "days_before" }),
+      });
+    }
+
+    const company = await validateCompany({
+      company_id,
+      projection: {
+        settings: 1,
+      },
+    });
+
+    const current = reminderService.getReminderSettings(company);
+
+    const reminders = {
+      enabled: enabled ?? current.enabled,
+      days_before: days_before ?? current.days_before,
+    };
+
+    await companyHandler.update({
+      filter: {
+        _id: company_id,
+      },
+      data: {
+        "settings.reminders.enabled": reminders.enabled,
+        "settings.reminders.days_before": reminders.days_before,
+      },
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_REMINDERS_UPDATE,
+      target_type: auditConstants.TARGETS.COMPANY,
+      target_id: company_id,
+      company_id,
+      before: current,
+      after: reminders,
+    });
+
+    return res.status(200).json({
+      message: localize("companies.reminders.settings.success"),
+      reminders,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/reminders/preview:
+ *   get:
+ *     summary: Preview expiring credit reminders
+ *     description: Dry-run report listing the reminders the next run would send, without sending any SMS
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 30
+ *         description: Days before expiration to consider. Defaults to the company setting
+ *         example: 7
+ *     responses:
+ *       200:
+ *         description: Reminder preview retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                   description: Whether reminders are currently enabled for the company
+ *                 days_before:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                   description: Number of reminders that would be sent
+ *                 reminders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           phone:
+ *                             type: string
+ *                       card:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                       count:
+ *                         type: number
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       content:
+ *                         type: string
+ *                         description: SMS that would be sent
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getReminderPreview(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    let { days } = req.query;
+
+    const company = await validateCompany({
+      company_id,
+      projection: {
+        name: 1,
+        settings: 1,
+      },
+    });
+
+    const settings = reminderService.getReminderSettings(company);
+
+    if (days) {
+      days = parseInt(days);
+      if (isNaN(days) || days < 1 || days > 30) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "days" }),
+        });
+      }
+    } else {
+      days = settings.days_before;
+    }
+
+    const reminders = await reminderService.getExpiringCreditReminders({
+      company,
+      days_before: days,
+    });
+
+    return res.status(200).json({
+      enabled: settings.enabled,
+      days_before: days,
+      total: reminders.length,
+      reminders: reminders.map(({ user, card, count, expires_at, content }) => ({
+        user,
+        card,
+        count,
+        expires_at,
+        content,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * @swagger
  * /v1/companies/consumers:
@@ -586,7 +921,7 @@ async function updateCompanyProfile(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -642,6 +977,100 @@ async function getConsumers(req, res, next) {
   }
 }
 
+/**
+ * @swagger
+ * /v1/companies/consumers/export:
+ *   get:
+ *     summary: Export company consumers
+ *     description: Download every consumer who has credits from the authenticated company, with the same search as the consumers list
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for name or phone
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: CSV separated by semicolons, or an Excel workbook
+ *     responses:
+ *       200:
+ *         description: File download with one row per consumer, headers in Portuguese and dates in the America/Sao_Paulo timezone
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function exportConsumers(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { search } = req.query;
+    const format = getExportFormat(req.query.format);
+
+    await validateCompany({
+      company_id,
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_DATA_EXPORT,
+      target_type: auditConstants.TARGETS.COMPANY,
+      target_id: company_id,
+      company_id,
+      metadata: { resource: "consumers", format, filters: { search: search || null } },
+    });
+
+    const cursor = creditHandler.aggregateCursor({
+      pipeline: getClientConsumersAggregation({
+        company_id,
+        search: search?.trim(),
+      }),
+    });
+
+    await streamExport({
+      res,
+      cursor,
+      format,
+      filename: localize("companies.consumers.export.filename"),
+      sheetName: localize("companies.consumers.export.sheet"),
+      headers: ["name", "phone", "lastCreditDate", "created_at"].map((column) =>
+        localize(`companies.consumers.export.headers.${column}`),
+      ),
+      toRow: (consumer) => [consumer.name, consumer.phone, consumer.lastCreditDate, consumer.created_at],
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * @swagger
  * /v1/companies/consumers/{consumer_id}:
@@ -710,7 +1139,7 @@ async function getConsumers(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -760,8 +1189,8 @@ async function getConsumerById(req, res, next) {
     const creditHandlerOptions = {
       filter: {
         user_id: consumer._id,
-        status: statusConsts.CREDITS_STATUS.AVAILABLE,
         excluded: false,
+        ...availableCreditsFilter(),
       },
       projection: {
         created_at: 1,
@@ -883,7 +1312,7 @@ async function getConsumerById(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -982,6 +1411,7 @@ async function createConsumer(req, res, next) {
               card_id: credit.card_id,
               status: statusConsts.CREDITS_STATUS.AVAILABLE,
               company_id,
+              issued_by: req.user._id,
               expires_at,
             });
           }
@@ -993,6 +1423,16 @@ async function createConsumer(req, res, next) {
       }
     }
 
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CONSUMER_CREATE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: user._id,
+      company_id,
+      after: pick(user, ["name", "phone"]),
+      metadata: credits?.length > 0 ? { credits: summarizeCredits(credits) } : null,
+    });
+
     return res.status(200).json({
       message: localize("companies.consumers.create.success"),
     });
@@ -1056,7 +1496,7 @@ async function createConsumer(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1114,9 +1554,19 @@ async function updateConsumer(req, res, next) {
       data,
     };
 
-    await userHandler.update(consumerUpdateOptions);
+    const updatedConsumer = await userHandler.update(consumerUpdateOptions);
 
-    return res.status(200).json({
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CONSUMER_UPDATE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: consumer._id,
+      company_id,
+      before: pick(consumer, Object.keys(data)),
+      after: pick(updatedConsumer, Object.keys(data)),
+    });
+
+    return res.status(200).json({
       message: localize("companies.consumers.update.success"),
     });
   } catch (error) {
@@ -1187,7 +1637,7 @@ async function updateConsumer(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1282,15 +1732,28 @@ async function updateConsumerCredits(req, res, next) {
             card_id: credit.card_id,
             status: statusConsts.CREDITS_STATUS.AVAILABLE,
             company_id,
+            issued_by: req.user._id,
             expires_at,
           });
         }
       }
 
       if (bulkCredits.length > 0) {
-        await creditHandler.createMany({
+        const createdCredits = await creditHandler.createMany({
           data: bulkCredits,
         });
+
+        await auditService.record({
+          req,
+          action: auditConstants.ACTIONS.COMPANY_CREDITS_ADD,
+          target_type: auditConstants.TARGETS.USER,
+          target_id: userCheck._id,
+          company_id,
+          metadata: {
+            credits: summarizeCredits(credits),
+            credit_ids: createdCredits.map((credit) => credit._id),
+          },
+        });
       }
     }
 
@@ -1363,7 +1826,7 @@ async function updateConsumerCredits(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1421,6 +1884,15 @@ async function createCompanyCard(req, res, next) {
 
     const card = await cardHandler.create(cardHandlerOptions);
 
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CARD_CREATE,
+      target_type: auditConstants.TARGETS.CARD,
+      target_id: card._id,
+      company_id,
+      after: pick(card, CARD_AUDIT_FIELDS),
+    });
+
     return res.status(200).json(card);
   } catch (error) {
     next(error);
@@ -1491,7 +1963,7 @@ async function createCompanyCard(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1512,9 +1984,17 @@ async function updateCompanyCard(req, res, next) {
       company_id,
     });
 
-    await validateCard({
+    const card = await validateCard({
       card_id,
       company_id,
+      projection: {
+        _id: 1,
+        status: 1,
+        excluded: 1,
+        title: 1,
+        credits_needed: 1,
+        credit_expires_at: 1,
+      },
     });
 
     // Validate credit_expires_at if provided
@@ -1554,6 +2034,16 @@ async function updateCompanyCard(req, res, next) {
 
     const cardUpdate = await cardHandler.update(cardUpdateOptions);
 
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CARD_UPDATE,
+      target_type: auditConstants.TARGETS.CARD,
+      target_id: card._id,
+      company_id,
+      before: pick(card, Object.keys(data)),
+      after: pick(cardUpdate, Object.keys(data)),
+    });
+
     return res.status(200).json(cardUpdate);
   } catch (error) {
     next(error);
@@ -1618,7 +2108,7 @@ async function updateCompanyCard(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1657,9 +2147,7 @@ async function getCompanyCardById(req, res, next) {
       filter: {
         card_id: card_id,
         excluded: false,
-        status: {
-          $in: [statusConsts.CREDITS_STATUS.AVAILABLE, statusConsts.CREDITS_STATUS.USED],
-        },
+        ...earnedCreditsFilter(),
       },
       projection: {
         card_id: 1,
@@ -1717,7 +2205,7 @@ async function getCompanyCardById(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1756,7 +2244,17 @@ async function deleteCompanyCard(req, res, next) {
       },
     };
 
-    await cardHandler.update(cardDeleteOptions);
+    const deletedCard = await cardHandler.update(cardDeleteOptions);
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CARD_DELETE,
+      target_type: auditConstants.TARGETS.CARD,
+      target_id: card_id,
+      company_id,
+      before: { status: statusConsts.RESOURCE_STATUS.AVAILABLE, excluded: false },
+      after: pick(deletedCard, ["status", "excluded"]),
+    });
 
     return res.status(200).json({
       message: localize("companies.cards.delete.success"),
@@ -1821,7 +2319,7 @@ async function deleteCompanyCard(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1895,6 +2393,140 @@ async function getCompanyCredits(req, res, next) {
   }
 }
 
+/**
+ * @swagger
+ * /v1/companies/credits/export:
+ *   get:
+ *     summary: Export company credits
+ *     description: Download the credits of the authenticated company, newest first. Deleted credits are left out
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: consumer_id
+ *         schema:
+ *           type: string
+ *         description: Only credits of this consumer
+ *       - in: query
+ *         name: card_id
+ *         schema:
+ *           type: string
+ *         description: Only credits of this card
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, available, used, rejected, expired]
+ *         description: Credit status
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only credits created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only credits created at or before this date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: CSV separated by semicolons, or an Excel workbook
+ *     responses:
+ *       200:
+ *         description: File download with one row per credit, headers in Portuguese and dates in the America/Sao_Paulo timezone
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function exportCredits(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const format = getExportFormat(req.query.format);
+
+    await validateCompany({
+      company_id,
+    });
+
+    const filter = getListFilter({
+      company_id,
+      query: req.query,
+      idFields: CREDIT_ID_FILTERS,
+      statuses: statusConsts.CREDITS_STATUS,
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_DATA_EXPORT,
+      target_type: auditConstants.TARGETS.COMPANY,
+      target_id: company_id,
+      company_id,
+      metadata: {
+        resource: "credits",
+        format,
+        filters: pick(req.query, ["consumer_id", "card_id", "status", "from", "to"]),
+      },
+    });
+
+    const cursor = creditHandler.aggregateCursor({
+      pipeline: getCreditsExportAggregation({
+        filter: { ...filter, excluded: false },
+      }),
+    });
+
+    await streamExport({
+      res,
+      cursor,
+      format,
+      filename: localize("companies.credits.export.filename"),
+      sheetName: localize("companies.credits.export.sheet"),
+      headers: ["created_at", "name", "phone", "card", "status", "requested_at", "expires_at"].map((column) =>
+        localize(`companies.credits.export.headers.${column}`),
+      ),
+      toRow: (credit) => [
+        credit.created_at,
+        credit.user?.name,
+        credit.user?.phone,
+        credit.card?.title,
+        localize(`companies.credits.export.status.${credit.status}`),
+        credit.requested_at,
+        credit.expires_at,
+      ],
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * @swagger
  * /v1/companies/credits/{credit_id}:
@@ -1951,7 +2583,7 @@ async function getCompanyCredits(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -1979,6 +2611,9 @@ async function updateCompanyCredit(req, res, next) {
       projection: {
         _id: 1,
         card_id: 1,
+        user_id: 1,
+        status: 1,
+        excluded: 1,
       },
     });
 
@@ -1999,11 +2634,24 @@ async function updateCompanyCredit(req, res, next) {
       },
       data: {
         status,
+        reviewed_by: req.user._id,
+        reviewed_at: new Date(),
       },
     };
 
     await creditHandler.update(creditUpdateOptions);
 
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CREDIT_REVIEW,
+      target_type: auditConstants.TARGETS.CREDIT,
+      target_id: credit._id,
+      company_id,
+      before: { status: credit.status },
+      after: { status },
+      metadata: { consumer_id: credit.user_id, card_id: credit.card_id },
+    });
+
     return res.status(200).json({
       message: localize("companies.credits.update.success"),
     });
@@ -2050,6 +2698,24 @@ async function updateCompanyCredit(req, res, next) {
  *                     type: string
  *                   status:
  *                     type: string
+ *                   company_role:
+ *                     type: string
+ *                     enum: [owner, manager, cashier]
+ *                   invitation:
+ *                     type: object
+ *                     nullable: true
+ *                     description: Only for users added by an invitation
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, expired, accepted]
+ *                       invited_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
  *       401:
  *         description: Unauthorized
  *         content:
@@ -2057,7 +2723,7 @@ async function updateCompanyCredit(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -2084,27 +2750,20 @@ async function getCompanyUsers(req, res, next) {
       skip = 0;
     }
 
-    const userHandlerOptions = {
-      filter: {
+    const users = await membershipHandler.aggregate({
+      pipeline: getCompanyUsersAggregation({
         company_id,
-        role: roleConstants.USER_ROLES.CLIENT,
-        excluded: false,
-      },
-      limit,
-      skip,
-      sort: {
-        status: 1,
-        name: 1,
-      },
-      projection: {
-        name: 1,
-        status: 1,
-      },
-    };
-
-    const users = await userHandler.list(userHandlerOptions);
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      }),
+    });
 
-    return res.status(200).json(users);
+    return res.status(200).json(
+      users.map(({ invited_at, validation_token_purpose, validation_token_expires_at, ...user }) => ({
+        ...user,
+        invitation: getInvitation({ ...user, invited_at, validation_token_purpose, validation_token_expires_at }),
+      })),
+    );
   } catch (error) {
     next(error);
   }
@@ -2152,7 +2811,7 @@ async function getCompanyUsers(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -2177,6 +2836,18 @@ async function getCompanyUserById(req, res, next) {
       company_id,
     });
 
+    const membership = await membershipHandler.read({
+      filter: {
+        user_id,
+        company_id,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        excluded: false,
+      },
+      projection: {
+        company_role: 1,
+      },
+    });
+
     const userReadOptions = {
       filter: {
         _id: user_id,
@@ -2192,7 +2863,7 @@ async function getCompanyUserById(req, res, next) {
       },
     };
 
-    const user = await userHandler.read(userReadOptions);
+    const user = membership ? await userHandler.read(userReadOptions) : null;
 
     if (!user) {
       throw new NotFoundError({
@@ -2200,7 +2871,10 @@ async function getCompanyUserById(req, res, next) {
       });
     }
 
-    return res.status(200).json(user);
+    return res.status(200).json({
+      ...user,
+      company_role: membership.company_role,
+    });
   } catch (error) {
     next(error);
   }
@@ -2241,6 +2915,11 @@ async function getCompanyUserById(req, res, next) {
  *                 type: string
  *                 description: User password
  *                 example: "newPassword123"
+ *               company_role:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
+ *                 description: Role of the user inside the company. The last owner cannot be demoted
+ *                 example: "manager"
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -2265,7 +2944,7 @@ async function getCompanyUserById(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -2281,9 +2960,9 @@ async function updateCompanyUser(req, res, next) {
   try {
     const { company_id } = req.user;
     const { user_id } = req.params;
-    const { name, phone, password } = req.body;
+    const { name, phone, password, company_role } = req.body;
 
-    if (!name && !phone && !password) {
+    if (!name && !phone && !password && !company_role) {
       throw new ValidationError();
     }
 
@@ -2291,11 +2970,30 @@ async function updateCompanyUser(req, res, next) {
       company_id,
     });
 
-    await validateUser({
+    const membership = await validateUser({
       user_id,
       company_id,
     });
 
+    if (company_role) {
+      validateCompanyRole(company_role);
+
+      if (isOwner(membership) && company_role !== roleConstants.COMPANY_ROLES.OWNER) {
+        await validateRemainingOwner({
+          company_id,
+          user_id,
+          message: localize("companies.users.update.error.lastOwner"),
+        });
+      }
+    }
+
+    // The credentials of someone who also works for another company are theirs to change, not this company's
+    if ((phone || password) && (await hasOtherMemberships({ user_id, company_id }))) {
+      throw new ForbiddenError({
+        message: localize("companies.users.update.error.sharedAccount"),
+      });
+    }
+
     const allowedFields = ["name", "phone", "password"];
 
     const data = allowedFields.reduce((acc, field) => {
@@ -2305,14 +3003,54 @@ async function updateCompanyUser(req, res, next) {
       return acc;
     }, {});
 
-    const userUpdateOptions = {
-      filter: {
-        _id: user_id,
-      },
-      data,
-    };
+    // Passwords never go into the log, only the fact that one was set
+    const auditFields = Object.keys(data).filter((field) => field !== "password");
+    const before = {};
+    const after = {};
+
+    if (Object.keys(data).length > 0) {
+      const userUpdateOptions = {
+        filter: {
+          _id: user_id,
+        },
+        data,
+      };
+
+      const user = await userHandler.read({ filter: { _id: user_id }, projection: { name: 1, phone: 1 } });
+      const updatedUser = await userHandler.update(userUpdateOptions);
+
+      Object.assign(before, pick(user, auditFields));
+      Object.assign(after, pick(updatedUser, auditFields));
+    }
+
+    if (company_role) {
+      await membershipHandler.update({
+        filter: {
+          _id: membership._id,
+        },
+        data: {
+          company_role,
+        },
+      });
 
-    await userHandler.update(userUpdateOptions);
+      before.company_role = membership.company_role;
+      after.company_role = company_role;
+    }
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_USER_UPDATE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: membership.user_id,
+      company_id,
+      before,
+      after,
+      metadata: password ? { password_changed: true } : null,
+    });
+
+    if (password) {
+      await sessionService.revokeUserTokens({ user_id });
+    }
 
     return res.status(200).json({
       message: localize("companies.users.update.success"),
@@ -2350,7 +3088,7 @@ async function updateCompanyUser(req, res, next) {
  *                   type: string
  *                   example: "User deleted successfully"
  *       400:
- *         description: Cannot delete last user
+ *         description: Cannot delete the last user or the last owner
  *         content:
  *           application/json:
  *             schema:
@@ -2362,7 +3100,7 @@ async function updateCompanyUser(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -2383,37 +3121,71 @@ async function deleteCompanyUser(req, res, next) {
       company_id,
     });
 
-    await validateUser({
+    const membership = await validateUser({
       user_id,
       company_id,
     });
 
-    const userHandlerOptions = {
+    const membershipHandlerOptions = {
       filter: {
         company_id,
         status: statusConsts.RESOURCE_STATUS.AVAILABLE,
         excluded: false,
       },
+      projection: { _id: 1 },
+      limit: 2,
     };
 
-    const users = await userHandler.list(userHandlerOptions);
+    const memberships = await membershipHandler.list(membershipHandlerOptions);
 
-    if (users.length === 1) {
+    if (memberships.length === 1) {
       throw new ValidationError({
         message: localize("companies.users.delete.error.lastUser"),
       });
     }
 
-    const userDeleteOptions = {
+    if (isOwner(membership)) {
+      await validateRemainingOwner({
+        company_id,
+        user_id,
+        message: localize("companies.users.delete.error.lastOwner"),
+      });
+    }
+
+    await membershipHandler.update({
       filter: {
-        _id: user_id,
+        _id: membership._id,
       },
       data: {
         status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
       },
-    };
+    });
+
+    // Someone who still works for another company keeps their account and only loses access to this one
+    if (!(await hasOtherMemberships({ user_id, company_id }))) {
+      const userDeleteOptions = {
+        filter: {
+          _id: user_id,
+        },
+        data: {
+          status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
+        },
+      };
 
-    await userHandler.update(userDeleteOptions);
+      await userHandler.update(userDeleteOptions);
+
+      await sessionService.revokeUserTokens({ user_id });
+    }
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_USER_REMOVE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: membership.user_id,
+      company_id,
+      before: { status: membership.status, company_role: membership.company_role },
+      after: { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE, company_role: membership.company_role },
+    });
 
     return res.status(200).json({
       message: localize("companies.users.delete.success"),
@@ -2463,7 +3235,7 @@ async function deleteCompanyUser(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -2514,6 +3286,17 @@ async function deleteConsumerCredit(req, res, next) {
 
     await creditHandler.update(creditDeleteOptions);
 
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CREDIT_DELETE,
+      target_type: auditConstants.TARGETS.CREDIT,
+      target_id: credit._id,
+      company_id,
+      before: { excluded: false },
+      after: { excluded: true },
+      metadata: { consumer_id: credit.user_id, card_id: credit.card_id },
+    });
+
     return res.status(200).json({
       message: localize("companies.consumers.deleteCredit.success"),
     });
@@ -2559,6 +3342,37 @@ async function deleteConsumerCredit(req, res, next) {
  *                   type: number
  *                   description: Number of credits redeemed
  *                   example: 5
+ *                 cardTitle:
+ *                   type: string
+ *                 redemption:
+ *                   type: object
+ *                   description: Redemption receipt
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     user_id:
+ *                       type: string
+ *                     card_id:
+ *                       type: string
+ *                     operator_id:
+ *                       type: string
+ *                     credit_ids:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     card:
+ *                       type: object
+ *                       properties:
+ *                         title:
+ *                           type: string
+ *                         credits_needed:
+ *                           type: number
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     undo_expires_at:
+ *                       type: string
+ *                       format: date-time
  *       400:
  *         description: Insufficient credits or invalid request
  *         content:
@@ -2572,7 +3386,7 @@ async function deleteConsumerCredit(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
@@ -2583,6 +3397,12 @@ async function deleteConsumerCredit(req, res, next) {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The credits were redeemed by a concurrent operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 async function redeemCardBenefits(req, res, next) {
   try {
@@ -2611,58 +3431,66 @@ async function redeemCardBenefits(req, res, next) {
       },
     });
 
-    // Get available credits for this consumer and card
-    const availableCredits = await creditHandler.list({
-      filter: {
-        user_id: consumer_id,
-        card_id: card_id,
-        company_id: company_id,
-        status: statusConsts.CREDITS_STATUS.AVAILABLE,
-        excluded: false,
-      },
-      projection: {
-        _id: 1,
-        created_at: 1,
-      },
-      sort: {
-        created_at: 1, // Use oldest credits first (FIFO)
-      },
+    const redemption_id = new mongoose.Types.ObjectId();
+
+    const creditIds = await claimCredits({
+      consumer_id,
+      card_id,
+      company_id,
+      credits_needed: card.credits_needed,
+      redemption_id,
     });
 
-    if (availableCredits.length < card.credits_needed) {
-      throw new ValidationError({
-        message: localize("companies.consumers.redeem.insufficientCredits", {
-          needed: card.credits_needed,
-          available: availableCredits.length,
-        }),
+    let redemption;
+
+    try {
+      redemption = await redemptionHandler.create({
+        data: {
+          _id: redemption_id,
+          company_id,
+          user_id: consumer_id,
+          card_id,
+          operator_id: req.user._id,
+          credit_ids: creditIds,
+          card: {
+            title: card.title,
+            credits_needed: card.credits_needed,
+          },
+          status: statusConsts.REDEMPTION_STATUS.ACTIVE,
+        },
+      });
+    } catch (error) {
+      // Without the record the redemption could never be undone, so give the credits back
+      await releaseCredits({
+        redemption_id,
       });
-    }
 
-    // Get the exact number of credits needed (oldest first)
-    const creditsToRedeem = availableCredits.slice(0, card.credits_needed);
-    const creditIds = creditsToRedeem.map((credit) => credit._id);
+      throw error;
+    }
 
-    // Bulk update credits to USED status with requested_at timestamp
-    const updateResult = await creditHandler.updateMany({
-      filter: {
-        _id: { $in: creditIds },
-      },
-      data: {
-        status: statusConsts.CREDITS_STATUS.USED,
-        requested_at: new Date(),
-      },
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_REDEMPTION_CREATE,
+      target_type: auditConstants.TARGETS.REDEMPTION,
+      target_id: redemption._id,
+      company_id,
+      metadata: { consumer_id: redemption.user_id, card_id: redemption.card_id, credit_ids: redemption.credit_ids },
     });
 
-    if (updateResult.modifiedCount !== card.credits_needed) {
-      throw new ValidationError({
-        message: localize("companies.consumers.redeem.updateError"),
-      });
-    }
-
     return res.status(200).json({
       message: localize("companies.consumers.redeem.success"),
       redeemedCredits: card.credits_needed,
       cardTitle: card.title,
+      redemption: {
+        _id: redemption._id,
+        user_id: redemption.user_id,
+        card_id: redemption.card_id,
+        operator_id: redemption.operator_id,
+        credit_ids: redemption.credit_ids,
+        card: redemption.card,
+        created_at: redemption.created_at,
+        undo_expires_at: dateUtils.addTime(redemption.created_at, getRedemptionUndoWindow(), "minutes"),
+      },
     });
   } catch (error) {
     next(error);
@@ -2671,79 +3499,138 @@ async function redeemCardBenefits(req, res, next) {
 
 /**
  * @swagger
- * /v1/companies/consumers/{consumer_id}:
- *   delete:
- *     summary: Delete consumer
- *     description: Delete a consumer from the company
+ * /v1/companies/redemptions:
+ *   get:
+ *     summary: Get company redemptions
+ *     description: Retrieve the redemptions performed by the authenticated company, newest first
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
+ *       - in: query
  *         name: consumer_id
- *         required: true
  *         schema:
  *           type: string
- *         description: Consumer ID
+ *         description: Only redemptions of this consumer
+ *       - in: query
+ *         name: card_id
+ *         schema:
+ *           type: string
+ *         description: Only redemptions of this card
+ *       - in: query
+ *         name: operator_id
+ *         schema:
+ *           type: string
+ *         description: Only redemptions performed by this company user
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, reverted]
+ *         description: Redemption status
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only redemptions created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only redemptions created at or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of results to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of results to skip
  *     responses:
  *       200:
- *         description: Consumer deleted successfully
+ *         description: Company redemptions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Consumer deleted successfully"
- *       401:
- *         description: Unauthorized
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Redemption'
+ *       400:
+ *         description: Invalid parameters
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       403:
- *         description: Forbidden - User must be a client with company access
+ *       401:
+ *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Consumer not found
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-async function deleteConsumer(req, res, next) {
+async function getRedemptions(req, res, next) {
   try {
     const { company_id } = req.user;
-    const { consumer_id } = req.params;
+    let { limit, skip } = req.query;
 
     await validateCompany({
       company_id,
     });
 
-    await validateConsumer({
-      consumer_id,
+    if (limit) {
+      limit = parseInt(limit);
+      if (isNaN(limit) || limit < 1 || limit > 100) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "limit" }),
+        });
+      }
+    } else {
+      limit = parseInt(process.env.PAGINATION_DEFAULT_LIMIT) || 10;
+    }
+
+    if (skip) {
+      skip = parseInt(skip);
+      if (isNaN(skip) || skip < 0) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "skip" }),
+        });
+      }
+    } else {
+      skip = 0;
+    }
+
+    const filter = getListFilter({
       company_id,
+      query: req.query,
+      idFields: REDEMPTION_ID_FILTERS,
+      statuses: statusConsts.REDEMPTION_STATUS,
     });
 
-    const consumerDeleteOptions = {
-      filter: {
-        _id: consumer_id,
-      },
-      data: {
-        status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
-        excluded: true,
+    const redemptions = await redemptionHandler.list({
+      filter,
+      sort: {
+        created_at: -1,
       },
-    };
-
-    await userHandler.update(consumerDeleteOptions);
-
-    return res.status(200).json({
-      message: localize("companies.consumers.delete.success"),
+      limit,
+      skip,
     });
+
+    return res.status(200).json(redemptions);
   } catch (error) {
     next(error);
   }
@@ -2751,43 +3638,67 @@ async function deleteConsumer(req, res, next) {
 
 /**
  * @swagger
- * /v1/companies/users:
- *   post:
- *     summary: Create company user
- *     description: Create a new user (client) for the authenticated company
+ * /v1/companies/redemptions/export:
+ *   get:
+ *     summary: Export company redemptions
+ *     description: Download the redemptions of the authenticated company, newest first, with the same filters as the redemptions list
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - phone
- *             properties:
- *               name:
- *                 type: string
- *                 description: User name
- *                 example: "João Silva"
- *               phone:
- *                 type: string
- *                 description: User phone number
- *                 example: "5511999999999"
+ *     parameters:
+ *       - in: query
+ *         name: consumer_id
+ *         schema:
+ *           type: string
+ *         description: Only redemptions of this consumer
+ *       - in: query
+ *         name: card_id
+ *         schema:
+ *           type: string
+ *         description: Only redemptions of this card
+ *       - in: query
+ *         name: operator_id
+ *         schema:
+ *           type: string
+ *         description: Only redemptions performed by this company user
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, reverted]
+ *         description: Redemption status
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only redemptions created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only redemptions created at or before this date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: CSV separated by semicolons, or an Excel workbook
  *     responses:
  *       200:
- *         description: User created successfully
+ *         description: File download with one row per redemption, headers in Portuguese and dates in the America/Sao_Paulo timezone
  *         content:
- *           application/json:
+ *           text/csv:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "User created successfully"
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       400:
- *         description: Invalid data
+ *         description: Invalid parameters
  *         content:
  *           application/json:
  *             schema:
@@ -2799,48 +3710,64 @@ async function deleteConsumer(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-async function createCompanyUser(req, res, next) {
+async function exportRedemptions(req, res, next) {
   try {
     const { company_id } = req.user;
-    const { name, phone } = req.body;
-
-    if (!phone) {
-      throw new ValidationError({
-        message: localize("error.generic.required", { field: "phone" }),
-      });
-    }
+    const format = getExportFormat(req.query.format);
 
     await validateCompany({
       company_id,
     });
 
-    const userCreateOptions = {
-      data: {
-        name,
-        phone,
-        company_id,
-        role: roleConstants.USER_ROLES.CLIENT,
-        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
-        excluded: false,
-      },
-    };
+    const filter = getListFilter({
+      company_id,
+      query: req.query,
+      idFields: REDEMPTION_ID_FILTERS,
+      statuses: statusConsts.REDEMPTION_STATUS,
+    });
 
-    const user = await userHandler.create(userCreateOptions);
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_DATA_EXPORT,
+      target_type: auditConstants.TARGETS.COMPANY,
+      target_id: company_id,
+      company_id,
+      metadata: {
+        resource: "redemptions",
+        format,
+        filters: pick(req.query, ["consumer_id", "card_id", "operator_id", "status", "from", "to"]),
+      },
+    });
 
-    if (user instanceof Error) {
-      throw new ValidationError({
-        message: user.message,
-      });
-    }
+    const cursor = redemptionHandler.aggregateCursor({
+      pipeline: getRedemptionsExportAggregation({ filter }),
+    });
 
-    return res.status(200).json({
-      message: localize("companies.users.create.success"),
+    await streamExport({
+      res,
+      cursor,
+      format,
+      filename: localize("companies.redemptions.export.filename"),
+      sheetName: localize("companies.redemptions.export.sheet"),
+      headers: ["created_at", "name", "phone", "card", "credits", "operator", "status", "reverted_at"].map((column) =>
+        localize(`companies.redemptions.export.headers.${column}`),
+      ),
+      toRow: (redemption) => [
+        redemption.created_at,
+        redemption.user?.name,
+        redemption.user?.phone,
+        redemption.card?.title,
+        redemption.card?.credits_needed,
+        redemption.operator?.name,
+        localize(`companies.redemptions.export.status.${redemption.status}`),
+        redemption.reverted_at,
+      ],
     });
   } catch (error) {
     next(error);
@@ -2849,83 +3776,1205 @@ async function createCompanyUser(req, res, next) {
 
 /**
  * @swagger
- * /v1/companies/stats:
- *   get:
- *     summary: Get company statistics
- *     description: Retrieve dashboard statistics for the authenticated company
+ * /v1/companies/redemptions/{redemption_id}:
+ *   delete:
+ *     summary: Undo redemption
+ *     description: Revert a redemption within the undo window, giving the credits back to the consumer
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: redemption_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Redemption ID
  *     responses:
  *       200:
- *         description: Company statistics retrieved successfully
+ *         description: Redemption reverted successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 recentClients:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                       name:
- *                         type: string
- *                       phone:
- *                         type: string
- *                       created_at:
- *                         type: string
- *                         format: date-time
- *                 newClientsChart:
- *                   type: object
- *                   properties:
- *                     dataKey:
- *                       type: string
- *                     data:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           week:
- *                             type: string
- *                           count:
- *                             type: number
- *                     total:
- *                       type: number
- *                 creditsGivenChart:
- *                   type: object
- *                   properties:
- *                     dataKey:
- *                       type: string
- *                     data:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           week:
- *                             type: string
- *                           count:
- *                             type: number
- *                     total:
- *                       type: number
- *                 creditsUsedChart:
- *                   type: object
- *                   properties:
- *                     dataKey:
- *                       type: string
- *                     data:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           week:
- *                             type: string
- *                           count:
- *                             type: number
- *                     total:
- *                       type: number
+ *                 message:
+ *                   type: string
+ *                   example: "Redemption reverted successfully"
+ *                 restoredCredits:
+ *                   type: number
+ *                   example: 5
+ *       400:
+ *         description: Redemption already reverted or undo window expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Redemption not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function deleteRedemption(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { redemption_id } = req.params;
+
+    await validateCompany({
+      company_id,
+    });
+
+    if (!mongoose.Types.ObjectId.isValid(redemption_id)) {
+      throw new NotFoundError({
+        message: localize("error.generic.notFound", { resource: localize("resources.redemption") }),
+      });
+    }
+
+    const redemption = await redemptionHandler.read({
+      filter: {
+        _id: redemption_id,
+        company_id,
+      },
+      projection: {
+        _id: 1,
+        status: 1,
+        created_at: 1,
+      },
+    });
+
+    if (!redemption) {
+      throw new NotFoundError({
+        message: localize("error.generic.notFound", { resource: localize("resources.redemption") }),
+      });
+    }
+
+    if (redemption.status !== statusConsts.REDEMPTION_STATUS.ACTIVE) {
+      throw new ValidationError({
+        message: localize("companies.redemptions.delete.alreadyReverted"),
+      });
+    }
+
+    const undoWindow = getRedemptionUndoWindow();
+    const undoLimit = subTime(new Date(), undoWindow, "minutes");
+
+    if (redemption.created_at < undoLimit) {
+      throw new ValidationError({
+        message: localize("companies.redemptions.delete.windowExpired", { minutes: undoWindow }),
+      });
+    }
+
+    // Flip the status first so two concurrent undos cannot both restore the credits
+    const revertedRedemption = await redemptionHandler.update({
+      filter: {
+        _id: redemption_id,
+        company_id,
+        status: statusConsts.REDEMPTION_STATUS.ACTIVE,
+        created_at: { $gte: undoLimit },
+      },
+      data: {
+        status: statusConsts.REDEMPTION_STATUS.REVERTED,
+        reverted_at: new Date(),
+        reverted_by: req.user._id,
+      },
+    });
+
+    if (!revertedRedemption) {
+      throw new ConflictError({
+        message: localize("companies.redemptions.delete.conflict"),
+      });
+    }
+
+    const releaseResult = await releaseCredits({
+      redemption_id,
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_REDEMPTION_REVERT,
+      target_type: auditConstants.TARGETS.REDEMPTION,
+      target_id: revertedRedemption._id,
+      company_id,
+      before: { status: redemption.status },
+      after: { status: revertedRedemption.status },
+      metadata: {
+        consumer_id: revertedRedemption.user_id,
+        card_id: revertedRedemption.card_id,
+        restored_credits: releaseResult.modifiedCount,
+      },
+    });
+
+    return res.status(200).json({
+      message: localize("companies.redemptions.delete.success"),
+      restoredCredits: releaseResult.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/consumers/{consumer_id}:
+ *   delete:
+ *     summary: Delete consumer
+ *     description: Delete a consumer from the company
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: consumer_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Consumer ID
+ *     responses:
+ *       200:
+ *         description: Consumer deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Consumer deleted successfully"
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Consumer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function deleteConsumer(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { consumer_id } = req.params;
+
+    await validateCompany({
+      company_id,
+    });
+
+    await validateConsumer({
+      consumer_id,
+      company_id,
+    });
+
+    const consumerDeleteOptions = {
+      filter: {
+        _id: consumer_id,
+      },
+      data: {
+        status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
+        excluded: true,
+      },
+    };
+
+    await userHandler.update(consumerDeleteOptions);
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_CONSUMER_DELETE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: consumer_id,
+      company_id,
+      before: { status: statusConsts.RESOURCE_STATUS.AVAILABLE, excluded: false },
+      after: { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE, excluded: true },
+    });
+
+    return res.status(200).json({
+      message: localize("companies.consumers.delete.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/users:
+ *   post:
+ *     summary: Invite company user
+ *     description: Invite a user (client) to the authenticated company, including someone who already works for another one. The invitation stays pending until the SMS code is used in /v1/auth/invite/accept
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - phone
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: User name
+ *                 example: "João Silva"
+ *               phone:
+ *                 type: string
+ *                 description: User phone number
+ *                 example: "5511999999999"
+ *               company_role:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
+ *                 default: cashier
+ *                 description: Role of the user inside the company
+ *                 example: "cashier"
+ *     responses:
+ *       200:
+ *         description: User invited successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Convite enviado com sucesso"
+ *                 user_id:
+ *                   type: string
+ *       400:
+ *         description: Invalid data or phone already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: SMS service error, the invitation can be resent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function createCompanyUser(req, res, next) {
+  try {
+    const { company_id, _id: invited_by } = req.user;
+    const { name, phone, company_role = roleConstants.COMPANY_ROLES.CASHIER } = req.body;
+
+    if (!name) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "name" }),
+      });
+    }
+
+    if (!phone) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "phone" }),
+      });
+    }
+
+    if (!validatePhone(phone)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "phone" }),
+      });
+    }
+
+    validateCompanyRole(company_role);
+
+    const company = await validateCompany({
+      company_id,
+      projection: {
+        name: 1,
+        status: 1,
+        excluded: 1,
+      },
+    });
+
+    const existingUser = await userHandler.read({
+      filter: { phone, excluded: false },
+      projection: { _id: 1, role: 1, status: 1 },
+    });
+
+    // Client users of other companies can be invited too, consumers need another number
+    if (existingUser && existingUser.role !== roleConstants.USER_ROLES.CLIENT) {
+      throw new ValidationError({
+        message: localize("error.generic.alreadyInUse", { field: "phone", value: phone }),
+      });
+    }
+
+    const existingMembership = existingUser
+      ? await membershipHandler.read({
+          filter: { user_id: existingUser._id, company_id, excluded: false },
+          projection: { _id: 1, status: 1 },
+        })
+      : null;
+
+    if (existingMembership && existingMembership.status !== statusConsts.RESOURCE_STATUS.UNAVAILABLE) {
+      throw new ValidationError({
+        message: localize("error.generic.alreadyInUse", { field: "phone", value: phone }),
+      });
+    }
+
+    const { token, data: validationTokenData } = otpService.createToken({
+      purpose: otpConstants.PURPOSES.INVITE,
+      expiresIn: otpService.getInviteExpiresIn(),
+    });
+
+    const userCreateOptions = {
+      data: {
+        name,
+        phone,
+        company_id,
+        role: roleConstants.USER_ROLES.CLIENT,
+        status: statusConsts.RESOURCE_STATUS.PENDING,
+        excluded: false,
+        ...validationTokenData,
+      },
+    };
+
+    // A user removed from every company they worked for can accept again
+    const existingUserData =
+      existingUser?.status === statusConsts.RESOURCE_STATUS.UNAVAILABLE
+        ? { ...validationTokenData, status: statusConsts.RESOURCE_STATUS.PENDING }
+        : validationTokenData;
+
+    const user = existingUser
+      ? await userHandler.update({ filter: { _id: existingUser._id }, data: existingUserData })
+      : await userHandler.create(userCreateOptions);
+
+    if (user instanceof Error) {
+      throw new ValidationError({
+        message: user.message,
+      });
+    }
+
+    const invitationData = {
+      user_id: user._id,
+      company_id,
+      company_role,
+      status: statusConsts.RESOURCE_STATUS.PENDING,
+      invited_at: new Date(),
+      invited_by,
+    };
+
+    // Someone removed from the company earlier gets their membership back
+    if (existingMembership) {
+      await membershipHandler.update({ filter: { _id: existingMembership._id }, data: invitationData });
+    } else {
+      await membershipHandler.create({ data: invitationData });
+    }
+
+    await sendInvitation({ user, token, company });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_USER_INVITE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: user._id,
+      company_id,
+      after: { name: user.name, phone: user.phone, company_role },
+    });
+
+    return res.status(200).json({
+      message: localize("companies.users.create.success"),
+      user_id: user._id,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/users/{user_id}/invite:
+ *   post:
+ *     summary: Resend company user invitation
+ *     description: Send a new invitation code to a user who has not accepted yet. The previous code stops working and the invitation gets a new expiration
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Invitation resent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Convite reenviado com sucesso"
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found or already accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: SMS service error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function resendCompanyUserInvite(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { user_id } = req.params;
+
+    const company = await validateCompany({
+      company_id,
+      projection: {
+        name: 1,
+        status: 1,
+        excluded: 1,
+      },
+    });
+
+    const invitation = await validateInvitation({
+      user_id,
+      company_id,
+    });
+
+    const { token, data: validationTokenData } = otpService.createToken({
+      purpose: otpConstants.PURPOSES.INVITE,
+      expiresIn: otpService.getInviteExpiresIn(),
+    });
+
+    const user = await userHandler.update({
+      filter: {
+        _id: user_id,
+      },
+      data: validationTokenData,
+    });
+
+    await sendInvitation({ user, token, company });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_USER_INVITE_RESEND,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: invitation.user_id,
+      company_id,
+    });
+
+    return res.status(200).json({
+      message: localize("companies.users.invite.resend.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/users/{user_id}/invite:
+ *   delete:
+ *     summary: Revoke company user invitation
+ *     description: Cancel an invitation that has not been accepted. The code stops working and the user leaves the company list
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Convite cancelado com sucesso"
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found or already accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function revokeCompanyUserInvite(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { user_id } = req.params;
+
+    await validateCompany({
+      company_id,
+    });
+
+    const invitation = await validateInvitation({
+      user_id,
+      company_id,
+    });
+
+    await membershipHandler.update({
+      filter: {
+        _id: invitation._id,
+      },
+      data: {
+        status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
+        excluded: true,
+      },
+    });
+
+    const otherInvitations = await membershipHandler.list({
+      filter: {
+        user_id,
+        status: statusConsts.RESOURCE_STATUS.PENDING,
+        invited_at: { $ne: null },
+        excluded: false,
+      },
+      projection: { _id: 1 },
+      limit: 1,
+    });
+
+    // The code is shared by every invitation of the user, so it only stops working with the last one
+    if (otherInvitations.length === 0) {
+      await userHandler.update({
+        filter: {
+          _id: user_id,
+          validation_token_purpose: otpConstants.PURPOSES.INVITE,
+        },
+        data: otpService.getClearTokenData(),
+      });
+    }
+
+    // An invitee who never had an account does not keep one
+    if (!(await hasOtherMemberships({ user_id, company_id, includePending: true }))) {
+      await userHandler.update({
+        filter: {
+          _id: user_id,
+          status: statusConsts.RESOURCE_STATUS.PENDING,
+        },
+        data: {
+          status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
+          excluded: true,
+        },
+      });
+    }
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.COMPANY_USER_INVITE_REVOKE,
+      target_type: auditConstants.TARGETS.USER,
+      target_id: invitation.user_id,
+      company_id,
+      before: { status: invitation.status, company_role: invitation.company_role },
+      after: { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE, company_role: invitation.company_role },
+    });
+
+    return res.status(200).json({
+      message: localize("companies.users.invite.revoke.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/stats:
+ *   get:
+ *     summary: Get company statistics
+ *     description: Retrieve dashboard statistics for the authenticated company
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the period, in the America/Sao_Paulo timezone. Defaults to the start of the last 28 days, 4 weeks or 6 months, depending on the granularity
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the period, included in full. Defaults to now
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Size of the buckets of the charts. Weeks start on Sunday. Periods can cover up to 366 days
+ *     responses:
+ *       200:
+ *         description: Company statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     granularity:
+ *                       type: string
+ *                       enum: [day, week, month]
+ *                     timezone:
+ *                       type: string
+ *                 previousPeriod:
+ *                   type: object
+ *                   description: Period of the same length right before, that previousTotal and change refer to
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                 recentClients:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 newClientsChart:
+ *                   $ref: '#/components/schemas/StatsChart'
+ *                 creditsGivenChart:
+ *                   $ref: '#/components/schemas/StatsChart'
+ *                 creditsUsedChart:
+ *                   $ref: '#/components/schemas/StatsChart'
+ *       400:
+ *         description: Invalid period or granularity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getCompanyStats(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { from, to, granularity } = req.query;
+
+    await validateCompany({
+      company_id,
+    });
+
+    const response = await statsService.getCompanyStats({ company_id, from, to, granularity });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/stats/staff:
+ *   get:
+ *     summary: Get staff stats
+ *     description: Credits issued, requests reviewed and redemptions performed by each company user, to spot stamping that sales do not justify
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the period, in the America/Sao_Paulo timezone. Defaults to the start of the last 28 days, 4 weeks or 6 months, depending on the granularity
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the period, included in full. Defaults to now
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Size of the buckets of the charts. Weeks start on Sunday. Periods can cover up to 366 days
+ *     responses:
+ *       200:
+ *         description: Staff stats retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     granularity:
+ *                       type: string
+ *                       enum: [day, week, month]
+ *                     timezone:
+ *                       type: string
+ *                 staff:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       company_role:
+ *                         type: string
+ *                         enum: [owner, manager, cashier]
+ *                       status:
+ *                         type: string
+ *                         enum: [available, unavailable]
+ *                       creditsIssuedChart:
+ *                         type: object
+ *                         properties:
+ *                           dataKey:
+ *                             type: string
+ *                             enum: [day, week, month]
+ *                           data:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               description: Label of the bucket under the dataKey property, e.g. week: 18/10, and its count
+ *                               properties:
+ *                                 count:
+ *                                   type: number
+ *                               additionalProperties:
+ *                                 type: string
+ *                           total:
+ *                             type: number
+ *                       requestsApproved:
+ *                         type: number
+ *                       requestsRejected:
+ *                         type: number
+ *                       redemptionsChart:
+ *                         type: object
+ *                         properties:
+ *                           dataKey:
+ *                             type: string
+ *                             enum: [day, week, month]
+ *                           data:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               description: Label of the bucket under the dataKey property, e.g. week: 18/10, and its count
+ *                               properties:
+ *                                 count:
+ *                                   type: number
+ *                               additionalProperties:
+ *                                 type: string
+ *                           total:
+ *                             type: number
+ *       400:
+ *         description: Invalid period or granularity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getStaffStats(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    const { from, to, granularity } = req.query;
+
+    await validateCompany({
+      company_id,
+    });
+
+    const response = await statsService.getStaffStats({ company_id, from, to, granularity });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/analytics:
+ *   get:
+ *     summary: Get company analytics
+ *     description: Monthly cohort retention of consumers, redemption rate and completion time of each card, and consumers who stopped receiving credits
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 12
+ *           default: 6
+ *         description: How many monthly cohorts to cover, the current month included
+ *       - in: query
+ *         name: inactive_days
+ *         schema:
+ *           type: number
+ *           minimum: 7
+ *           maximum: 365
+ *           default: 60
+ *         description: Days without a credit after which a consumer is at risk of churning
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of at-risk consumers to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of at-risk consumers to skip
+ *     responses:
+ *       200:
+ *         description: Company analytics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cohorts:
+ *                   type: array
+ *                   description: Consumers by the month of their first credit, oldest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       month:
+ *                         type: string
+ *                         example: 05/2026
+ *                       consumers:
+ *                         type: number
+ *                       retention:
+ *                         type: array
+ *                         description: Consumers of the cohort that received credits in each month since, the first month included
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             month:
+ *                               type: string
+ *                             offset:
+ *                               type: number
+ *                             consumers:
+ *                               type: number
+ *                             rate:
+ *                               type: number
+ *                               description: Percentage of the cohort
+ *                 cards:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       credits_needed:
+ *                         type: number
+ *                       issued:
+ *                         type: number
+ *                       used:
+ *                         type: number
+ *                       expired:
+ *                         type: number
+ *                       available:
+ *                         type: number
+ *                       redemption_rate:
+ *                         type: number
+ *                         description: Percentage of the credits issued that were used
+ *                       expiration_rate:
+ *                         type: number
+ *                         description: Percentage of the credits issued that expired
+ *                       redemptions:
+ *                         type: number
+ *                       average_days_to_complete:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Average days from the first credit of a completed card to its redemption
+ *                 atRisk:
+ *                   type: object
+ *                   properties:
+ *                     inactive_days:
+ *                       type: number
+ *                     before:
+ *                       type: string
+ *                       format: date-time
+ *                     total:
+ *                       type: number
+ *                     consumers:
+ *                       type: array
+ *                       description: Most recently lapsed first
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           phone:
+ *                             type: string
+ *                           last_credit_at:
+ *                             type: string
+ *                             format: date-time
+ *                           available_credits:
+ *                             type: number
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getCompanyAnalytics(req, res, next) {
+  try {
+    const { company_id } = req.user;
+    let { months, inactive_days, limit, skip } = req.query;
+
+    await validateCompany({
+      company_id,
+    });
+
+    if (months) {
+      months = Number(months);
+      if (!Number.isInteger(months) || months < 1 || months > 12) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "months" }),
+        });
+      }
+    } else {
+      months = 6;
+    }
+
+    if (inactive_days) {
+      inactive_days = Number(inactive_days);
+      if (!Number.isInteger(inactive_days) || inactive_days < 7 || inactive_days > 365) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "inactive_days" }),
+        });
+      }
+    } else {
+      inactive_days = 60;
+    }
+
+    if (limit) {
+      limit = parseInt(limit);
+      if (isNaN(limit) || limit < 1 || limit > 100) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "limit" }),
+        });
+      }
+    } else {
+      limit = parseInt(process.env.PAGINATION_DEFAULT_LIMIT) || 10;
+    }
+
+    if (skip) {
+      skip = parseInt(skip);
+      if (isNaN(skip) || skip < 0) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "skip" }),
+        });
+      }
+    } else {
+      skip = 0;
+    }
+
+    const response = await statsService.getCompanyAnalytics({ company_id, months, inactive_days, limit, skip });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/companies/audit:
+ *   get:
+ *     summary: Get company activity log
+ *     description: Retrieve what the company staff did, newest first, to investigate credits, redemptions and changes nobody remembers making
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *         description: Only events of this company user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Only events of this action, like company.credits.add
+ *         example: "company.credits.add"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events at or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of results to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Activity log retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEvent'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -2933,93 +4982,118 @@ async function createCompanyUser(req, res, next) {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User must be a client with company access
+ *         description: Forbidden - User must be a client with company access and a company role allowed to do it
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-async function getCompanyStats(req, res, next) {
+async function getCompanyAudit(req, res, next) {
   try {
     const { company_id } = req.user;
+    const { actor_id, action, from, to } = req.query;
+    let { limit, skip } = req.query;
 
     await validateCompany({
       company_id,
     });
 
-    // Recent Clients - Latest 5 clients that have received credits
-    const recentClients = await creditHandler.aggregate({
-      pipeline: getClientConsumersAggregation({
-        company_id,
-        limit: 5,
-      }),
-    });
+    if (limit) {
+      limit = parseInt(limit);
+      if (isNaN(limit) || limit < 1 || limit > 100) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "limit" }),
+        });
+      }
+    } else {
+      limit = parseInt(process.env.PAGINATION_DEFAULT_LIMIT) || 10;
+    }
 
-    // New Clients - Latest clients that have received credits in the last 4 weeks
-    const fourWeeksAgo = subTime(new Date(), 28, "days");
-    const newClientsRaw = await creditHandler.aggregate({
-      pipeline: getNewClientsAggregationLast4Weeks({
-        company_id,
-        baseDate: fourWeeksAgo,
-      }),
-    });
+    if (skip) {
+      skip = parseInt(skip);
+      if (isNaN(skip) || skip < 0) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "skip" }),
+        });
+      }
+    } else {
+      skip = 0;
+    }
 
-    // Process newClients with weekly stats
-    const newClientsStats = processWeeklyStats(newClientsRaw, "user_id", "created_at");
+    // Admin actions on the company are kept for the platform, not shown to the company
+    const companyActions = Object.values(auditConstants.ACTIONS).filter((companyAction) =>
+      companyAction.startsWith(auditConstants.COMPANY_ACTION_PREFIX),
+    );
 
-    // Credits Given - Credits given to clients in the last 4 weeks
-    const creditsGiven = await creditHandler.list({
-      filter: {
-        company_id,
-        status: statusConsts.CREDITS_STATUS.AVAILABLE,
-        created_at: { $gte: fourWeeksAgo },
-      },
+    const filter = {
+      company_id,
+      action: { $in: companyActions },
+    };
+
+    if (actor_id) {
+      if (!mongoose.Types.ObjectId.isValid(actor_id)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "actor_id" }),
+        });
+      }
+
+      filter.actor_id = actor_id;
+    }
+
+    if (action) {
+      if (!companyActions.includes(action)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "action" }),
+        });
+      }
+
+      filter.action = action;
+    }
+
+    const dateFilters = { $gte: from, $lte: to };
+
+    for (const [operator, value] of Object.entries(dateFilters)) {
+      if (!value) continue;
+
+      const date = new Date(value);
+
+      if (isNaN(date.getTime())) {
+        throw new ValidationError({
+          message: localize("error.generic.invalidFormat", { field: operator === "$gte" ? "from" : "to" }),
+        });
+      }
+
+      filter.created_at = { ...filter.created_at, [operator]: date };
+    }
+
+    const events = await auditEventHandler.list({
+      filter,
       projection: {
-        created_at: 1,
+        company_id: 0,
+        actor_role: 0,
+      },
+      sort: {
+        created_at: -1,
       },
+      limit,
+      skip,
     });
 
-    const creditsGivenStats = processWeeklyStats(creditsGiven);
-
-    // Credits Used - Credits used by clients in the last 4 weeks
-    const creditsUsed = await creditHandler.list({
+    const actors = await userHandler.list({
       filter: {
-        company_id,
-        status: statusConsts.CREDITS_STATUS.USED,
-        requested_at: { $gte: fourWeeksAgo },
-      },
-      projection: {
-        requested_at: 1,
+        _id: { $in: [...new Set(events.map((event) => event.actor_id.toString()))] },
       },
+      projection: { name: 1 },
     });
 
-    const creditsUsedStats = processWeeklyStats(creditsUsed, null, "requested_at");
+    const actorsById = new Map(actors.map((actor) => [actor._id.toString(), actor]));
 
-    const response = {
-      recentClients: recentClients.map((client) => ({
-        _id: client._id,
-        name: client.name,
-        phone: client.phone,
-        created_at: client.created_at,
+    return res.status(200).json(
+      events.map((event) => ({
+        ...event,
+        actor: actorsById.get(event.actor_id.toString()) || null,
       })),
-      newClientsChart: {
-        dataKey: "week",
-        data: newClientsStats,
-        total: newClientsStats.reduce((sum, week) => sum + week.count, 0),
-      },
-      creditsGivenChart: {
-        dataKey: "week",
-        data: creditsGivenStats,
-        total: creditsGivenStats.reduce((sum, week) => sum + week.count, 0),
-      },
-      creditsUsedChart: {
-        dataKey: "week",
-        data: creditsUsedStats,
-        total: creditsUsedStats.reduce((sum, week) => sum + week.count, 0),
-      },
-    };
-
-    return res.status(200).json(response);
+    );
   } catch (error) {
     next(error);
   }
@@ -3080,13 +5154,18 @@ async function validateCredit(options) {
       _id: options.credit_id,
       company_id: options.company_id,
     },
-    projection: {
+  };
+
+  if (options.projection) {
+    creditHandlerOptions.projection = options.projection;
+  } else {
+    creditHandlerOptions.projection = {
       _id: 1,
       status: 1,
       excluded: 1,
       card_id: 1,
-    },
-  };
+    };
+  }
 
   const credit = await creditHandler.read(creditHandlerOptions);
 
@@ -3115,6 +5194,95 @@ async function validateCredit(options) {
   return;
 }
 
+// Moves the oldest available credits of the card to USED, all of them or none. A credit is only
+// claimed while it is still available, so when a concurrent redemption takes any of them first we
+// give back the ones we got and try again with a fresh list.
+async function claimCredits(options) {
+  return retry(
+    async (bail) => {
+      const availableCredits = await creditHandler.list({
+        filter: {
+          user_id: options.consumer_id,
+          card_id: options.card_id,
+          company_id: options.company_id,
+          excluded: false,
+          ...availableCreditsFilter(),
+        },
+        projection: {
+          _id: 1,
+          created_at: 1,
+        },
+        sort: {
+          created_at: 1, // Use oldest credits first (FIFO)
+        },
+      });
+
+      if (availableCredits.length < options.credits_needed) {
+        return bail(
+          new ValidationError({
+            message: localize("companies.consumers.redeem.insufficientCredits", {
+              needed: options.credits_needed,
+              available: availableCredits.length,
+            }),
+          }),
+        );
+      }
+
+      const creditIds = availableCredits.slice(0, options.credits_needed).map((credit) => credit._id);
+
+      const claimResult = await creditHandler.updateMany({
+        filter: {
+          _id: { $in: creditIds },
+          excluded: false,
+          ...availableCreditsFilter(),
+        },
+        data: {
+          status: statusConsts.CREDITS_STATUS.USED,
+          requested_at: new Date(),
+          redemption_id: options.redemption_id,
+        },
+      });
+
+      if (claimResult.modifiedCount === creditIds.length) {
+        return creditIds;
+      }
+
+      await releaseCredits({
+        redemption_id: options.redemption_id,
+      });
+
+      throw new ConflictError({
+        message: localize("companies.consumers.redeem.conflict"),
+        action: localize("companies.consumers.redeem.conflictAction"),
+      });
+    },
+    {
+      retries: 2,
+      minTimeout: 50,
+      maxTimeout: 200,
+    },
+  );
+}
+
+function getRedemptionUndoWindow() {
+  return parseInt(process.env.REDEMPTION_UNDO_WINDOW_MINUTES) || 15;
+}
+
+// Gives the credits claimed by a redemption back to the consumer
+async function releaseCredits(options) {
+  return creditHandler.updateMany({
+    filter: {
+      redemption_id: options.redemption_id,
+      status: statusConsts.CREDITS_STATUS.USED,
+    },
+    data: {
+      status: statusConsts.CREDITS_STATUS.AVAILABLE,
+      requested_at: null,
+      redemption_id: null,
+    },
+  });
+}
+
 async function validateCompany(options) {
   const companyHandlerOptions = {
     filter: {
@@ -3206,18 +5374,24 @@ async function validateCard(options) {
   return;
 }
 
+// Returns the membership of an available user in the company
 async function validateUser(options) {
+  const membership = await membershipService.getMembership({
+    user_id: options.user_id,
+    company_id: options.company_id,
+  });
+
   const userHandlerOptions = {
     filter: {
       _id: options.user_id,
       status: statusConsts.RESOURCE_STATUS.AVAILABLE,
       excluded: false,
       role: roleConstants.USER_ROLES.CLIENT,
-      company_id: options.company_id,
     },
+    projection: { _id: 1 },
   };
 
-  const user = await userHandler.read(userHandlerOptions);
+  const user = membership ? await userHandler.read(userHandlerOptions) : null;
 
   if (!user) {
     throw new ForbiddenError({
@@ -3225,7 +5399,131 @@ async function validateUser(options) {
     });
   }
 
-  return;
+  return membership;
+}
+
+// Invitations stay pending until they are accepted, whether or not their code is still valid
+async function validateInvitation(options) {
+  const membership = await membershipHandler.read({
+    filter: {
+      user_id: options.user_id,
+      company_id: options.company_id,
+      status: statusConsts.RESOURCE_STATUS.PENDING,
+      invited_at: { $ne: null },
+      excluded: false,
+    },
+    projection: { _id: 1, user_id: 1, status: 1, company_role: 1 },
+  });
+
+  if (!membership) {
+    throw new NotFoundError({
+      message: localize("error.generic.notFound", { resource: localize("resources.invitation") }),
+    });
+  }
+
+  return membership;
+}
+
+async function hasOtherMemberships(options) {
+  const { user_id, company_id, includePending = false } = options;
+
+  const statuses = [statusConsts.RESOURCE_STATUS.AVAILABLE];
+
+  if (includePending) {
+    statuses.push(statusConsts.RESOURCE_STATUS.PENDING);
+  }
+
+  const memberships = await membershipHandler.list({
+    filter: {
+      user_id,
+      company_id: { $ne: company_id },
+      status: { $in: statuses },
+      excluded: false,
+    },
+    projection: { _id: 1 },
+    limit: 1,
+  });
+
+  return memberships.length > 0;
+}
+
+async function sendInvitation(options) {
+  const { user, token, company } = options;
+
+  const { err } = await notificationService.notify({
+    phone: user.phone,
+    template: messageConstants.TEMPLATES.COMPANY_INVITE,
+    params: { companyName: company.name, token },
+    user_id: user._id,
+  });
+
+  if (err) {
+    throw new ServiceError({
+      message: localize("error.services.sms.message"),
+      action: localize("error.services.sms.action"),
+      cause: err,
+    });
+  }
+}
+
+// Takes the membership status and invitation date along with the code fields of the user
+function getInvitation(member) {
+  if (!member.invited_at) {
+    return null;
+  }
+
+  if (member.status !== statusConsts.RESOURCE_STATUS.PENDING) {
+    return {
+      status: statusConsts.INVITATION_STATUS.ACCEPTED,
+      invited_at: member.invited_at,
+      expires_at: null,
+    };
+  }
+
+  const isPending =
+    member.validation_token_purpose === otpConstants.PURPOSES.INVITE &&
+    !isTokenExpired(member.validation_token_expires_at);
+
+  return {
+    status: isPending ? statusConsts.INVITATION_STATUS.PENDING : statusConsts.INVITATION_STATUS.EXPIRED,
+    invited_at: member.invited_at,
+    expires_at: isPending ? member.validation_token_expires_at : null,
+  };
+}
+
+function validateCompanyRole(company_role) {
+  if (!Object.values(roleConstants.COMPANY_ROLES).includes(company_role)) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field: "company_role" }),
+    });
+  }
+}
+
+function isOwner(membership) {
+  return membership.company_role === roleConstants.COMPANY_ROLES.OWNER;
+}
+
+// A company must keep at least one owner, otherwise nobody could manage its staff and cards
+async function validateRemainingOwner(options) {
+  const { company_id, user_id, message } = options;
+
+  const owners = await membershipHandler.list({
+    filter: {
+      user_id: { $ne: user_id },
+      company_id,
+      company_role: roleConstants.COMPANY_ROLES.OWNER,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      excluded: false,
+    },
+    projection: { _id: 1 },
+    limit: 1,
+  });
+
+  if (owners.length === 0) {
+    throw new ValidationError({
+      message,
+    });
+  }
 }
 
 async function validateConsumer(options) {
@@ -3266,29 +5564,115 @@ async function validateConsumer(options) {
   return consumer;
 }
 
+function pick(source, fields) {
+  return fields.reduce((acc, field) => {
+    acc[field] = source?.[field];
+    return acc;
+  }, {});
+}
+
+// Filters by id, status and creation date, shared by a list and its export. Ids are cast so the filter
+// also works in aggregations.
+function getListFilter(options) {
+  const { company_id, query, idFields, statuses } = options;
+
+  const filter = {
+    company_id: new mongoose.Types.ObjectId(company_id),
+  };
+
+  for (const [field, param] of Object.entries(idFields)) {
+    const value = query[param];
+
+    if (!value) continue;
+
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: param }),
+      });
+    }
+
+    filter[field] = new mongoose.Types.ObjectId(value);
+  }
+
+  if (query.status) {
+    if (!Object.values(statuses).includes(query.status)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "status" }),
+      });
+    }
+
+    filter.status = query.status;
+  }
+
+  const dateFilters = { $gte: query.from, $lte: query.to };
+
+  for (const [operator, value] of Object.entries(dateFilters)) {
+    if (!value) continue;
+
+    const date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: operator === "$gte" ? "from" : "to" }),
+      });
+    }
+
+    filter.created_at = { ...filter.created_at, [operator]: date };
+  }
+
+  return filter;
+}
+
+function getExportFormat(format = exportConstants.FORMATS.CSV) {
+  if (!Object.values(exportConstants.FORMATS).includes(format)) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field: "format" }),
+    });
+  }
+
+  return format;
+}
+
+// How many credits of each card were given, without the rest of the request body
+function summarizeCredits(credits) {
+  return credits.map((credit) => ({ card_id: credit.card_id, quantity: credit.quantity }));
+}
+
 module.exports = {
   getCompanyCards,
   getCompanyCardById,
   exploreCompanies,
   getCompanyProfile,
   updateCompanyProfile,
+  updateReminderSettings,
+  getReminderPreview,
   getConsumers,
+  exportConsumers,
   getConsumerById,
   createConsumer,
   updateConsumer,
   updateConsumerCredits,
   deleteConsumerCredit,
   redeemCardBenefits,
+  getRedemptions,
+  exportRedemptions,
+  deleteRedemption,
   deleteConsumer,
   createCompanyCard,
   updateCompanyCard,
   deleteCompanyCard,
   getCompanyCredits,
+  exportCredits,
   updateCompanyCredit,
   getCompanyUsers,
   getCompanyUserById,
   updateCompanyUser,
   deleteCompanyUser,
   createCompanyUser,
+  resendCompanyUserInvite,
+  revokeCompanyUserInvite,
   getCompanyStats,
+  getStaffStats,
+  getCompanyAnalytics,
+  getCompanyAudit,
 };
@@ -0,0 +1,97 @@
+const creditService = require("../services/credit.service");
+const reminderService = require("../services/reminder.service");
+
+/**
+ * @swagger
+ * /v1/cron/expire-credits:
+ *   get:
+ *     summary: Expire credits
+ *     description: Move every available or pending credit past its expiration date to the expired status
+ *     tags: [Cron]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Credits expired successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 expired:
+ *                   type: number
+ *                   description: Number of credits moved to the expired status
+ *                   example: 12
+ *       401:
+ *         description: Unauthorized - Missing or invalid cron secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function expireCredits(req, res, next) {
+  try {
+    const { expired } = await creditService.expireCredits();
+
+    return res.status(200).json({
+      expired,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/cron/expiring-credit-reminders:
+ *   get:
+ *     summary: Send expiring credit reminders
+ *     description: Send an SMS to every consumer holding credits about to expire at a company that enabled reminders. Each credit is reminded only once.
+ *     tags: [Cron]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reminders sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 companies:
+ *                   type: number
+ *                   description: Number of companies with reminders enabled
+ *                   example: 4
+ *                 sent:
+ *                   type: number
+ *                   description: Number of reminders sent
+ *                   example: 18
+ *                 failed:
+ *                   type: number
+ *                   description: Number of reminders that could not be sent and will be retried on the next run
+ *                   example: 0
+ *       401:
+ *         description: Unauthorized - Missing or invalid cron secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function sendExpiringCreditReminders(req, res, next) {
+  try {
+    const { companies, sent, failed } = await reminderService.sendExpiringCreditReminders();
+
+    return res.status(200).json({
+      companies,
+      sent,
+      failed,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  expireCredits,
+  sendExpiringCreditReminders,
+};
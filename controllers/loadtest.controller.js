@@ -10,6 +10,7 @@ const cardModel = require("../models/card.model");
 const creditModel = require("../models/credit.model");
 const companyModel = require("../models/company.model");
 const segmentModel = require("../models/segment.model");
+const membershipModel = require("../models/membership.model");
 
 // Constants
 const statusConsts = require("../constants/status.constants");
@@ -22,6 +23,7 @@ const createDummyUser = require("../tests/mock/user.mock");
 const createDummyCard = require("../tests/mock/card.mock");
 const createDummyCredit = require("../tests/mock/credit.mock");
 const createDummyCompany = require("../tests/mock/company.mock");
+const createDummyMembership = require("../tests/mock/membership.mock");
 
 // Handlers
 const userHandler = dbHandler(userModel);
@@ -29,6 +31,7 @@ const cardHandler = dbHandler(cardModel);
 const creditHandler = dbHandler(creditModel);
 const companyHandler = dbHandler(companyModel);
 const segmentHandler = dbHandler(segmentModel);
+const membershipHandler = dbHandler(membershipModel);
 
 // Function to fetch random addresses from Google Places API
 async function fetchRandomAddresses(count = 20) {
@@ -254,6 +257,9 @@ async function createCompanies(count, segments, addresses) {
     allUsersData.push(...(await Promise.all(users)));
   }
   const createdUsers = await userHandler.createMany({ data: allUsersData });
+  await membershipHandler.createMany({
+    data: createdUsers.map((user) => createDummyMembership({ user_id: user._id, company_id: user.company_id })),
+  });
 
   const cardsPerCompany = [];
   for (let i = 0; i < createdCompanies.length; i++) {
@@ -1,8 +1,19 @@
+const mongoose = require("mongoose");
 const segmentModel = require("../models/segment.model");
+const companyModel = require("../models/company.model");
 const dbHandler = require("../utils/db-handler.utils");
+const auditService = require("../services/audit.service");
 const statusConsts = require("../constants/status.constants");
+const auditConstants = require("../constants/audit.constants");
+
+const { localize } = require("../utils/localization.utils");
+const { ValidationError, NotFoundError, ConflictError } = require("../infra/errors");
 
 const segmentHandler = dbHandler(segmentModel);
+const companyHandler = dbHandler(companyModel);
+
+// Fields copied into every company's embedded segment
+const EMBEDDED_FIELDS = ["name", "icon", "description", "status", "excluded"];
 
 /**
  * @swagger
@@ -42,6 +53,7 @@ async function getSegments(req, res, next) {
         description: 1,
       },
       sort: {
+        sort_order: 1,
         name: 1,
       },
     };
@@ -54,6 +66,513 @@ async function getSegments(req, res, next) {
   }
 }
 
+/**
+ * @swagger
+ * /v1/admin/segments:
+ *   get:
+ *     summary: List all segments
+ *     description: Retrieve every segment, including unavailable and archived ones
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, unavailable, pending]
+ *         description: Filter by segment status
+ *       - in: query
+ *         name: excluded
+ *         schema:
+ *           type: boolean
+ *         description: Filter by archived segments
+ *     responses:
+ *       200:
+ *         description: Segments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Segment'
+ *       400:
+ *         description: Invalid filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getAllSegments(req, res, next) {
+  try {
+    const { status, excluded } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      validateStatus(status);
+      filter.status = status;
+    }
+
+    if (excluded !== undefined) {
+      if (excluded !== "true" && excluded !== "false") {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "excluded" }),
+        });
+      }
+
+      filter.excluded = excluded === "true";
+    }
+
+    const segments = await segmentHandler.list({
+      filter,
+      sort: {
+        sort_order: 1,
+        name: 1,
+      },
+    });
+
+    return res.status(200).json(segments);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/segments:
+ *   post:
+ *     summary: Create segment
+ *     description: Create a new business segment
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - icon
+ *               - description
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Padaria"
+ *               icon:
+ *                 type: string
+ *                 example: "https://cdn.caramelo.app/segments/padaria.svg"
+ *               description:
+ *                 type: string
+ *                 example: "Padarias e confeitarias"
+ *               status:
+ *                 type: string
+ *                 enum: [available, unavailable, pending]
+ *                 default: available
+ *               sort_order:
+ *                 type: number
+ *                 description: Position in the segment lists, lower values first
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Segment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Segment'
+ *       400:
+ *         description: Invalid data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Segment name already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function createSegment(req, res, next) {
+  try {
+    const data = parseSegmentData(req.body);
+
+    for (const field of ["name", "icon", "description"]) {
+      if (!data[field]) {
+        throw new ValidationError({
+          message: localize("error.generic.required", { field }),
+        });
+      }
+    }
+
+    await validateNameAvailable({ name: data.name });
+
+    const segment = await segmentHandler.create({
+      data: {
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        ...data,
+        excluded: false,
+      },
+    });
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_SEGMENT_CREATE,
+      target_type: auditConstants.TARGETS.SEGMENT,
+      target_id: segment._id,
+      after: data,
+    });
+
+    return res.status(200).json(segment);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/segments/{segment_id}:
+ *   patch:
+ *     summary: Update segment
+ *     description: Update a segment. Changes to name, icon, description and status are copied into every company of the segment
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: segment_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               icon:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [available, unavailable, pending]
+ *               sort_order:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Segment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Segment'
+ *       400:
+ *         description: Invalid data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Segment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Segment name already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function updateSegment(req, res, next) {
+  try {
+    const segment = await validateSegment(req.params.segment_id);
+    const data = parseSegmentData(req.body);
+
+    if (Object.keys(data).length === 0) {
+      throw new ValidationError();
+    }
+
+    for (const field of ["name", "icon", "description"]) {
+      if (data[field] === "") {
+        throw new ValidationError({
+          message: localize("error.generic.required", { field }),
+        });
+      }
+    }
+
+    if (data.name) {
+      await validateNameAvailable({ name: data.name, segment_id: segment._id });
+    }
+
+    const updatedSegment = await segmentHandler.update({
+      filter: { _id: segment._id },
+      data,
+    });
+
+    await propagateToCompanies(updatedSegment);
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_SEGMENT_UPDATE,
+      target_type: auditConstants.TARGETS.SEGMENT,
+      target_id: segment._id,
+      before: pick(segment, Object.keys(data)),
+      after: pick(updatedSegment, Object.keys(data)),
+    });
+
+    return res.status(200).json(updatedSegment);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/admin/segments/{segment_id}/archive:
+ *   post:
+ *     summary: Archive segment
+ *     description: Soft delete a segment so it no longer shows up in the segment list. Companies keep their segment
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: segment_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Segment ID
+ *     responses:
+ *       200:
+ *         description: Segment archived successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Segmento arquivado com sucesso"
+ *       400:
+ *         description: Invalid segment ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User must be an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Segment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Segment is already archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function archiveSegment(req, res, next) {
+  try {
+    const segment = await validateSegment(req.params.segment_id);
+
+    const updatedSegment = await segmentHandler.update({
+      filter: { _id: segment._id, excluded: false },
+      data: { excluded: true },
+    });
+
+    if (!updatedSegment) {
+      throw new ConflictError({
+        message: localize("admin.segments.archive.conflict"),
+      });
+    }
+
+    await propagateToCompanies(updatedSegment);
+
+    await auditService.record({
+      req,
+      action: auditConstants.ACTIONS.ADMIN_SEGMENT_ARCHIVE,
+      target_type: auditConstants.TARGETS.SEGMENT,
+      target_id: segment._id,
+      before: { excluded: segment.excluded },
+      after: { excluded: updatedSegment.excluded },
+    });
+
+    return res.status(200).json({
+      message: localize("admin.segments.archive.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function validateSegment(segment_id) {
+  if (!mongoose.Types.ObjectId.isValid(segment_id)) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field: "segment_id" }),
+    });
+  }
+
+  const segment = await segmentHandler.read({
+    filter: { _id: segment_id },
+  });
+
+  if (!segment) {
+    throw new NotFoundError({
+      message: localize("error.generic.notFound", { resource: localize("resources.segment") }),
+    });
+  }
+
+  return segment;
+}
+
+function validateStatus(status) {
+  if (!Object.values(statusConsts.RESOURCE_STATUS).includes(status)) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field: "status" }),
+    });
+  }
+}
+
+// Picks the editable fields from the body, trimming strings so blank values can be rejected
+function parseSegmentData(body = {}) {
+  const data = {};
+
+  for (const field of ["name", "icon", "description"]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+
+    if (typeof body[field] !== "string") {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field }),
+      });
+    }
+
+    data[field] = body[field].trim();
+  }
+
+  if (body.status !== undefined) {
+    validateStatus(body.status);
+    data.status = body.status;
+  }
+
+  if (body.sort_order !== undefined) {
+    if (!Number.isInteger(body.sort_order) || body.sort_order < 0) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "sort_order" }),
+      });
+    }
+
+    data.sort_order = body.sort_order;
+  }
+
+  return data;
+}
+
+// Segment names are matched case-insensitively, archived segments free their name
+async function validateNameAvailable({ name, segment_id = null }) {
+  const filter = {
+    name: { $regex: `^${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, $options: "i" },
+    excluded: false,
+  };
+
+  if (segment_id) {
+    filter._id = { $ne: segment_id };
+  }
+
+  const segment = await segmentHandler.read({
+    filter,
+    projection: { _id: 1 },
+  });
+
+  if (segment) {
+    throw new ConflictError({
+      message: localize("error.generic.alreadyInUse", { value: name, field: "name" }),
+    });
+  }
+}
+
+// Companies store a copy of their segment, so explore filters and search by segment name keep working
+async function propagateToCompanies(segment) {
+  const data = EMBEDDED_FIELDS.reduce((acc, field) => {
+    acc[`segment.${field}`] = segment[field];
+    return acc;
+  }, {});
+
+  await companyHandler.updateMany({
+    filter: { "segment._id": segment._id },
+    data: { $set: data },
+  });
+}
+
+function pick(source, fields) {
+  return fields.reduce((acc, field) => {
+    acc[field] = source[field];
+    return acc;
+  }, {});
+}
+
 module.exports = {
   getSegments,
+  getAllSegments,
+  createSegment,
+  updateSegment,
+  archiveSegment,
 };
@@ -1,3 +1,4 @@
+const mongoose = require("mongoose");
 const dateUtils = require("../utils/date.utils");
 const userModel = require("../models/user.model");
 const cardModel = require("../models/card.model");
@@ -5,18 +6,29 @@ const creditModel = require("../models/credit.model");
 const segmentModel = require("../models/segment.model");
 const dbHandler = require("../utils/db-handler.utils");
 const companyModel = require("../models/company.model");
+const sessionModel = require("../models/session.model");
+const membershipModel = require("../models/membership.model");
+const otpService = require("../services/otp.service");
+const sessionService = require("../services/session.service");
+const notificationService = require("../services/notification.service");
 const statusConsts = require("../constants/status.constants");
 const roleConstants = require("../constants/roles.constants");
+const otpConstants = require("../constants/otp.constants");
+const messageConstants = require("../constants/message.constants");
 
-const { ValidationError } = require("../infra/errors");
+const { ValidationError, NotFoundError, ConflictError, ServiceError } = require("../infra/errors");
 const { localize } = require("../utils/localization.utils");
+const { validateToken } = require("../utils/token.utils");
 const { haversineKm } = require("../utils/data.utils");
+const { availableCreditsFilter, earnedCreditsFilter } = require("../utils/credit.utils");
 
 const userHandler = dbHandler(userModel);
 const cardHandler = dbHandler(cardModel);
 const creditHandler = dbHandler(creditModel);
 const companyHandler = dbHandler(companyModel);
+const sessionHandler = dbHandler(sessionModel);
 const segmentHandler = dbHandler(segmentModel);
+const membershipHandler = dbHandler(membershipModel);
 
 // Validation functions
 function validateCompanyId(companyId) {
@@ -201,8 +213,8 @@ async function getCards(req, res, next) {
     const creditHandlerOptions = {
       filter: {
         user_id: req.user._id,
-        status: statusConsts.CREDITS_STATUS.AVAILABLE,
         excluded: false,
+        ...availableCreditsFilter(),
       },
       projection: {
         company_id: 1,
@@ -420,7 +432,7 @@ async function getCompanyCardsWithCredits(req, res, next) {
         company_id: req.params.company_id,
         card_id: { $in: cardIds },
         excluded: false,
-        status: { $in: [statusConsts.CREDITS_STATUS.AVAILABLE, statusConsts.CREDITS_STATUS.USED] },
+        ...earnedCreditsFilter(),
       },
       projection: {
         _id: 1,
@@ -486,7 +498,7 @@ async function getConsumerDashboard(req, res, next) {
       filter: {
         user_id: req.user._id,
         excluded: false,
-        status: { $in: [statusConsts.CREDITS_STATUS.AVAILABLE, statusConsts.CREDITS_STATUS.USED] },
+        ...earnedCreditsFilter(),
       },
       projection: { card_id: 1, company_id: 1 },
     });
@@ -704,6 +716,14 @@ async function requestCard(req, res, next) {
  *                   type: string
  *                 phone:
  *                   type: string
+ *                 notification_preferences:
+ *                   type: object
+ *                   properties:
+ *                     expiring_credits:
+ *                       type: boolean
+ *                     channel:
+ *                       type: string
+ *                       enum: [sms, whatsapp]
  *       401:
  *         description: Unauthorized
  *         content:
@@ -722,6 +742,7 @@ async function getProfile(req, res, next) {
       projection: {
         name: 1,
         phone: 1,
+        notification_preferences: 1,
       },
     };
 
@@ -738,7 +759,7 @@ async function getProfile(req, res, next) {
  * /v1/users/profile:
  *   patch:
  *     summary: Update user profile
- *     description: Update the authenticated user's profile information
+ *     description: Update the authenticated user's profile information. The phone number is changed through /v1/users/profile/phone
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -753,14 +774,22 @@ async function getProfile(req, res, next) {
  *                 type: string
  *                 description: User name
  *                 example: "João Silva"
- *               phone:
- *                 type: string
- *                 description: User phone number
- *                 example: "5511999999999"
  *               password:
  *                 type: string
  *                 description: User password
  *                 example: "newPassword123"
+ *               notification_preferences:
+ *                 type: object
+ *                 properties:
+ *                   expiring_credits:
+ *                     type: boolean
+ *                     description: Receive reminders about credits about to expire
+ *                     example: false
+ *                   channel:
+ *                     type: string
+ *                     enum: [sms, whatsapp]
+ *                     description: Preferred channel for codes and notifications. SMS is used when WhatsApp fails
+ *                     example: "whatsapp"
  *     responses:
  *       200:
  *         description: User profile updated successfully
@@ -787,17 +816,44 @@ async function getProfile(req, res, next) {
  */
 async function updateProfile(req, res, next) {
   try {
-    const { name, phone, password } = req.body;
+    const { name, phone, password, notification_preferences } = req.body;
 
-    if (!name && !phone && !password) {
+    if (!name && !phone && !password && !notification_preferences) {
       throw new ValidationError();
     }
 
+    // The phone is the login key, so it only changes through the verified flow
+    if (phone) {
+      throw new ValidationError({
+        message: localize("users.profile.phone.useVerifiedFlow"),
+        action: localize("users.profile.phone.useVerifiedFlowAction"),
+      });
+    }
+
     // Validate input fields if provided
     if (name) validateName(name);
-    if (phone) validatePhone(phone);
     if (password) validatePassword(password);
 
+    if (notification_preferences) {
+      const { expiring_credits, channel } = notification_preferences;
+
+      if (expiring_credits === undefined && channel === undefined) {
+        throw new ValidationError();
+      }
+
+      if (expiring_credits !== undefined && typeof expiring_credits !== "boolean") {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "notification_preferences.expiring_credits" }),
+        });
+      }
+
+      if (channel !== undefined && !Object.values(messageConstants.CHANNELS).includes(channel)) {
+        throw new ValidationError({
+          message: localize("error.generic.invalid", { field: "notification_preferences.channel" }),
+        });
+      }
+    }
+
     const userHandlerOptions = {
       filter: {
         _id: req.user._id,
@@ -814,7 +870,7 @@ async function updateProfile(req, res, next) {
       });
     }
 
-    const allowedFields = ["name", "phone", "password"];
+    const allowedFields = ["name", "password"];
 
     const data = allowedFields.reduce((acc, field) => {
       if (req.body[field] !== undefined) {
@@ -823,6 +879,14 @@ async function updateProfile(req, res, next) {
       return acc;
     }, {});
 
+    if (notification_preferences) {
+      for (const field of ["expiring_credits", "channel"]) {
+        if (notification_preferences[field] !== undefined) {
+          data[`notification_preferences.${field}`] = notification_preferences[field];
+        }
+      }
+    }
+
     await userHandler.update({
       filter: {
         _id: user._id,
@@ -838,6 +902,369 @@ async function updateProfile(req, res, next) {
   }
 }
 
+/**
+ * @swagger
+ * /v1/users/profile/phone:
+ *   post:
+ *     summary: Request phone change
+ *     description: Send a code to the new phone number. The account keeps its current number until the code is confirmed through /v1/users/profile/phone/confirm
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: New phone number
+ *                 example: "5511999999999"
+ *     responses:
+ *       200:
+ *         description: Code sent to the new phone number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Código enviado para o novo número"
+ *       400:
+ *         description: Invalid phone number or phone already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: SMS service error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function requestPhoneChange(req, res, next) {
+  try {
+    const { phone } = req.body;
+
+    if (!phone) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "phone" }),
+      });
+    }
+
+    validatePhone(phone);
+
+    const user = await userHandler.read({
+      filter: {
+        _id: req.user._id,
+        excluded: false,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      },
+      projection: { _id: 1, phone: 1 },
+    });
+
+    if (!user) {
+      throw new ValidationError({
+        message: localize("error.generic.notAvailable", { resource: localize("resources.user") }),
+      });
+    }
+
+    if (phone === user.phone) {
+      throw new ValidationError({
+        message: localize("users.profile.phone.samePhone"),
+      });
+    }
+
+    await validatePhoneAvailable({ phone, user_id: user._id });
+
+    const { token, data: validationTokenData } = otpService.createToken({
+      purpose: otpConstants.PURPOSES.PHONE_CHANGE,
+    });
+
+    await userHandler.update({
+      filter: { _id: user._id },
+      data: {
+        ...validationTokenData,
+        pending_phone: phone,
+      },
+    });
+
+    const { err } = await notificationService.notify({
+      phone,
+      template: messageConstants.TEMPLATES.SEND_TOKEN,
+      params: { token },
+      user_id: user._id,
+    });
+
+    if (err) {
+      throw new ServiceError({
+        message: localize("error.services.sms.message"),
+        action: localize("error.services.sms.action"),
+        cause: err,
+      });
+    }
+
+    return res.status(200).json({
+      message: localize("users.profile.phone.request.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/users/profile/phone/confirm:
+ *   post:
+ *     summary: Confirm phone change
+ *     description: Move the account to the new phone number with the code sent to it. The old number is notified and every session is ended, so the user must log in again with the new number
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Code received on the new phone number
+ *                 example: "12345"
+ *     responses:
+ *       200:
+ *         description: Phone number changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Número de telefone alterado com sucesso"
+ *       400:
+ *         description: Invalid token, no pending change or phone already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized, or token invalid, expired or locked after too many wrong guesses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function confirmPhoneChange(req, res, next) {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "token" }),
+      });
+    }
+
+    if (!validateToken(token)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field: "token" }),
+      });
+    }
+
+    const user = await userHandler.read({
+      filter: {
+        _id: req.user._id,
+        excluded: false,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      },
+      projection: {
+        _id: 1,
+        phone: 1,
+        pending_phone: 1,
+        validation_token: 1,
+        validation_token_expires_at: 1,
+        validation_token_purpose: 1,
+        validation_token_locked_at: 1,
+      },
+    });
+
+    if (!user) {
+      throw new ValidationError({
+        message: localize("error.generic.notAvailable", { resource: localize("resources.user") }),
+      });
+    }
+
+    if (!user.pending_phone) {
+      throw new ValidationError({
+        message: localize("users.profile.phone.noPendingChange"),
+      });
+    }
+
+    await otpService.verifyToken({ user, token, purpose: otpConstants.PURPOSES.PHONE_CHANGE });
+
+    // Someone else may have taken the number while the code was on its way
+    await validatePhoneAvailable({ phone: user.pending_phone, user_id: user._id });
+
+    await userHandler.update({
+      filter: { _id: user._id },
+      data: {
+        ...otpService.getClearTokenData(),
+        phone: user.pending_phone,
+        pending_phone: null,
+      },
+    });
+
+    // A failed warning is already recorded in the message log and must not undo the change
+    await notificationService.notify({
+      phone: user.phone,
+      template: messageConstants.TEMPLATES.PHONE_CHANGED,
+      params: { phone: user.pending_phone },
+      user_id: user._id,
+      channel: messageConstants.CHANNELS.SMS,
+    });
+
+    await sessionService.revokeUserTokens({ user_id: user._id });
+
+    return res.status(200).json({
+      message: localize("users.profile.phone.confirm.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function validatePhoneAvailable({ phone, user_id }) {
+  const existingUser = await userHandler.read({
+    filter: {
+      phone,
+      excluded: false,
+      _id: { $ne: user_id },
+    },
+    projection: { _id: 1 },
+  });
+
+  if (existingUser) {
+    throw new ValidationError({
+      message: localize("error.generic.alreadyInUse", { field: "phone", value: phone }),
+    });
+  }
+}
+
+/**
+ * @swagger
+ * /v1/users/profile/claim:
+ *   post:
+ *     summary: Claim account
+ *     description: Set the first password of an account created by a cashier, after logging in with a code through /v1/auth/otp/verify
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: New password
+ *                 example: "newPassword123"
+ *               name:
+ *                 type: string
+ *                 description: User name, when the cashier did not fill it in
+ *                 example: "João Silva"
+ *     responses:
+ *       200:
+ *         description: Account claimed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Conta ativada com sucesso"
+ *       400:
+ *         description: Invalid data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The account already has a password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function claimAccount(req, res, next) {
+  try {
+    const { password, name } = req.body;
+
+    if (!password) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "password" }),
+      });
+    }
+
+    validatePassword(password);
+    if (name !== undefined) validateName(name);
+
+    const data = { password };
+
+    if (name) {
+      data.name = name;
+    }
+
+    // Only accounts without a password can be claimed, otherwise this would bypass the current password
+    const user = await userHandler.update({
+      filter: {
+        _id: req.user._id,
+        excluded: false,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        password: null,
+      },
+      data,
+    });
+
+    if (!user) {
+      throw new ConflictError({
+        message: localize("users.profile.claim.alreadyClaimed"),
+      });
+    }
+
+    return res.status(200).json({
+      message: localize("users.profile.claim.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * @swagger
  * /v1/users/profile:
@@ -889,18 +1316,10 @@ async function cancelAccount(req, res, next) {
       });
     }
 
-    if (req.user.role === roleConstants.USER_ROLES.CLIENT) {
-      if (!req.user.company_id) {
-        throw new ValidationError({
-          message: localize("error.generic.notFound", { resource: localize("resources.company") }),
-        });
-      }
-
-      if (user.company_id && user.company_id.toString() !== req.user.company_id.toString()) {
-        throw new ValidationError({
-          message: localize("error.generic.notAvailable", { resource: localize("resources.user") }),
-        });
-      }
+    if (req.user.role === roleConstants.USER_ROLES.CLIENT && !req.user.company_id) {
+      throw new ValidationError({
+        message: localize("error.generic.notFound", { resource: localize("resources.company") }),
+      });
     }
 
     await userHandler.update({
@@ -913,6 +1332,15 @@ async function cancelAccount(req, res, next) {
       },
     });
 
+    if (req.user.role === roleConstants.USER_ROLES.CLIENT) {
+      await membershipHandler.updateMany({
+        filter: { user_id: user._id, status: statusConsts.RESOURCE_STATUS.AVAILABLE, excluded: false },
+        data: { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE, cancelled_at: new Date() },
+      });
+    }
+
+    await sessionService.revokeUserTokens({ user_id: user._id });
+
     return res.status(200).json({
       message: localize("users.profile.cancel.success"),
     });
@@ -921,6 +1349,156 @@ async function cancelAccount(req, res, next) {
   }
 }
 
+/**
+ * @swagger
+ * /v1/users/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: List the devices where the authenticated user is logged in
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   user_agent:
+ *                     type: string
+ *                   ip:
+ *                     type: string
+ *                   last_used_at:
+ *                     type: string
+ *                     format: date-time
+ *                   expires_at:
+ *                     type: string
+ *                     format: date-time
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: Whether this is the session of the token used in the request
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getSessions(req, res, next) {
+  try {
+    const sessions = await sessionHandler.list({
+      filter: {
+        user_id: req.user._id,
+        revoked_at: null,
+        expires_at: { $gt: new Date() },
+      },
+      projection: {
+        user_agent: 1,
+        ip: 1,
+        last_used_at: 1,
+        expires_at: 1,
+        created_at: 1,
+      },
+      sort: {
+        last_used_at: -1,
+      },
+    });
+
+    return res.status(200).json(
+      sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.user.session_id?.toString(),
+      })),
+    );
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /v1/users/sessions/{session_id}:
+ *   delete:
+ *     summary: End session
+ *     description: Log a device out by revoking its session. Its refresh token stops working immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: session_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session ended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Session ended successfully"
+ *       400:
+ *         description: Invalid session ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function deleteSession(req, res, next) {
+  try {
+    const { session_id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(session_id)) {
+      throw new ValidationError({
+        message: localize("error.generic.invalid", { field: "session_id" }),
+      });
+    }
+
+    const session = await sessionService.revokeSession({
+      session_id,
+      user_id: req.user._id,
+    });
+
+    if (!session) {
+      throw new NotFoundError({
+        message: localize("error.generic.notFound", { resource: localize("resources.session") }),
+      });
+    }
+
+    return res.status(200).json({
+      message: localize("users.sessions.delete.success"),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   getCards,
   getCompaniesCards,
@@ -929,6 +1507,11 @@ module.exports = {
   requestCard,
   getProfile,
   updateProfile,
+  claimAccount,
+  requestPhoneChange,
+  confirmPhoneChange,
+  getSessions,
+  deleteSession,
   cancelAccount,
   getConsumerDashboard,
 };
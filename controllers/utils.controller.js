@@ -1,11 +1,10 @@
 const { localize } = require("../utils/localization.utils");
 const { ValidationError, ServiceError } = require("../infra/errors");
-const dbHandler = require("../utils/db-handler.utils");
-const knownLocationModel = require("../models/knownlocation.model");
+const geocodingService = require("../services/geocoding.service");
+const cnpjService = require("../services/cnpj.service");
+const { normalizeDocument } = require("../utils/document.utils");
 const { setTimeout } = require("timers/promises");
 
-const knownLocationHandler = dbHandler(knownLocationModel);
-
 /**
  * @swagger
  * /v1/utils/cep:
@@ -117,6 +116,108 @@ async function getCEP(req, res, next) {
   }
 }
 
+/**
+ * @swagger
+ * /v1/utils/cnpj:
+ *   get:
+ *     summary: Get company data by CNPJ
+ *     description: Retrieve the registry data of a company to prefill signup and profile forms. Results are cached
+ *     tags: [Utils]
+ *     parameters:
+ *       - in: query
+ *         name: cnpj
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: CNPJ, masked or not. Alphanumeric CNPJs are accepted
+ *         example: "11.222.333/0001-81"
+ *     responses:
+ *       200:
+ *         description: Company data retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 document:
+ *                   type: string
+ *                   example: "11222333000181"
+ *                 legal_name:
+ *                   type: string
+ *                   example: "PADARIA PAULISTA COMERCIO DE ALIMENTOS LTDA"
+ *                 trade_name:
+ *                   type: string
+ *                   example: "PADARIA PAULISTA"
+ *                 activity_code:
+ *                   type: string
+ *                   example: "1091102"
+ *                 activity_description:
+ *                   type: string
+ *                 registration_status:
+ *                   type: string
+ *                   example: "ATIVA"
+ *                 active:
+ *                   type: boolean
+ *                   description: false when the CNPJ is no longer active
+ *                 address:
+ *                   type: object
+ *                   properties:
+ *                     zipcode:
+ *                       type: string
+ *                     street:
+ *                       type: string
+ *                     number:
+ *                       type: number
+ *                     complement:
+ *                       type: string
+ *                     neighborhood:
+ *                       type: string
+ *                     city:
+ *                       type: string
+ *                     state:
+ *                       type: string
+ *                 checked_at:
+ *                   type: string
+ *                   format: date-time
+ *                 cached:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid CNPJ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: CNPJ not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: CNPJ service unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getCNPJ(req, res, next) {
+  try {
+    const { cnpj } = req.query;
+
+    if (!cnpj) {
+      throw new ValidationError({
+        message: localize("error.generic.required", { field: "cnpj" }),
+      });
+    }
+
+    const companyData = await cnpjService.lookup(normalizeDocument(cnpj));
+
+    return res.status(200).json(companyData);
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * @swagger
  * /v1/utils/coordinates:
@@ -234,81 +335,9 @@ async function getCoordinates(req, res, next) {
       });
     }
 
-    const address = `${street}, ${number}, ${neighborhood}, ${city}, ${state}, ${zipcode}`;
-
-    // We need to check on database if the address is already geocoded
-    // This way we can save the address generated by the getCEP and reuse
-    // To save requests to the Google Maps API
-    const knownLocation = await knownLocationHandler.read({
-      filter: {
-        "address.zipcode": zipcode.replace("-", ""),
-        "address.number": parseInt(number, 10),
-      },
-    });
-
-    if (knownLocation) {
-      return res.status(200).json({
-        address,
-        latitude: knownLocation.address.location.coordinates[1],
-        longitude: knownLocation.address.location.coordinates[0],
-        cached: true,
-      });
-    }
-
-    const response = await fetch(
-      `https://maps.googleapis.com/maps/api/geocode/json?address=${address}&key=${process.env.GOOGLE_MAPS_API_KEY}`,
-    );
-    const addressData = await response.json();
-
-    if (response.status !== 200) {
-      throw new ServiceError({
-        message: "Erro ao recuperar coordenadas do endereço",
-        cause: addressData.error_message || addressData,
-      });
-    }
-
-    if (addressData.results.length === 0) {
-      console.log(`addressData.status: ${addressData.status}`);
-      throw new ServiceError({
-        message: localize("error.utils.coordinates.cause"),
-        action: localize("error.utils.coordinates.action"),
-      });
-    }
-    const coordinates = addressData.results[0]?.geometry?.location;
-
-    if (!coordinates) {
-      throw new ServiceError({
-        message: localize("error.utils.coordinates.cause"),
-        action: localize("error.utils.coordinates.action"),
-      });
-    }
-
-    // Save new known location
-    const newKnownLocationOptions = {
-      data: {
-        address: {
-          street: street,
-          neighborhood: neighborhood,
-          city: city,
-          state: state,
-          zipcode: zipcode.replace("-", ""),
-          number: parseInt(number, 10),
-          location: {
-            type: "Point",
-            coordinates: [coordinates.lng, coordinates.lat],
-          },
-        },
-      },
-    };
-
-    await knownLocationHandler.create(newKnownLocationOptions);
+    const coordinates = await geocodingService.getCoordinates({ street, neighborhood, city, state, zipcode, number });
 
-    return res.status(200).json({
-      address,
-      latitude: coordinates.lat,
-      longitude: coordinates.lng,
-      cached: false,
-    });
+    return res.status(200).json(coordinates);
   } catch (error) {
     next(error);
   }
@@ -627,6 +656,7 @@ function parseAddressComponents(components, formattedAddress, city, state) {
 
 module.exports = {
   getCEP,
+  getCNPJ,
   getCoordinates,
   getRandomAddresses,
 };
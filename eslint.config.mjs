@@ -16,6 +16,8 @@ export default [
         require: "readonly",
         __dirname: "readonly",
         __filename: "readonly",
+        global: "readonly",
+        AbortSignal: "readonly",
         // Jest globals
         describe: "readonly",
         it: "readonly",
@@ -25,8 +27,10 @@ export default [
         afterAll: "readonly",
         beforeEach: "readonly",
         afterEach: "readonly",
+        jest: "readonly",
         // Browser globals
         fetch: "readonly",
+        Response: "readonly",
       },
     },
     plugins: {
@@ -5,6 +5,7 @@ const {
   UnauthorizedError,
   ServiceError,
   ForbiddenError,
+  ConflictError,
 } = require("../errors");
 
 function onNoMatchHandler(req, res, _next) {
@@ -20,7 +21,8 @@ function onErrorHandler(err, req, res, _next) {
     err instanceof NotFoundError ||
     err instanceof UnauthorizedError ||
     err instanceof ServiceError ||
-    err instanceof ForbiddenError
+    err instanceof ForbiddenError ||
+    err instanceof ConflictError
   ) {
     return res.status(err.status_code).json(err.toJSON());
   }
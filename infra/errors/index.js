@@ -123,6 +123,24 @@ class ForbiddenError extends Error {
   }
 }
 
+class ConflictError extends Error {
+  constructor({ message, action } = {}) {
+    super(message || localize("error.ConflictError.message"));
+    this.name = "ConflictError";
+    this.action = action || localize("error.ConflictError.action");
+    this.status_code = 409;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      action: this.action,
+      status_code: this.status_code,
+    };
+  }
+}
+
 module.exports = {
   InternalServerError,
   ServiceError,
@@ -130,4 +148,5 @@ module.exports = {
   NotFoundError,
   UnauthorizedError,
   ForbiddenError,
+  ConflictError,
 };
@@ -0,0 +1,21 @@
+require("dotenv").config();
+
+const { backfillMemberships } = require("../../services/membership.service");
+const { connectDatabase, disconnectDatabase } = require("../database");
+
+async function run() {
+  try {
+    await connectDatabase();
+
+    const { created } = await backfillMemberships();
+
+    console.log(`🟢 Created memberships: ${created}`);
+  } catch (error) {
+    console.error("🔴 Failed to backfill memberships:", error);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDatabase();
+  }
+}
+
+run();
@@ -0,0 +1,21 @@
+require("dotenv").config();
+
+const { expireCredits } = require("../../services/credit.service");
+const { connectDatabase, disconnectDatabase } = require("../database");
+
+async function run() {
+  try {
+    await connectDatabase();
+
+    const { expired } = await expireCredits();
+
+    console.log(`🟢 Expired credits: ${expired}`);
+  } catch (error) {
+    console.error("🔴 Failed to expire credits:", error);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDatabase();
+  }
+}
+
+run();
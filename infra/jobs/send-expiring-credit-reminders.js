@@ -0,0 +1,21 @@
+require("dotenv").config();
+
+const { sendExpiringCreditReminders } = require("../../services/reminder.service");
+const { connectDatabase, disconnectDatabase } = require("../database");
+
+async function run() {
+  try {
+    await connectDatabase();
+
+    const { companies, sent, failed } = await sendExpiringCreditReminders();
+
+    console.log(`🟢 Expiring credit reminders: ${sent} sent, ${failed} failed across ${companies} companies`);
+  } catch (error) {
+    console.error("🔴 Failed to send expiring credit reminders:", error);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDatabase();
+  }
+}
+
+run();
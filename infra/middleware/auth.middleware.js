@@ -1,16 +1,27 @@
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { Buffer } = require("buffer");
 
+const userModel = require("../../models/user.model");
 const companyModel = require("../../models/company.model");
+const sessionModel = require("../../models/session.model");
 const dbHandler = require("../../utils/db-handler.utils");
 const statusConsts = require("../../constants/status.constants");
 const roleConstants = require("../../constants/roles.constants");
+const permissionConstants = require("../../constants/permissions.constants");
+const membershipService = require("../../services/membership.service");
 
 const { localize } = require("../../utils/localization.utils");
 const { UnauthorizedError, ForbiddenError } = require("../errors");
 
+const userHandler = dbHandler(userModel);
 const companyHandler = dbHandler(companyModel);
+const sessionHandler = dbHandler(sessionModel);
 
-function authenticate(req, res, next) {
+// Besides the signature, the token must still match the stored user: bumping token_version, excluding the user,
+// changing their role or ending the session all invalidate tokens already issued.
+// Losing access to the company is checked by requireCompanyAccess.
+async function authenticate(req, res, next) {
   try {
     const authHeader = req.headers["authorization"];
     const token = authHeader?.split(" ")[1];
@@ -22,29 +33,59 @@ function authenticate(req, res, next) {
       });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        throw new UnauthorizedError({
-          message: localize("error.generic.invalid", { field: "token" }),
-        });
-      }
+    let decoded;
 
-      req.user = {
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+      throw new UnauthorizedError({
+        message: localize("error.generic.invalid", { field: "token" }),
+      });
+    }
+
+    const user = await userHandler.read({
+      filter: {
         _id: decoded._id,
-        role: decoded.role,
-      };
+        excluded: false,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      },
+      projection: { _id: 1, role: 1, token_version: 1 },
+    });
 
-      if (decoded.role === roleConstants.USER_ROLES.CLIENT) {
-        req.user.company_id = decoded.company_id;
-      }
+    const isRevoked = !user || (user.token_version || 0) !== (decoded.token_version || 0) || user.role !== decoded.role;
 
-      return next();
-    });
+    if (isRevoked || (decoded.session_id && !(await isSessionActive(decoded.session_id)))) {
+      throw new UnauthorizedError({
+        message: localize("error.UnauthorizedError.tokenRevoked"),
+        action: localize("error.UnauthorizedError.tokenRevokedAction"),
+      });
+    }
+
+    req.user = {
+      _id: decoded._id,
+      role: decoded.role,
+      session_id: decoded.session_id,
+    };
+
+    if (decoded.role === roleConstants.USER_ROLES.CLIENT) {
+      req.user.company_id = decoded.company_id;
+    }
+
+    return next();
   } catch (error) {
     next(error);
   }
 }
 
+async function isSessionActive(session_id) {
+  const session = await sessionHandler.read({
+    filter: { _id: session_id, revoked_at: null },
+    projection: { _id: 1 },
+  });
+
+  return Boolean(session);
+}
+
 function requireAuth(req, res, next) {
   authenticate(req, res, (err) => {
     if (err) return next(err);
@@ -169,7 +210,23 @@ async function requireCompanyAccess(req, res, next) {
       );
     }
 
+    // Read on every request, so removing the user or changing their role applies to tokens already issued
+    const membership = await membershipService.getMembership({
+      user_id: req.user._id,
+      company_id: req.user.company_id,
+    });
+
+    if (!membership) {
+      return next(
+        new ForbiddenError({
+          message: localize("error.ForbiddenError.membership"),
+          action: localize("error.ForbiddenError.membershipAction"),
+        }),
+      );
+    }
+
     req.company = company;
+    req.user.company_role = membership.company_role;
 
     next();
   } catch (error) {
@@ -177,6 +234,24 @@ async function requireCompanyAccess(req, res, next) {
   }
 }
 
+// Must run after requireCompanyAccess. See permissions.constants for what each company role may do.
+function requirePermission(permission) {
+  return function (req, res, next) {
+    const permissions = permissionConstants.COMPANY_ROLE_PERMISSIONS[req.user?.company_role] || [];
+
+    if (!permissions.includes(permission)) {
+      return next(
+        new ForbiddenError({
+          message: localize("error.ForbiddenError.permission"),
+          action: localize("error.ForbiddenError.permissionAction"),
+        }),
+      );
+    }
+
+    next();
+  };
+}
+
 function requireGuest(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader?.split(" ")[1];
@@ -198,6 +273,35 @@ function requireGuest(req, res, next) {
   });
 }
 
+// Scheduled jobs (Vercel Cron) authenticate with the shared CRON_SECRET instead of a user token
+function requireCron(req, res, next) {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader?.split(" ")[1];
+  const secret = process.env.CRON_SECRET;
+
+  if (!token || !secret) {
+    return next(
+      new UnauthorizedError({
+        message: localize("error.generic.notFound", { resource: "Token" }),
+        action: localize("error.UnauthorizedError.tokenNotFound"),
+      }),
+    );
+  }
+
+  const tokenBuffer = Buffer.from(token);
+  const secretBuffer = Buffer.from(secret);
+
+  if (tokenBuffer.length !== secretBuffer.length || !crypto.timingSafeEqual(tokenBuffer, secretBuffer)) {
+    return next(
+      new UnauthorizedError({
+        message: localize("error.generic.invalid", { field: "token" }),
+      }),
+    );
+  }
+
+  next();
+}
+
 module.exports = {
   authenticate,
   requireAuth,
@@ -205,5 +309,7 @@ module.exports = {
   requireClient,
   requireConsumer,
   requireCompanyAccess,
+  requirePermission,
   requireGuest,
+  requireCron,
 };
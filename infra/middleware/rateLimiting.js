@@ -123,6 +123,27 @@ const passwordResetRateLimit = rateLimit({
   },
 });
 
+// Rate limiting for login codes. Keyed by phone only, since every request sends an SMS
+const otpRequestRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: process.env.NODE_ENV === "production" ? 5 : 10, // Maximum 5 codes per phone per hour
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: skipDuringTests, // Skip during tests
+  keyGenerator: (req) => {
+    return `otp:${req.body?.phone || req.ip}`;
+  },
+  handler: (req, res) => {
+    logRateLimit(req, "otpRequest");
+    res.status(429).json({
+      name: "TooManyRequestsError",
+      message: localize("error.rateLimiting.otpRequest.message"),
+      action: localize("error.rateLimiting.otpRequest.action"),
+      status_code: 429,
+    });
+  },
+});
+
 // Rate limiting for credit operations (moderate)
 const creditOperationsRateLimit = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -158,6 +179,27 @@ const authSlowDown = slowDown({
   },
 });
 
+// Rate limiting for session renewal (several devices may share the store IP)
+const sessionRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === "production" ? 30 : 60, // Maximum 30 renewals per IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: skipDuringTests, // Skip during tests
+  keyGenerator: (req) => {
+    return req.ip;
+  },
+  handler: (req, res) => {
+    logRateLimit(req, "session");
+    res.status(429).json({
+      name: "TooManyRequestsError",
+      message: localize("error.rateLimiting.session.message"),
+      action: localize("error.rateLimiting.session.action"),
+      status_code: 429,
+    });
+  },
+});
+
 // Rate limiting for authenticated users (more permissive)
 const authenticatedUserRateLimit = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -186,8 +228,10 @@ module.exports = {
   authRateLimit,
   createAccountRateLimit,
   passwordResetRateLimit,
+  otpRequestRateLimit,
   creditOperationsRateLimit,
   authSlowDown,
+  sessionRateLimit,
   authenticatedUserRateLimit,
   globalRateLimit,
   globalSlowDown,
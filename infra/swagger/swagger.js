@@ -34,6 +34,13 @@ const options = {
             name: { type: "string" },
             phone: { type: "string" },
             role: { type: "string", enum: ["consumer", "client"] },
+            notification_preferences: {
+              type: "object",
+              properties: {
+                expiring_credits: { type: "boolean" },
+                channel: { type: "string", enum: ["sms", "whatsapp"] },
+              },
+            },
             status: { type: "string", enum: ["available", "unavailable", "pending"] },
             excluded: { type: "boolean" },
             created_at: { type: "string", format: "date-time" },
@@ -47,6 +54,14 @@ const options = {
             name: { type: "string" },
             phone: { type: "string" },
             document: { type: "string" },
+            formatted_document: { type: "string", example: "12.345.678/0001-95" },
+            legal_name: { type: "string" },
+            activity_code: { type: "string" },
+            document_active: {
+              type: "boolean",
+              nullable: true,
+              description: "false when the CNPJ is no longer active, null when it could not be checked",
+            },
             logo: { type: "string" },
             address: {
               type: "object",
@@ -76,6 +91,18 @@ const options = {
                 icon: { type: "string" },
               },
             },
+            settings: {
+              type: "object",
+              properties: {
+                reminders: {
+                  type: "object",
+                  properties: {
+                    enabled: { type: "boolean" },
+                    days_before: { type: "number" },
+                  },
+                },
+              },
+            },
             status: { type: "string", enum: ["available", "unavailable", "pending"] },
             excluded: { type: "boolean" },
             created_at: { type: "string", format: "date-time" },
@@ -109,10 +136,103 @@ const options = {
             user_id: { type: "string" },
             card_id: { type: "string" },
             company_id: { type: "string" },
-            status: { type: "string", enum: ["available", "pending", "used", "rejected"] },
+            status: { type: "string", enum: ["available", "pending", "used", "rejected", "expired"] },
             excluded: { type: "boolean" },
             expires_at: { type: "string", format: "date-time" },
             requested_at: { type: "string", format: "date-time" },
+            issued_by: { type: "string" },
+            reviewed_by: { type: "string" },
+            reviewed_at: { type: "string", format: "date-time" },
+            redemption_id: { type: "string" },
+            reminded_at: { type: "string", format: "date-time" },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
+        Redemption: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            company_id: { type: "string" },
+            user_id: { type: "string" },
+            card_id: { type: "string" },
+            operator_id: { type: "string" },
+            credit_ids: { type: "array", items: { type: "string" } },
+            card: {
+              type: "object",
+              properties: {
+                title: { type: "string" },
+                credits_needed: { type: "number" },
+              },
+            },
+            status: { type: "string", enum: ["active", "reverted"] },
+            reverted_at: { type: "string", format: "date-time" },
+            reverted_by: { type: "string" },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
+        AuditEvent: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            actor_id: { type: "string" },
+            actor: {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                name: { type: "string" },
+              },
+            },
+            action: { type: "string", example: "company.credits.add" },
+            target_type: { type: "string", enum: ["company", "user", "card", "credit", "redemption"] },
+            target_id: { type: "string" },
+            changes: {
+              type: "object",
+              properties: {
+                before: { type: "object" },
+                after: { type: "object" },
+              },
+            },
+            metadata: { type: "object" },
+            ip: { type: "string" },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
+        StatsChart: {
+          type: "object",
+          properties: {
+            dataKey: { type: "string", enum: ["day", "week", "month"] },
+            data: {
+              type: "array",
+              items: {
+                type: "object",
+                description: "Label of the bucket under the dataKey property, e.g. week: 18/10, and its count",
+                properties: {
+                  count: { type: "number" },
+                },
+                additionalProperties: { type: "string" },
+              },
+            },
+            total: { type: "number" },
+            previousTotal: { type: "number" },
+            change: { type: "number", nullable: true, description: "Percentage against previousTotal" },
+          },
+        },
+        Message: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            user_id: { type: "string" },
+            recipient: { type: "string" },
+            channel: { type: "string", enum: ["sms", "whatsapp"] },
+            template: { type: "string", enum: ["sendToken", "expiringCredits"] },
+            provider: { type: "string" },
+            provider_message_id: { type: "string" },
+            status: { type: "string", enum: ["queued", "sent", "failed"] },
+            error: { type: "string" },
+            sent_at: { type: "string", format: "date-time" },
+            failed_at: { type: "string", format: "date-time" },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
           },
@@ -125,6 +245,7 @@ const options = {
             description: { type: "string" },
             icon: { type: "string" },
             status: { type: "string", enum: ["available", "unavailable", "pending"] },
+            sort_order: { type: "number" },
             excluded: { type: "boolean" },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const auditConstants = require("../constants/audit.constants");
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    actor_id: {
+      required: true,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actor_role: {
+      required: true,
+      type: String,
+    },
+    // Company the event belongs to, so it can be listed for that company
+    company_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      default: null,
+    },
+    action: {
+      required: true,
+      type: String,
+      enum: Object.values(auditConstants.ACTIONS),
+    },
+    target_type: {
+      required: true,
+      type: String,
+      enum: Object.values(auditConstants.TARGETS),
+    },
+    target_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Only the fields that changed, as they were before and after the action
+    changes: {
+      before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+      },
+      after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+      },
+    },
+    // Extra context for actions without a diff, like the filters used in a search
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: false,
+    },
+  },
+);
+
+auditEventSchema.index({ company_id: 1, created_at: -1 });
+auditEventSchema.index({ actor_id: 1, created_at: -1 });
+auditEventSchema.index({ target_id: 1, created_at: -1 });
+auditEventSchema.index({ action: 1, created_at: -1 });
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
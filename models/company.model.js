@@ -4,6 +4,7 @@ const statusConsts = require("../constants/status.constants");
 
 const { localize } = require("../utils/localization.utils");
 const { validateDocument } = require("../utils/validation.utils");
+const { normalizeDocument } = require("../utils/document.utils");
 
 const companySchema = new mongoose.Schema(
   {
@@ -72,6 +73,7 @@ const companySchema = new mongoose.Schema(
       required: true,
       type: String,
       unique: true,
+      set: normalizeDocument,
       validate: {
         validator: function (v) {
           return validateDocument(v);
@@ -82,10 +84,42 @@ const companySchema = new mongoose.Schema(
           }),
       },
     },
+    // Registry data pulled from the CNPJ lookup, empty for companies registered with a CPF
+    legal_name: {
+      type: String,
+      default: null,
+    },
+    activity_code: {
+      type: String,
+      default: null,
+    },
+    // false when the CNPJ is no longer active at the Receita Federal, null when it could not be checked
+    document_active: {
+      type: Boolean,
+      default: null,
+    },
+    document_checked_at: {
+      type: Date,
+      default: null,
+    },
     excluded: {
       required: true,
       type: Boolean,
     },
+    settings: {
+      reminders: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        days_before: {
+          type: Number,
+          default: 3,
+          min: 1,
+          max: 30,
+        },
+      },
+    },
   },
   {
     timestamps: {
@@ -99,5 +133,7 @@ companySchema.index({ "address.location.coordinates": "2dsphere" });
 
 companySchema.index({ status: 1, excluded: 1 });
 companySchema.index({ "segment._id": 1 });
+companySchema.index({ document_active: 1, status: 1 });
+companySchema.index({ "settings.reminders.enabled": 1, status: 1, excluded: 1 });
 
 module.exports = mongoose.model("Company", companySchema);
@@ -32,10 +32,34 @@ const creditSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Company user who gave the credit. Credits requested by the consumer have none.
+    issued_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Company user who approved or rejected the request of the consumer
+    reviewed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewed_at: {
+      type: Date,
+      default: null,
+    },
     expires_at: {
       type: Date,
       required: true,
     },
+    redemption_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    reminded_at: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: {
@@ -50,6 +74,11 @@ creditSchema.index({ card_id: 1 });
 creditSchema.index({ expires_at: 1 });
 creditSchema.index({ user_id: 1, card_id: 1 });
 creditSchema.index({ company_id: 1, excluded: 1, created_at: -1 });
+creditSchema.index({ company_id: 1, user_id: 1, created_at: -1 });
 creditSchema.index({ company_id: 1, excluded: 1, status: 1 });
+creditSchema.index({ redemption_id: 1 });
+creditSchema.index({ company_id: 1, status: 1, excluded: 1, expires_at: 1 });
+creditSchema.index({ company_id: 1, issued_by: 1, created_at: -1 });
+creditSchema.index({ company_id: 1, reviewed_by: 1, reviewed_at: -1 });
 
 module.exports = mongoose.model("Credit", creditSchema);
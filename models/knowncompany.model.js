@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Cached CNPJ lookups, so the registry API is only queried again once an entry gets stale
+const knownCompanySchema = new mongoose.Schema(
+  {
+    document: {
+      required: true,
+      type: String,
+      unique: true,
+    },
+    legal_name: {
+      type: String,
+      default: null,
+    },
+    trade_name: {
+      type: String,
+      default: null,
+    },
+    activity_code: {
+      type: String,
+      default: null,
+    },
+    activity_description: {
+      type: String,
+      default: null,
+    },
+    registration_status: {
+      type: String,
+      default: null,
+    },
+    active: {
+      required: true,
+      type: Boolean,
+    },
+    address: {
+      zipcode: {
+        type: String,
+      },
+      street: {
+        type: String,
+      },
+      number: {
+        type: Number,
+      },
+      complement: {
+        type: String,
+      },
+      neighborhood: {
+        type: String,
+      },
+      city: {
+        type: String,
+      },
+      state: {
+        type: String,
+      },
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  },
+);
+
+module.exports = mongoose.model("KnownCompany", knownCompanySchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const statusConsts = require("../constants/status.constants");
+const roleConstants = require("../constants/roles.constants");
+
+// Ties a client user to a company they work for. One user may belong to several companies.
+const membershipSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    company_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    company_role: {
+      required: true,
+      type: String,
+      enum: Object.values(roleConstants.COMPANY_ROLES),
+      default: roleConstants.COMPANY_ROLES.CASHIER,
+    },
+    status: {
+      required: true,
+      type: String,
+      enum: Object.values(statusConsts.RESOURCE_STATUS),
+      default: statusConsts.RESOURCE_STATUS.PENDING,
+    },
+    // Set for memberships created by an invitation, which stay pending until it is accepted
+    invited_at: {
+      type: Date,
+      default: null,
+    },
+    invited_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set when the user cancelled their account, so restoring it gives their access back
+    cancelled_at: {
+      type: Date,
+      default: null,
+    },
+    excluded: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  },
+);
+
+// A user has a single membership per company, removals and invitations included
+membershipSchema.index({ user_id: 1, company_id: 1 }, { unique: true });
+membershipSchema.index({ user_id: 1, company_id: 1, status: 1, excluded: 1 });
+membershipSchema.index({ company_id: 1, status: 1, excluded: 1 });
+membershipSchema.index({ company_id: 1, company_role: 1, status: 1, excluded: 1 });
+
+module.exports = mongoose.model("Membership", membershipSchema);
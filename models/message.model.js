@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+const statusConsts = require("../constants/status.constants");
+const messageConstants = require("../constants/message.constants");
+
+const messageSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    recipient: {
+      required: true,
+      type: String,
+    },
+    channel: {
+      required: true,
+      type: String,
+      enum: Object.values(messageConstants.CHANNELS),
+      default: messageConstants.CHANNELS.SMS,
+    },
+    template: {
+      required: true,
+      type: String,
+      enum: Object.values(messageConstants.TEMPLATES),
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    provider_message_id: {
+      type: String,
+      default: null,
+    },
+    status: {
+      required: true,
+      type: String,
+      enum: Object.values(statusConsts.MESSAGE_STATUS),
+      default: statusConsts.MESSAGE_STATUS.QUEUED,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    sent_at: {
+      type: Date,
+      default: null,
+    },
+    failed_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  },
+);
+
+messageSchema.index({ recipient: 1, created_at: -1 });
+messageSchema.index({ user_id: 1, created_at: -1 });
+messageSchema.index({ status: 1, created_at: -1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const statusConsts = require("../constants/status.constants");
+
+const redemptionSchema = new mongoose.Schema(
+  {
+    company_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    card_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Card",
+      required: true,
+    },
+    operator_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    credit_ids: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "Credit",
+      required: true,
+    },
+    card: {
+      title: {
+        required: true,
+        type: String,
+      },
+      credits_needed: {
+        required: true,
+        type: Number,
+      },
+    },
+    status: {
+      required: true,
+      type: String,
+      enum: Object.values(statusConsts.REDEMPTION_STATUS),
+      default: statusConsts.REDEMPTION_STATUS.ACTIVE,
+    },
+    reverted_at: {
+      type: Date,
+      default: null,
+    },
+    reverted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  },
+);
+
+redemptionSchema.index({ company_id: 1, created_at: -1 });
+redemptionSchema.index({ company_id: 1, user_id: 1, created_at: -1 });
+redemptionSchema.index({ company_id: 1, card_id: 1, created_at: -1 });
+redemptionSchema.index({ company_id: 1, operator_id: 1, created_at: -1 });
+
+module.exports = mongoose.model("Redemption", redemptionSchema);
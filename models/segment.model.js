@@ -22,6 +22,12 @@ const segmentSchema = new mongoose.Schema(
       enum: Object.values(statusConsts.RESOURCE_STATUS),
       default: statusConsts.RESOURCE_STATUS.PENDING,
     },
+    // Position in the segment lists, lower values first
+    sort_order: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     excluded: {
       type: Boolean,
       default: false,
@@ -36,5 +42,6 @@ const segmentSchema = new mongoose.Schema(
 );
 
 segmentSchema.index({ status: 1, excluded: 1 });
+segmentSchema.index({ status: 1, excluded: 1, sort_order: 1, name: 1 });
 
 module.exports = mongoose.model("Segment", segmentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Company the session works in, for client users. Changed by switching company.
+    company_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      default: null,
+    },
+    refresh_token_hash: {
+      required: true,
+      type: String,
+    },
+    // Kept after rotation so a replayed refresh token can be detected
+    previous_token_hash: {
+      type: String,
+      default: null,
+    },
+    user_agent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    expires_at: {
+      required: true,
+      type: Date,
+    },
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  },
+);
+
+sessionSchema.index({ refresh_token_hash: 1 }, { unique: true });
+sessionSchema.index({ previous_token_hash: 1 });
+sessionSchema.index({ user_id: 1, revoked_at: 1, expires_at: -1 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -3,6 +3,8 @@ const mongoose = require("mongoose");
 const passwordUtils = require("../utils/password.utils");
 const statusConsts = require("../constants/status.constants");
 const roleConstants = require("../constants/roles.constants");
+const messageConstants = require("../constants/message.constants");
+const otpConstants = require("../constants/otp.constants");
 
 const { localize } = require("../utils/localization.utils");
 const { validatePhone } = require("../utils/validation.utils");
@@ -42,6 +44,8 @@ const userSchema = new mongoose.Schema(
       type: String,
       enum: Object.values(roleConstants.USER_ROLES),
     },
+    // Company a client user logs into by default, the last one they worked in.
+    // The companies they belong to, and their role in each, are in their memberships.
     company_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Company",
@@ -59,6 +63,45 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    validation_token_purpose: {
+      type: String,
+      enum: Object.values(otpConstants.PURPOSES),
+      default: null,
+    },
+    // Number the account moves to once the code sent to it is confirmed
+    pending_phone: {
+      type: String,
+      default: null,
+    },
+    // Wrong guesses for the current validation token, reset whenever a new one is issued
+    validation_token_attempts: {
+      type: Number,
+      default: 0,
+    },
+    validation_token_locked_at: {
+      type: Date,
+      default: null,
+    },
+    validation_token_lockouts: {
+      type: Number,
+      default: 0,
+    },
+    // Incremented to invalidate every token issued before a password reset, cancellation or removal
+    token_version: {
+      type: Number,
+      default: 0,
+    },
+    notification_preferences: {
+      expiring_credits: {
+        type: Boolean,
+        default: true,
+      },
+      channel: {
+        type: String,
+        enum: Object.values(messageConstants.CHANNELS),
+        default: messageConstants.CHANNELS.SMS,
+      },
+    },
   },
   {
     timestamps: {
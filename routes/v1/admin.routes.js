@@ -0,0 +1,28 @@
+const express = require("express");
+
+const adminController = require("../../controllers/admin.controller.js");
+const segmentsController = require("../../controllers/segments.controller");
+
+const { requireAuth, requireAdmin } = require("../../infra/middleware/auth.middleware");
+const { authenticatedUserRateLimit } = require("../../infra/middleware/rateLimiting");
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireAdmin);
+router.use(authenticatedUserRateLimit);
+
+router.get("/messages", adminController.getMessages);
+router.get("/companies", adminController.getCompanies);
+router.get("/companies/:company_id/stats", adminController.getCompanyStats);
+router.post("/companies/:company_id/approve", adminController.approveCompany);
+router.post("/companies/:company_id/suspend", adminController.suspendCompany);
+router.post("/companies/:company_id/restore", adminController.restoreCompany);
+router.get("/users", adminController.getUsers);
+router.post("/users/:user_id/restore", adminController.restoreUser);
+router.get("/segments", segmentsController.getAllSegments);
+router.post("/segments", segmentsController.createSegment);
+router.patch("/segments/:segment_id", segmentsController.updateSegment);
+router.post("/segments/:segment_id/archive", segmentsController.archiveSegment);
+
+module.exports = router;
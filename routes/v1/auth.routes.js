@@ -5,27 +5,47 @@ const {
   createAccountRateLimit,
   passwordResetRateLimit,
   authSlowDown,
+  sessionRateLimit,
+  otpRequestRateLimit,
 } = require("../../infra/middleware/rateLimiting");
-const { requireGuest } = require("../../infra/middleware/auth.middleware");
+const { authenticate, requireClient, requireGuest } = require("../../infra/middleware/auth.middleware");
 
 const {
   login,
+  refresh,
+  logout,
   forgotPassword,
   resetPassword,
   register,
+  registerCompany,
   validateResetToken,
   validateRegisterToken,
+  requestOtp,
+  verifyOtp,
+  acceptInvite,
+  getCompanies,
+  switchCompany,
 } = require("../../controllers/auth.controller");
 
 const router = express.Router();
 
+// Session renewal works with or without a still-valid access token, so it stays ahead of requireGuest
+router.post("/refresh", sessionRateLimit, refresh);
+router.post("/logout", sessionRateLimit, logout);
+router.get("/companies", authenticate, requireClient, getCompanies);
+router.post("/switch-company", sessionRateLimit, authenticate, requireClient, switchCompany);
+
 router.use(requireGuest);
 
 router.post("/login", authRateLimit, authSlowDown, login);
 router.post("/forgot-password", passwordResetRateLimit, forgotPassword);
 router.post("/reset-password", passwordResetRateLimit, resetPassword);
 router.post("/register", createAccountRateLimit, register);
+router.post("/register-company", createAccountRateLimit, registerCompany);
 router.post("/validate-reset-token", passwordResetRateLimit, validateResetToken);
 router.post("/validate-register-token", authRateLimit, validateRegisterToken);
+router.post("/otp/request", otpRequestRateLimit, requestOtp);
+router.post("/otp/verify", authRateLimit, authSlowDown, verifyOtp);
+router.post("/invite/accept", authRateLimit, authSlowDown, acceptInvite);
 
 module.exports = router;
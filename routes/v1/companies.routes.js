@@ -7,7 +7,9 @@ const {
   requireClient,
   requireConsumer,
   requireCompanyAccess,
+  requirePermission,
 } = require("../../infra/middleware/auth.middleware");
+const { PERMISSIONS } = require("../../constants/permissions.constants");
 
 const router = express.Router();
 
@@ -18,32 +20,88 @@ router.use(requireClient);
 router.use(requireCompanyAccess);
 router.use(authenticatedUserRateLimit);
 
-router.get("/stats", companyController.getCompanyStats);
-router.get("/profile", companyController.getCompanyProfile);
-router.patch("/profile", companyController.updateCompanyProfile);
-router.get("/consumers", companyController.getConsumers);
-router.post("/consumers", creditOperationsRateLimit, companyController.createConsumer);
-router.get("/consumers/:consumer_id", companyController.getConsumerById);
-router.patch("/consumers/:consumer_id", companyController.updateConsumer);
-router.delete("/consumers/:consumer_id", companyController.deleteConsumer);
-router.patch("/consumers/:consumer_id/credits", creditOperationsRateLimit, companyController.updateConsumerCredits);
-router.delete("/consumers/:consumer_id/credits/:credit_id", companyController.deleteConsumerCredit);
+router.get("/stats", requirePermission(PERMISSIONS.STATS_VIEW), companyController.getCompanyStats);
+router.get("/stats/staff", requirePermission(PERMISSIONS.STATS_VIEW), companyController.getStaffStats);
+router.get("/analytics", requirePermission(PERMISSIONS.STATS_VIEW), companyController.getCompanyAnalytics);
+router.get("/audit", requirePermission(PERMISSIONS.AUDIT_VIEW), companyController.getCompanyAudit);
+router.get("/profile", requirePermission(PERMISSIONS.PROFILE_VIEW), companyController.getCompanyProfile);
+router.patch("/profile", requirePermission(PERMISSIONS.PROFILE_UPDATE), companyController.updateCompanyProfile);
+router.patch(
+  "/reminders/settings",
+  requirePermission(PERMISSIONS.REMINDERS_MANAGE),
+  companyController.updateReminderSettings,
+);
+router.get("/reminders/preview", requirePermission(PERMISSIONS.REMINDERS_MANAGE), companyController.getReminderPreview);
+router.get("/consumers", requirePermission(PERMISSIONS.CONSUMERS_VIEW), companyController.getConsumers);
+router.get("/consumers/export", requirePermission(PERMISSIONS.DATA_EXPORT), companyController.exportConsumers);
+router.post(
+  "/consumers",
+  requirePermission(PERMISSIONS.CONSUMERS_CREATE),
+  creditOperationsRateLimit,
+  companyController.createConsumer,
+);
+router.get("/consumers/:consumer_id", requirePermission(PERMISSIONS.CONSUMERS_VIEW), companyController.getConsumerById);
+router.patch(
+  "/consumers/:consumer_id",
+  requirePermission(PERMISSIONS.CONSUMERS_UPDATE),
+  companyController.updateConsumer,
+);
+router.delete(
+  "/consumers/:consumer_id",
+  requirePermission(PERMISSIONS.CONSUMERS_DELETE),
+  companyController.deleteConsumer,
+);
+router.patch(
+  "/consumers/:consumer_id/credits",
+  requirePermission(PERMISSIONS.CREDITS_ADD),
+  creditOperationsRateLimit,
+  companyController.updateConsumerCredits,
+);
+router.delete(
+  "/consumers/:consumer_id/credits/:credit_id",
+  requirePermission(PERMISSIONS.CREDITS_MANAGE),
+  companyController.deleteConsumerCredit,
+);
 router.post(
   "/consumers/:consumer_id/cards/:card_id/redeem",
+  requirePermission(PERMISSIONS.REDEMPTIONS_CREATE),
   creditOperationsRateLimit,
   companyController.redeemCardBenefits,
 );
-router.get("/cards", companyController.getCompanyCards);
-router.get("/cards/:card_id", companyController.getCompanyCardById);
-router.post("/cards", companyController.createCompanyCard);
-router.patch("/cards/:card_id", companyController.updateCompanyCard);
-router.delete("/cards/:card_id", companyController.deleteCompanyCard);
-router.get("/credits", companyController.getCompanyCredits);
-router.patch("/credits/:credit_id", companyController.updateCompanyCredit);
-router.get("/users", companyController.getCompanyUsers);
-router.get("/users/:user_id", companyController.getCompanyUserById);
-router.post("/users", companyController.createCompanyUser);
-router.patch("/users/:user_id", companyController.updateCompanyUser);
-router.delete("/users/:user_id", companyController.deleteCompanyUser);
+router.get("/redemptions", requirePermission(PERMISSIONS.REDEMPTIONS_VIEW), companyController.getRedemptions);
+router.get("/redemptions/export", requirePermission(PERMISSIONS.DATA_EXPORT), companyController.exportRedemptions);
+router.delete(
+  "/redemptions/:redemption_id",
+  requirePermission(PERMISSIONS.REDEMPTIONS_DELETE),
+  creditOperationsRateLimit,
+  companyController.deleteRedemption,
+);
+router.get("/cards", requirePermission(PERMISSIONS.CARDS_VIEW), companyController.getCompanyCards);
+router.get("/cards/:card_id", requirePermission(PERMISSIONS.CARDS_VIEW), companyController.getCompanyCardById);
+router.post("/cards", requirePermission(PERMISSIONS.CARDS_MANAGE), companyController.createCompanyCard);
+router.patch("/cards/:card_id", requirePermission(PERMISSIONS.CARDS_MANAGE), companyController.updateCompanyCard);
+router.delete("/cards/:card_id", requirePermission(PERMISSIONS.CARDS_MANAGE), companyController.deleteCompanyCard);
+router.get("/credits", requirePermission(PERMISSIONS.CREDITS_MANAGE), companyController.getCompanyCredits);
+router.get("/credits/export", requirePermission(PERMISSIONS.DATA_EXPORT), companyController.exportCredits);
+router.patch(
+  "/credits/:credit_id",
+  requirePermission(PERMISSIONS.CREDITS_MANAGE),
+  companyController.updateCompanyCredit,
+);
+router.get("/users", requirePermission(PERMISSIONS.USERS_VIEW), companyController.getCompanyUsers);
+router.get("/users/:user_id", requirePermission(PERMISSIONS.USERS_VIEW), companyController.getCompanyUserById);
+router.post("/users", requirePermission(PERMISSIONS.USERS_MANAGE), companyController.createCompanyUser);
+router.patch("/users/:user_id", requirePermission(PERMISSIONS.USERS_MANAGE), companyController.updateCompanyUser);
+router.delete("/users/:user_id", requirePermission(PERMISSIONS.USERS_MANAGE), companyController.deleteCompanyUser);
+router.post(
+  "/users/:user_id/invite",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  companyController.resendCompanyUserInvite,
+);
+router.delete(
+  "/users/:user_id/invite",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  companyController.revokeCompanyUserInvite,
+);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+
+const { expireCredits, sendExpiringCreditReminders } = require("../../controllers/cron.controller.js");
+const { requireCron } = require("../../infra/middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(requireCron);
+
+router.get("/expire-credits", expireCredits);
+router.get("/expiring-credit-reminders", sendExpiringCreditReminders);
+
+module.exports = router;
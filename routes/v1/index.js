@@ -3,8 +3,10 @@ const express = require("express");
 const router = express.Router();
 const { ping } = require("../../controllers/health.controller.js");
 
+router.use("/admin", require("./admin.routes.js"));
 router.use("/auth", require("./auth.routes.js"));
 router.use("/companies", require("./companies.routes.js"));
+router.use("/cron", require("./cron.routes.js"));
 router.use("/health", require("./health.routes.js"));
 router.use("/loadtest", require("./loadtest.routes.js"));
 router.use("/segments", require("./segments.routes.js"));
@@ -6,7 +6,11 @@ const roleConstants = require("../../constants/roles.constants");
 const userController = require("../../controllers/users.controller");
 
 const { requireAuth, requireConsumer } = require("../../infra/middleware/auth.middleware");
-const { creditOperationsRateLimit, authenticatedUserRateLimit } = require("../../infra/middleware/rateLimiting");
+const {
+  creditOperationsRateLimit,
+  authenticatedUserRateLimit,
+  otpRequestRateLimit,
+} = require("../../infra/middleware/rateLimiting");
 
 const requireConsumerOrClient = (req, res, next) => {
   if (req.user.role === roleConstants.USER_ROLES.CONSUMER || req.user.role === roleConstants.USER_ROLES.CLIENT) {
@@ -30,7 +34,12 @@ router.get("/companies/:company_id", requireConsumer, userController.getCompanyB
 router.post("/cards/:card_id/request", requireConsumer, creditOperationsRateLimit, userController.requestCard);
 router.get("/profile", requireConsumer, userController.getProfile);
 router.patch("/profile", requireConsumer, userController.updateProfile);
+router.post("/profile/claim", requireConsumer, userController.claimAccount);
+router.post("/profile/phone", requireConsumer, otpRequestRateLimit, userController.requestPhoneChange);
+router.post("/profile/phone/confirm", requireConsumer, userController.confirmPhoneChange);
 router.delete("/profile", requireConsumerOrClient, userController.cancelAccount);
+router.get("/sessions", userController.getSessions);
+router.delete("/sessions/:session_id", userController.deleteSession);
 router.get("/dashboard", requireConsumer, userController.getConsumerDashboard);
 
 module.exports = router;
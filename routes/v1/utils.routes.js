@@ -1,10 +1,11 @@
 const express = require("express");
 
-const { getCEP, getCoordinates, getRandomAddresses } = require("../../controllers/utils.controller.js");
+const { getCEP, getCNPJ, getCoordinates, getRandomAddresses } = require("../../controllers/utils.controller.js");
 
 const router = express.Router();
 
 router.get("/cep", getCEP);
+router.get("/cnpj", getCNPJ);
 router.get("/coordinates", getCoordinates);
 router.get("/places", getRandomAddresses);
 
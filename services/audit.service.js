@@ -0,0 +1,49 @@
+const auditEventModel = require("../models/auditevent.model");
+const dbHandler = require("../utils/db-handler.utils");
+
+const auditEventHandler = dbHandler(auditEventModel);
+
+// Keeps only the fields whose value changed, so events stay small and easy to read
+function diff(before, after) {
+  if (!before && !after) {
+    return { before: null, after: null };
+  }
+
+  const changes = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const beforeValue = before?.[field] ?? null;
+    const afterValue = after?.[field] ?? null;
+
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes.before[field] = beforeValue;
+      changes.after[field] = afterValue;
+    }
+  }
+
+  return changes;
+}
+
+async function record(options) {
+  const { req, action, target_type, target_id = null, company_id = null, before, after, metadata = null } = options;
+
+  return auditEventHandler.create({
+    data: {
+      actor_id: req.user._id,
+      actor_role: req.user.role,
+      company_id,
+      action,
+      target_type,
+      target_id,
+      changes: diff(before, after),
+      metadata,
+      ip: req.ip || null,
+    },
+  });
+}
+
+module.exports = {
+  diff,
+  record,
+};
@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+
+const knownCompanyModel = require("../models/knowncompany.model");
+const dbHandler = require("../utils/db-handler.utils");
+
+const { subTime } = require("../utils/date.utils");
+const { localize } = require("../utils/localization.utils");
+const { isValidCNPJ } = require("../utils/document.utils");
+const { ValidationError, NotFoundError, ServiceError } = require("../infra/errors");
+
+const knownCompanyHandler = dbHandler(knownCompanyModel);
+
+const DEFAULT_FIXTURES_PATH = path.join(process.cwd(), "tests", "fixtures", "cnpj.json");
+
+// Registration status code the Receita Federal uses for active companies
+const ACTIVE_REGISTRATION_STATUS = 2;
+
+// Every provider receives a normalized CNPJ and resolves to a BrasilAPI shaped payload,
+// null when the CNPJ is unknown, or throws
+const providers = {
+  BRASILAPI: fetchFromBrasilAPI,
+  FIXTURE: readFromFixture,
+};
+
+function getProvider() {
+  return process.env.CNPJ_LOOKUP_PROVIDER || (process.env.NODE_ENV === "test" ? "FIXTURE" : "BRASILAPI");
+}
+
+function getCacheMaxAge() {
+  return parseInt(process.env.CNPJ_CACHE_MAX_AGE_DAYS) || 30;
+}
+
+async function lookup(document) {
+  if (!isValidCNPJ(document)) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field: "cnpj" }),
+    });
+  }
+
+  // We keep every lookup so the registry is not queried on each signup or profile update,
+  // but entries get stale because companies can be closed at any time
+  const knownCompany = await knownCompanyHandler.read({
+    filter: {
+      document,
+      updated_at: { $gte: subTime(new Date(), getCacheMaxAge(), "days") },
+    },
+  });
+
+  if (knownCompany) {
+    return toCompanyData(knownCompany, true);
+  }
+
+  const provider = providers[getProvider()];
+
+  if (!provider) {
+    throw new ServiceError({
+      message: localize("error.generic.required", { field: "CNPJ Provider" }),
+    });
+  }
+
+  const payload = await provider(document);
+
+  if (!payload) {
+    throw new NotFoundError({
+      message: localize("error.generic.notFound", { resource: "CNPJ" }),
+      action: localize("error.services.cnpj.notFoundAction"),
+    });
+  }
+
+  const data = parsePayload(document, payload);
+
+  // Stale entries are refreshed in place. One upsert, so concurrent first lookups of a CNPJ do not collide.
+  const savedCompany = await knownCompanyHandler.update({ filter: { document }, data, upsert: true });
+
+  return toCompanyData(savedCompany, false);
+}
+
+// Best-effort version used while saving a company: a registry outage must not block the signup or the profile
+async function findCompanyData(document) {
+  if (!isValidCNPJ(document)) {
+    return null;
+  }
+
+  try {
+    return await lookup(document);
+  } catch (error) {
+    // Only the registry being down or not knowing the CNPJ, anything else is a bug
+    if (error instanceof ServiceError || error instanceof NotFoundError) {
+      return null;
+    }
+
+    throw error;
+  }
+}
+
+// Fields stored on the company itself
+function getCompanyFields(companyData) {
+  return {
+    legal_name: companyData.legal_name,
+    activity_code: companyData.activity_code,
+    document_active: companyData.active,
+    document_checked_at: companyData.checked_at,
+  };
+}
+
+async function fetchFromBrasilAPI(document) {
+  let response;
+
+  try {
+    response = await fetch(`https://brasilapi.com.br/api/cnpj/v1/${document}`, {
+      signal: AbortSignal.timeout(parseInt(process.env.CNPJ_LOOKUP_TIMEOUT_MS) || 5000),
+    });
+  } catch (error) {
+    throw new ServiceError({
+      message: localize("error.services.cnpj.message"),
+      action: localize("error.services.cnpj.action"),
+      cause: error,
+    });
+  }
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  // Check if the response is JSON
+  const contentType = response.headers.get("content-type");
+  if (!response.ok || !contentType || !contentType.includes("application/json")) {
+    throw new ServiceError({
+      message: localize("error.services.cnpj.message"),
+      action: localize("error.services.cnpj.action"),
+      cause: response,
+    });
+  }
+
+  return response.json();
+}
+
+async function readFromFixture(document) {
+  const data = await fs.promises.readFile(process.env.CNPJ_FIXTURES_PATH || DEFAULT_FIXTURES_PATH, "utf8");
+  const fixtures = JSON.parse(data);
+
+  return fixtures[document] || null;
+}
+
+function parsePayload(document, payload) {
+  const number = parseInt(payload.numero, 10);
+
+  return {
+    document,
+    legal_name: payload.razao_social || null,
+    trade_name: payload.nome_fantasia || null,
+    activity_code: payload.cnae_fiscal ? String(payload.cnae_fiscal) : null,
+    activity_description: payload.cnae_fiscal_descricao || null,
+    registration_status: payload.descricao_situacao_cadastral || null,
+    active: payload.situacao_cadastral === ACTIVE_REGISTRATION_STATUS,
+    address: {
+      zipcode: payload.cep ? String(payload.cep).replace(/\D/g, "") : null,
+      street: [payload.descricao_tipo_de_logradouro, payload.logradouro].filter(Boolean).join(" ") || null,
+      number: isNaN(number) ? null : number,
+      complement: payload.complemento || null,
+      neighborhood: payload.bairro || null,
+      city: payload.municipio || null,
+      state: payload.uf || null,
+    },
+  };
+}
+
+function toCompanyData(knownCompany, cached) {
+  return {
+    document: knownCompany.document,
+    legal_name: knownCompany.legal_name,
+    trade_name: knownCompany.trade_name,
+    activity_code: knownCompany.activity_code,
+    activity_description: knownCompany.activity_description,
+    registration_status: knownCompany.registration_status,
+    active: knownCompany.active,
+    address: knownCompany.address,
+    checked_at: knownCompany.updated_at,
+    cached,
+  };
+}
+
+module.exports = {
+  lookup,
+  findCompanyData,
+  getCompanyFields,
+};
@@ -0,0 +1,30 @@
+const creditModel = require("../models/credit.model");
+const dbHandler = require("../utils/db-handler.utils");
+const statusConsts = require("../constants/status.constants");
+
+const creditHandler = dbHandler(creditModel);
+
+async function expireCredits(options = {}) {
+  const now = options.now || new Date();
+
+  const result = await creditHandler.updateMany({
+    filter: {
+      status: {
+        $in: [statusConsts.CREDITS_STATUS.AVAILABLE, statusConsts.CREDITS_STATUS.PENDING],
+      },
+      expires_at: { $lte: now },
+      excluded: false,
+    },
+    data: {
+      status: statusConsts.CREDITS_STATUS.EXPIRED,
+    },
+  });
+
+  return {
+    expired: result.modifiedCount,
+  };
+}
+
+module.exports = {
+  expireCredits,
+};
@@ -0,0 +1,92 @@
+const knownLocationModel = require("../models/knownlocation.model");
+const dbHandler = require("../utils/db-handler.utils");
+
+const { localize } = require("../utils/localization.utils");
+const { ServiceError } = require("../infra/errors");
+
+const knownLocationHandler = dbHandler(knownLocationModel);
+
+// Resolves the coordinates of an address. Callers are responsible for validating the address fields.
+async function getCoordinates(options) {
+  const { street, neighborhood, city, state, zipcode, number } = options;
+
+  const address = `${street}, ${number}, ${neighborhood}, ${city}, ${state}, ${zipcode}`;
+
+  // We need to check on database if the address is already geocoded
+  // This way we can save the address generated by the getCEP and reuse
+  // To save requests to the Google Maps API
+  const knownLocation = await knownLocationHandler.read({
+    filter: {
+      "address.zipcode": zipcode.replace("-", ""),
+      "address.number": parseInt(number, 10),
+    },
+  });
+
+  if (knownLocation) {
+    return {
+      address,
+      latitude: knownLocation.address.location.coordinates[1],
+      longitude: knownLocation.address.location.coordinates[0],
+      cached: true,
+    };
+  }
+
+  const response = await fetch(
+    `https://maps.googleapis.com/maps/api/geocode/json?address=${address}&key=${process.env.GOOGLE_MAPS_API_KEY}`,
+  );
+  const addressData = await response.json();
+
+  if (response.status !== 200) {
+    throw new ServiceError({
+      message: "Erro ao recuperar coordenadas do endereço",
+      cause: addressData.error_message || addressData,
+    });
+  }
+
+  if (addressData.results.length === 0) {
+    console.log(`addressData.status: ${addressData.status}`);
+    throw new ServiceError({
+      message: localize("error.utils.coordinates.cause"),
+      action: localize("error.utils.coordinates.action"),
+    });
+  }
+  const coordinates = addressData.results[0]?.geometry?.location;
+
+  if (!coordinates) {
+    throw new ServiceError({
+      message: localize("error.utils.coordinates.cause"),
+      action: localize("error.utils.coordinates.action"),
+    });
+  }
+
+  // Save new known location
+  const newKnownLocationOptions = {
+    data: {
+      address: {
+        street: street,
+        neighborhood: neighborhood,
+        city: city,
+        state: state,
+        zipcode: zipcode.replace("-", ""),
+        number: parseInt(number, 10),
+        location: {
+          type: "Point",
+          coordinates: [coordinates.lng, coordinates.lat],
+        },
+      },
+    },
+  };
+
+  await knownLocationHandler.create(newKnownLocationOptions);
+
+  return {
+    address,
+    latitude: coordinates.lat,
+    longitude: coordinates.lng,
+    cached: false,
+  };
+}
+
+module.exports = {
+  getCoordinates,
+};
@@ -0,0 +1,138 @@
+const companyModel = require("../models/company.model");
+const userModel = require("../models/user.model");
+const membershipModel = require("../models/membership.model");
+const dbHandler = require("../utils/db-handler.utils");
+const statusConsts = require("../constants/status.constants");
+const roleConstants = require("../constants/roles.constants");
+
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const membershipHandler = dbHandler(membershipModel);
+
+async function getMembership(options) {
+  const { user_id, company_id } = options;
+
+  return membershipHandler.read({
+    filter: {
+      user_id,
+      company_id,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      excluded: false,
+    },
+  });
+}
+
+// Companies the user can work in right now: the membership and the company must both be available
+async function listCompanies(options) {
+  const { user_id } = options;
+
+  const memberships = await membershipHandler.list({
+    filter: {
+      user_id,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      excluded: false,
+    },
+    projection: { company_id: 1, company_role: 1, created_at: 1 },
+    sort: { created_at: 1 },
+  });
+
+  if (memberships.length === 0) {
+    return [];
+  }
+
+  const companies = await companyHandler.list({
+    filter: {
+      _id: { $in: memberships.map((membership) => membership.company_id) },
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      excluded: false,
+    },
+    projection: {
+      name: 1,
+      phone: 1,
+      address: 1,
+      logo: 1,
+      segment: 1,
+      document: 1,
+    },
+  });
+
+  const companiesById = new Map(companies.map((company) => [company._id.toString(), company]));
+
+  return memberships
+    .filter((membership) => companiesById.has(membership.company_id.toString()))
+    .map((membership) => ({
+      company_id: membership.company_id,
+      company_role: membership.company_role,
+      company: companiesById.get(membership.company_id.toString()),
+    }));
+}
+
+// Client users created before memberships existed only have company_id, and the role they had on the user itself.
+// Users from before company roles become owners, which is what the API allowed them to do. An upsert on the unique
+// user and company index, so it never duplicates a membership, nor brings back one the user was removed from.
+async function createLegacyMembership(user) {
+  return membershipHandler.update({
+    filter: { user_id: user._id, company_id: user.company_id },
+    data: {
+      $setOnInsert: {
+        company_role: user.company_role || roleConstants.COMPANY_ROLES.OWNER,
+        status: user.status,
+      },
+    },
+    upsert: true,
+  });
+}
+
+// Creates the membership of every legacy client user, who has no company access until it runs
+// (npm run jobs:backfill-memberships). Running it again creates nothing.
+async function backfillMemberships() {
+  const cursor = userHandler.aggregateCursor({
+    pipeline: [
+      {
+        $match: {
+          role: roleConstants.USER_ROLES.CLIENT,
+          company_id: { $ne: null },
+          excluded: false,
+        },
+      },
+      {
+        $lookup: {
+          from: "memberships",
+          let: { user_id: "$_id", company_id: "$company_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [{ $eq: ["$user_id", "$$user_id"] }, { $eq: ["$company_id", "$$company_id"] }],
+                },
+              },
+            },
+            { $project: { _id: 1 } },
+          ],
+          as: "memberships",
+        },
+      },
+      {
+        $match: { memberships: { $size: 0 } },
+      },
+      {
+        $project: { _id: 1, company_id: 1, company_role: 1, status: 1 },
+      },
+    ],
+  });
+
+  let created = 0;
+
+  for await (const user of cursor) {
+    await createLegacyMembership(user);
+    created++;
+  }
+
+  return { created };
+}
+
+module.exports = {
+  getMembership,
+  listCompanies,
+  backfillMemberships,
+};
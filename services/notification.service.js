@@ -0,0 +1,114 @@
+const userModel = require("../models/user.model");
+const messageModel = require("../models/message.model");
+const dbHandler = require("../utils/db-handler.utils");
+const smsService = require("./sms.service");
+const whatsappService = require("./whatsapp.service");
+const smsTemplates = require("../templates/sms.templates");
+const whatsappTemplates = require("../templates/whatsapp.templates");
+const statusConsts = require("../constants/status.constants");
+const messageConstants = require("../constants/message.constants");
+
+const userHandler = dbHandler(userModel);
+const messageHandler = dbHandler(messageModel);
+
+const { CHANNELS, TEMPLATES } = messageConstants;
+
+// Builders per channel. A template without a WhatsApp builder is always delivered by SMS.
+const templates = {
+  [TEMPLATES.SEND_TOKEN]: {
+    [CHANNELS.SMS]: ({ token }) => smsTemplates.sendToken(token),
+    [CHANNELS.WHATSAPP]: ({ token }) => whatsappTemplates.sendToken(token),
+  },
+  [TEMPLATES.EXPIRING_CREDITS]: {
+    [CHANNELS.SMS]: (params) => smsTemplates.expiringCredits(params),
+  },
+  [TEMPLATES.PHONE_CHANGED]: {
+    [CHANNELS.SMS]: (params) => smsTemplates.phoneChanged(params),
+  },
+  [TEMPLATES.COMPANY_INVITE]: {
+    [CHANNELS.SMS]: (params) => smsTemplates.companyInvite(params),
+  },
+};
+
+const senders = {
+  [CHANNELS.SMS]: ({ phone, payload }) => smsService.sendSms({ phone, content: payload }),
+  [CHANNELS.WHATSAPP]: ({ phone, payload }) => whatsappService.sendWhatsApp({ phone, template: payload }),
+};
+
+// Delivers a template on the recipient's preferred channel, falling back to SMS when that fails
+async function notify(options) {
+  const { phone, template, params = {}, user_id = null } = options;
+  const channel = options.channel || (await getPreferredChannel(user_id));
+
+  if (channel !== CHANNELS.SMS && templates[template][channel]) {
+    const result = await deliver({ channel, phone, template, params, user_id });
+
+    if (!result.err) {
+      return result;
+    }
+  }
+
+  return deliver({ channel: CHANNELS.SMS, phone, template, params, user_id });
+}
+
+async function getPreferredChannel(user_id) {
+  if (!user_id) {
+    return CHANNELS.SMS;
+  }
+
+  const user = await userHandler.read({
+    filter: { _id: user_id },
+    projection: { notification_preferences: 1 },
+  });
+
+  return user?.notification_preferences?.channel || CHANNELS.SMS;
+}
+
+// Sends on a single channel and keeps a record of the attempt. The content is not stored because it may hold a code.
+async function deliver(options) {
+  const { channel, phone, template, params, user_id } = options;
+
+  const message = await messageHandler.create({
+    data: {
+      user_id,
+      recipient: phone,
+      channel,
+      template,
+      status: statusConsts.MESSAGE_STATUS.QUEUED,
+    },
+  });
+
+  const payload = templates[template][channel](params);
+  const { err, provider = null, message_id = null } = await senders[channel]({ phone, payload });
+
+  const data = err
+    ? {
+        provider,
+        status: statusConsts.MESSAGE_STATUS.FAILED,
+        error: err.message,
+        failed_at: new Date(),
+      }
+    : {
+        provider,
+        provider_message_id: message_id,
+        status: statusConsts.MESSAGE_STATUS.SENT,
+        sent_at: new Date(),
+      };
+
+  const updatedMessage = await messageHandler.update({
+    filter: {
+      _id: message._id,
+    },
+    data,
+  });
+
+  return {
+    err,
+    channel,
+    message: updatedMessage,
+  };
+}
+
+module.exports = {
+  notify,
+};
@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const { Buffer } = require("buffer");
+
+const userModel = require("../models/user.model");
+const dbHandler = require("../utils/db-handler.utils");
+
+const { addTime } = require("../utils/date.utils");
+const { localize } = require("../utils/localization.utils");
+const { UnauthorizedError } = require("../infra/errors");
+const { generateToken, isTokenExpired } = require("../utils/token.utils");
+
+const userHandler = dbHandler(userModel);
+
+function getMaxAttempts() {
+  return parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+}
+
+function getTokenExpiresIn() {
+  return parseInt(process.env.OTP_EXPIRES_IN) || 60 * 10;
+}
+
+function getInviteExpiresIn() {
+  return parseInt(process.env.INVITE_EXPIRES_IN) || 60 * 60 * 24 * 3;
+}
+
+// A new code always starts with a clean attempt counter and lifts any previous lock.
+// Codes sent somewhere other than the account phone carry a purpose, so they only work for that flow.
+function createToken(options = {}) {
+  const { purpose = null, expiresIn = getTokenExpiresIn() } = options;
+  const token = generateToken();
+
+  return {
+    token,
+    data: {
+      validation_token: token,
+      validation_token_expires_at: addTime(new Date(), expiresIn, "seconds"),
+      validation_token_purpose: purpose,
+      validation_token_attempts: 0,
+      validation_token_locked_at: null,
+    },
+  };
+}
+
+function getClearTokenData() {
+  return {
+    validation_token: null,
+    validation_token_expires_at: null,
+    validation_token_purpose: null,
+    validation_token_attempts: 0,
+  };
+}
+
+function throwLocked() {
+  throw new UnauthorizedError({
+    message: localize("error.auth.token.locked"),
+    action: localize("error.auth.token.lockedAction"),
+  });
+}
+
+// Every wrong guess is counted on the user. Once the limit is reached the code is discarded,
+// so guessing can only continue after a new code is requested.
+async function verifyToken(options) {
+  const { user, token, purpose = null } = options;
+
+  if (!user.validation_token) {
+    if (user.validation_token_locked_at) {
+      throwLocked();
+    }
+
+    throw new UnauthorizedError({
+      message: localize("error.generic.invalid", { field: "token" }),
+    });
+  }
+
+  if ((user.validation_token_purpose || null) !== purpose) {
+    throw new UnauthorizedError({
+      message: localize("error.generic.invalid", { field: "token" }),
+    });
+  }
+
+  if (isTokenExpired(user.validation_token_expires_at)) {
+    throw new UnauthorizedError({
+      message: localize("error.auth.token.expired"),
+    });
+  }
+
+  const expected = Buffer.from(user.validation_token.toString());
+  const received = Buffer.from(token.toString());
+
+  // timing-safe comparison
+  if (expected.length === received.length && crypto.timingSafeEqual(received, expected)) {
+    return;
+  }
+
+  const updatedUser = await userHandler.update({
+    filter: { _id: user._id, validation_token: user.validation_token },
+    data: { $inc: { validation_token_attempts: 1 } },
+  });
+
+  if (updatedUser && updatedUser.validation_token_attempts >= getMaxAttempts()) {
+    await userHandler.update({
+      filter: { _id: user._id },
+      data: {
+        $set: {
+          validation_token: null,
+          validation_token_expires_at: null,
+          validation_token_locked_at: new Date(),
+        },
+        $inc: { validation_token_lockouts: 1 },
+      },
+    });
+
+    throwLocked();
+  }
+
+  throw new UnauthorizedError({
+    message: localize("error.generic.invalid", { field: "token" }),
+  });
+}
+
+module.exports = {
+  getMaxAttempts,
+  getInviteExpiresIn,
+  createToken,
+  getClearTokenData,
+  verifyToken,
+};
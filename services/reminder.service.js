@@ -0,0 +1,127 @@
+const companyModel = require("../models/company.model");
+const creditModel = require("../models/credit.model");
+const dbHandler = require("../utils/db-handler.utils");
+const notificationService = require("./notification.service");
+const smsTemplates = require("../templates/sms.templates");
+const statusConsts = require("../constants/status.constants");
+const messageConstants = require("../constants/message.constants");
+const { addTime } = require("../utils/date.utils");
+const { getExpiringCreditsAggregation } = require("../aggregations/companies.aggregation");
+
+const companyHandler = dbHandler(companyModel);
+const creditHandler = dbHandler(creditModel);
+
+const DEFAULT_DAYS_BEFORE = 3;
+const COMPANIES_PAGE_SIZE = 100;
+
+// Companies created before reminders existed have no settings stored
+function getReminderSettings(company) {
+  return {
+    enabled: company.settings?.reminders?.enabled ?? false,
+    days_before: company.settings?.reminders?.days_before ?? DEFAULT_DAYS_BEFORE,
+  };
+}
+
+async function getExpiringCreditReminders(options) {
+  const { company, now = new Date() } = options;
+  const daysBefore = options.days_before || getReminderSettings(company).days_before;
+
+  const batches = await creditHandler.aggregate({
+    pipeline: getExpiringCreditsAggregation({
+      company_id: company._id,
+      from: now,
+      to: addTime(now, daysBefore, "days"),
+    }),
+  });
+
+  return batches.map((batch) => {
+    const params = {
+      count: batch.count,
+      companyName: company.name,
+      expiresAt: batch.expires_at,
+    };
+
+    return {
+      ...batch,
+      params,
+      content: smsTemplates.expiringCredits(params),
+    };
+  });
+}
+
+// Companies with reminders enabled, a page at a time. Pages continue after the last _id seen instead of holding a
+// cursor open, which could time out while the reminders of a page are being sent.
+async function* listReminderCompanies() {
+  let lastId = null;
+
+  while (true) {
+    const companies = await companyHandler.list({
+      filter: {
+        "settings.reminders.enabled": true,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        excluded: false,
+        ...(lastId ? { _id: { $gt: lastId } } : {}),
+      },
+      projection: { _id: 1, name: 1, settings: 1 },
+      sort: { _id: 1 },
+      limit: COMPANIES_PAGE_SIZE,
+    });
+
+    yield* companies;
+
+    if (companies.length < COMPANIES_PAGE_SIZE) {
+      return;
+    }
+
+    lastId = companies[companies.length - 1]._id;
+  }
+}
+
+async function sendExpiringCreditReminders(options = {}) {
+  const now = options.now || new Date();
+  const report = { companies: 0, sent: 0, failed: 0 };
+
+  for await (const company of listReminderCompanies()) {
+    report.companies++;
+
+    const reminders = await getExpiringCreditReminders({ company, now });
+
+    for (const reminder of reminders) {
+      // Claim the batch before sending so concurrent runs never remind it twice
+      const claim = await creditHandler.updateMany({
+        filter: { _id: { $in: reminder.credit_ids }, reminded_at: null },
+        data: { reminded_at: now },
+      });
+
+      if (claim.modifiedCount === 0) {
+        continue;
+      }
+
+      const { err } = await notificationService.notify({
+        phone: reminder.user.phone,
+        template: messageConstants.TEMPLATES.EXPIRING_CREDITS,
+        params: reminder.params,
+        user_id: reminder.user._id,
+      });
+
+      if (err) {
+        await creditHandler.updateMany({
+          filter: { _id: { $in: reminder.credit_ids }, reminded_at: now },
+          data: { reminded_at: null },
+        });
+        report.failed++;
+        continue;
+      }
+
+      report.sent++;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  getReminderSettings,
+  getExpiringCreditReminders,
+  sendExpiringCreditReminders,
+};
@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+
+const userModel = require("../models/user.model");
+const sessionModel = require("../models/session.model");
+const dbHandler = require("../utils/db-handler.utils");
+
+const { addTime } = require("../utils/date.utils");
+const { localize } = require("../utils/localization.utils");
+const { UnauthorizedError } = require("../infra/errors");
+
+const userHandler = dbHandler(userModel);
+const sessionHandler = dbHandler(sessionModel);
+
+function getRefreshTokenExpiresIn() {
+  return parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN) || 60 * 60 * 24 * 30;
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+// Only the hash is stored, so a database leak does not hand out usable refresh tokens
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash("sha256").update(refreshToken).digest("hex");
+}
+
+async function createSession(options) {
+  const { user_id, company_id = null, user_agent = null, ip = null } = options;
+  const refreshToken = generateRefreshToken();
+
+  const session = await sessionHandler.create({
+    data: {
+      user_id,
+      company_id,
+      refresh_token_hash: hashRefreshToken(refreshToken),
+      user_agent,
+      ip,
+      expires_at: addTime(new Date(), getRefreshTokenExpiresIn(), "seconds"),
+      last_used_at: new Date(),
+    },
+  });
+
+  return {
+    session,
+    refreshToken,
+  };
+}
+
+// Exchanges a refresh token for a new one. Presenting an already rotated token revokes the whole session.
+async function rotateSession(options) {
+  const { refreshToken, user_agent = null, ip = null } = options;
+  const now = new Date();
+  const tokenHash = hashRefreshToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  const session = await sessionHandler.update({
+    filter: {
+      refresh_token_hash: tokenHash,
+      revoked_at: null,
+      expires_at: { $gt: now },
+    },
+    data: {
+      refresh_token_hash: hashRefreshToken(nextRefreshToken),
+      previous_token_hash: tokenHash,
+      user_agent,
+      ip,
+      last_used_at: now,
+      expires_at: addTime(now, getRefreshTokenExpiresIn(), "seconds"),
+    },
+  });
+
+  if (!session) {
+    await sessionHandler.updateMany({
+      filter: { previous_token_hash: tokenHash, revoked_at: null },
+      data: { revoked_at: now },
+    });
+
+    throw new UnauthorizedError({
+      message: localize("error.generic.invalid", { field: "refreshToken" }),
+    });
+  }
+
+  return {
+    session,
+    refreshToken: nextRefreshToken,
+  };
+}
+
+async function revokeSession(options) {
+  if (!options.refreshToken && !options.session_id) {
+    return null;
+  }
+
+  const filter = { revoked_at: null };
+
+  if (options.refreshToken) {
+    filter.refresh_token_hash = hashRefreshToken(options.refreshToken);
+  }
+
+  if (options.session_id) {
+    filter._id = options.session_id;
+  }
+
+  if (options.user_id) {
+    filter.user_id = options.user_id;
+  }
+
+  return sessionHandler.update({
+    filter,
+    data: { revoked_at: new Date() },
+  });
+}
+
+// Later refreshes of the session issue tokens for the new company
+async function switchCompany(options) {
+  const { session_id, company_id } = options;
+
+  return sessionHandler.update({
+    filter: { _id: session_id, revoked_at: null },
+    data: { company_id },
+  });
+}
+
+// Invalidates every access token and session the user holds, on all devices
+async function revokeUserTokens(options) {
+  const { user_id } = options;
+
+  await userHandler.update({
+    filter: { _id: user_id },
+    data: { $inc: { token_version: 1 } },
+  });
+
+  await sessionHandler.updateMany({
+    filter: { user_id, revoked_at: null },
+    data: { revoked_at: new Date() },
+  });
+}
+
+module.exports = {
+  getRefreshTokenExpiresIn,
+  createSession,
+  rotateSession,
+  revokeSession,
+  switchCompany,
+  revokeUserTokens,
+};
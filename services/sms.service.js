@@ -1,10 +1,23 @@
+const fs = require("fs");
+const path = require("path");
+const retry = require("async-retry");
 const { SNSClient, PublishCommand } = require("@aws-sdk/client-sns");
 
 const { localize } = require("../utils/localization.utils");
 const { ValidationError, ServiceError } = require("../infra/errors");
 
+const DEFAULT_OUTBOX_PATH = path.join(process.cwd(), ".outbox", "sms.jsonl");
+
+// Every provider receives { phone, content } and resolves to { message_id } or throws
+const providers = {
+  AWS_SNS: sendSmsWithAWS,
+  WEBHOOK: sendSmsWithWebhook,
+  CONSOLE: sendSmsWithConsole,
+  FILE: sendSmsWithFile,
+};
+
 async function sendSms(options) {
-  const { phone, content, provider = process.env.SMS_PROVIDER } = options;
+  const { phone, content } = options;
 
   if (!phone) {
     return {
@@ -22,55 +35,183 @@ async function sendSms(options) {
     };
   }
 
-  // Select the provider
-  switch (provider) {
-    case "AWS_SNS":
-      return sendSmsWithAWS(options);
-    default:
+  // An explicit provider skips the configured failover chain
+  const chain = options.provider ? [options.provider] : getProviderChain();
+
+  if (chain.length === 0 || chain.some((provider) => !providers[provider])) {
+    return {
+      err: new ServiceError({
+        message: localize("error.generic.required", { field: "SMS Provider" }),
+      }),
+    };
+  }
+
+  let err = null;
+
+  for (const provider of chain) {
+    try {
+      const { message_id = null } = await retry(() => providers[provider]({ phone, content }), {
+        retries: parseInt(process.env.SMS_RETRIES) || 2,
+        minTimeout: 100,
+        maxTimeout: 1000,
+      });
+
       return {
-        err: new ServiceError({
-          message: localize("error.generic.required", { field: "SMS Provider" }),
-        }),
+        err: null,
+        provider,
+        message_id,
       };
+    } catch (error) {
+      err = error;
+    }
   }
+
+  return {
+    err,
+    provider: chain[chain.length - 1],
+  };
+}
+
+function getProviderChain() {
+  return [process.env.SMS_PROVIDER, process.env.SMS_FALLBACK_PROVIDER].filter(Boolean);
+}
+
+// Nothing is sent nor logged: the content carries verification codes. Use the CONSOLE or FILE provider to read them.
+function isDryMode() {
+  return process.env.SMS_DRY_MODE !== "false";
 }
 
 async function sendSmsWithAWS(options) {
   const { phone, content } = options;
-  try {
-    if (process.env.SMS_DRY_MODE === "false") {
-      const sns = await new SNSClient({
-        region: process.env.AWS_REGION,
-        credentials: {
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-        },
-      });
 
-      const params = {
-        Message: content,
-        PhoneNumber: phone,
-        MessageAttributes: {
-          "AWS.SNS.SMS.SMSType": {
-            DataType: "String",
-            StringValue: "Transactional",
-          },
-        },
-      };
+  if (isDryMode()) {
+    return { message_id: null };
+  }
+
+  const sns = new SNSClient({
+    region: process.env.AWS_REGION,
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+  });
+
+  const params = {
+    Message: content,
+    PhoneNumber: phone,
+    MessageAttributes: {
+      "AWS.SNS.SMS.SMSType": {
+        DataType: "String",
+        StringValue: "Transactional",
+      },
+    },
+  };
+
+  const result = await sns.send(new PublishCommand(params));
+
+  return {
+    message_id: result.MessageId,
+  };
+}
+
+async function sendSmsWithWebhook(options) {
+  const { phone, content } = options;
+
+  if (isDryMode()) {
+    return { message_id: null };
+  }
 
-      await sns.send(new PublishCommand(params));
+  if (!process.env.SMS_WEBHOOK_URL) {
+    throw new ServiceError({
+      message: localize("error.generic.required", { field: "SMS_WEBHOOK_URL" }),
+    });
+  }
+
+  const headers = {
+    "Content-Type": "application/json",
+  };
+
+  if (process.env.SMS_WEBHOOK_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`;
+  }
+
+  const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ phone, content }),
+    signal: AbortSignal.timeout(parseInt(process.env.SMS_WEBHOOK_TIMEOUT_MS) || 5000),
+  });
+
+  if (!response.ok) {
+    throw new ServiceError({
+      message: localize("error.services.sms.webhook", { status: response.status }),
+    });
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  return {
+    message_id: body.id || body.message_id || null,
+  };
+}
+
+async function sendSmsWithConsole(options) {
+  const { phone, content } = options;
+
+  console.log(`📱 SMS to ${phone}: ${content}`);
+
+  return {
+    message_id: null,
+  };
+}
+
+// Appends to a local JSON lines outbox so tests and local development can read the codes sent
+async function sendSmsWithFile(options) {
+  const { phone, content } = options;
+  const outboxPath = getOutboxPath();
+  const message = {
+    phone,
+    content,
+    sent_at: new Date().toISOString(),
+  };
+
+  await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+  await fs.promises.appendFile(outboxPath, `${JSON.stringify(message)}\n`);
+
+  return {
+    message_id: null,
+  };
+}
+
+function getOutboxPath() {
+  return process.env.SMS_OUTBOX_PATH || DEFAULT_OUTBOX_PATH;
+}
+
+async function readOutbox(options = {}) {
+  let data;
+
+  try {
+    data = await fs.promises.readFile(getOutboxPath(), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
     }
+    throw error;
+  }
 
-    return {
-      err: null,
-    };
-  } catch (err) {
-    return {
-      err,
-    };
+  const messages = data
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+  if (options.phone) {
+    return messages.filter((message) => message.phone === options.phone);
   }
+
+  return messages;
 }
 
 module.exports = {
   sendSms,
+  readOutbox,
 };
@@ -0,0 +1,337 @@
+const userModel = require("../models/user.model");
+const creditModel = require("../models/credit.model");
+const redemptionModel = require("../models/redemption.model");
+const membershipModel = require("../models/membership.model");
+const dbHandler = require("../utils/db-handler.utils");
+const statusConsts = require("../constants/status.constants");
+const datesConstants = require("../constants/dates.constants");
+
+const { localize } = require("../utils/localization.utils");
+const { ValidationError } = require("../infra/errors");
+const { availableCreditsFilter } = require("../utils/credit.utils");
+const { addTime, subTime, startOfPeriod, createDateBuckets, parseLocalDay } = require("../utils/date.utils");
+const {
+  getClientConsumersAggregation,
+  getCreditCountsByPeriodAggregation,
+  getStaffCountsByPeriodAggregation,
+  getStaffReviewCountsAggregation,
+  getCohortRetentionAggregation,
+  getCardRedemptionRatesAggregation,
+  getCardCompletionTimeAggregation,
+  getAtRiskConsumersAggregation,
+} = require("../aggregations/companies.aggregation");
+
+const userHandler = dbHandler(userModel);
+const creditHandler = dbHandler(creditModel);
+const redemptionHandler = dbHandler(redemptionModel);
+const membershipHandler = dbHandler(membershipModel);
+
+// Dashboard figures for a company over a period, each chart compared with the period of the same length right before it.
+// Callers are responsible for checking access to the company.
+async function getCompanyStats(options) {
+  const { company_id } = options;
+  const { period, previousPeriod } = getStatsPeriod(options);
+
+  // Recent Clients - Latest 5 clients that have received credits
+  const recentClients = await creditHandler.aggregate({
+    pipeline: getClientConsumersAggregation({
+      company_id,
+      limit: 5,
+    }),
+  });
+
+  // New Clients - Clients that received credits in the period, each counted in the bucket of their latest credit
+  const newClientsChart = await getCreditsChart({
+    company_id,
+    period,
+    previousPeriod,
+    dateField: "created_at",
+    distinctField: "user_id",
+  });
+
+  // Credits Given - Credits given to clients in the period that are still available
+  const creditsGivenChart = await getCreditsChart({
+    company_id,
+    period,
+    previousPeriod,
+    dateField: "created_at",
+    filter: availableCreditsFilter(),
+  });
+
+  // Credits Used - Credits used by clients in the period
+  const creditsUsedChart = await getCreditsChart({
+    company_id,
+    period,
+    previousPeriod,
+    dateField: "requested_at",
+    filter: { status: statusConsts.CREDITS_STATUS.USED },
+  });
+
+  return {
+    period,
+    previousPeriod,
+    recentClients: recentClients.map((client) => ({
+      _id: client._id,
+      name: client.name,
+      phone: client.phone,
+      created_at: client.created_at,
+    })),
+    newClientsChart,
+    creditsGivenChart,
+    creditsUsedChart,
+  };
+}
+
+// Days are read in the Sao Paulo timezone and `to` covers its whole day. Without them, stats cover the last
+// few days, weeks or months up to now, the current one included.
+function getStatsPeriod(options) {
+  const { granularity = datesConstants.GRANULARITIES.WEEK } = options;
+
+  if (!Object.values(datesConstants.GRANULARITIES).includes(granularity)) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field: "granularity" }),
+    });
+  }
+
+  const dates = { from: options.from, to: options.to };
+
+  for (const [field, value] of Object.entries(dates)) {
+    if (!value) continue;
+
+    dates[field] = parseLocalDay(value);
+
+    if (!dates[field]) {
+      throw new ValidationError({
+        message: localize("error.generic.invalidFormat", { field }),
+        action: localize("error.generic.invalidFormatMessage", { format: "AAAA-MM-DD", field }),
+      });
+    }
+  }
+
+  const to = dates.to ? subTime(addTime(dates.to, 1, "days"), 1, "milliseconds") : new Date();
+  const from =
+    dates.from ||
+    startOfPeriod(
+      subTime(to, datesConstants.STATS_DEFAULT_PERIODS[granularity] - 1, granularity),
+      granularity,
+    ).toDate();
+
+  if (from > to) {
+    throw new ValidationError({
+      message: localize("error.generic.invalid", { field: "from" }),
+    });
+  }
+
+  if (to - from > datesConstants.STATS_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ValidationError({
+      message: localize("companies.stats.error.rangeTooLong", { days: datesConstants.STATS_MAX_RANGE_DAYS }),
+    });
+  }
+
+  const previousTo = new Date(from.getTime() - 1);
+
+  return {
+    period: { from, to, granularity, timezone: datesConstants.TIMEZONE },
+    previousPeriod: { from: new Date(previousTo.getTime() - (to - from)), to: previousTo },
+  };
+}
+
+// Counts grouped by the database per bucket of the period, plus the total of the previous period
+async function getCreditsChart(options) {
+  const { period, previousPeriod, ...aggregationOptions } = options;
+
+  const counts = await creditHandler.aggregate({
+    pipeline: getCreditCountsByPeriodAggregation({ ...aggregationOptions, ...period }),
+  });
+
+  const previousCounts = await creditHandler.aggregate({
+    pipeline: getCreditCountsByPeriodAggregation({ ...aggregationOptions, ...period, ...previousPeriod }),
+  });
+
+  const countsByBucket = new Map(counts.map((bucket) => [bucket._id, bucket.count]));
+
+  const data = createDateBuckets(period).map((bucket) => ({
+    [period.granularity]: bucket.label,
+    count: countsByBucket.get(bucket.key) || 0,
+  }));
+
+  const total = data.reduce((sum, bucket) => sum + bucket.count, 0);
+  const previousTotal = previousCounts.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  return {
+    dataKey: period.granularity,
+    data,
+    total,
+    previousTotal,
+    // Percentage against the previous period, null when it had nothing to compare with
+    change: previousTotal ? Math.round(((total - previousTotal) / previousTotal) * 1000) / 10 : null,
+  };
+}
+
+// What each staff member did over a period, current and former staff alike, busiest first. The period is read as in
+// getCompanyStats. Callers are responsible for checking access to the company.
+async function getStaffStats(options) {
+  const { company_id } = options;
+  const { period } = getStatsPeriod(options);
+
+  const memberships = await membershipHandler.list({
+    filter: {
+      company_id,
+      status: { $in: [statusConsts.RESOURCE_STATUS.AVAILABLE, statusConsts.RESOURCE_STATUS.UNAVAILABLE] },
+      excluded: false,
+    },
+    projection: { user_id: 1, company_role: 1, status: 1 },
+  });
+
+  const staffIds = memberships.map((membership) => membership.user_id);
+
+  const users = await userHandler.list({
+    filter: { _id: { $in: staffIds } },
+    projection: { name: 1 },
+  });
+
+  const countOptions = { company_id, staff_ids: staffIds, ...period };
+
+  const creditsIssued = await creditHandler.aggregate({
+    pipeline: getStaffCountsByPeriodAggregation({ ...countOptions, staffField: "issued_by", dateField: "created_at" }),
+  });
+
+  const redemptions = await redemptionHandler.aggregate({
+    pipeline: getStaffCountsByPeriodAggregation({
+      ...countOptions,
+      staffField: "operator_id",
+      dateField: "created_at",
+      filter: { status: statusConsts.REDEMPTION_STATUS.ACTIVE },
+    }),
+  });
+
+  const reviews = await creditHandler.aggregate({
+    pipeline: getStaffReviewCountsAggregation(countOptions),
+  });
+
+  const buckets = createDateBuckets(period);
+  const namesById = new Map(users.map((user) => [user._id.toString(), user.name]));
+  const reviewsById = new Map(reviews.map((review) => [review._id.toString(), review]));
+  const creditsIssuedByBucket = toCountsByStaffBucket(creditsIssued);
+  const redemptionsByBucket = toCountsByStaffBucket(redemptions);
+
+  const staff = memberships.map((membership) => {
+    const staffId = membership.user_id.toString();
+    const review = reviewsById.get(staffId);
+
+    return {
+      _id: membership.user_id,
+      name: namesById.get(staffId) || null,
+      company_role: membership.company_role,
+      status: membership.status,
+      creditsIssuedChart: toStaffChart(creditsIssuedByBucket, staffId, buckets, period),
+      requestsApproved: review ? review.reviewed - review.rejected : 0,
+      requestsRejected: review?.rejected || 0,
+      redemptionsChart: toStaffChart(redemptionsByBucket, staffId, buckets, period),
+    };
+  });
+
+  return {
+    period,
+    staff: staff.sort((a, b) => b.creditsIssuedChart.total - a.creditsIssuedChart.total),
+  };
+}
+
+// How consumers come back, how each card performs and who stopped coming.
+// Callers are responsible for checking access to the company.
+async function getCompanyAnalytics(options) {
+  const { company_id, months = 6, inactive_days = 60, limit, skip } = options;
+  const now = new Date();
+  const timezone = datesConstants.TIMEZONE;
+
+  const monthBuckets = createDateBuckets({
+    from: months > 1 ? subTime(now, months - 1, "months") : now,
+    to: now,
+    granularity: datesConstants.GRANULARITIES.MONTH,
+  });
+
+  const cohortCounts = await creditHandler.aggregate({
+    pipeline: getCohortRetentionAggregation({ company_id, from: monthBuckets[0].start, timezone }),
+  });
+
+  const consumersByMonth = new Map(
+    cohortCounts.map((cohort) => [`${cohort._id.cohort}|${cohort._id.month}`, cohort.consumers]),
+  );
+
+  const cohorts = monthBuckets.map((cohort, index) => {
+    const size = consumersByMonth.get(`${cohort.key}|${cohort.key}`) || 0;
+
+    return {
+      month: cohort.label,
+      consumers: size,
+      retention: monthBuckets.slice(index).map((month, offset) => {
+        const consumers = consumersByMonth.get(`${cohort.key}|${month.key}`) || 0;
+
+        return {
+          month: month.label,
+          offset,
+          consumers,
+          rate: size ? Math.round((consumers / size) * 1000) / 10 : 0,
+        };
+      }),
+    };
+  });
+
+  const cards = await creditHandler.aggregate({
+    pipeline: getCardRedemptionRatesAggregation({ company_id, now }),
+  });
+
+  const completionTimes = await redemptionHandler.aggregate({
+    pipeline: getCardCompletionTimeAggregation({ company_id }),
+  });
+
+  const completionByCard = new Map(completionTimes.map((card) => [card._id.toString(), card]));
+
+  const before = subTime(now, inactive_days, "days");
+
+  const atRiskConsumers = await creditHandler.aggregate({
+    pipeline: getAtRiskConsumersAggregation({ company_id, now, before, limit, skip }),
+  });
+
+  const [atRiskCount] = await creditHandler.aggregate({
+    pipeline: getAtRiskConsumersAggregation({ company_id, now, before, count: true }),
+  });
+
+  return {
+    cohorts,
+    cards: cards.map((card) => ({
+      ...card,
+      redemptions: completionByCard.get(card._id.toString())?.redemptions || 0,
+      average_days_to_complete: completionByCard.get(card._id.toString())?.average_days_to_complete ?? null,
+    })),
+    atRisk: {
+      inactive_days,
+      before,
+      total: atRiskCount?.total || 0,
+      consumers: atRiskConsumers,
+    },
+  };
+}
+
+function toCountsByStaffBucket(counts) {
+  return new Map(counts.map((bucket) => [`${bucket._id.staff_id}|${bucket._id.period}`, bucket.count]));
+}
+
+function toStaffChart(countsByBucket, staffId, buckets, period) {
+  const data = buckets.map((bucket) => ({
+    [period.granularity]: bucket.label,
+    count: countsByBucket.get(`${staffId}|${bucket.key}`) || 0,
+  }));
+
+  return {
+    dataKey: period.granularity,
+    data,
+    total: data.reduce((sum, bucket) => sum + bucket.count, 0),
+  };
+}
+
+module.exports = {
+  getCompanyStats,
+  getStaffStats,
+  getCompanyAnalytics,
+};
@@ -0,0 +1,89 @@
+const { localize } = require("../utils/localization.utils");
+const { ValidationError, ServiceError } = require("../infra/errors");
+
+const PROVIDER = "WHATSAPP_CLOUD";
+const DEFAULT_API_URL = "https://graph.facebook.com/v20.0";
+
+async function sendWhatsApp(options) {
+  const { phone, template } = options;
+
+  if (!phone) {
+    return {
+      err: new ValidationError({
+        message: localize("error.generic.required", { field: "phone" }),
+      }),
+    };
+  }
+
+  if (!template) {
+    return {
+      err: new ValidationError({
+        message: localize("error.generic.required", { field: "template" }),
+      }),
+    };
+  }
+
+  if (process.env.WHATSAPP_DRY_MODE !== "false") {
+    console.log(`💬 WhatsApp to ${phone}: ${template.name}`);
+
+    return {
+      err: null,
+      provider: PROVIDER,
+      message_id: null,
+    };
+  }
+
+  if (!process.env.WHATSAPP_PHONE_NUMBER_ID || !process.env.WHATSAPP_ACCESS_TOKEN) {
+    return {
+      err: new ServiceError({
+        message: localize("error.generic.required", { field: "WhatsApp Provider" }),
+      }),
+    };
+  }
+
+  try {
+    const apiUrl = process.env.WHATSAPP_API_URL || DEFAULT_API_URL;
+
+    const response = await fetch(`${apiUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        messaging_product: "whatsapp",
+        to: phone,
+        type: "template",
+        template,
+      }),
+      signal: AbortSignal.timeout(parseInt(process.env.WHATSAPP_TIMEOUT_MS) || 5000),
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      return {
+        err: new ServiceError({
+          message: localize("error.services.whatsapp.message", { status: response.status }),
+          cause: body.error,
+        }),
+        provider: PROVIDER,
+      };
+    }
+
+    return {
+      err: null,
+      provider: PROVIDER,
+      message_id: body.messages?.[0]?.id || null,
+    };
+  } catch (err) {
+    return {
+      err,
+      provider: PROVIDER,
+    };
+  }
+}
+
+module.exports = {
+  sendWhatsApp,
+};
@@ -1,7 +1,28 @@
+const { formatLocalDate } = require("../utils/date.utils");
+
 function sendToken(token) {
   return `Caramelo: Seu código é: ${token}`;
 }
 
+function expiringCredits({ count, companyName, expiresAt }) {
+  const stamps = count === 1 ? "1 selo" : `${count} selos`;
+  const verb = count === 1 ? "vence" : "vencem";
+  const day = formatLocalDate({ date: expiresAt, format: "dddd, DD/MM" });
+
+  return `Caramelo: Você tem ${stamps} em ${companyName} que ${verb} ${day}. Aproveite!`;
+}
+
+function phoneChanged({ phone }) {
+  return `Caramelo: O número da sua conta foi alterado para o telefone final ${phone.slice(-4)}. Se não foi você, fale com o suporte.`;
+}
+
+function companyInvite({ companyName, token }) {
+  return `Caramelo: Você foi convidado para a equipe de ${companyName}. Use o código ${token} para criar sua senha no app.`;
+}
+
 module.exports = {
   sendToken,
+  expiringCredits,
+  phoneChanged,
+  companyInvite,
 };
@@ -0,0 +1,25 @@
+// WhatsApp only delivers pre-approved templates, so these build the Cloud API template object instead of text
+function sendToken(token) {
+  return {
+    name: process.env.WHATSAPP_TOKEN_TEMPLATE || "caramelo_token",
+    language: {
+      code: "pt_BR",
+    },
+    components: [
+      {
+        type: "body",
+        parameters: [{ type: "text", text: token }],
+      },
+      {
+        type: "button",
+        sub_type: "url",
+        index: "0",
+        parameters: [{ type: "text", text: token }],
+      },
+    ],
+  };
+}
+
+module.exports = {
+  sendToken,
+};
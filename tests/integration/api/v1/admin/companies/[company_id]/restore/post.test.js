@@ -0,0 +1,113 @@
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role, options = {}) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      ...options,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createCompany(options = {}) {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [options]);
+
+  return company.documentsCreatedOnMongo[0];
+}
+
+function restore(token, company_id) {
+  return fetch(`${baseUrl}/admin/companies/${company_id}/restore`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+describe("POST /api/v1/admin/companies/[company_id]/restore", () => {
+  describe("Authenticated user", () => {
+    describe("User has an admin role", () => {
+      test("Should return 409 status when the company is not excluded", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+        const company = await createCompany();
+
+        const response = await restore(token, company._id);
+
+        const body = await response.json();
+
+        expect(response.status).toBe(409);
+        expect(body.message).toBe(localize("admin.companies.restore.conflict"));
+      });
+
+      test("Should return 200 status undoing the soft delete and keeping the status", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+        const company = await createCompany({ status: statusConsts.RESOURCE_STATUS.UNAVAILABLE, excluded: true });
+
+        const response = await restore(token, company._id);
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe(localize("admin.companies.restore.success"));
+
+        const companyUpdated = await companyHandler.read({ filter: { _id: company._id } });
+
+        expect(companyUpdated.excluded).toBe(false);
+        expect(companyUpdated.status).toBe(statusConsts.RESOURCE_STATUS.UNAVAILABLE);
+
+        const event = await auditEventHandler.read({ filter: { target_id: company._id } });
+
+        expect(event.action).toBe(auditConstants.ACTIONS.ADMIN_COMPANY_RESTORE);
+        expect(event.changes).toEqual({ before: { excluded: true }, after: { excluded: false } });
+      });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role, options = {}) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      ...options,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createCompany(options = {}) {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [options]);
+
+  return company.documentsCreatedOnMongo[0];
+}
+
+function getStats(token, company_id, query = "") {
+  return fetch(`${baseUrl}/admin/companies/${company_id}/stats${query}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+describe("GET /api/v1/admin/companies/[company_id]/stats", () => {
+  describe("Authenticated user", () => {
+    describe("User has an admin role", () => {
+      test("Should return 404 status when the company does not exist", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const response = await getStats(token, new mongoose.Types.ObjectId());
+
+        expect(response.status).toBe(404);
+      });
+
+      test("Should return 200 status with the company stats even when it is suspended", async () => {
+        const { user, token } = await login(roleConstants.USER_ROLES.ADMIN);
+        const company = await createCompany({ status: statusConsts.RESOURCE_STATUS.UNAVAILABLE });
+
+        const response = await getStats(token, company._id);
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.recentClients).toEqual([]);
+        expect(body.creditsGivenChart.dataKey).toBe("week");
+        expect(body.creditsGivenChart.total).toBe(0);
+
+        const event = await auditEventHandler.read({ filter: { target_id: company._id } });
+
+        expect(event.actor_id.toString()).toBe(user._id.toString());
+        expect(event.action).toBe(auditConstants.ACTIONS.ADMIN_COMPANY_STATS_VIEW);
+        expect(event.company_id.toString()).toBe(company._id.toString());
+      });
+
+      test("Should return 200 status with the stats of the chosen period and granularity", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+        const company = await createCompany({ status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+
+        const response = await getStats(token, company._id, "?from=2026-01-01&to=2026-03-31&granularity=month");
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.period.granularity).toBe("month");
+        expect(body.creditsGivenChart.dataKey).toBe("month");
+        expect(body.creditsGivenChart.data.map((bucket) => bucket.month)).toEqual(["01/2026", "02/2026", "03/2026"]);
+      });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role, options = {}) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      ...options,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createCompany(options = {}) {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [options]);
+
+  return company.documentsCreatedOnMongo[0];
+}
+
+const endpoint = `${baseUrl}/admin/companies`;
+
+describe("GET /api/v1/admin/companies", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("Authenticated user", () => {
+    describe("User has a incorrect role", () => {
+      test("Should return 403 status when the user is a consumer", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.CONSUMER);
+
+        const response = await fetch(endpoint, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(403);
+        expect(body.name).toBe("ForbiddenError");
+      });
+    });
+
+    describe("User has an admin role", () => {
+      test("Should return 400 status when the excluded filter is not a boolean", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const response = await fetch(`${endpoint}?excluded=maybe`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "excluded" }));
+      });
+
+      test("Should return 200 status searching companies of any status and recording the search", async () => {
+        const { user, token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        await createCompany({ name: "Padaria Central", status: statusConsts.RESOURCE_STATUS.PENDING });
+        await createCompany({ name: "Padaria do Bairro", excluded: true });
+        await createCompany({ name: "Barbearia Estilo", status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+
+        const response = await fetch(`${endpoint}?search=padaria`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.map((company) => company.name).sort()).toEqual(["Padaria Central", "Padaria do Bairro"]);
+
+        const excludedResponse = await fetch(`${endpoint}?search=padaria&excluded=true`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const excludedBody = await excludedResponse.json();
+
+        expect(excludedBody).toHaveLength(1);
+        expect(excludedBody[0].name).toBe("Padaria do Bairro");
+
+        const events = await auditEventHandler.list({
+          filter: { actor_id: user._id, action: auditConstants.ACTIONS.ADMIN_COMPANIES_LIST },
+        });
+
+        expect(events).toHaveLength(2);
+        expect(events[0].metadata.search).toBe("padaria");
+      });
+    });
+  });
+});
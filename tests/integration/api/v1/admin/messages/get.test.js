@@ -0,0 +1,147 @@
+const userModel = require("models/user.model");
+const messageModel = require("models/message.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const messageConstants = require("constants/message.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const messageHandler = dbHandler(messageModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/admin/messages`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+describe("GET /api/v1/admin/messages", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    describe("User has a incorrect role", () => {
+      test("Should return 403 status when the user is a consumer", async () => {
+        const token = await login(roleConstants.USER_ROLES.CONSUMER);
+
+        const response = await fetch(endpoint, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(403);
+        expect(body.name).toBe("ForbiddenError");
+      });
+    });
+
+    describe("User has an admin role", () => {
+      test("Should return 400 status when the status filter is invalid", async () => {
+        const token = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const response = await fetch(`${endpoint}?status=lost`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "status" }));
+      });
+
+      test("Should return 200 status with the messages sent to a phone, newest first", async () => {
+        const token = await login(roleConstants.USER_ROLES.ADMIN);
+        const phone = "5511999990000";
+
+        await orchestrator.createDocumentOnMongo(3, messageHandler, [
+          {
+            recipient: phone,
+            status: statusConsts.MESSAGE_STATUS.FAILED,
+            error: "Provider unavailable",
+            created_at: new Date(Date.now() - 1000 * 60),
+          },
+          {
+            recipient: phone,
+            template: messageConstants.TEMPLATES.SEND_TOKEN,
+          },
+          {},
+        ]);
+
+        const response = await fetch(`${endpoint}?phone=${phone}`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body).toHaveLength(2);
+        expect(body[0].status).toBe(statusConsts.MESSAGE_STATUS.SENT);
+        expect(body[1].status).toBe(statusConsts.MESSAGE_STATUS.FAILED);
+        expect(body[1].error).toBe("Provider unavailable");
+
+        const failedResponse = await fetch(`${endpoint}?phone=${phone}&status=failed`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const failedBody = await failedResponse.json();
+
+        expect(failedResponse.status).toBe(200);
+        expect(failedBody).toHaveLength(1);
+      });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const segmentModel = require("models/segment.model");
+const auditEventModel = require("models/auditevent.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const segmentHandler = dbHandler(segmentModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role = roleConstants.USER_ROLES.ADMIN) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createSegment(options = {}) {
+  const segment = await orchestrator.createDocumentOnMongo(1, segmentHandler, [options]);
+
+  return segment.documentsCreatedOnMongo[0];
+}
+
+async function createCompanyOnSegment(segment) {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      segment: {
+        _id: segment._id,
+        name: segment.name,
+        icon: segment.icon,
+        description: segment.description,
+        status: segment.status,
+        excluded: segment.excluded,
+      },
+    },
+  ]);
+
+  return company.documentsCreatedOnMongo[0];
+}
+
+function archive(token, segment_id) {
+  return fetch(`${baseUrl}/admin/segments/${segment_id}/archive`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+describe("POST /api/v1/admin/segments/[segment_id]/archive", () => {
+  describe("Authenticated user", () => {
+    describe("User has an admin role", () => {
+      test("Should return 400 status when the segment id is invalid", async () => {
+        const { token } = await login();
+
+        const response = await archive(token, "invalid-id");
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "segment_id" }));
+      });
+
+      test("Should return 409 status when the segment is already archived", async () => {
+        const { token } = await login();
+        const segment = await createSegment({ excluded: true });
+
+        const response = await archive(token, segment._id);
+
+        const body = await response.json();
+
+        expect(response.status).toBe(409);
+        expect(body.message).toBe(localize("admin.segments.archive.conflict"));
+      });
+
+      test("Should return 200 status hiding the segment from the public list and keeping the companies", async () => {
+        const { token } = await login();
+        const segment = await createSegment({ status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+        const company = await createCompanyOnSegment(segment);
+
+        const response = await archive(token, segment._id);
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe(localize("admin.segments.archive.success"));
+
+        const segmentsResponse = await fetch(`${baseUrl}/segments`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const segmentsBody = await segmentsResponse.json();
+
+        expect(segmentsBody).toEqual([]);
+
+        const companyUpdated = await companyHandler.read({ filter: { _id: company._id } });
+
+        expect(companyUpdated.segment._id.toString()).toBe(segment._id.toString());
+        expect(companyUpdated.segment.excluded).toBe(true);
+
+        const event = await auditEventHandler.read({ filter: { target_id: segment._id } });
+
+        expect(event.action).toBe(auditConstants.ACTIONS.ADMIN_SEGMENT_ARCHIVE);
+      });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const segmentModel = require("models/segment.model");
+const auditEventModel = require("models/auditevent.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const segmentHandler = dbHandler(segmentModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role = roleConstants.USER_ROLES.ADMIN) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createSegment(options = {}) {
+  const segment = await orchestrator.createDocumentOnMongo(1, segmentHandler, [options]);
+
+  return segment.documentsCreatedOnMongo[0];
+}
+
+async function createCompanyOnSegment(segment) {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      segment: {
+        _id: segment._id,
+        name: segment.name,
+        icon: segment.icon,
+        description: segment.description,
+        status: segment.status,
+        excluded: segment.excluded,
+      },
+    },
+  ]);
+
+  return company.documentsCreatedOnMongo[0];
+}
+
+function update(token, segment_id, body) {
+  return fetch(`${baseUrl}/admin/segments/${segment_id}`, {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("PATCH /api/v1/admin/segments/[segment_id]", () => {
+  describe("Authenticated user", () => {
+    describe("User has an admin role", () => {
+      test("Should return 404 status when the segment does not exist", async () => {
+        const { token } = await login();
+
+        const response = await update(token, new mongoose.Types.ObjectId(), { name: "Padaria" });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(404);
+        expect(body.message).toBe(localize("error.generic.notFound", { resource: localize("resources.segment") }));
+      });
+
+      test("Should return 400 status when there is nothing to update", async () => {
+        const { token } = await login();
+        const segment = await createSegment();
+
+        const response = await update(token, segment._id, { color: "blue" });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("error.ValidationError.message"));
+      });
+
+      test("Should return 400 status when the status is invalid", async () => {
+        const { token } = await login();
+        const segment = await createSegment();
+
+        const response = await update(token, segment._id, { status: "closed" });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "status" }));
+      });
+
+      test("Should return 409 status when renaming to a name already in use", async () => {
+        const { token } = await login();
+        const segment = await createSegment({ name: "Padaria" });
+
+        await createSegment({ name: "Barbearia" });
+
+        const response = await update(token, segment._id, { name: "BARBEARIA" });
+
+        expect(response.status).toBe(409);
+      });
+
+      test("Should return 200 status and copy the rename into the companies of the segment", async () => {
+        const { token } = await login();
+        const segment = await createSegment({ name: "Padaria", status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+        const otherSegment = await createSegment({ name: "Barbearia", status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+        const company = await createCompanyOnSegment(segment);
+        const otherCompany = await createCompanyOnSegment(otherSegment);
+
+        const response = await update(token, segment._id, { name: "Padaria e Confeitaria", sort_order: 2 });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.name).toBe("Padaria e Confeitaria");
+        expect(body.sort_order).toBe(2);
+
+        const companyUpdated = await companyHandler.read({ filter: { _id: company._id } });
+        const otherCompanyUpdated = await companyHandler.read({ filter: { _id: otherCompany._id } });
+
+        expect(companyUpdated.segment._id.toString()).toBe(segment._id.toString());
+        expect(companyUpdated.segment.name).toBe("Padaria e Confeitaria");
+        expect(otherCompanyUpdated.segment.name).toBe("Barbearia");
+
+        const event = await auditEventHandler.read({ filter: { target_id: segment._id } });
+
+        expect(event.action).toBe(auditConstants.ACTIONS.ADMIN_SEGMENT_UPDATE);
+        expect(event.changes).toEqual({
+          before: { name: "Padaria", sort_order: 0 },
+          after: { name: "Padaria e Confeitaria", sort_order: 2 },
+        });
+      });
+    });
+  });
+});
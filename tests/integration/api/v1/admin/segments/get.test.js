@@ -0,0 +1,113 @@
+const userModel = require("models/user.model");
+const segmentModel = require("models/segment.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const segmentHandler = dbHandler(segmentModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role = roleConstants.USER_ROLES.ADMIN) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createSegment(options = {}) {
+  const segment = await orchestrator.createDocumentOnMongo(1, segmentHandler, [options]);
+
+  return segment.documentsCreatedOnMongo[0];
+}
+
+const endpoint = `${baseUrl}/admin/segments`;
+
+describe("GET /api/v1/admin/segments", () => {
+  describe("Authenticated user", () => {
+    describe("User has a incorrect role", () => {
+      test("Should return 403 status when the user is a consumer", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.CONSUMER);
+
+        const response = await fetch(endpoint, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        expect(response.status).toBe(403);
+      });
+    });
+
+    describe("User has an admin role", () => {
+      test("Should return 200 status with archived and unavailable segments sorted by sort order", async () => {
+        const { token } = await login();
+
+        await createSegment({ name: "Padaria", sort_order: 2, status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+        await createSegment({ name: "Barbearia", sort_order: 1, status: statusConsts.RESOURCE_STATUS.UNAVAILABLE });
+        await createSegment({ name: "Açougue", sort_order: 3, excluded: true });
+
+        const response = await fetch(endpoint, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.map((segment) => segment.name)).toEqual(["Barbearia", "Padaria", "Açougue"]);
+        expect(body[0]).toHaveProperty("status");
+        expect(body[0]).toHaveProperty("excluded");
+
+        const archivedResponse = await fetch(`${endpoint}?excluded=true`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const archivedBody = await archivedResponse.json();
+
+        expect(archivedBody).toHaveLength(1);
+        expect(archivedBody[0].name).toBe("Açougue");
+      });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const userModel = require("models/user.model");
+const segmentModel = require("models/segment.model");
+const auditEventModel = require("models/auditevent.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const segmentHandler = dbHandler(segmentModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role = roleConstants.USER_ROLES.ADMIN) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createSegment(options = {}) {
+  const segment = await orchestrator.createDocumentOnMongo(1, segmentHandler, [options]);
+
+  return segment.documentsCreatedOnMongo[0];
+}
+
+function create(token, body) {
+  return fetch(`${baseUrl}/admin/segments`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("POST /api/v1/admin/segments", () => {
+  describe("Authenticated user", () => {
+    describe("User has a incorrect role", () => {
+      test("Should return 403 status when the user is a consumer", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.CONSUMER);
+
+        const response = await create(token, { name: "Padaria", icon: "icon", description: "Pães" });
+
+        expect(response.status).toBe(403);
+      });
+    });
+
+    describe("User has an admin role", () => {
+      test("Should return 400 status when the name is blank", async () => {
+        const { token } = await login();
+
+        const response = await create(token, { name: "   ", icon: "icon", description: "Pães" });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("error.generic.required", { field: "name" }));
+      });
+
+      test("Should return 400 status when the sort order is not a positive integer", async () => {
+        const { token } = await login();
+
+        const response = await create(token, { name: "Padaria", icon: "icon", description: "Pães", sort_order: -1 });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "sort_order" }));
+      });
+
+      test("Should return 409 status when another segment already uses the name", async () => {
+        const { token } = await login();
+
+        await createSegment({ name: "Padaria" });
+
+        const response = await create(token, { name: "padaria", icon: "icon", description: "Pães" });
+
+        expect(response.status).toBe(409);
+      });
+
+      test("Should return 200 status creating an available segment and recording it", async () => {
+        const { user, token } = await login();
+
+        const response = await create(token, {
+          name: " Padaria ",
+          icon: "https://via.placeholder.com/150",
+          description: "Pães e doces",
+          sort_order: 4,
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.name).toBe("Padaria");
+        expect(body.status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
+        expect(body.sort_order).toBe(4);
+        expect(body.excluded).toBe(false);
+
+        const event = await auditEventHandler.read({ filter: { target_id: new mongoose.Types.ObjectId(body._id) } });
+
+        expect(event.actor_id.toString()).toBe(user._id.toString());
+        expect(event.action).toBe(auditConstants.ACTIONS.ADMIN_SEGMENT_CREATE);
+        expect(event.changes.after.name).toBe("Padaria");
+      });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role, options = {}) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      ...options,
+    },
+  ]);
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    credentials: user.documentsCreated[0],
+    token: await getToken(user.documentsCreated[0]),
+  };
+}
+
+async function getToken(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+function restore(token, user_id) {
+  return fetch(`${baseUrl}/admin/users/${user_id}/restore`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+describe("POST /api/v1/admin/users/[user_id]/restore", () => {
+  describe("Authenticated user", () => {
+    describe("User has an admin role", () => {
+      test("Should return 404 status when the user does not exist", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const response = await restore(token, new mongoose.Types.ObjectId());
+
+        const body = await response.json();
+
+        expect(response.status).toBe(404);
+        expect(body.message).toBe(localize("error.generic.notFound", { resource: localize("resources.user") }));
+      });
+
+      test("Should return 409 status when the phone was registered again by someone else", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const cancelled = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            excluded: true,
+            status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
+          },
+        ]);
+
+        await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            phone: cancelled.documentsCreatedOnMongo[0].phone,
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const response = await restore(token, cancelled.documentsCreatedOnMongo[0]._id);
+
+        expect(response.status).toBe(409);
+      });
+
+      test("Should return 200 status and let the user log in again", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const cancelled = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            excluded: true,
+            status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
+          },
+        ]);
+
+        const response = await restore(token, cancelled.documentsCreatedOnMongo[0]._id);
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe(localize("admin.users.restore.success"));
+
+        const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            phone: cancelled.documentsCreated[0].phone,
+            password: cancelled.documentsCreated[0].password,
+          }),
+        });
+
+        expect(loginResponse.status).toBe(200);
+
+        const event = await auditEventHandler.read({ filter: { target_id: cancelled.documentsCreatedOnMongo[0]._id } });
+
+        expect(event.action).toBe(auditConstants.ACTIONS.ADMIN_USER_RESTORE);
+        expect(event.changes.after).toEqual({ excluded: false, status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+      });
+
+      test("Should return 200 status and give a client user back the company access they had", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+        ]);
+        const client = await login(roleConstants.USER_ROLES.CLIENT, {
+          company_id: company.documentsCreatedOnMongo[0]._id,
+        });
+
+        const cancelResponse = await fetch(`${baseUrl}/users/profile`, {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${client.token}`,
+          },
+        });
+
+        expect(cancelResponse.status).toBe(200);
+
+        const response = await restore(token, client.user._id);
+
+        expect(response.status).toBe(200);
+
+        const profileResponse = await fetch(`${baseUrl}/companies/profile`, {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${await getToken(client.credentials)}`,
+          },
+        });
+
+        expect(profileResponse.status).toBe(200);
+      });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function login(role, options = {}) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      role,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      ...options,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+async function createCompany(options = {}) {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [options]);
+
+  return company.documentsCreatedOnMongo[0];
+}
+
+const endpoint = `${baseUrl}/admin/users`;
+
+describe("GET /api/v1/admin/users", () => {
+  describe("Authenticated user", () => {
+    describe("User has a incorrect role", () => {
+      test("Should return 403 status when the user is a client", async () => {
+        const company = await createCompany({ status: statusConsts.RESOURCE_STATUS.AVAILABLE });
+        const { token } = await login(roleConstants.USER_ROLES.CLIENT, { company_id: company._id });
+
+        const response = await fetch(endpoint, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        expect(response.status).toBe(403);
+      });
+    });
+
+    describe("User has an admin role", () => {
+      test("Should return 400 status when the role is invalid", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const response = await fetch(`${endpoint}?role=owner`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "role" }));
+      });
+
+      test("Should return 200 status searching users without exposing secrets", async () => {
+        const { token } = await login(roleConstants.USER_ROLES.ADMIN);
+
+        const consumer = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            name: "Joana Prado",
+            excluded: true,
+            validation_token: "12345",
+          },
+        ]);
+
+        const response = await fetch(`${endpoint}?search=joana&role=consumer`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body).toHaveLength(1);
+        expect(body[0]._id).toBe(consumer.documentsCreatedOnMongo[0]._id.toString());
+        expect(body[0].excluded).toBe(true);
+        expect(body[0].password).toBeUndefined();
+        expect(body[0].validation_token).toBeUndefined();
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const membershipModel = require("models/membership.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const membershipHandler = dbHandler(membershipModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/companies`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  return loginResponse.json();
+}
+
+describe("GET /api/v1/auth/companies", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "GET",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 403 status when the user is a consumer", async () => {
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          role: roleConstants.USER_ROLES.CONSUMER,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+
+      const loginBody = await login(user.documentsCreated[0]);
+
+      const response = await fetch(endpoint, {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.name).toBe("ForbiddenError");
+      expect(body.message).toBe(localize("error.ForbiddenError.message"));
+    });
+
+    test("Should return 200 status with every available company the user works for", async () => {
+      const companies = await orchestrator.createDocumentOnMongo(3, companyHandler, [
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+        { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE },
+      ]);
+      const [currentCompany, otherCompany, suspendedCompany] = companies.documentsCreatedOnMongo;
+
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          company_id: currentCompany._id,
+          role: roleConstants.USER_ROLES.CLIENT,
+        },
+      ]);
+      const createdUser = user.documentsCreatedOnMongo[0];
+
+      await orchestrator.createDocumentOnMongo(2, membershipHandler, [
+        {
+          user_id: createdUser._id,
+          company_id: otherCompany._id,
+          company_role: roleConstants.COMPANY_ROLES.CASHIER,
+        },
+        {
+          user_id: createdUser._id,
+          company_id: suspendedCompany._id,
+        },
+      ]);
+
+      const loginBody = await login(user.documentsCreated[0]);
+
+      const response = await fetch(endpoint, {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toHaveLength(2);
+
+      const current = body.find((company) => company._id === currentCompany._id.toString());
+      const other = body.find((company) => company._id === otherCompany._id.toString());
+
+      expect(current.current).toBe(true);
+      expect(current.company_role).toBe(roleConstants.COMPANY_ROLES.OWNER);
+      expect(current.name).toBe(currentCompany.name);
+      expect(other.current).toBe(false);
+      expect(other.company_role).toBe(roleConstants.COMPANY_ROLES.CASHIER);
+    });
+
+    test("Should return 200 status without the companies the user was removed from", async () => {
+      const companies = await orchestrator.createDocumentOnMongo(2, companyHandler, [
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+      ]);
+      const [currentCompany, formerCompany] = companies.documentsCreatedOnMongo;
+
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          company_id: currentCompany._id,
+          role: roleConstants.USER_ROLES.CLIENT,
+        },
+      ]);
+
+      await orchestrator.createDocumentOnMongo(1, membershipHandler, [
+        {
+          user_id: user.documentsCreatedOnMongo[0]._id,
+          company_id: formerCompany._id,
+          status: statusConsts.RESOURCE_STATUS.UNAVAILABLE,
+        },
+      ]);
+
+      const loginBody = await login(user.documentsCreated[0]);
+
+      const response = await fetch(endpoint, {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toHaveLength(1);
+      expect(body[0]._id).toBe(currentCompany._id.toString());
+    });
+  });
+});
@@ -1,7 +1,10 @@
 const userModel = require("models/user.model");
+const messageModel = require("models/message.model");
 const dbHandler = require("utils/db-handler.utils");
 const orchestrator = require("tests/orchestrator.js");
 const datesConstants = require("constants/dates.constants");
+const statusConsts = require("constants/status.constants");
+const messageConstants = require("constants/message.constants");
 
 const { localize } = require("utils/localization.utils");
 const { connectDatabase, disconnectDatabase } = require("infra/database");
@@ -10,6 +13,7 @@ const { addTime } = require("utils/date.utils");
 const { generatePhoneNumber } = require("utils/data.utils");
 
 const userHandler = dbHandler(userModel);
+const messageHandler = dbHandler(messageModel);
 
 const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/forgot-password`;
 
@@ -55,6 +59,17 @@ describe("POST /api/v1/auth/forgot-password", () => {
       await expect(userFromDb.validation_token_expires_at).toBeDefined();
       await expect(userFromDb.validation_token_expires_at).toBeInstanceOf(Date);
       await expect(userFromDb.validation_token_expires_at < validationExpirationDate).toBe(true);
+
+      const messages = await messageHandler.list({
+        filter: { recipient: user.documentsCreatedOnMongo[0].phone },
+      });
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].user_id.toString()).toBe(user.documentsCreatedOnMongo[0]._id.toString());
+      expect(messages[0].template).toBe(messageConstants.TEMPLATES.SEND_TOKEN);
+      expect(messages[0].status).toBe(statusConsts.MESSAGE_STATUS.SENT);
+      expect(messages[0].provider).toBe(process.env.SMS_PROVIDER);
+      expect(messages[0].sent_at).toBeInstanceOf(Date);
     });
 
     test("Should return 401 status when the user is not found", async () => {
@@ -0,0 +1,275 @@
+const jwt = require("jsonwebtoken");
+
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const membershipModel = require("models/membership.model");
+const dbHandler = require("utils/db-handler.utils");
+const otpService = require("services/otp.service");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const otpConstants = require("constants/otp.constants");
+const datesConstants = require("constants/dates.constants");
+
+const { addTime, subTime } = require("utils/date.utils");
+const { localize } = require("utils/localization.utils");
+const { generatePhoneNumber } = require("utils/data.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const membershipHandler = dbHandler(membershipModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/invite/accept`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+function acceptInvite(body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+async function createCompany() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  return company.documentsCreatedOnMongo[0];
+}
+
+async function invite(user, company, invited_at = new Date()) {
+  return membershipHandler.create({
+    data: {
+      user_id: user._id,
+      company_id: company._id,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+      status: statusConsts.RESOURCE_STATUS.PENDING,
+      invited_at,
+    },
+  });
+}
+
+const invitationTokenData = {
+  validation_token: "12345",
+  validation_token_expires_at: addTime(new Date(), 72, datesConstants.UNITS.HOUR),
+  validation_token_purpose: otpConstants.PURPOSES.INVITE,
+};
+
+async function createInvitedUser(data = {}) {
+  const company = await createCompany();
+
+  const user = await userHandler.create({
+    data: {
+      name: "Caixa Convidado",
+      phone: generatePhoneNumber(),
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_id: company._id,
+      status: statusConsts.RESOURCE_STATUS.PENDING,
+      ...invitationTokenData,
+      ...data,
+    },
+  });
+
+  await invite(user, company);
+
+  return user;
+}
+
+describe("POST /api/v1/auth/invite/accept", () => {
+  describe("Anonymous user", () => {
+    test("Should return 400 status when the password is missing", async () => {
+      const user = await createInvitedUser();
+
+      const response = await acceptInvite({ phone: user.phone, token: "12345" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.required", { field: "password" }));
+    });
+
+    test("Should return 401 status when there is no invitation for the phone", async () => {
+      const response = await acceptInvite({ phone: generatePhoneNumber(), token: "12345", password: "caramelo" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: localize("resources.invitation") }));
+    });
+
+    test("Should return 401 status when the token is wrong", async () => {
+      const user = await createInvitedUser();
+
+      const response = await acceptInvite({ phone: user.phone, token: "54321", password: "caramelo" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "token" }));
+    });
+
+    test("Should return 401 status when the invitation expired", async () => {
+      const user = await createInvitedUser({
+        validation_token_expires_at: subTime(new Date(), 1, datesConstants.UNITS.MINUTE),
+      });
+
+      const response = await acceptInvite({ phone: user.phone, token: "12345", password: "caramelo" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.auth.token.expired"));
+    });
+
+    test("Should return 401 status when the code was issued for another flow", async () => {
+      const user = await createInvitedUser({ validation_token_purpose: null });
+
+      const response = await acceptInvite({ phone: user.phone, token: "12345", password: "caramelo" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "token" }));
+    });
+
+    test("Should return 401 status and lock the code once the attempt limit is reached", async () => {
+      const user = await createInvitedUser({
+        validation_token_attempts: otpService.getMaxAttempts() - 1,
+      });
+
+      const response = await acceptInvite({ phone: user.phone, token: "54321", password: "caramelo" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.auth.token.locked"));
+    });
+
+    test("Should return 200 status, activate the user and log them in", async () => {
+      const user = await createInvitedUser();
+
+      const response = await acceptInvite({ phone: user.phone, token: "12345", password: "caramelo" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.tokenType).toBe("Bearer");
+      expect(body.refreshToken).toBeDefined();
+      expect(body.user.role).toBe(roleConstants.USER_ROLES.CLIENT);
+      expect(body.user.company_id).toBe(user.company_id.toString());
+
+      const decoded = jwt.verify(body.accessToken, process.env.JWT_SECRET);
+
+      expect(decoded._id).toBe(user._id.toString());
+      expect(decoded.company_id).toBe(user.company_id.toString());
+
+      const activatedUser = await userHandler.read({ filter: { _id: user._id } });
+
+      expect(activatedUser.status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
+      expect(activatedUser.validation_token).toBeNull();
+
+      const membership = await membershipHandler.read({ filter: { user_id: user._id } });
+
+      expect(membership.status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
+      expect(body.user.company_role).toBe(roleConstants.COMPANY_ROLES.CASHIER);
+
+      // The chosen password works for a regular login
+      const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: user.phone, password: "caramelo" }),
+      });
+
+      expect(loginResponse.status).toBe(200);
+
+      // The code is single use
+      const reuseResponse = await acceptInvite({ phone: user.phone, token: "12345", password: "caramelo" });
+
+      expect(reuseResponse.status).toBe(401);
+    });
+
+    test("Should return 200 status and join the new company keeping the password of a user from another company", async () => {
+      const currentCompany = await createCompany();
+      const users = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          password: "caramelo",
+          role: roleConstants.USER_ROLES.CLIENT,
+          company_id: currentCompany._id,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          ...invitationTokenData,
+        },
+      ]);
+      const user = users.documentsCreatedOnMongo[0];
+
+      const newCompany = await createCompany();
+      await invite(user, newCompany);
+
+      const response = await acceptInvite({ phone: user.phone, token: "12345" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.user.company_id).toBe(newCompany._id.toString());
+      expect(body.user.company_role).toBe(roleConstants.COMPANY_ROLES.CASHIER);
+
+      const memberships = await membershipHandler.list({ filter: { user_id: user._id } });
+
+      expect(memberships).toHaveLength(2);
+      expect(memberships.every((membership) => membership.status === statusConsts.RESOURCE_STATUS.AVAILABLE)).toBe(
+        true,
+      );
+
+      const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: user.phone, password: "caramelo" }),
+      });
+
+      expect(loginResponse.status).toBe(200);
+    });
+
+    test("Should return 200 status and join only the company of the latest invitation", async () => {
+      const user = await createInvitedUser();
+
+      const olderCompany = await createCompany();
+      await invite(user, olderCompany, subTime(new Date(), 24, datesConstants.UNITS.HOUR));
+
+      const response = await acceptInvite({ phone: user.phone, token: "12345", password: "caramelo" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.user.company_id).toBe(user.company_id.toString());
+
+      const latestInvitation = await membershipHandler.read({
+        filter: { user_id: user._id, company_id: user.company_id },
+      });
+      const olderInvitation = await membershipHandler.read({
+        filter: { user_id: user._id, company_id: olderCompany._id },
+      });
+
+      expect(latestInvitation.status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
+      expect(olderInvitation.status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+    });
+  });
+});
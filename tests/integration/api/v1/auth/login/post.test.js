@@ -2,10 +2,13 @@ const jwt = require("jsonwebtoken");
 
 const userModel = require("models/user.model");
 const companyModel = require("models/company.model");
+const membershipModel = require("models/membership.model");
 const dbHandler = require("utils/db-handler.utils");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
 const roleConstants = require("constants/roles.constants");
+const createDummyUser = require("tests/mock/user.mock");
+const membershipService = require("services/membership.service");
 
 const { localize } = require("utils/localization.utils");
 const { connectDatabase, disconnectDatabase } = require("infra/database");
@@ -14,6 +17,7 @@ const { generatePhoneNumber } = require("utils/data.utils");
 // Handlers
 const userHandler = dbHandler(userModel);
 const companyHandler = dbHandler(companyModel);
+const membershipHandler = dbHandler(membershipModel);
 
 const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`;
 
@@ -57,6 +61,9 @@ describe("POST /api/v1/auth/login", () => {
       await expect(body.tokenType).toBe("Bearer");
       await expect(body.accessToken).toBeDefined();
       await expect(body.expiresIn).toBe(parseInt(process.env.LOGIN_EXPIRES_IN));
+      await expect(body.refreshToken).toBeDefined();
+      await expect(body.refreshExpiresIn).toBeGreaterThan(0);
+      await expect(decoded.session_id).toBeDefined();
       await expect(body.user.name).toBe(user.documentsCreatedOnMongo[0].name);
       await expect(body.user.role).toBe(user.documentsCreatedOnMongo[0].role);
       await expect(body.user.phone).toBe(user.documentsCreatedOnMongo[0].phone);
@@ -119,6 +126,47 @@ describe("POST /api/v1/auth/login", () => {
       await expect(body.company.document).toBe(company.documentsCreatedOnMongo[0].document);
     });
 
+    test("Should return 200 status for a client user from before memberships once they are backfilled", async () => {
+      const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+      const company_id = company.documentsCreatedOnMongo[0]._id;
+
+      // Created straight on the database, so the user only has company_id, as before memberships
+      const user = await createDummyUser({
+        role: roleConstants.USER_ROLES.CLIENT,
+        company_id,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      });
+      const createdUser = await userHandler.create({ data: user });
+
+      await membershipService.backfillMemberships();
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          phone: user.phone,
+          password: user.password,
+        }),
+      });
+
+      const body = await response.json();
+
+      const membership = await membershipHandler.read({
+        filter: { user_id: createdUser._id, company_id },
+      });
+
+      expect(response.status).toBe(200);
+      expect(body.company.name).toBe(company.documentsCreatedOnMongo[0].name);
+      expect(membership.company_role).toBe(roleConstants.COMPANY_ROLES.OWNER);
+      expect(membership.status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
+    });
+
     test("Should return 401 status when the user is not available", async () => {
       const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
         {
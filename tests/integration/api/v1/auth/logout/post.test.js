@@ -0,0 +1,95 @@
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/logout`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+describe("POST /api/v1/auth/logout", () => {
+  describe("Anonymous user", () => {
+    test("Should return 400 status when no refresh token is sent", async () => {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.name).toBe("ValidationError");
+      expect(body.message).toBe(localize("error.generic.required", { field: "refreshToken" }));
+    });
+
+    test("Should return 200 status and stop the refresh token from being used again", async () => {
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+
+      const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+      });
+
+      const loginBody = await loginResponse.json();
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("auth.logout.success"));
+
+      const refreshResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+      });
+
+      expect(refreshResponse.status).toBe(401);
+
+      const secondLogoutResponse = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+      });
+
+      expect(secondLogoutResponse.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { validateToken } = require("utils/token.utils");
+const { generatePhoneNumber } = require("utils/data.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/otp/request`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+function requestOtp(body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("POST /api/v1/auth/otp/request", () => {
+  describe("Anonymous user", () => {
+    test("Should return 400 status when the phone is missing", async () => {
+      const response = await requestOtp({});
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.name).toBe("ValidationError");
+      expect(body.message).toBe(localize("error.generic.required", { field: "phone" }));
+    });
+
+    test("Should return 401 status when there is no consumer with the phone", async () => {
+      const response = await requestOtp({ phone: generatePhoneNumber() });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: localize("resources.consumer") }));
+    });
+
+    test("Should return 401 status when the phone belongs to a client user", async () => {
+      const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          role: roleConstants.USER_ROLES.CLIENT,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          company_id: company.documentsCreatedOnMongo[0]._id,
+        },
+      ]);
+
+      const response = await requestOtp({ phone: user.documentsCreatedOnMongo[0].phone });
+
+      expect(response.status).toBe(401);
+    });
+
+    test("Should return 200 status and store a new code for a consumer created without a password", async () => {
+      const user = await userHandler.create({
+        data: {
+          phone: generatePhoneNumber(),
+          role: roleConstants.USER_ROLES.CONSUMER,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      });
+
+      const response = await requestOtp({ phone: user.phone });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("auth.otp.request.success"));
+
+      const userFromDb = await userHandler.read({ filter: { _id: user._id } });
+
+      expect(validateToken(userFromDb.validation_token)).toBe(true);
+      expect(userFromDb.validation_token_expires_at).toBeInstanceOf(Date);
+      expect(userFromDb.validation_token_attempts).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const jwt = require("jsonwebtoken");
+
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const otpService = require("services/otp.service");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const datesConstants = require("constants/dates.constants");
+
+const { addTime } = require("utils/date.utils");
+const { localize } = require("utils/localization.utils");
+const { generatePhoneNumber } = require("utils/data.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+const userHandler = dbHandler(userModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/otp/verify`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+function verifyOtp(body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+async function createConsumerWithCode(data = {}) {
+  return userHandler.create({
+    data: {
+      phone: generatePhoneNumber(),
+      role: roleConstants.USER_ROLES.CONSUMER,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      validation_token: "12345",
+      validation_token_expires_at: addTime(new Date(), 10, datesConstants.UNITS.MINUTE),
+      ...data,
+    },
+  });
+}
+
+describe("POST /api/v1/auth/otp/verify", () => {
+  describe("Anonymous user", () => {
+    test("Should return 400 status when the token is missing", async () => {
+      const response = await verifyOtp({ phone: generatePhoneNumber() });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.required", { field: "token" }));
+    });
+
+    test("Should return 401 status when the token is wrong", async () => {
+      const user = await createConsumerWithCode();
+
+      const response = await verifyOtp({ phone: user.phone, token: "54321" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "token" }));
+    });
+
+    test("Should return 401 status and lock the code once the attempt limit is reached", async () => {
+      const user = await createConsumerWithCode({
+        validation_token_attempts: otpService.getMaxAttempts() - 1,
+      });
+
+      const response = await verifyOtp({ phone: user.phone, token: "54321" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.auth.token.locked"));
+
+      const correctTokenResponse = await verifyOtp({ phone: user.phone, token: "12345" });
+
+      expect(correctTokenResponse.status).toBe(401);
+    });
+
+    test("Should return 200 status with the same payload as login for a consumer without a password", async () => {
+      const user = await createConsumerWithCode({ name: "Cliente do Caixa" });
+
+      const response = await verifyOtp({ phone: user.phone, token: "12345" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.tokenType).toBe("Bearer");
+      expect(body.expiresIn).toBe(parseInt(process.env.LOGIN_EXPIRES_IN));
+      expect(body.refreshToken).toBeDefined();
+      expect(body.user.phone).toBe(user.phone);
+      expect(body.user.role).toBe(roleConstants.USER_ROLES.CONSUMER);
+      expect(body.user.has_password).toBe(false);
+
+      const decoded = jwt.verify(body.accessToken, process.env.JWT_SECRET);
+
+      expect(decoded._id).toBe(user._id.toString());
+      expect(decoded.role).toBe(roleConstants.USER_ROLES.CONSUMER);
+      expect(decoded.session_id).toBeDefined();
+
+      // The code is single use
+      const reuseResponse = await verifyOtp({ phone: user.phone, token: "12345" });
+
+      expect(reuseResponse.status).toBe(401);
+    });
+
+    test("Should return 200 status flagging consumers that already have a password", async () => {
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          validation_token: "12345",
+          validation_token_expires_at: addTime(new Date(), 10, datesConstants.UNITS.MINUTE),
+        },
+      ]);
+
+      const response = await verifyOtp({ phone: user.documentsCreatedOnMongo[0].phone, token: "12345" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.user.has_password).toBe(true);
+    });
+  });
+});
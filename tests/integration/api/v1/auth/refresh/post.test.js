@@ -0,0 +1,130 @@
+const jwt = require("jsonwebtoken");
+
+const userModel = require("models/user.model");
+const sessionModel = require("models/session.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const sessionHandler = dbHandler(sessionModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/refresh`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login() {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    body: await loginResponse.json(),
+  };
+}
+
+function refresh(refreshToken) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ refreshToken }),
+  });
+}
+
+describe("POST /api/v1/auth/refresh", () => {
+  describe("Anonymous user", () => {
+    test("Should return 400 status when no refresh token is sent", async () => {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.name).toBe("ValidationError");
+      expect(body.message).toBe(localize("error.generic.required", { field: "refreshToken" }));
+    });
+
+    test("Should return 401 status when the refresh token is unknown", async () => {
+      const response = await refresh("unknown-refresh-token");
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "refreshToken" }));
+    });
+
+    test("Should return 200 status with a new access token and a rotated refresh token", async () => {
+      const { user, body: loginBody } = await login();
+
+      const response = await refresh(loginBody.refreshToken);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.tokenType).toBe("Bearer");
+      expect(body.expiresIn).toBe(parseInt(process.env.LOGIN_EXPIRES_IN));
+      expect(body.refreshToken).toBeDefined();
+      expect(body.refreshToken).not.toBe(loginBody.refreshToken);
+
+      const decoded = jwt.verify(body.accessToken, process.env.JWT_SECRET);
+      const loginDecoded = jwt.verify(loginBody.accessToken, process.env.JWT_SECRET);
+
+      expect(decoded._id).toBe(user._id.toString());
+      expect(decoded.session_id).toBe(loginDecoded.session_id);
+    });
+
+    test("Should return 401 status and end the session when an already rotated refresh token is reused", async () => {
+      const { body: loginBody } = await login();
+
+      const firstResponse = await refresh(loginBody.refreshToken);
+      const firstBody = await firstResponse.json();
+
+      expect(firstResponse.status).toBe(200);
+
+      const reuseResponse = await refresh(loginBody.refreshToken);
+
+      expect(reuseResponse.status).toBe(401);
+
+      const decoded = jwt.verify(loginBody.accessToken, process.env.JWT_SECRET);
+      const session = await sessionHandler.read({ filter: { _id: decoded.session_id } });
+
+      expect(session.revoked_at).toBeInstanceOf(Date);
+
+      const latestResponse = await refresh(firstBody.refreshToken);
+
+      expect(latestResponse.status).toBe(401);
+    });
+  });
+});
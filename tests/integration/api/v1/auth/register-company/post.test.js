@@ -0,0 +1,269 @@
+const { fakerPT_BR: faker } = require("@faker-js/faker");
+
+const dataUtils = require("utils/data.utils");
+const userModel = require("models/user.model");
+const companyModel = require("models/company.model");
+const segmentModel = require("models/segment.model");
+const knownLocationModel = require("models/knownlocation.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const roleConstants = require("constants/roles.constants");
+const statusConsts = require("constants/status.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const segmentHandler = dbHandler(segmentModel);
+const knownLocationHandler = dbHandler(knownLocationModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/auth/register-company`;
+
+const address = {
+  zipcode: "01310100",
+  street: "Avenida Paulista",
+  number: 1000,
+  neighborhood: "Bela Vista",
+  city: "São Paulo",
+  state: "SP",
+};
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+
+  // Known locations are resolved without calling the geocoding API
+  await knownLocationHandler.create({
+    data: {
+      address: {
+        ...address,
+        location: {
+          type: "Point",
+          coordinates: [-46.6558, -23.5613],
+        },
+      },
+    },
+  });
+});
+
+async function createSegment(options = {}) {
+  const segment = await orchestrator.createDocumentOnMongo(1, segmentHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      ...options,
+    },
+  ]);
+
+  return segment.documentsCreatedOnMongo[0];
+}
+
+async function buildBody(options = {}) {
+  const segment = await createSegment();
+
+  return {
+    phone: dataUtils.generatePhoneNumber(),
+    name: faker.person.fullName(),
+    password: faker.internet.password(),
+    company_name: faker.company.name(),
+    document: dataUtils.generateCNPJ(),
+    segment_id: segment._id,
+    address,
+    ...options,
+  };
+}
+
+function registerCompany(body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("POST /api/v1/auth/register-company", () => {
+  describe("Anonymous user", () => {
+    test("Should return 400 status when no company name is provided", async () => {
+      const body = await buildBody({ company_name: undefined });
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(responseBody.message).toBe(localize("error.generic.required", { field: "company_name" }));
+    });
+
+    test("Should return 400 status when the document has an invalid format", async () => {
+      const body = await buildBody({ document: "123" });
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(responseBody.message).toBe(localize("error.generic.invalidFormat", { field: "document" }));
+    });
+
+    test("Should return 400 status when the document check digits are wrong", async () => {
+      const body = await buildBody({ document: "12.345.678/0001-96" });
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(responseBody.message).toBe(localize("error.generic.invalidFormat", { field: "document" }));
+    });
+
+    test("Should return 200 status storing a masked document without its mask", async () => {
+      const body = await buildBody({ document: "12.abc.345/01de-35" });
+
+      const response = await registerCompany(body);
+
+      expect(response.status).toBe(200);
+
+      const company = await companyHandler.read({ filter: { document: "12ABC34501DE35" } });
+
+      expect(company).not.toBeNull();
+    });
+
+    test("Should return 400 status when an address field is missing", async () => {
+      const body = await buildBody({ address: { ...address, city: undefined } });
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(responseBody.message).toBe(localize("error.generic.required", { field: "address.city" }));
+    });
+
+    test("Should return 400 status when the segment is archived", async () => {
+      const segment = await createSegment({ excluded: true });
+      const body = await buildBody({ segment_id: segment._id });
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(responseBody.message).toBe(localize("error.generic.invalid", { field: "segment_id" }));
+    });
+
+    test("Should return 400 status when the document is already registered", async () => {
+      const company = await orchestrator.createDocumentOnMongo(1, companyHandler);
+      const body = await buildBody({ document: company.documentsCreatedOnMongo[0].document });
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(responseBody.message).toBe(
+        localize("error.generic.alreadyInUse", { field: "document", value: body.document }),
+      );
+    });
+
+    test("Should return 200 status filling the company name and address from the CNPJ registry", async () => {
+      const body = await buildBody({ document: "11222333000181", company_name: undefined, address: undefined });
+
+      const response = await registerCompany(body);
+
+      expect(response.status).toBe(200);
+
+      const company = await companyHandler.read({ filter: { document: "11222333000181" } });
+
+      expect(company.name).toBe("PADARIA PAULISTA");
+      expect(company.legal_name).toBe("PADARIA PAULISTA COMERCIO DE ALIMENTOS LTDA");
+      expect(company.activity_code).toBe("1091102");
+      expect(company.document_active).toBe(true);
+      expect(company.document_checked_at).not.toBeNull();
+      expect(company.address.street).toBe("AVENIDA PAULISTA");
+      expect(company.address.complement).toBe("LOJA 2");
+      expect(company.address.location.coordinates).toEqual([-46.6558, -23.5613]);
+    });
+
+    test("Should return 400 status when the registry has no street number and none is sent", async () => {
+      const body = await buildBody({ document: "98765432000198", address: undefined });
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(responseBody.message).toBe(localize("error.generic.required", { field: "address.number" }));
+    });
+
+    test("Should return 200 status creating a pending company that becomes reachable after the phone check and the approval", async () => {
+      const body = await buildBody();
+
+      const response = await registerCompany(body);
+
+      const responseBody = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(responseBody.message).toBe(localize("auth.registerCompany.success"));
+
+      const company = await companyHandler.read({ filter: { document: body.document } });
+
+      expect(company.name).toBe(body.company_name);
+      expect(company.status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+      expect(company.excluded).toBe(false);
+      expect(company.segment._id.toString()).toBe(body.segment_id.toString());
+      expect(company.address.location.coordinates).toEqual([-46.6558, -23.5613]);
+
+      const owner = await userHandler.read({ filter: { phone: body.phone } });
+
+      expect(owner.role).toBe(roleConstants.USER_ROLES.CLIENT);
+      expect(owner.status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+      expect(owner.company_id.toString()).toBe(company._id.toString());
+      expect(owner.password).not.toBe(body.password);
+
+      const validateResponse = await fetch(`${baseUrl}/auth/validate-register-token`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: body.phone, token: owner.validation_token }),
+      });
+
+      expect(validateResponse.status).toBe(200);
+
+      const login = () =>
+        fetch(`${baseUrl}/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: body.phone, password: body.password }),
+        });
+
+      const pendingLoginResponse = await login();
+
+      expect(pendingLoginResponse.status).toBe(401);
+
+      await companyHandler.update({
+        filter: { _id: company._id },
+        data: { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+      });
+
+      const loginResponse = await login();
+
+      expect(loginResponse.status).toBe(200);
+    });
+  });
+});
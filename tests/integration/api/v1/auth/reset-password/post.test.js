@@ -79,6 +79,64 @@ describe("POST /api/v1/auth/reset-password", () => {
       await expect(correctPasswordMatch).toBe(true);
     });
 
+    test("Should return 401 status when an access token issued before the reset is used", async () => {
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          validation_token: "12345",
+          validation_token_expires_at: addTime(new Date(), 10, datesConstants.UNITS.MINUTE),
+        },
+      ]);
+
+      const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+      });
+
+      const loginBody = await loginResponse.json();
+
+      const resetPasswordResponse = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          phone: user.documentsCreatedOnMongo[0].phone,
+          token: "12345",
+          password: "newPassword",
+        }),
+      });
+
+      expect(resetPasswordResponse.status).toBe(200);
+
+      const profileResponse = await fetch(
+        `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/users/profile`,
+        {
+          headers: {
+            Authorization: `Bearer ${loginBody.accessToken}`,
+          },
+        },
+      );
+
+      const profileBody = await profileResponse.json();
+
+      expect(profileResponse.status).toBe(401);
+      expect(profileBody.message).toBe(localize("error.UnauthorizedError.tokenRevoked"));
+
+      const refreshResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+      });
+
+      expect(refreshResponse.status).toBe(401);
+    });
+
     test("Should return 400 status when the token is missing", async () => {
       const validateResetTokenResponse = await fetch(endpoint, {
         method: "POST",
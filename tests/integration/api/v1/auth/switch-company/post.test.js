@@ -0,0 +1,237 @@
+const jwt = require("jsonwebtoken");
+
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const membershipModel = require("models/membership.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const membershipHandler = dbHandler(membershipModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/auth/switch-company`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  return loginResponse.json();
+}
+
+function switchCompany(token, body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+// A client user of the first company who was also added as a cashier of the second one
+async function createStaffOfTwoCompanies() {
+  const companies = await orchestrator.createDocumentOnMongo(2, companyHandler, [
+    { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+    { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+  ]);
+  const [currentCompany, otherCompany] = companies.documentsCreatedOnMongo;
+
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id: currentCompany._id,
+      role: roleConstants.USER_ROLES.CLIENT,
+    },
+  ]);
+
+  await orchestrator.createDocumentOnMongo(1, membershipHandler, [
+    {
+      user_id: user.documentsCreatedOnMongo[0]._id,
+      company_id: otherCompany._id,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+    },
+  ]);
+
+  return {
+    user: user.documentsCreated[0],
+    createdUser: user.documentsCreatedOnMongo[0],
+    currentCompany,
+    otherCompany,
+  };
+}
+
+describe("POST /api/v1/auth/switch-company", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 400 status when the company ID is missing", async () => {
+      const { user } = await createStaffOfTwoCompanies();
+      const loginBody = await login(user);
+
+      const response = await switchCompany(loginBody.accessToken, {});
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.required", { field: "company_id" }));
+    });
+
+    test("Should return 400 status when the company ID is invalid", async () => {
+      const { user } = await createStaffOfTwoCompanies();
+      const loginBody = await login(user);
+
+      const response = await switchCompany(loginBody.accessToken, { company_id: "invalid" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "company_id" }));
+    });
+
+    test("Should return 403 status when the user does not work for the company", async () => {
+      const { user } = await createStaffOfTwoCompanies();
+      const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+      ]);
+      const loginBody = await login(user);
+
+      const response = await switchCompany(loginBody.accessToken, {
+        company_id: company.documentsCreatedOnMongo[0]._id.toString(),
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.membership"));
+    });
+
+    test("Should return 403 status when the company is not available", async () => {
+      const { user, createdUser, otherCompany } = await createStaffOfTwoCompanies();
+      await companyHandler.update({
+        filter: { _id: otherCompany._id },
+        data: { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE },
+      });
+      const loginBody = await login(user);
+
+      const response = await switchCompany(loginBody.accessToken, { company_id: otherCompany._id.toString() });
+
+      expect(response.status).toBe(403);
+
+      const unchangedUser = await userHandler.read({ filter: { _id: createdUser._id } });
+
+      expect(unchangedUser.company_id.toString()).not.toBe(otherCompany._id.toString());
+    });
+
+    test("Should return 200 status and scope the token, the refreshes and the next login to the new company", async () => {
+      const { user, otherCompany, currentCompany } = await createStaffOfTwoCompanies();
+      const loginBody = await login(user);
+
+      expect(loginBody.user.company_id).toBe(currentCompany._id.toString());
+
+      const response = await switchCompany(loginBody.accessToken, { company_id: otherCompany._id.toString() });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.company_role).toBe(roleConstants.COMPANY_ROLES.CASHIER);
+      expect(body.company.name).toBe(otherCompany.name);
+
+      const decoded = jwt.verify(body.accessToken, process.env.JWT_SECRET);
+
+      expect(decoded.company_id).toBe(otherCompany._id.toString());
+
+      // The cashier of the new company can not manage its staff
+      const usersResponse = await fetch(`${baseUrl}/companies/users`, {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${body.accessToken}`,
+        },
+      });
+
+      expect(usersResponse.status).toBe(403);
+
+      const refreshResponse = await fetch(`${baseUrl}/auth/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+      });
+
+      const refreshBody = await refreshResponse.json();
+
+      expect(refreshResponse.status).toBe(200);
+      expect(jwt.verify(refreshBody.accessToken, process.env.JWT_SECRET).company_id).toBe(otherCompany._id.toString());
+
+      const nextLoginBody = await login(user);
+
+      expect(nextLoginBody.user.company_id).toBe(otherCompany._id.toString());
+      expect(nextLoginBody.user.company_role).toBe(roleConstants.COMPANY_ROLES.CASHIER);
+    });
+
+    test("Should return 403 status on company routes once the user is removed from the company", async () => {
+      const { user, createdUser, otherCompany } = await createStaffOfTwoCompanies();
+      const loginBody = await login(user);
+
+      const response = await switchCompany(loginBody.accessToken, { company_id: otherCompany._id.toString() });
+      const body = await response.json();
+
+      await membershipHandler.update({
+        filter: { user_id: createdUser._id, company_id: otherCompany._id },
+        data: { status: statusConsts.RESOURCE_STATUS.UNAVAILABLE },
+      });
+
+      const cardsResponse = await fetch(`${baseUrl}/companies/cards`, {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${body.accessToken}`,
+        },
+      });
+
+      const cardsBody = await cardsResponse.json();
+
+      expect(cardsResponse.status).toBe(403);
+      expect(cardsBody.message).toBe(localize("error.ForbiddenError.membership"));
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const dataUtils = require("utils/data.utils");
 const userModel = require("models/user.model");
+const otpService = require("services/otp.service");
 const tokenUtils = require("utils/token.utils");
 const dbHandler = require("utils/db-handler.utils");
 const orchestrator = require("tests/orchestrator.js");
@@ -123,6 +124,39 @@ describe("POST /api/v1/auth/validate-register-token", () => {
       await expect(validateResetTokenBody.message).toBe(localize("error.generic.invalid", { field: "token" }));
     });
 
+    test("Should return 401 status and keep the account pending after too many wrong guesses", async () => {
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          validation_token: "12345",
+          validation_token_expires_at: addTime(new Date(), 10, datesConstants.UNITS.MINUTE),
+          validation_token_attempts: otpService.getMaxAttempts() - 1,
+        },
+      ]);
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          token: "99999",
+          phone: user.documentsCreatedOnMongo[0].phone,
+        }),
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.auth.token.locked"));
+
+      const userUpdated = await userHandler.read({ filter: { _id: user.documentsCreatedOnMongo[0]._id } });
+
+      expect(userUpdated.status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+      expect(userUpdated.validation_token).toBeNull();
+      expect(userUpdated.validation_token_lockouts).toBe(1);
+    });
+
     test("Should return 401 status when the token is expired", async () => {
       const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
         {
@@ -1,11 +1,12 @@
 const userModel = require("models/user.model");
+const otpService = require("services/otp.service");
 const dbHandler = require("utils/db-handler.utils");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
 const datesConstants = require("constants/dates.constants");
 
 const { generatePhoneNumber } = require("utils/data.utils");
-const { subTime } = require("utils/date.utils");
+const { subTime, addTime } = require("utils/date.utils");
 const { localize } = require("utils/localization.utils");
 const { connectDatabase, disconnectDatabase } = require("infra/database");
 
@@ -52,6 +53,16 @@ afterAll(async () => {
   await disconnectDatabase();
 });
 
+function validateResetToken(phone, token) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ token, phone }),
+  });
+}
+
 describe("POST /api/v1/auth/validate-reset-token", () => {
   describe("Anonymous user", () => {
     test("Should return 200 status when the token is valid", async () => {
@@ -159,6 +170,77 @@ describe("POST /api/v1/auth/validate-reset-token", () => {
       await expect(validateResetTokenBody.message).toBe(localize("error.auth.token.expired"));
     });
 
+    test("Should return 401 status and lock the token after too many wrong guesses", async () => {
+      const lockedUser = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          validation_token: "12345",
+          validation_token_expires_at: addTime(new Date(), 10, datesConstants.UNITS.MINUTE),
+        },
+      ]);
+
+      const phone = lockedUser.documentsCreatedOnMongo[0].phone;
+
+      for (let attempt = 1; attempt < otpService.getMaxAttempts(); attempt++) {
+        const response = await validateResetToken(phone, "54321");
+        const body = await response.json();
+
+        expect(response.status).toBe(401);
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "token" }));
+      }
+
+      const lockResponse = await validateResetToken(phone, "54321");
+      const lockBody = await lockResponse.json();
+
+      expect(lockResponse.status).toBe(401);
+      expect(lockBody.message).toBe(localize("error.auth.token.locked"));
+      expect(lockBody.action).toBe(localize("error.auth.token.lockedAction"));
+
+      // Even the right code is refused until a new one is requested
+      const correctTokenResponse = await validateResetToken(phone, "12345");
+      const correctTokenBody = await correctTokenResponse.json();
+
+      expect(correctTokenResponse.status).toBe(401);
+      expect(correctTokenBody.message).toBe(localize("error.auth.token.locked"));
+
+      const userUpdated = await userHandler.read({ filter: { phone } });
+
+      expect(userUpdated.validation_token).toBeNull();
+      expect(userUpdated.validation_token_locked_at).toBeInstanceOf(Date);
+      expect(userUpdated.validation_token_lockouts).toBe(1);
+    });
+
+    test("Should return 200 status with a new code requested after the token was locked", async () => {
+      const lockedUser = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          validation_token: null,
+          validation_token_attempts: otpService.getMaxAttempts(),
+          validation_token_locked_at: new Date(),
+          validation_token_lockouts: 1,
+        },
+      ]);
+
+      const phone = lockedUser.documentsCreatedOnMongo[0].phone;
+
+      await fetch(forgotPasswordEndpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone }),
+      });
+
+      const userWithNewToken = await userHandler.read({ filter: { phone } });
+
+      expect(userWithNewToken.validation_token_attempts).toBe(0);
+      expect(userWithNewToken.validation_token_locked_at).toBeNull();
+
+      const response = await validateResetToken(phone, userWithNewToken.validation_token);
+
+      expect(response.status).toBe(200);
+    });
+
     test("Should return 401 status when the user is not found", async () => {
       const validateResetTokenResponse = await fetch(endpoint, {
         method: "POST",
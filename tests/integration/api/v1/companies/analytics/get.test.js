@@ -0,0 +1,243 @@
+const userModel = require("models/user.model");
+const cardModel = require("models/card.model");
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const redemptionModel = require("models/redemption.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { addTime, subTime, startOfPeriod } = require("utils/date.utils");
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const cardHandler = dbHandler(cardModel);
+const creditHandler = dbHandler(creditModel);
+const companyHandler = dbHandler(companyModel);
+const redemptionHandler = dbHandler(redemptionModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/companies/analytics`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+function getAnalytics(token, query = "") {
+  return fetch(`${endpoint}${query}`, {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+// An owner and a cashier of the same company
+async function createCompanyWithStaff() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+  const company_id = company.documentsCreatedOnMongo[0]._id;
+
+  const users = await orchestrator.createDocumentOnMongo(2, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.OWNER,
+    },
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+    },
+  ]);
+
+  return {
+    company_id,
+    users: users.documentsCreated,
+  };
+}
+
+describe("GET /api/v1/companies/analytics", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "GET",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 403 status when the user is a cashier", async () => {
+      const { users } = await createCompanyWithStaff();
+      const token = await login(users[1]);
+
+      const response = await getAnalytics(token);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+    });
+
+    test("Should return 400 status when the months or inactive days are invalid", async () => {
+      const { users } = await createCompanyWithStaff();
+      const token = await login(users[0]);
+
+      const invalidMonths = await getAnalytics(token, "?months=13");
+      const invalidDays = await getAnalytics(token, "?inactive_days=3");
+
+      expect(invalidMonths.status).toBe(400);
+      expect((await invalidMonths.json()).message).toBe(localize("error.generic.invalid", { field: "months" }));
+      expect(invalidDays.status).toBe(400);
+      expect((await invalidDays.json()).message).toBe(localize("error.generic.invalid", { field: "inactive_days" }));
+    });
+
+    test("Should return 200 status with empty analytics for a new company", async () => {
+      const { users } = await createCompanyWithStaff();
+      const token = await login(users[0]);
+
+      const response = await getAnalytics(token);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.cohorts).toHaveLength(6);
+      expect(body.cohorts.every((cohort) => cohort.consumers === 0)).toBe(true);
+      expect(body.cohorts[0].retention).toHaveLength(6);
+      expect(body.cohorts[5].retention).toHaveLength(1);
+      expect(body.cards).toEqual([]);
+      expect(body.atRisk.inactive_days).toBe(60);
+      expect(body.atRisk.total).toBe(0);
+      expect(body.atRisk.consumers).toEqual([]);
+    });
+
+    test("Should return 200 status with retention, card rates and consumers at risk", async () => {
+      const { company_id, users } = await createCompanyWithStaff();
+
+      const now = new Date();
+      const lastMonth = subTime(startOfPeriod(now, "month").toDate(), 10, "days");
+
+      const consumers = await orchestrator.createDocumentOnMongo(3, userHandler, [
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE, role: roleConstants.USER_ROLES.CONSUMER },
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE, role: roleConstants.USER_ROLES.CONSUMER },
+        { status: statusConsts.RESOURCE_STATUS.AVAILABLE, role: roleConstants.USER_ROLES.CONSUMER },
+      ]);
+
+      const [returning, lapsed, newcomer] = consumers.documentsCreatedOnMongo;
+
+      const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+        {
+          company_id,
+          credits_needed: 3,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+
+      const card_id = card.documentsCreatedOnMongo[0]._id;
+      const credit = { company_id, card_id };
+      const used = {
+        ...credit,
+        user_id: returning._id,
+        status: statusConsts.CREDITS_STATUS.USED,
+        created_at: lastMonth,
+      };
+
+      const credits = await orchestrator.createDocumentOnMongo(8, creditHandler, [
+        used,
+        used,
+        used,
+        { ...credit, user_id: returning._id, created_at: now },
+        { ...credit, user_id: lapsed._id, status: statusConsts.CREDITS_STATUS.EXPIRED, created_at: lastMonth },
+        // Past its date, not reached by the expiration sweeper yet
+        { ...credit, user_id: newcomer._id, created_at: now, expires_at: subTime(now, 1, "minutes") },
+        // Requests are not visits
+        { ...credit, user_id: newcomer._id, status: statusConsts.CREDITS_STATUS.PENDING, created_at: now },
+        { ...credit, user_id: lapsed._id, status: statusConsts.CREDITS_STATUS.REJECTED, created_at: now },
+      ]);
+
+      await orchestrator.createDocumentOnMongo(1, redemptionHandler, [
+        {
+          company_id,
+          card_id,
+          user_id: returning._id,
+          credit_ids: credits.documentsCreatedOnMongo.slice(0, 3).map((created) => created._id),
+          created_at: addTime(lastMonth, 6, "days"),
+        },
+      ]);
+
+      const token = await login(users[0]);
+
+      const response = await getAnalytics(token, "?months=2&inactive_days=7");
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+
+      expect(body.cohorts).toHaveLength(2);
+      expect(body.cohorts[0].consumers).toBe(2);
+      expect(body.cohorts[0].retention.map(({ offset, consumers, rate }) => ({ offset, consumers, rate }))).toEqual([
+        { offset: 0, consumers: 2, rate: 100 },
+        { offset: 1, consumers: 1, rate: 50 },
+      ]);
+      expect(body.cohorts[1].consumers).toBe(1);
+      expect(body.cohorts[1].retention).toEqual([expect.objectContaining({ offset: 0, consumers: 1, rate: 100 })]);
+
+      expect(body.cards).toHaveLength(1);
+      expect(body.cards[0]).toEqual(
+        expect.objectContaining({
+          _id: card_id.toString(),
+          credits_needed: 3,
+          issued: 6,
+          used: 3,
+          expired: 2,
+          available: 1,
+          redemption_rate: 50,
+          expiration_rate: 33.3,
+          redemptions: 1,
+          average_days_to_complete: 6,
+        }),
+      );
+
+      expect(body.atRisk.total).toBe(1);
+      expect(body.atRisk.consumers).toHaveLength(1);
+      expect(body.atRisk.consumers[0]._id).toBe(lapsed._id.toString());
+      expect(body.atRisk.consumers[0].available_credits).toBe(0);
+      expect(new Date(body.atRisk.consumers[0].last_credit_at)).toEqual(lastMonth);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const userModel = require("models/user.model");
+const cardModel = require("models/card.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const cardHandler = dbHandler(cardModel);
+const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/companies/audit`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+function getAudit(token, query = "") {
+  return fetch(`${endpoint}${query}`, {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+// An owner and a cashier of the same company, a consumer and a card the cashier stamped
+async function createCompanyWithActivity() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+  const company_id = company.documentsCreatedOnMongo[0]._id;
+
+  const users = await orchestrator.createDocumentOnMongo(3, userHandler, [
+    {
+      name: "Dona da Loja",
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.OWNER,
+    },
+    {
+      name: "Caixa da Loja",
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+    },
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      role: roleConstants.USER_ROLES.CONSUMER,
+    },
+  ]);
+
+  const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+    {
+      company_id,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const cashierToken = await login(users.documentsCreated[1]);
+
+  const creditsResponse = await fetch(
+    `${baseUrl}/companies/consumers/${users.documentsCreatedOnMongo[2]._id}/credits`,
+    {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${cashierToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        credits: [{ card_id: card.documentsCreatedOnMongo[0]._id, quantity: 2 }],
+      }),
+    },
+  );
+
+  expect(creditsResponse.status).toBe(200);
+
+  return {
+    company_id,
+    owner: users.documentsCreatedOnMongo[0],
+    cashier: users.documentsCreatedOnMongo[1],
+    consumer: users.documentsCreatedOnMongo[2],
+    ownerToken: await login(users.documentsCreated[0]),
+    cashierToken,
+  };
+}
+
+describe("GET /api/v1/companies/audit", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "GET",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 403 status when the user is a cashier", async () => {
+      const { cashierToken } = await createCompanyWithActivity();
+
+      const response = await getAudit(cashierToken);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+    });
+
+    test("Should return 400 status when the action is not a company action", async () => {
+      const { ownerToken } = await createCompanyWithActivity();
+
+      const response = await getAudit(ownerToken, `?action=${auditConstants.ACTIONS.ADMIN_COMPANY_APPROVE}`);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "action" }));
+    });
+
+    test("Should return 400 status when the actor ID is invalid", async () => {
+      const { ownerToken } = await createCompanyWithActivity();
+
+      const response = await getAudit(ownerToken, "?actor_id=invalid");
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "actor_id" }));
+    });
+
+    test("Should return 400 status when the date is invalid", async () => {
+      const { ownerToken } = await createCompanyWithActivity();
+
+      const response = await getAudit(ownerToken, "?from=yesterday");
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.invalidFormat", { field: "from" }));
+    });
+
+    test("Should return 200 status with what the staff did in the company", async () => {
+      const { ownerToken, company_id, cashier, consumer } = await createCompanyWithActivity();
+
+      // Admin support actions and other companies stay out of the log
+      await auditEventHandler.create({
+        data: {
+          actor_id: cashier._id,
+          actor_role: roleConstants.USER_ROLES.ADMIN,
+          company_id,
+          action: auditConstants.ACTIONS.ADMIN_COMPANY_STATS_VIEW,
+          target_type: auditConstants.TARGETS.COMPANY,
+          target_id: company_id,
+        },
+      });
+      await createCompanyWithActivity();
+
+      const response = await getAudit(ownerToken);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toHaveLength(1);
+      expect(body[0].action).toBe(auditConstants.ACTIONS.COMPANY_CREDITS_ADD);
+      expect(body[0].target_type).toBe(auditConstants.TARGETS.USER);
+      expect(body[0].target_id).toBe(consumer._id.toString());
+      expect(body[0].actor).toEqual({ _id: cashier._id.toString(), name: "Caixa da Loja" });
+      expect(body[0].metadata.credit_ids).toHaveLength(2);
+    });
+
+    test("Should return 200 status filtering by actor, action and date", async () => {
+      const { ownerToken, owner, cashier } = await createCompanyWithActivity();
+
+      const byCashier = await (await getAudit(ownerToken, `?actor_id=${cashier._id}`)).json();
+      const byOwner = await (await getAudit(ownerToken, `?actor_id=${owner._id}`)).json();
+      const byAction = await (
+        await getAudit(ownerToken, `?action=${auditConstants.ACTIONS.COMPANY_CREDITS_ADD}`)
+      ).json();
+      const byOtherAction = await (
+        await getAudit(ownerToken, `?action=${auditConstants.ACTIONS.COMPANY_CREDIT_DELETE}`)
+      ).json();
+      const fromTomorrow = await (
+        await getAudit(ownerToken, `?from=${new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()}`)
+      ).json();
+
+      expect(byCashier).toHaveLength(1);
+      expect(byOwner).toHaveLength(0);
+      expect(byAction).toHaveLength(1);
+      expect(byOtherAction).toHaveLength(0);
+      expect(fromTomorrow).toHaveLength(0);
+    });
+  });
+});
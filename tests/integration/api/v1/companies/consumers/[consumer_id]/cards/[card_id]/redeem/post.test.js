@@ -2,6 +2,7 @@ const userModel = require("models/user.model");
 const companyModel = require("models/company.model");
 const cardModel = require("models/card.model");
 const creditModel = require("models/credit.model");
+const redemptionModel = require("models/redemption.model");
 const dbHandler = require("utils/db-handler.utils");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
@@ -13,6 +14,7 @@ const userHandler = dbHandler(userModel);
 const companyHandler = dbHandler(companyModel);
 const cardHandler = dbHandler(cardModel);
 const creditHandler = dbHandler(creditModel);
+const redemptionHandler = dbHandler(redemptionModel);
 
 const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/consumers`;
 
@@ -133,6 +135,21 @@ describe("POST /v1/companies/consumers/{consumer_id}/cards/{card_id}/redeem", ()
 
       expect(updatedCredits.length).toBe(3);
       expect(updatedCredits.every((credit) => credit.requested_at)).toBe(true);
+
+      // Verify the redemption record was stored with the receipt data
+      const redemption = await redemptionHandler.read({
+        filter: {
+          _id: body.redemption._id,
+        },
+      });
+
+      expect(redemption.operator_id.toString()).toBe(user.documentsCreatedOnMongo[0]._id.toString());
+      expect(redemption.user_id.toString()).toBe(consumer.documentsCreatedOnMongo[0]._id.toString());
+      expect(redemption.card.title).toBe(card.documentsCreatedOnMongo[0].title);
+      expect(redemption.credit_ids.map((id) => id.toString()).sort()).toEqual(
+        updatedCredits.map((credit) => credit._id.toString()).sort(),
+      );
+      expect(updatedCredits.every((credit) => credit.redemption_id.toString() === body.redemption._id)).toBe(true);
     });
 
     test("Should return 200 status when redeeming with more credits than needed (uses oldest first)", async () => {
@@ -253,6 +270,101 @@ describe("POST /v1/companies/consumers/{consumer_id}/cards/{card_id}/redeem", ()
   });
 
   describe("Error cases", () => {
+    test("Should redeem only once when two redemptions for the same card run concurrently", async () => {
+      const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+
+      const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          company_id: company.documentsCreatedOnMongo[0]._id,
+          role: roleConstants.USER_ROLES.CLIENT,
+        },
+      ]);
+
+      const consumer = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          role: roleConstants.USER_ROLES.CONSUMER,
+        },
+      ]);
+
+      const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+        {
+          company_id: company.documentsCreatedOnMongo[0]._id,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          credits_needed: 3,
+        },
+      ]);
+
+      const creditOptions = {
+        user_id: consumer.documentsCreatedOnMongo[0]._id,
+        card_id: card.documentsCreatedOnMongo[0]._id,
+        company_id: company.documentsCreatedOnMongo[0]._id,
+        status: statusConsts.CREDITS_STATUS.AVAILABLE,
+      };
+
+      // Enough credits for one redemption and a half
+      await orchestrator.createDocumentOnMongo(4, creditHandler, [
+        creditOptions,
+        creditOptions,
+        creditOptions,
+        creditOptions,
+      ]);
+
+      const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+      });
+
+      const loginBody = await loginResponse.json();
+      const token = loginBody.accessToken;
+
+      const redeem = () =>
+        fetch(
+          `${endpoint}/${consumer.documentsCreatedOnMongo[0]._id}/cards/${card.documentsCreatedOnMongo[0]._id}/redeem`,
+          {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          },
+        );
+
+      const responses = await Promise.all([redeem(), redeem()]);
+      const statuses = responses.map((response) => response.status).sort();
+
+      // The losing request either saw the credits already gone or lost the claim
+      expect(statuses[0]).toBe(200);
+      expect([400, 409]).toContain(statuses[1]);
+
+      const usedCredits = await creditHandler.list({
+        filter: {
+          user_id: consumer.documentsCreatedOnMongo[0]._id,
+          card_id: card.documentsCreatedOnMongo[0]._id,
+          status: statusConsts.CREDITS_STATUS.USED,
+        },
+      });
+
+      const availableCredits = await creditHandler.list({
+        filter: {
+          user_id: consumer.documentsCreatedOnMongo[0]._id,
+          card_id: card.documentsCreatedOnMongo[0]._id,
+          status: statusConsts.CREDITS_STATUS.AVAILABLE,
+        },
+      });
+
+      expect(usedCredits.length).toBe(3);
+      expect(availableCredits.length).toBe(1);
+      expect(new Set(usedCredits.map((credit) => credit.redemption_id.toString())).size).toBe(1);
+    });
+
     test("Should return 400 status when insufficient credits", async () => {
       const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
         {
@@ -3,9 +3,11 @@ const cardModel = require("models/card.model");
 const creditModel = require("models/credit.model");
 const dbHandler = require("utils/db-handler.utils");
 const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
 const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
 
 const { localize } = require("utils/localization.utils");
 const { connectDatabase, disconnectDatabase } = require("infra/database");
@@ -15,6 +17,7 @@ const userHandler = dbHandler(userModel);
 const companyHandler = dbHandler(companyModel);
 const cardHandler = dbHandler(cardModel);
 const creditHandler = dbHandler(creditModel);
+const auditEventHandler = dbHandler(auditEventModel);
 
 const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/consumers/:consumer_id/credits`;
 
@@ -165,7 +168,20 @@ describe("PATCH /api/v1/companies/consumers/:consumer_id/credits", () => {
           expect(credit.status).toBe(statusConsts.CREDITS_STATUS.AVAILABLE);
           expect(credit.excluded).toBe(false);
           expect(credit.expires_at).toBeDefined();
+          expect(credit.issued_by.toString()).toBe(user.documentsCreatedOnMongo[0]._id.toString());
         });
+
+        // The staff member who stamped the card is on record
+        const event = await auditEventHandler.read({
+          filter: { target_id: user.documentsCreatedOnMongo[1]._id },
+        });
+
+        expect(event.action).toBe(auditConstants.ACTIONS.COMPANY_CREDITS_ADD);
+        expect(event.actor_id.toString()).toBe(user.documentsCreatedOnMongo[0]._id.toString());
+        expect(event.company_id.toString()).toBe(company.documentsCreatedOnMongo[0]._id.toString());
+        expect(event.metadata.credit_ids).toHaveLength(4);
+        expect(event.metadata.credits[0].quantity).toBe(4);
+        expect(event.ip).toBeDefined();
       });
 
       test("Should return 400 status when the user is not sending credits array", async () => {
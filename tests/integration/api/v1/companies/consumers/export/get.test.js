@@ -0,0 +1,204 @@
+const userModel = require("models/user.model");
+const cardModel = require("models/card.model");
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { Buffer } = require("buffer");
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const cardHandler = dbHandler(cardModel);
+const creditHandler = dbHandler(creditModel);
+const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/companies/consumers/export`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+function exportConsumers(token, query = "") {
+  return fetch(`${endpoint}${query}`, {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+function readCsv(text) {
+  return text
+    .replace(/^\uFEFF/, "")
+    .split("\r\n")
+    .filter(Boolean)
+    .map((line) => line.split(";"));
+}
+
+// An owner and a manager of the same company, and two of its consumers
+async function createCompanyWithConsumers() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+  const company_id = company.documentsCreatedOnMongo[0]._id;
+
+  const users = await orchestrator.createDocumentOnMongo(2, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.OWNER,
+    },
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.MANAGER,
+    },
+  ]);
+
+  const consumers = await orchestrator.createDocumentOnMongo(2, userHandler, [
+    { name: "Ana Souza", status: statusConsts.RESOURCE_STATUS.AVAILABLE, role: roleConstants.USER_ROLES.CONSUMER },
+    { name: "Bruno Lima", status: statusConsts.RESOURCE_STATUS.AVAILABLE, role: roleConstants.USER_ROLES.CONSUMER },
+  ]);
+
+  const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+    {
+      company_id,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  await orchestrator.createDocumentOnMongo(2, creditHandler, [
+    { company_id, card_id: card.documentsCreatedOnMongo[0]._id, user_id: consumers.documentsCreatedOnMongo[0]._id },
+    { company_id, card_id: card.documentsCreatedOnMongo[0]._id, user_id: consumers.documentsCreatedOnMongo[1]._id },
+  ]);
+
+  return {
+    company_id,
+    users: users.documentsCreated,
+    owner: users.documentsCreatedOnMongo[0],
+    consumers: consumers.documentsCreatedOnMongo,
+  };
+}
+
+describe("GET /api/v1/companies/consumers/export", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "GET",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 403 status when the user is a manager", async () => {
+      const { users } = await createCompanyWithConsumers();
+      const token = await login(users[1]);
+
+      const response = await exportConsumers(token);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+    });
+
+    test("Should return 400 status when the format is not supported", async () => {
+      const { users } = await createCompanyWithConsumers();
+      const token = await login(users[0]);
+
+      const response = await exportConsumers(token, "?format=pdf");
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "format" }));
+    });
+
+    test("Should return 200 status with a CSV of the consumers found by the search", async () => {
+      const { company_id, users, owner, consumers } = await createCompanyWithConsumers();
+      const token = await login(users[0]);
+
+      const response = await exportConsumers(token, "?search=Ana");
+
+      const rows = readCsv(await response.text());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toBe("text/csv; charset=utf-8");
+      expect(response.headers.get("content-disposition")).toMatch(
+        /^attachment; filename="clientes-\d{4}-\d{2}-\d{2}\.csv"$/,
+      );
+      expect(rows[0]).toEqual([
+        localize("companies.consumers.export.headers.name"),
+        localize("companies.consumers.export.headers.phone"),
+        localize("companies.consumers.export.headers.lastCreditDate"),
+        localize("companies.consumers.export.headers.created_at"),
+      ]);
+      expect(rows).toHaveLength(2);
+      expect(rows[1][0]).toBe("Ana Souza");
+      expect(rows[1][1]).toBe(consumers[0].phone);
+      expect(rows[1][2]).toMatch(/^\d{2}\/\d{2}\/\d{4} \d{2}:\d{2}$/);
+
+      const event = await auditEventHandler.read({
+        filter: { company_id, action: auditConstants.ACTIONS.COMPANY_DATA_EXPORT },
+      });
+
+      expect(event.actor_id.toString()).toBe(owner._id.toString());
+      expect(event.metadata).toEqual({ resource: "consumers", format: "csv", filters: { search: "Ana" } });
+    });
+
+    test("Should return 200 status with an XLSX workbook", async () => {
+      const { users } = await createCompanyWithConsumers();
+      const token = await login(users[0]);
+
+      const response = await exportConsumers(token, "?format=xlsx");
+
+      const body = Buffer.from(await response.arrayBuffer());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toBe(
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+      expect(response.headers.get("content-disposition")).toMatch(/\.xlsx"$/);
+      expect(body.subarray(0, 4).toString("hex")).toBe("504b0304");
+    });
+  });
+});
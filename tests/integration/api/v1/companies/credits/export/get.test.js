@@ -0,0 +1,221 @@
+const userModel = require("models/user.model");
+const cardModel = require("models/card.model");
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { Buffer } = require("buffer");
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const cardHandler = dbHandler(cardModel);
+const creditHandler = dbHandler(creditModel);
+const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/companies/credits/export`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+function exportCredits(token, query = "") {
+  return fetch(`${endpoint}${query}`, {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+function readCsv(text) {
+  return text
+    .replace(/^\uFEFF/, "")
+    .split("\r\n")
+    .filter(Boolean)
+    .map((line) => line.split(";"));
+}
+
+// An owner and a manager of the same company, and a consumer with an available, a used and an excluded credit
+async function createCompanyWithCredits() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+  const company_id = company.documentsCreatedOnMongo[0]._id;
+
+  const users = await orchestrator.createDocumentOnMongo(2, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.OWNER,
+    },
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.MANAGER,
+    },
+  ]);
+
+  const consumer = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    { name: "Ana Souza", status: statusConsts.RESOURCE_STATUS.AVAILABLE, role: roleConstants.USER_ROLES.CONSUMER },
+  ]);
+  const user_id = consumer.documentsCreatedOnMongo[0]._id;
+
+  const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+    {
+      title: "Café grátis",
+      company_id,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+  const card_id = card.documentsCreatedOnMongo[0]._id;
+
+  await orchestrator.createDocumentOnMongo(3, creditHandler, [
+    { company_id, card_id, user_id, status: statusConsts.CREDITS_STATUS.AVAILABLE },
+    { company_id, card_id, user_id, status: statusConsts.CREDITS_STATUS.USED },
+    { company_id, card_id, user_id, status: statusConsts.CREDITS_STATUS.AVAILABLE, excluded: true },
+  ]);
+
+  return {
+    company_id,
+    users: users.documentsCreated,
+    consumer: consumer.documentsCreatedOnMongo[0],
+  };
+}
+
+describe("GET /api/v1/companies/credits/export", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "GET",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 403 status when the user is a manager", async () => {
+      const { users } = await createCompanyWithCredits();
+      const token = await login(users[1]);
+
+      const response = await exportCredits(token);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+    });
+
+    test("Should return 400 status when a filter is invalid", async () => {
+      const { users } = await createCompanyWithCredits();
+      const token = await login(users[0]);
+
+      const invalidConsumer = await exportCredits(token, "?consumer_id=invalid");
+      const invalidStatus = await exportCredits(token, "?status=unknown");
+
+      expect(invalidConsumer.status).toBe(400);
+      expect((await invalidConsumer.json()).message).toBe(localize("error.generic.invalid", { field: "consumer_id" }));
+      expect(invalidStatus.status).toBe(400);
+      expect((await invalidStatus.json()).message).toBe(localize("error.generic.invalid", { field: "status" }));
+    });
+
+    test("Should return 200 status with a CSV of the credits that were not excluded", async () => {
+      const { company_id, users, consumer } = await createCompanyWithCredits();
+      const token = await login(users[0]);
+
+      const response = await exportCredits(token);
+
+      const rows = readCsv(await response.text());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toBe("text/csv; charset=utf-8");
+      expect(response.headers.get("content-disposition")).toMatch(
+        /^attachment; filename="creditos-\d{4}-\d{2}-\d{2}\.csv"$/,
+      );
+      expect(rows[0]).toEqual(
+        ["created_at", "name", "phone", "card", "status", "requested_at", "expires_at"].map((column) =>
+          localize(`companies.credits.export.headers.${column}`),
+        ),
+      );
+      expect(rows).toHaveLength(3);
+      expect(rows.slice(1).map((row) => row[4])).toEqual(
+        expect.arrayContaining([
+          localize("companies.credits.export.status.available"),
+          localize("companies.credits.export.status.used"),
+        ]),
+      );
+      expect(rows[1].slice(1, 4)).toEqual(["Ana Souza", consumer.phone, "Café grátis"]);
+
+      const event = await auditEventHandler.read({
+        filter: { company_id, action: auditConstants.ACTIONS.COMPANY_DATA_EXPORT },
+      });
+
+      expect(event.metadata).toMatchObject({ resource: "credits", format: "csv" });
+    });
+
+    test("Should return 200 status with only the credits of the given status", async () => {
+      const { users } = await createCompanyWithCredits();
+      const token = await login(users[0]);
+
+      const response = await exportCredits(token, `?status=${statusConsts.CREDITS_STATUS.USED}`);
+
+      const rows = readCsv(await response.text());
+
+      expect(response.status).toBe(200);
+      expect(rows).toHaveLength(2);
+      expect(rows[1][4]).toBe(localize("companies.credits.export.status.used"));
+    });
+
+    test("Should return 200 status with an XLSX workbook", async () => {
+      const { users } = await createCompanyWithCredits();
+      const token = await login(users[0]);
+
+      const response = await exportCredits(token, "?format=xlsx");
+
+      const body = Buffer.from(await response.arrayBuffer());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toBe(
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+      expect(body.subarray(0, 4).toString("hex")).toBe("504b0304");
+    });
+  });
+});
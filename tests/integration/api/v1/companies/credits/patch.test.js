@@ -5,9 +5,11 @@ const cardModel = require("models/card.model");
 const creditModel = require("models/credit.model");
 const dbHandler = require("utils/db-handler.utils");
 const companyModel = require("models/company.model");
+const auditEventModel = require("models/auditevent.model");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
 const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
 
 const { localize } = require("utils/localization.utils");
 const { connectDatabase, disconnectDatabase } = require("infra/database");
@@ -17,6 +19,7 @@ const userHandler = dbHandler(userModel);
 const cardHandler = dbHandler(cardModel);
 const creditHandler = dbHandler(creditModel);
 const companyHandler = dbHandler(companyModel);
+const auditEventHandler = dbHandler(auditEventModel);
 
 const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/credits/:credit_id`;
 
@@ -162,6 +165,13 @@ describe("PATCH /api/v1/companies/credits/:credit_id", () => {
         expect(typeof body).toBe("object");
         expect(response.status).toBe(200);
         expect(body.message).toBe(localize("companies.credits.update.success"));
+
+        const event = await auditEventHandler.read({ filter: { target_id: credit.documentsCreatedOnMongo[0]._id } });
+
+        expect(event.action).toBe(auditConstants.ACTIONS.COMPANY_CREDIT_REVIEW);
+        expect(event.actor_id.toString()).toBe(user.documentsCreatedOnMongo[0]._id.toString());
+        expect(event.changes.before).toEqual({ status: statusConsts.CREDITS_STATUS.PENDING });
+        expect(event.changes.after).toEqual({ status: statusConsts.CREDITS_STATUS.AVAILABLE });
       });
 
       test("Should return 401 status when the user is excluded", async () => {
@@ -131,6 +131,9 @@ describe("GET /api/v1/companies/profile", () => {
           icon: company.documentsCreatedOnMongo[0].segment.icon,
         });
         expect(body.document).toBe(company.documentsCreatedOnMongo[0].document);
+        expect(body.formatted_document).toBe(
+          company.documentsCreatedOnMongo[0].document.replace(/^(.{2})(.{3})(.{3})(.{4})(.{2})$/, "$1.$2.$3/$4-$5"),
+        );
       });
 
       test("Should return 401 status when the user is excluded", async () => {
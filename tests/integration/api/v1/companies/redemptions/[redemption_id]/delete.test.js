@@ -0,0 +1,233 @@
+const mongoose = require("mongoose");
+
+const userModel = require("models/user.model");
+const cardModel = require("models/card.model");
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const orchestrator = require("tests/orchestrator.js");
+const redemptionModel = require("models/redemption.model");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const cardHandler = dbHandler(cardModel);
+const creditHandler = dbHandler(creditModel);
+const companyHandler = dbHandler(companyModel);
+const redemptionHandler = dbHandler(redemptionModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function createRedeemableConsumer() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      role: roleConstants.USER_ROLES.CLIENT,
+    },
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      role: roleConstants.USER_ROLES.CONSUMER,
+    },
+  ]);
+
+  const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+    {
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      credits_needed: 2,
+    },
+  ]);
+
+  const creditOptions = {
+    user_id: user.documentsCreatedOnMongo[1]._id,
+    card_id: card.documentsCreatedOnMongo[0]._id,
+    company_id: company.documentsCreatedOnMongo[0]._id,
+    status: statusConsts.CREDITS_STATUS.AVAILABLE,
+  };
+
+  await orchestrator.createDocumentOnMongo(2, creditHandler, [creditOptions, creditOptions]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    token: loginBody.accessToken,
+    company: company.documentsCreatedOnMongo[0],
+    consumer: user.documentsCreatedOnMongo[1],
+    card: card.documentsCreatedOnMongo[0],
+  };
+}
+
+describe("DELETE /api/v1/companies/redemptions/:redemption_id", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(`${endpoint}/redemptions/${new mongoose.Types.ObjectId()}`, {
+        method: "DELETE",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 200 status and restore the credits when undoing a recent redemption", async () => {
+      const { token, consumer, card } = await createRedeemableConsumer();
+
+      const redeemResponse = await fetch(`${endpoint}/consumers/${consumer._id}/cards/${card._id}/redeem`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const redeemBody = await redeemResponse.json();
+
+      expect(redeemResponse.status).toBe(200);
+      expect(redeemBody.redemption.credit_ids.length).toBe(2);
+
+      const response = await fetch(`${endpoint}/redemptions/${redeemBody.redemption._id}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("companies.redemptions.delete.success"));
+      expect(body.restoredCredits).toBe(2);
+
+      const credits = await creditHandler.list({
+        filter: {
+          user_id: consumer._id,
+          card_id: card._id,
+        },
+      });
+
+      expect(credits.every((credit) => credit.status === statusConsts.CREDITS_STATUS.AVAILABLE)).toBe(true);
+      expect(credits.every((credit) => credit.redemption_id === null)).toBe(true);
+
+      const redemption = await redemptionHandler.read({
+        filter: {
+          _id: redeemBody.redemption._id,
+        },
+      });
+
+      expect(redemption.status).toBe(statusConsts.REDEMPTION_STATUS.REVERTED);
+      expect(redemption.reverted_at).toBeDefined();
+    });
+
+    test("Should return 400 status when the redemption was already reverted", async () => {
+      const { token, consumer, card } = await createRedeemableConsumer();
+
+      const redeemResponse = await fetch(`${endpoint}/consumers/${consumer._id}/cards/${card._id}/redeem`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const redeemBody = await redeemResponse.json();
+
+      const undo = () =>
+        fetch(`${endpoint}/redemptions/${redeemBody.redemption._id}`, {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+      await undo();
+
+      const response = await undo();
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.name).toBe("ValidationError");
+      expect(body.message).toBe(localize("companies.redemptions.delete.alreadyReverted"));
+    });
+
+    test("Should return 400 status when the undo window has expired", async () => {
+      const { token, company } = await createRedeemableConsumer();
+
+      const redemption = await orchestrator.createDocumentOnMongo(1, redemptionHandler, [
+        {
+          company_id: company._id,
+          created_at: new Date(Date.now() - 1000 * 60 * 60 * 24),
+        },
+      ]);
+
+      const response = await fetch(`${endpoint}/redemptions/${redemption.documentsCreatedOnMongo[0]._id}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.name).toBe("ValidationError");
+    });
+
+    test("Should return 404 status when the redemption belongs to another company", async () => {
+      const { token } = await createRedeemableConsumer();
+
+      const redemption = await orchestrator.createDocumentOnMongo(1, redemptionHandler, [
+        {
+          company_id: new mongoose.Types.ObjectId(),
+        },
+      ]);
+
+      const response = await fetch(`${endpoint}/redemptions/${redemption.documentsCreatedOnMongo[0]._id}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(body.name).toBe("NotFoundError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: localize("resources.redemption") }));
+    });
+  });
+});
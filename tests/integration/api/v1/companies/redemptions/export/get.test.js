@@ -0,0 +1,232 @@
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const redemptionModel = require("models/redemption.model");
+const auditEventModel = require("models/auditevent.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const auditConstants = require("constants/audit.constants");
+
+const { Buffer } = require("buffer");
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const redemptionHandler = dbHandler(redemptionModel);
+const auditEventHandler = dbHandler(auditEventModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/companies/redemptions/export`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+function exportRedemptions(token, query = "") {
+  return fetch(`${endpoint}${query}`, {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+function readCsv(text) {
+  return text
+    .replace(/^\uFEFF/, "")
+    .split("\r\n")
+    .filter(Boolean)
+    .map((line) => line.split(";"));
+}
+
+// An owner and a cashier of the same company, with a redemption performed by each of them
+async function createCompanyWithRedemptions() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+  const company_id = company.documentsCreatedOnMongo[0]._id;
+
+  const users = await orchestrator.createDocumentOnMongo(2, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.OWNER,
+    },
+    {
+      name: "Carla Dias",
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+    },
+  ]);
+  const [owner, cashier] = users.documentsCreatedOnMongo;
+
+  const consumer = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    { name: "Ana Souza", status: statusConsts.RESOURCE_STATUS.AVAILABLE, role: roleConstants.USER_ROLES.CONSUMER },
+  ]);
+  const user_id = consumer.documentsCreatedOnMongo[0]._id;
+
+  await orchestrator.createDocumentOnMongo(2, redemptionHandler, [
+    {
+      company_id,
+      user_id,
+      operator_id: cashier._id,
+      card: { title: "Café grátis", credits_needed: 5 },
+    },
+    {
+      company_id,
+      user_id,
+      operator_id: owner._id,
+      status: statusConsts.REDEMPTION_STATUS.REVERTED,
+    },
+  ]);
+
+  return {
+    company_id,
+    cashier,
+    users: users.documentsCreated,
+    consumer: consumer.documentsCreatedOnMongo[0],
+  };
+}
+
+describe("GET /api/v1/companies/redemptions/export", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "GET",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 403 status when the user is a cashier", async () => {
+      const { users } = await createCompanyWithRedemptions();
+      const token = await login(users[1]);
+
+      const response = await exportRedemptions(token);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+    });
+
+    test("Should return 400 status when a filter is invalid", async () => {
+      const { users } = await createCompanyWithRedemptions();
+      const token = await login(users[0]);
+
+      const invalidOperator = await exportRedemptions(token, "?operator_id=invalid");
+      const invalidFrom = await exportRedemptions(token, "?from=invalid");
+
+      expect(invalidOperator.status).toBe(400);
+      expect((await invalidOperator.json()).message).toBe(localize("error.generic.invalid", { field: "operator_id" }));
+      expect(invalidFrom.status).toBe(400);
+      expect((await invalidFrom.json()).message).toBe(localize("error.generic.invalidFormat", { field: "from" }));
+    });
+
+    test("Should return 200 status with a CSV of every redemption", async () => {
+      const { users } = await createCompanyWithRedemptions();
+      const token = await login(users[0]);
+
+      const response = await exportRedemptions(token);
+
+      const rows = readCsv(await response.text());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toBe("text/csv; charset=utf-8");
+      expect(response.headers.get("content-disposition")).toMatch(
+        /^attachment; filename="resgates-\d{4}-\d{2}-\d{2}\.csv"$/,
+      );
+      expect(rows[0]).toEqual(
+        ["created_at", "name", "phone", "card", "credits", "operator", "status", "reverted_at"].map((column) =>
+          localize(`companies.redemptions.export.headers.${column}`),
+        ),
+      );
+      expect(rows).toHaveLength(3);
+      expect(rows.slice(1).map((row) => row[6])).toEqual(
+        expect.arrayContaining([
+          localize("companies.redemptions.export.status.active"),
+          localize("companies.redemptions.export.status.reverted"),
+        ]),
+      );
+    });
+
+    test("Should return 200 status with only the redemptions of the given operator", async () => {
+      const { company_id, users, cashier, consumer } = await createCompanyWithRedemptions();
+      const token = await login(users[0]);
+
+      const response = await exportRedemptions(token, `?operator_id=${cashier._id}`);
+
+      const rows = readCsv(await response.text());
+
+      expect(response.status).toBe(200);
+      expect(rows).toHaveLength(2);
+      expect(rows[1].slice(1, 7)).toEqual([
+        "Ana Souza",
+        consumer.phone,
+        "Café grátis",
+        "5",
+        "Carla Dias",
+        localize("companies.redemptions.export.status.active"),
+      ]);
+
+      const event = await auditEventHandler.read({
+        filter: { company_id, action: auditConstants.ACTIONS.COMPANY_DATA_EXPORT },
+      });
+
+      expect(event.metadata).toMatchObject({
+        resource: "redemptions",
+        format: "csv",
+        filters: { operator_id: cashier._id.toString() },
+      });
+    });
+
+    test("Should return 200 status with an XLSX workbook", async () => {
+      const { users } = await createCompanyWithRedemptions();
+      const token = await login(users[0]);
+
+      const response = await exportRedemptions(token, "?format=xlsx");
+
+      const body = Buffer.from(await response.arrayBuffer());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toBe(
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+      expect(body.subarray(0, 4).toString("hex")).toBe("504b0304");
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const mongoose = require("mongoose");
+
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const orchestrator = require("tests/orchestrator.js");
+const redemptionModel = require("models/redemption.model");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+const redemptionHandler = dbHandler(redemptionModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/redemptions`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function loginAsClient() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      role: roleConstants.USER_ROLES.CLIENT,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    token: loginBody.accessToken,
+    company: company.documentsCreatedOnMongo[0],
+    user: user.documentsCreatedOnMongo[0],
+  };
+}
+
+describe("GET /api/v1/companies/redemptions", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 200 status with the company redemptions, newest first", async () => {
+      const { token, company, user } = await loginAsClient();
+
+      await orchestrator.createDocumentOnMongo(3, redemptionHandler, [
+        {
+          company_id: company._id,
+          operator_id: user._id,
+          created_at: new Date(Date.now() - 1000 * 60 * 60),
+        },
+        {
+          company_id: company._id,
+          operator_id: user._id,
+          created_at: new Date(),
+        },
+        {
+          company_id: new mongoose.Types.ObjectId(),
+        },
+      ]);
+
+      const response = await fetch(endpoint, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.length).toBe(2);
+      expect(new Date(body[0].created_at) > new Date(body[1].created_at)).toBe(true);
+      expect(body.every((redemption) => redemption.company_id === company._id.toString())).toBe(true);
+    });
+
+    test("Should return 200 status filtering by consumer, status and date range", async () => {
+      const { token, company, user } = await loginAsClient();
+
+      const consumerId = new mongoose.Types.ObjectId();
+
+      const redemptions = await orchestrator.createDocumentOnMongo(4, redemptionHandler, [
+        {
+          company_id: company._id,
+          operator_id: user._id,
+          user_id: consumerId,
+          created_at: new Date(),
+        },
+        {
+          company_id: company._id,
+          operator_id: user._id,
+          user_id: consumerId,
+          status: statusConsts.REDEMPTION_STATUS.REVERTED,
+          created_at: new Date(),
+        },
+        {
+          company_id: company._id,
+          operator_id: user._id,
+          user_id: consumerId,
+          created_at: new Date(Date.now() - 1000 * 60 * 60 * 24 * 10),
+        },
+        {
+          company_id: company._id,
+          operator_id: user._id,
+          created_at: new Date(),
+        },
+      ]);
+
+      const from = new Date(Date.now() - 1000 * 60 * 60 * 24).toISOString();
+
+      const response = await fetch(
+        `${endpoint}?consumer_id=${consumerId}&status=${statusConsts.REDEMPTION_STATUS.ACTIVE}&from=${from}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.length).toBe(1);
+      expect(body[0]._id).toBe(redemptions.documentsCreatedOnMongo[0]._id.toString());
+    });
+
+    test("Should return 400 status when a filter id is invalid", async () => {
+      const { token } = await loginAsClient();
+
+      const response = await fetch(`${endpoint}?card_id=invalid`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.name).toBe("ValidationError");
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "card_id" }));
+    });
+
+    test("Should return 400 status when the date range is invalid", async () => {
+      const { token } = await loginAsClient();
+
+      const response = await fetch(`${endpoint}?to=not-a-date`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.name).toBe("ValidationError");
+      expect(body.message).toBe(localize("error.generic.invalidFormat", { field: "to" }));
+    });
+  });
+});
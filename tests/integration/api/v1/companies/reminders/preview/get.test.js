@@ -0,0 +1,206 @@
+const userModel = require("models/user.model");
+const cardModel = require("models/card.model");
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const cardHandler = dbHandler(cardModel);
+const creditHandler = dbHandler(creditModel);
+const companyHandler = dbHandler(companyModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/reminders/preview`;
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function loginAsClient() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      role: roleConstants.USER_ROLES.CLIENT,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    company: company.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+describe("GET /api/v1/companies/reminders/preview", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    describe("User has a client role", () => {
+      test("Should return 400 status when days is out of range", async () => {
+        const { token } = await loginAsClient();
+
+        const response = await fetch(`${endpoint}?days=0`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "days" }));
+      });
+
+      test("Should return 200 status listing only the batches expiring within the window", async () => {
+        const { company, token } = await loginAsClient();
+
+        const consumers = await orchestrator.createDocumentOnMongo(3, userHandler, [
+          { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            notification_preferences: { expiring_credits: false },
+          },
+          { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+        ]);
+
+        const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+          {
+            company_id: company._id,
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const [reminded, optedOut, later] = consumers.documentsCreatedOnMongo;
+        const card_id = card.documentsCreatedOnMongo[0]._id;
+        const soon = new Date(Date.now() + ONE_DAY);
+
+        await orchestrator.createDocumentOnMongo(5, creditHandler, [
+          { company_id: company._id, card_id, user_id: reminded._id, expires_at: soon },
+          { company_id: company._id, card_id, user_id: reminded._id, expires_at: soon },
+          { company_id: company._id, card_id, user_id: optedOut._id, expires_at: soon },
+          { company_id: company._id, card_id, user_id: later._id, expires_at: new Date(Date.now() + ONE_DAY * 10) },
+          {
+            company_id: company._id,
+            card_id,
+            user_id: later._id,
+            expires_at: soon,
+            status: statusConsts.CREDITS_STATUS.USED,
+          },
+        ]);
+
+        const response = await fetch(endpoint, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.enabled).toBe(false);
+        expect(body.days_before).toBe(3);
+        expect(body.total).toBe(1);
+        expect(body.reminders[0].user._id).toBe(reminded._id.toString());
+        expect(body.reminders[0].card._id).toBe(card_id.toString());
+        expect(body.reminders[0].count).toBe(2);
+        expect(body.reminders[0].content).toContain("2 selos");
+        expect(body.reminders[0].content).toContain(company.name);
+
+        const widerResponse = await fetch(`${endpoint}?days=15`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const widerBody = await widerResponse.json();
+
+        expect(widerResponse.status).toBe(200);
+        expect(widerBody.days_before).toBe(15);
+        expect(widerBody.total).toBe(2);
+      });
+
+      test("Should return 200 status skipping batches that were already reminded", async () => {
+        const { company, token } = await loginAsClient();
+
+        const consumer = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+        ]);
+
+        const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+          {
+            company_id: company._id,
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        await orchestrator.createDocumentOnMongo(1, creditHandler, [
+          {
+            company_id: company._id,
+            card_id: card.documentsCreatedOnMongo[0]._id,
+            user_id: consumer.documentsCreatedOnMongo[0]._id,
+            expires_at: new Date(Date.now() + ONE_DAY),
+            reminded_at: new Date(),
+          },
+        ]);
+
+        const response = await fetch(endpoint, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.total).toBe(0);
+        expect(body.reminders).toEqual([]);
+      });
+    });
+  });
+});
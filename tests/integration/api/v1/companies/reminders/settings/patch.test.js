@@ -0,0 +1,182 @@
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/reminders/settings`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function loginAsClient() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      role: roleConstants.USER_ROLES.CLIENT,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    company: company.documentsCreatedOnMongo[0],
+    token: loginBody.accessToken,
+  };
+}
+
+describe("PATCH /api/v1/companies/reminders/settings", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    describe("User has a client role", () => {
+      test("Should return 400 status when no setting is sent", async () => {
+        const { token } = await loginAsClient();
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({}),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+      });
+
+      test("Should return 400 status when enabled is not a boolean", async () => {
+        const { token } = await loginAsClient();
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ enabled: "yes" }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "enabled" }));
+      });
+
+      test("Should return 400 status when days_before is out of range", async () => {
+        const { token } = await loginAsClient();
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ days_before: 31 }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "days_before" }));
+      });
+
+      test("Should return 200 status after enabling reminders and keep the other setting", async () => {
+        const { company, token } = await loginAsClient();
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ enabled: true }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe(localize("companies.reminders.settings.success"));
+        expect(body.reminders).toEqual({ enabled: true, days_before: 3 });
+
+        const storedCompany = await companyHandler.read({ filter: { _id: company._id } });
+
+        expect(storedCompany.settings.reminders.enabled).toBe(true);
+        expect(storedCompany.settings.reminders.days_before).toBe(3);
+      });
+
+      test("Should return 200 status after changing days_before", async () => {
+        const { company, token } = await loginAsClient();
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ days_before: 7 }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.reminders).toEqual({ enabled: false, days_before: 7 });
+
+        const storedCompany = await companyHandler.read({ filter: { _id: company._id } });
+
+        expect(storedCompany.settings.reminders.days_before).toBe(7);
+      });
+    });
+  });
+});
@@ -297,6 +297,196 @@ describe("GET /api/v1/companies/stats", () => {
         expect(body.creditsUsedChart.total).toBeGreaterThan(0);
       });
 
+      test("Should return 200 status with daily stats of the chosen period compared with the previous one", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+        ]);
+
+        const consumer = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            role: roleConstants.USER_ROLES.CONSUMER,
+          },
+        ]);
+
+        const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+          {
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const credit = {
+          card_id: card.documentsCreatedOnMongo[0]._id,
+          user_id: consumer.documentsCreatedOnMongo[0]._id,
+          company_id: company.documentsCreatedOnMongo[0]._id,
+        };
+
+        await orchestrator.createDocumentOnMongo(3, creditHandler, [
+          // Still September 30 in Sao Paulo
+          { ...credit, created_at: new Date("2026-10-01T02:00:00Z") },
+          { ...credit, created_at: new Date("2026-10-01T15:00:00Z") },
+          // Previous period, from September 25 to 28
+          { ...credit, created_at: new Date("2026-09-27T15:00:00Z") },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+
+        const token = loginBody.accessToken;
+
+        const response = await fetch(`${endpoint}?from=2026-09-29&to=2026-10-02&granularity=day`, {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.period).toEqual({
+          from: "2026-09-29T03:00:00.000Z",
+          to: "2026-10-03T02:59:59.999Z",
+          granularity: "day",
+          timezone: "America/Sao_Paulo",
+        });
+        expect(body.previousPeriod).toEqual({
+          from: "2026-09-25T03:00:00.000Z",
+          to: "2026-09-29T02:59:59.999Z",
+        });
+
+        expect(body.creditsGivenChart.dataKey).toBe("day");
+        expect(body.creditsGivenChart.data).toEqual([
+          { day: "29/09", count: 0 },
+          { day: "30/09", count: 1 },
+          { day: "01/10", count: 1 },
+          { day: "02/10", count: 0 },
+        ]);
+        expect(body.creditsGivenChart.total).toBe(2);
+        expect(body.creditsGivenChart.previousTotal).toBe(1);
+        expect(body.creditsGivenChart.change).toBe(100);
+
+        // The consumer counts once, on the day of their latest credit
+        expect(body.newClientsChart.data.map((bucket) => bucket.count)).toEqual([0, 0, 1, 0]);
+        expect(body.newClientsChart.total).toBe(1);
+        expect(body.newClientsChart.previousTotal).toBe(1);
+        expect(body.newClientsChart.change).toBe(0);
+
+        expect(body.creditsUsedChart.total).toBe(0);
+        expect(body.creditsUsedChart.change).toBeNull();
+      });
+
+      test("Should return 200 status with the last 6 months when only the granularity is given", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+
+        const token = loginBody.accessToken;
+
+        const response = await fetch(`${endpoint}?granularity=month`, {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.newClientsChart.dataKey).toBe("month");
+        expect(body.newClientsChart.data).toHaveLength(6);
+        expect(body.creditsGivenChart.data).toHaveLength(6);
+        expect(body.creditsUsedChart.data).toHaveLength(6);
+      });
+
+      test("Should return 400 status for an invalid period or granularity", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+
+        const token = loginBody.accessToken;
+
+        const cases = [
+          ["?granularity=year", localize("error.generic.invalid", { field: "granularity" })],
+          ["?from=2026-02-30", localize("error.generic.invalidFormat", { field: "from" })],
+          ["?from=2026-10-02&to=2026-10-01", localize("error.generic.invalid", { field: "from" })],
+          ["?from=2025-01-01&to=2026-10-01", localize("companies.stats.error.rangeTooLong", { days: 366 })],
+        ];
+
+        for (const [query, message] of cases) {
+          const response = await fetch(`${endpoint}${query}`, {
+            method: "GET",
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          });
+
+          const body = await response.json();
+
+          expect(response.status).toBe(400);
+          expect(body.name).toBe("ValidationError");
+          expect(body.message).toBe(message);
+        }
+      });
+
       test("Should return 401 status when accessing with valid token but company becomes excluded", async () => {
         const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
           {
@@ -0,0 +1,213 @@
+const userModel = require("models/user.model");
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const redemptionModel = require("models/redemption.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { subTime } = require("utils/date.utils");
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const creditHandler = dbHandler(creditModel);
+const companyHandler = dbHandler(companyModel);
+const redemptionHandler = dbHandler(redemptionModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/companies/stats/staff`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login(user) {
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, password: user.password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return loginBody.accessToken;
+}
+
+function getStaffStats(token, query = "") {
+  return fetch(`${endpoint}${query}`, {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+}
+
+// An owner and two cashiers of the same company
+async function createCompanyWithStaff() {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+  const company_id = company.documentsCreatedOnMongo[0]._id;
+
+  const users = await orchestrator.createDocumentOnMongo(3, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.OWNER,
+    },
+    {
+      name: "Caixa Carimbador",
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+    },
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+    },
+  ]);
+
+  return {
+    company_id,
+    users: users.documentsCreated,
+    staff: users.documentsCreatedOnMongo,
+  };
+}
+
+describe("GET /api/v1/companies/stats/staff", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "GET",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 403 status when the user is a cashier", async () => {
+      const { users } = await createCompanyWithStaff();
+      const token = await login(users[1]);
+
+      const response = await getStaffStats(token);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+    });
+
+    test("Should return 400 status when the period or granularity is invalid", async () => {
+      const { users } = await createCompanyWithStaff();
+      const token = await login(users[0]);
+
+      const invalidGranularity = await getStaffStats(token, "?granularity=year");
+      const invalidFrom = await getStaffStats(token, "?from=18-10-2026");
+
+      expect(invalidGranularity.status).toBe(400);
+      expect((await invalidGranularity.json()).message).toBe(
+        localize("error.generic.invalid", { field: "granularity" }),
+      );
+      expect(invalidFrom.status).toBe(400);
+      expect((await invalidFrom.json()).message).toBe(localize("error.generic.invalidFormat", { field: "from" }));
+    });
+
+    test("Should return 200 status with what each staff member did, busiest first", async () => {
+      const { company_id, users, staff } = await createCompanyWithStaff();
+      const [owner, busyCashier, quietCashier] = staff;
+
+      await orchestrator.createDocumentOnMongo(6, creditHandler, [
+        { company_id, issued_by: busyCashier._id },
+        { company_id, issued_by: busyCashier._id },
+        { company_id, issued_by: busyCashier._id, excluded: true },
+        { company_id, issued_by: quietCashier._id },
+        // Consumer requests reviewed by the owner
+        { company_id, reviewed_by: owner._id, reviewed_at: new Date() },
+        {
+          company_id,
+          status: statusConsts.CREDITS_STATUS.REJECTED,
+          reviewed_by: owner._id,
+          reviewed_at: new Date(),
+        },
+      ]);
+
+      await orchestrator.createDocumentOnMongo(2, redemptionHandler, [
+        { company_id, operator_id: quietCashier._id },
+        { company_id, operator_id: quietCashier._id, status: statusConsts.REDEMPTION_STATUS.REVERTED },
+      ]);
+
+      const token = await login(users[0]);
+
+      const response = await getStaffStats(token);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.period.granularity).toBe("week");
+      expect(body.staff).toHaveLength(3);
+
+      const [first, second] = body.staff;
+
+      expect(first._id).toBe(busyCashier._id.toString());
+      expect(first.name).toBe("Caixa Carimbador");
+      expect(first.company_role).toBe(roleConstants.COMPANY_ROLES.CASHIER);
+      expect(first.creditsIssuedChart.total).toBe(3);
+      expect(first.creditsIssuedChart.data).toHaveLength(4);
+      expect(first.redemptionsChart.total).toBe(0);
+
+      expect(second._id).toBe(quietCashier._id.toString());
+      expect(second.creditsIssuedChart.total).toBe(1);
+      expect(second.redemptionsChart.total).toBe(1);
+
+      const ownerStats = body.staff.find((member) => member._id === owner._id.toString());
+
+      expect(ownerStats.requestsApproved).toBe(1);
+      expect(ownerStats.requestsRejected).toBe(1);
+    });
+
+    test("Should return 200 status counting only the chosen period", async () => {
+      const { company_id, users, staff } = await createCompanyWithStaff();
+
+      await orchestrator.createDocumentOnMongo(1, redemptionHandler, [
+        { company_id, operator_id: staff[1]._id, created_at: subTime(new Date(), 40, "days") },
+      ]);
+
+      const token = await login(users[0]);
+
+      const lastWeeks = await (await getStaffStats(token)).json();
+      const lastMonths = await (await getStaffStats(token, "?granularity=month")).json();
+
+      const cashierOf = (body) => body.staff.find((member) => member._id === staff[1]._id.toString());
+
+      expect(cashierOf(lastWeeks).redemptionsChart.data).toHaveLength(4);
+      expect(cashierOf(lastWeeks).redemptionsChart.total).toBe(0);
+      expect(lastMonths.period.granularity).toBe("month");
+      expect(cashierOf(lastMonths).redemptionsChart.dataKey).toBe("month");
+      expect(cashierOf(lastMonths).redemptionsChart.data).toHaveLength(6);
+      expect(cashierOf(lastMonths).redemptionsChart.total).toBe(1);
+    });
+  });
+});
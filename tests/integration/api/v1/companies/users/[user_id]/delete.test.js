@@ -125,6 +125,21 @@ describe("DELETE /api/v1/companies/users/:user_id", () => {
 
         expect(response.status).toBe(200);
         expect(body.message).toBe(localize("companies.users.delete.success"));
+
+        // The removed user's token is revoked along with the user
+        const profileResponse = await fetch(
+          `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/users/profile`,
+          {
+            headers: {
+              Authorization: `Bearer ${token}`,
+            },
+          },
+        );
+
+        const profileBody = await profileResponse.json();
+
+        expect(profileResponse.status).toBe(401);
+        expect(profileBody.message).toBe(localize("error.UnauthorizedError.tokenRevoked"));
       });
 
       test("Should return 401 status when the user is excluded", async () => {
@@ -342,6 +357,109 @@ describe("DELETE /api/v1/companies/users/:user_id", () => {
         expect(body.name).toBe("ValidationError");
         expect(body.message).toBe(localize("companies.users.delete.error.lastUser"));
       });
+
+      test("Should return 400 when the user is the last owner of the company", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.OWNER,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.CASHIER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const endpointWithUserId = endpoint.replace(":user_id", user.documentsCreatedOnMongo[0]._id);
+
+        const response = await fetch(endpointWithUserId, {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("companies.users.delete.error.lastOwner"));
+      });
+
+      test("Should return 403 when a cashier tries to delete another user", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.CASHIER,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.OWNER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const endpointWithUserId = endpoint.replace(":user_id", user.documentsCreatedOnMongo[1]._id);
+
+        const response = await fetch(endpointWithUserId, {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(403);
+        expect(body.name).toBe("ForbiddenError");
+        expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+        expect(body.action).toBe(localize("error.ForbiddenError.permissionAction"));
+
+        const owner = await userHandler.read({ filter: { _id: user.documentsCreatedOnMongo[1]._id } });
+
+        expect(owner.status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
+      });
     });
   });
 });
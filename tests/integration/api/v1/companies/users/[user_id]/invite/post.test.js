@@ -0,0 +1,151 @@
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const otpConstants = require("constants/otp.constants");
+const datesConstants = require("constants/dates.constants");
+
+const { subTime } = require("utils/date.utils");
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const companyHandler = dbHandler(companyModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/users/:user_id/invite`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+// The first user is the one logged in, the second one is the invitee
+async function createCompanyWithInvitation(options = {}) {
+  const { company_role = roleConstants.COMPANY_ROLES.OWNER, invitee = {} } = options;
+
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role,
+    },
+    {
+      status: statusConsts.RESOURCE_STATUS.PENDING,
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      role: roleConstants.USER_ROLES.CLIENT,
+      company_role: roleConstants.COMPANY_ROLES.CASHIER,
+      invited_at: new Date(),
+      validation_token: "12345",
+      validation_token_expires_at: subTime(new Date(), 1, datesConstants.UNITS.HOUR),
+      validation_token_purpose: otpConstants.PURPOSES.INVITE,
+      ...invitee,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  return {
+    token: loginBody.accessToken,
+    invitee: user.documentsCreatedOnMongo[1],
+  };
+}
+
+describe("POST /api/v1/companies/users/:user_id/invite", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "POST",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 200 status and issue a new code for an expired invitation", async () => {
+      const { token, invitee } = await createCompanyWithInvitation();
+
+      const response = await fetch(endpoint.replace(":user_id", invitee._id), {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("companies.users.invite.resend.success"));
+
+      const updatedInvitee = await userHandler.read({ filter: { _id: invitee._id } });
+
+      expect(updatedInvitee.status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+      expect(updatedInvitee.validation_token_purpose).toBe(otpConstants.PURPOSES.INVITE);
+      expect(new Date(updatedInvitee.validation_token_expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test("Should return 404 status when the invitation was already accepted", async () => {
+      const { token, invitee } = await createCompanyWithInvitation({
+        invitee: { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+      });
+
+      const response = await fetch(endpoint.replace(":user_id", invitee._id), {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: localize("resources.invitation") }));
+    });
+
+    test("Should return 403 status when the user is a cashier", async () => {
+      const { token, invitee } = await createCompanyWithInvitation({
+        company_role: roleConstants.COMPANY_ROLES.CASHIER,
+      });
+
+      const response = await fetch(endpoint.replace(":user_id", invitee._id), {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+    });
+  });
+});
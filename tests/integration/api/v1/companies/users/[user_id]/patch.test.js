@@ -1,6 +1,7 @@
 const userModel = require("models/user.model");
 const dbHandler = require("utils/db-handler.utils");
 const companyModel = require("models/company.model");
+const membershipModel = require("models/membership.model");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
 const roleConstants = require("constants/roles.constants");
@@ -12,6 +13,7 @@ const { generatePhoneNumber } = require("utils/data.utils");
 // Handlers
 const userHandler = dbHandler(userModel);
 const companyHandler = dbHandler(companyModel);
+const membershipHandler = dbHandler(membershipModel);
 
 const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/users/:user_id`;
 
@@ -325,6 +327,215 @@ describe("PATCH /api/v1/companies/users/:user_id", () => {
         expect(body.message).toBe(localize("error.generic.invalid", { field: "token" }));
         expect(body.action).toBe(localize("error.UnauthorizedError.action"));
       });
+
+      test("Should return 200 status after promoting a cashier to manager", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.OWNER,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.CASHIER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const endpointWithUserId = endpoint.replace(":user_id", user.documentsCreatedOnMongo[1]._id);
+
+        const response = await fetch(endpointWithUserId, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ company_role: roleConstants.COMPANY_ROLES.MANAGER }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe(localize("companies.users.update.success"));
+
+        const membership = await membershipHandler.read({
+          filter: { user_id: user.documentsCreatedOnMongo[1]._id, company_id: company.documentsCreatedOnMongo[0]._id },
+        });
+
+        expect(membership.company_role).toBe(roleConstants.COMPANY_ROLES.MANAGER);
+      });
+
+      test("Should return 400 when the company role is invalid", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.OWNER,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.CASHIER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const endpointWithUserId = endpoint.replace(":user_id", user.documentsCreatedOnMongo[1]._id);
+
+        const response = await fetch(endpointWithUserId, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ company_role: "admin" }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "company_role" }));
+      });
+
+      test("Should return 400 when demoting the last owner of the company", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.OWNER,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.CASHIER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const endpointWithUserId = endpoint.replace(":user_id", user.documentsCreatedOnMongo[0]._id);
+
+        const response = await fetch(endpointWithUserId, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ company_role: roleConstants.COMPANY_ROLES.MANAGER }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("companies.users.update.error.lastOwner"));
+      });
+
+      test("Should return 403 when a manager tries to update a user", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.MANAGER,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.CASHIER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const endpointWithUserId = endpoint.replace(":user_id", user.documentsCreatedOnMongo[1]._id);
+
+        const response = await fetch(endpointWithUserId, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ company_role: roleConstants.COMPANY_ROLES.OWNER }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(403);
+        expect(body.name).toBe("ForbiddenError");
+        expect(body.message).toBe(localize("error.ForbiddenError.permission"));
+      });
     });
   });
 });
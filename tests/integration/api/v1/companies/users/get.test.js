@@ -4,7 +4,10 @@ const companyModel = require("models/company.model");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
 const roleConstants = require("constants/roles.constants");
+const otpConstants = require("constants/otp.constants");
+const datesConstants = require("constants/dates.constants");
 
+const { addTime, subTime } = require("utils/date.utils");
 const { localize } = require("utils/localization.utils");
 const { connectDatabase, disconnectDatabase } = require("infra/database");
 
@@ -163,6 +166,81 @@ describe("GET /api/v1/companies/users", () => {
         expect(body[2].status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
       });
 
+      test("Should return the invitation state of invited users", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(4, userHandler, [
+          {
+            name: "A Proprietário",
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+          {
+            name: "B Convite aceito",
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            invited_at: new Date(),
+          },
+          {
+            name: "C Convite pendente",
+            status: statusConsts.RESOURCE_STATUS.PENDING,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            invited_at: new Date(),
+            validation_token: "12345",
+            validation_token_expires_at: addTime(new Date(), 1, datesConstants.UNITS.HOUR),
+            validation_token_purpose: otpConstants.PURPOSES.INVITE,
+          },
+          {
+            name: "D Convite expirado",
+            status: statusConsts.RESOURCE_STATUS.PENDING,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            invited_at: new Date(),
+            validation_token: "12345",
+            validation_token_expires_at: subTime(new Date(), 1, datesConstants.UNITS.HOUR),
+            validation_token_purpose: otpConstants.PURPOSES.INVITE,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+
+        const byName = Object.fromEntries(body.map((companyUser) => [companyUser.name, companyUser]));
+
+        expect(byName["A Proprietário"].invitation).toBeNull();
+        expect(byName["B Convite aceito"].invitation.status).toBe(statusConsts.INVITATION_STATUS.ACCEPTED);
+        expect(byName["C Convite pendente"].invitation.status).toBe(statusConsts.INVITATION_STATUS.PENDING);
+        expect(byName["C Convite pendente"].invitation.expires_at).toBeDefined();
+        expect(byName["D Convite expirado"].invitation.status).toBe(statusConsts.INVITATION_STATUS.EXPIRED);
+        expect(byName["D Convite expirado"].validation_token_expires_at).toBeUndefined();
+      });
+
       test("Should return 401 status when the user is excluded", async () => {
         const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
           {
@@ -1,16 +1,23 @@
 const userModel = require("models/user.model");
+const messageModel = require("models/message.model");
 const dbHandler = require("utils/db-handler.utils");
 const companyModel = require("models/company.model");
+const membershipModel = require("models/membership.model");
 const orchestrator = require("tests/orchestrator.js");
 const statusConsts = require("constants/status.constants");
 const roleConstants = require("constants/roles.constants");
+const otpConstants = require("constants/otp.constants");
+const messageConstants = require("constants/message.constants");
 
 const { localize } = require("utils/localization.utils");
+const { generatePhoneNumber } = require("utils/data.utils");
 const { connectDatabase, disconnectDatabase } = require("infra/database");
 
 // Handlers
 const userHandler = dbHandler(userModel);
 const companyHandler = dbHandler(companyModel);
+const messageHandler = dbHandler(messageModel);
+const membershipHandler = dbHandler(membershipModel);
 
 const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/companies/users`;
 
@@ -128,6 +135,247 @@ describe("POST /api/v1/companies/users", () => {
 
         expect(response.status).toBe(200);
         expect(body.message).toBe(localize("companies.users.create.success"));
+
+        // The invitee stays pending until choosing a password with the code sent by SMS
+        const invitedUser = await userHandler.read({ filter: { _id: body.user_id } });
+
+        expect(invitedUser.status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+        expect(invitedUser.password).toBeUndefined();
+        expect(invitedUser.validation_token_purpose).toBe(otpConstants.PURPOSES.INVITE);
+
+        const membership = await membershipHandler.read({ filter: { user_id: body.user_id } });
+
+        expect(membership.status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+        expect(membership.invited_at).toBeDefined();
+        expect(membership.invited_by.toString()).toBe(user.documentsCreatedOnMongo[0]._id.toString());
+
+        const invitation = await messageHandler.read({ filter: { user_id: body.user_id } });
+
+        expect(invitation.template).toBe(messageConstants.TEMPLATES.COMPANY_INVITE);
+      });
+
+      test("Should return 400 status when the name is missing", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            phone: generatePhoneNumber(),
+          }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("error.generic.required", { field: "name" }));
+      });
+
+      test("Should return 400 status when the phone is already in use", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            role: roleConstants.USER_ROLES.CONSUMER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            name: "John Doe",
+            phone: user.documentsCreated[1].phone,
+          }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(
+          localize("error.generic.alreadyInUse", { field: "phone", value: user.documentsCreated[1].phone }),
+        );
+      });
+
+      test("Should return 200 status and invite the staff of another company without a new account", async () => {
+        const companies = await orchestrator.createDocumentOnMongo(2, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(2, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: companies.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: companies.documentsCreatedOnMongo[1]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            name: "John Doe",
+            phone: user.documentsCreated[1].phone,
+          }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.user_id).toBe(user.documentsCreatedOnMongo[1]._id.toString());
+
+        // Still works for the other company until accepting
+        const invitedUser = await userHandler.read({ filter: { _id: body.user_id } });
+
+        expect(invitedUser.status).toBe(statusConsts.RESOURCE_STATUS.AVAILABLE);
+        expect(invitedUser.company_id.toString()).toBe(companies.documentsCreatedOnMongo[1]._id.toString());
+
+        const memberships = await membershipHandler.list({
+          filter: { user_id: body.user_id },
+          sort: { created_at: 1 },
+        });
+
+        expect(memberships).toHaveLength(2);
+        expect(memberships[1].company_id.toString()).toBe(companies.documentsCreatedOnMongo[0]._id.toString());
+        expect(memberships[1].status).toBe(statusConsts.RESOURCE_STATUS.PENDING);
+
+        // Inviting again while the invitation is pending is refused
+        const secondResponse = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            name: "John Doe",
+            phone: user.documentsCreated[1].phone,
+          }),
+        });
+
+        expect(secondResponse.status).toBe(400);
+      });
+
+      test("Should create the user as a cashier when no company role is sent", async () => {
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            role: roleConstants.USER_ROLES.CLIENT,
+            company_role: roleConstants.COMPANY_ROLES.OWNER,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            name: "Maria Souza",
+            phone: "5541984012835",
+          }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe(localize("companies.users.create.success"));
+
+        const membership = await membershipHandler.read({ filter: { user_id: body.user_id } });
+
+        expect(membership.company_role).toBe(roleConstants.COMPANY_ROLES.CASHIER);
       });
 
       test("Should return 401 status when the user is excluded", async () => {
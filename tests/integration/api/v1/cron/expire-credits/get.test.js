@@ -0,0 +1,110 @@
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const creditHandler = dbHandler(creditModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/cron/expire-credits`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+describe("GET /api/v1/cron/expire-credits", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the cron secret is not sent", async () => {
+      const response = await fetch(endpoint);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+
+    test("Should return 401 status when the cron secret is wrong", async () => {
+      const response = await fetch(endpoint, {
+        headers: {
+          Authorization: "Bearer wrong-secret",
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "token" }));
+    });
+  });
+
+  describe("Cron caller", () => {
+    test("Should return 200 status expiring only the past-due available and pending credits", async () => {
+      const yesterday = new Date(Date.now() - 1000 * 60 * 60 * 24);
+
+      const credits = await orchestrator.createDocumentOnMongo(5, creditHandler, [
+        {
+          status: statusConsts.CREDITS_STATUS.AVAILABLE,
+          expires_at: yesterday,
+        },
+        {
+          status: statusConsts.CREDITS_STATUS.PENDING,
+          expires_at: yesterday,
+        },
+        {
+          status: statusConsts.CREDITS_STATUS.USED,
+          expires_at: yesterday,
+        },
+        {
+          status: statusConsts.CREDITS_STATUS.AVAILABLE,
+        },
+        {
+          status: statusConsts.CREDITS_STATUS.AVAILABLE,
+          expires_at: yesterday,
+          excluded: true,
+        },
+      ]);
+
+      const response = await fetch(endpoint, {
+        headers: {
+          Authorization: `Bearer ${process.env.CRON_SECRET}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.expired).toBe(2);
+
+      const storedCredits = await creditHandler.list({
+        filter: {
+          _id: { $in: credits.documentsCreatedOnMongo.map((credit) => credit._id) },
+        },
+      });
+
+      const statusById = Object.fromEntries(storedCredits.map((credit) => [credit._id.toString(), credit.status]));
+      const ids = credits.documentsCreatedOnMongo.map((credit) => credit._id.toString());
+
+      expect(statusById[ids[0]]).toBe(statusConsts.CREDITS_STATUS.EXPIRED);
+      expect(statusById[ids[1]]).toBe(statusConsts.CREDITS_STATUS.EXPIRED);
+      expect(statusById[ids[2]]).toBe(statusConsts.CREDITS_STATUS.USED);
+      expect(statusById[ids[3]]).toBe(statusConsts.CREDITS_STATUS.AVAILABLE);
+      expect(statusById[ids[4]]).toBe(statusConsts.CREDITS_STATUS.AVAILABLE);
+    });
+  });
+});
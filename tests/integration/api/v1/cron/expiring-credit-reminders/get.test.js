@@ -0,0 +1,120 @@
+const userModel = require("models/user.model");
+const cardModel = require("models/card.model");
+const creditModel = require("models/credit.model");
+const dbHandler = require("utils/db-handler.utils");
+const companyModel = require("models/company.model");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const cardHandler = dbHandler(cardModel);
+const creditHandler = dbHandler(creditModel);
+const companyHandler = dbHandler(companyModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/cron/expiring-credit-reminders`;
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+beforeEach(async () => {
+  await orchestrator.clearDatabase();
+});
+
+async function createExpiringCredit(options) {
+  const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      settings: {
+        reminders: {
+          enabled: options.enabled,
+          days_before: 3,
+        },
+      },
+    },
+  ]);
+
+  const consumer = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    { status: statusConsts.RESOURCE_STATUS.AVAILABLE },
+  ]);
+
+  const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+    {
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const credit = await orchestrator.createDocumentOnMongo(1, creditHandler, [
+    {
+      company_id: company.documentsCreatedOnMongo[0]._id,
+      card_id: card.documentsCreatedOnMongo[0]._id,
+      user_id: consumer.documentsCreatedOnMongo[0]._id,
+      expires_at: new Date(Date.now() + ONE_DAY),
+    },
+  ]);
+
+  return credit.documentsCreatedOnMongo[0];
+}
+
+describe("GET /api/v1/cron/expiring-credit-reminders", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the cron secret is not sent", async () => {
+      const response = await fetch(endpoint);
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: "Token" }));
+    });
+  });
+
+  describe("Cron caller", () => {
+    test("Should return 200 status reminding only companies that enabled reminders, once per credit", async () => {
+      const enabledCredit = await createExpiringCredit({ enabled: true });
+      const disabledCredit = await createExpiringCredit({ enabled: false });
+
+      const response = await fetch(endpoint, {
+        headers: {
+          Authorization: `Bearer ${process.env.CRON_SECRET}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toEqual({ companies: 1, sent: 1, failed: 0 });
+
+      const remindedCredit = await creditHandler.read({ filter: { _id: enabledCredit._id } });
+      const skippedCredit = await creditHandler.read({ filter: { _id: disabledCredit._id } });
+
+      expect(remindedCredit.reminded_at).not.toBeNull();
+      expect(skippedCredit.reminded_at).toBeNull();
+
+      const secondResponse = await fetch(endpoint, {
+        headers: {
+          Authorization: `Bearer ${process.env.CRON_SECRET}`,
+        },
+      });
+
+      const secondBody = await secondResponse.json();
+
+      expect(secondResponse.status).toBe(200);
+      expect(secondBody).toEqual({ companies: 1, sent: 0, failed: 0 });
+    });
+  });
+});
@@ -356,6 +356,67 @@ describe("GET /api/v1/users/cards", () => {
         expect(Array.isArray(body)).toBe(true);
       });
 
+      test("Should not return cards whose credits are past their expiration date", async () => {
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const company = await orchestrator.createDocumentOnMongo(1, companyHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const card = await orchestrator.createDocumentOnMongo(1, cardHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+          },
+        ]);
+
+        // One credit already swept by the expiration job and one the job has not reached yet
+        await orchestrator.createDocumentOnMongo(2, creditHandler, [
+          {
+            status: statusConsts.CREDITS_STATUS.EXPIRED,
+            card_id: card.documentsCreatedOnMongo[0]._id,
+            user_id: user.documentsCreatedOnMongo[0]._id,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+          },
+          {
+            status: statusConsts.CREDITS_STATUS.AVAILABLE,
+            card_id: card.documentsCreatedOnMongo[0]._id,
+            user_id: user.documentsCreatedOnMongo[0]._id,
+            company_id: company.documentsCreatedOnMongo[0]._id,
+            expires_at: new Date(Date.now() - 1000 * 60),
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body).toHaveLength(0);
+      });
+
       test("Should not return cards when the company is not available", async () => {
         const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
           {
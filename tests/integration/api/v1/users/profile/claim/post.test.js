@@ -0,0 +1,134 @@
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const passwordUtils = require("utils/password.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
+const datesConstants = require("constants/dates.constants");
+
+const { addTime } = require("utils/date.utils");
+const { localize } = require("utils/localization.utils");
+const { generatePhoneNumber } = require("utils/data.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+const userHandler = dbHandler(userModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/users/profile/claim`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function loginWithCode(data = {}) {
+  const user = await userHandler.create({
+    data: {
+      phone: generatePhoneNumber(),
+      role: roleConstants.USER_ROLES.CONSUMER,
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+      validation_token: "12345",
+      validation_token_expires_at: addTime(new Date(), 10, datesConstants.UNITS.MINUTE),
+      ...data,
+    },
+  });
+
+  const response = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/otp/verify`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.phone, token: "12345" }),
+  });
+
+  return {
+    user,
+    body: await response.json(),
+  };
+}
+
+function claim(token, body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("POST /api/v1/users/profile/claim", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ password: "newPassword" }),
+      });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 400 status when the password is missing", async () => {
+      const { body: loginBody } = await loginWithCode();
+
+      const response = await claim(loginBody.accessToken, {});
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.required", { field: "password" }));
+    });
+
+    test("Should return 200 status and let the consumer log in with the new password", async () => {
+      const { user, body: loginBody } = await loginWithCode();
+
+      const response = await claim(loginBody.accessToken, { password: "newPassword", name: "Maria Souza" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("users.profile.claim.success"));
+
+      const userUpdated = await userHandler.read({ filter: { _id: user._id }, projection: { name: 1, password: 1 } });
+
+      expect(userUpdated.name).toBe("Maria Souza");
+      expect(await passwordUtils.compare("newPassword", userUpdated.password)).toBe(true);
+
+      const passwordLoginResponse = await fetch(
+        `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.phone, password: "newPassword" }),
+        },
+      );
+
+      expect(passwordLoginResponse.status).toBe(200);
+    });
+
+    test("Should return 409 status when the account already has a password", async () => {
+      const { body: loginBody } = await loginWithCode({ password: "currentPassword" });
+
+      const response = await claim(loginBody.accessToken, { password: "newPassword" });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(body.name).toBe("ConflictError");
+      expect(body.message).toBe(localize("users.profile.claim.alreadyClaimed"));
+    });
+  });
+});
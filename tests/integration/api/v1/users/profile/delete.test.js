@@ -80,6 +80,19 @@ describe("DELETE /api/v1/users/profile", () => {
         // Check if the user is excluded
         const userUpdated = await userHandler.read({ filter: { _id: user.documentsCreatedOnMongo[0]._id } });
         expect(userUpdated.excluded).toBe(true);
+
+        // The token used to cancel the account can't be used anymore
+        const reuseResponse = await fetch(endpoint, {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        const reuseBody = await reuseResponse.json();
+
+        expect(reuseResponse.status).toBe(401);
+        expect(reuseBody.message).toBe(localize("error.UnauthorizedError.tokenRevoked"));
       });
 
       test("Should return 401 status when the user is excluded", async () => {
@@ -111,8 +111,6 @@ describe("PATCH /api/v1/users/profile", () => {
 
         const token = loginBody.accessToken;
 
-        const phone = generatePhoneNumber();
-
         const response = await fetch(endpoint, {
           method: "PATCH",
           headers: {
@@ -121,7 +119,6 @@ describe("PATCH /api/v1/users/profile", () => {
           },
           body: JSON.stringify({
             name: "John Doe",
-            phone,
             password: "testPassword123!",
           }),
         });
@@ -135,7 +132,7 @@ describe("PATCH /api/v1/users/profile", () => {
         const userUpdated = await userHandler.read({ filter: { _id: user.documentsCreatedOnMongo[0]._id } });
 
         expect(userUpdated.name).toBe("John Doe");
-        expect(userUpdated.phone).toBe(phone);
+        expect(userUpdated.phone).toBe(user.documentsCreatedOnMongo[0].phone);
 
         // Match hashed password
         const isPasswordValid = await compare("testPassword123!", userUpdated.password);
@@ -145,6 +142,127 @@ describe("PATCH /api/v1/users/profile", () => {
         expect(userUpdated.updated_at > userUpdated.created_at).toBe(true);
       });
 
+      test("Should return 400 status when trying to change the phone without verification", async () => {
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${loginBody.accessToken}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            phone: generatePhoneNumber(),
+          }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.message).toBe(localize("users.profile.phone.useVerifiedFlow"));
+
+        const userUpdated = await userHandler.read({ filter: { _id: user.documentsCreatedOnMongo[0]._id } });
+
+        expect(userUpdated.phone).toBe(user.documentsCreatedOnMongo[0].phone);
+      });
+
+      test("Should return 200 status after update the notification preferences", async () => {
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            notification_preferences: {
+              expiring_credits: false,
+              channel: "whatsapp",
+            },
+          }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.message).toBe(localize("users.profile.update.success"));
+
+        const userUpdated = await userHandler.read({ filter: { _id: user.documentsCreatedOnMongo[0]._id } });
+
+        expect(userUpdated.notification_preferences.expiring_credits).toBe(false);
+        expect(userUpdated.notification_preferences.channel).toBe("whatsapp");
+      });
+
+      test("Should return 400 status when the notification channel is invalid", async () => {
+        const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+          {
+            status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+          },
+        ]);
+
+        const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+        });
+
+        const loginBody = await loginResponse.json();
+
+        const token = loginBody.accessToken;
+
+        const response = await fetch(endpoint, {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            notification_preferences: {
+              channel: "telegram",
+            },
+          }),
+        });
+
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.name).toBe("ValidationError");
+        expect(body.message).toBe(localize("error.generic.invalid", { field: "notification_preferences.channel" }));
+      });
+
       test("Should return 401 status when the user is excluded", async () => {
         const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
           {
@@ -0,0 +1,173 @@
+const userModel = require("models/user.model");
+const messageModel = require("models/message.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const messageConstants = require("constants/message.constants");
+
+const { localize } = require("utils/localization.utils");
+const { generatePhoneNumber } = require("utils/data.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+const messageHandler = dbHandler(messageModel);
+
+const baseUrl = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1`;
+const endpoint = `${baseUrl}/users/profile/phone/confirm`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function requestPhoneChange(phone = generatePhoneNumber()) {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${baseUrl}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  const loginBody = await loginResponse.json();
+
+  await fetch(`${baseUrl}/users/profile/phone`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${loginBody.accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone }),
+  });
+
+  const userWithCode = await userHandler.read({ filter: { _id: user.documentsCreatedOnMongo[0]._id } });
+
+  return {
+    user: userWithCode,
+    password: user.documentsCreated[0].password,
+    loginBody,
+  };
+}
+
+function confirmPhoneChange(accessToken, body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("POST /api/v1/users/profile/phone/confirm", () => {
+  describe("Authenticated user", () => {
+    test("Should return 401 status when the code is wrong", async () => {
+      const { user, loginBody } = await requestPhoneChange();
+      const wrongToken = user.validation_token === "11111" ? "22222" : "11111";
+
+      const response = await confirmPhoneChange(loginBody.accessToken, { token: wrongToken });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "token" }));
+    });
+
+    test("Should return 401 status when the code was sent for another flow", async () => {
+      const { user, loginBody } = await requestPhoneChange();
+
+      // A login code sent to the current number must not confirm the new one
+      await fetch(`${baseUrl}/auth/otp/request`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: user.phone }),
+      });
+
+      const userWithLoginCode = await userHandler.read({ filter: { _id: user._id } });
+
+      const response = await confirmPhoneChange(loginBody.accessToken, { token: userWithLoginCode.validation_token });
+
+      expect(response.status).toBe(401);
+
+      const userAfter = await userHandler.read({ filter: { _id: user._id } });
+
+      expect(userAfter.phone).toBe(user.phone);
+    });
+
+    test("Should return 400 status when the new phone was taken before the confirmation", async () => {
+      const { user, loginBody } = await requestPhoneChange();
+
+      await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          phone: user.pending_phone,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+
+      const response = await confirmPhoneChange(loginBody.accessToken, { token: user.validation_token });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.alreadyInUse", { field: "phone", value: user.pending_phone }));
+    });
+
+    test("Should return 200 status, move the account, notify the old phone and end every session", async () => {
+      const newPhone = generatePhoneNumber();
+      const { user, password, loginBody } = await requestPhoneChange(newPhone);
+
+      const response = await confirmPhoneChange(loginBody.accessToken, { token: user.validation_token });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("users.profile.phone.confirm.success"));
+
+      const userUpdated = await userHandler.read({ filter: { _id: user._id } });
+
+      expect(userUpdated.phone).toBe(newPhone);
+      expect(userUpdated.pending_phone).toBeNull();
+      expect(userUpdated.validation_token).toBeNull();
+
+      const messages = await messageHandler.list({
+        filter: { recipient: user.phone, template: messageConstants.TEMPLATES.PHONE_CHANGED },
+      });
+
+      expect(messages).toHaveLength(1);
+
+      const profileResponse = await fetch(`${baseUrl}/users/profile`, {
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+        },
+      });
+
+      expect(profileResponse.status).toBe(401);
+
+      const newLoginResponse = await fetch(`${baseUrl}/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: newPhone, password }),
+      });
+
+      expect(newLoginResponse.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const otpConstants = require("constants/otp.constants");
+const roleConstants = require("constants/roles.constants");
+
+const { localize } = require("utils/localization.utils");
+const { validateToken } = require("utils/token.utils");
+const { generatePhoneNumber } = require("utils/data.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/users/profile/phone`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login() {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  return {
+    user: user.documentsCreatedOnMongo[0],
+    body: await loginResponse.json(),
+  };
+}
+
+function requestPhoneChange(token, body) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+describe("POST /api/v1/users/profile/phone", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ phone: generatePhoneNumber() }),
+      });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 400 status when the phone is missing", async () => {
+      const { body: loginBody } = await login();
+
+      const response = await requestPhoneChange(loginBody.accessToken, {});
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.required", { field: "phone" }));
+    });
+
+    test("Should return 400 status when the phone is the current one", async () => {
+      const { user, body: loginBody } = await login();
+
+      const response = await requestPhoneChange(loginBody.accessToken, { phone: user.phone });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("users.profile.phone.samePhone"));
+    });
+
+    test("Should return 400 status when the phone belongs to another consumer", async () => {
+      const { body: loginBody } = await login();
+      const { user: otherUser } = await login();
+
+      const response = await requestPhoneChange(loginBody.accessToken, { phone: otherUser.phone });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.alreadyInUse", { field: "phone", value: otherUser.phone }));
+    });
+
+    test("Should return 400 status when the phone belongs to a client user", async () => {
+      const { body: loginBody } = await login();
+      const client = await orchestrator.createDocumentOnMongo(1, userHandler, [
+        {
+          role: roleConstants.USER_ROLES.CLIENT,
+          status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        },
+      ]);
+      const clientPhone = client.documentsCreatedOnMongo[0].phone;
+
+      const response = await requestPhoneChange(loginBody.accessToken, { phone: clientPhone });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.alreadyInUse", { field: "phone", value: clientPhone }));
+    });
+
+    test("Should return 200 status and keep the current phone until the change is confirmed", async () => {
+      const { user, body: loginBody } = await login();
+      const phone = generatePhoneNumber();
+
+      const response = await requestPhoneChange(loginBody.accessToken, { phone });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("users.profile.phone.request.success"));
+
+      const userUpdated = await userHandler.read({ filter: { _id: user._id } });
+
+      expect(userUpdated.phone).toBe(user.phone);
+      expect(userUpdated.pending_phone).toBe(phone);
+      expect(userUpdated.validation_token_purpose).toBe(otpConstants.PURPOSES.PHONE_CHANGE);
+      expect(validateToken(userUpdated.validation_token)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
+const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+// Handlers
+const userHandler = dbHandler(userModel);
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/users/sessions`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+async function login() {
+  const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+    {
+      status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+    },
+  ]);
+
+  const loginResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ phone: user.documentsCreated[0].phone, password: user.documentsCreated[0].password }),
+  });
+
+  return loginResponse.json();
+}
+
+describe("DELETE /api/v1/users/sessions/[session_id]", () => {
+  describe("Anonymous user", () => {
+    test("Should return 401 status when the user is not sending a token", async () => {
+      const response = await fetch(`${endpoint}/${new mongoose.Types.ObjectId()}`, {
+        method: "DELETE",
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(body.name).toBe("UnauthorizedError");
+    });
+  });
+
+  describe("Authenticated user", () => {
+    test("Should return 400 status when the session id is invalid", async () => {
+      const loginBody = await login();
+
+      const response = await fetch(`${endpoint}/invalid-id`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "session_id" }));
+    });
+
+    test("Should return 404 status when the session belongs to another user", async () => {
+      const loginBody = await login();
+      const otherLoginBody = await login();
+      const otherSessionId = jwt.verify(otherLoginBody.accessToken, process.env.JWT_SECRET).session_id;
+
+      const response = await fetch(`${endpoint}/${otherSessionId}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(body.name).toBe("NotFoundError");
+      expect(body.message).toBe(localize("error.generic.notFound", { resource: localize("resources.session") }));
+    });
+
+    test("Should return 200 status and revoke the refresh token of the session", async () => {
+      const loginBody = await login();
+      const sessionId = jwt.verify(loginBody.accessToken, process.env.JWT_SECRET).session_id;
+
+      const response = await fetch(`${endpoint}/${sessionId}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${loginBody.accessToken}`,
+        },
+      });
+
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.message).toBe(localize("users.sessions.delete.success"));
+
+      const refreshResponse = await fetch(`${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/auth/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: loginBody.refreshToken }),
+      });
+
+      expect(refreshResponse.status).toBe(401);
+    });
+  });
+});
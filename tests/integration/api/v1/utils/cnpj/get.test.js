@@ -0,0 +1,92 @@
+const orchestrator = require("tests/orchestrator.js");
+
+const { localize } = require("utils/localization.utils");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+const endpoint = `${process.env.SERVER_HOST}:${process.env.SERVER_PORT}/api/v1/utils/cnpj`;
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.startLocalization();
+  await connectDatabase();
+  await orchestrator.clearDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
+});
+
+describe("GET /api/v1/utils/cnpj", () => {
+  describe("Anonymous user", () => {
+    test("Should return 400 status when no CNPJ is provided", async () => {
+      const response = await fetch(endpoint);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.required", { field: "cnpj" }));
+    });
+
+    test("Should return 400 status when the check digits are wrong", async () => {
+      const response = await fetch(`${endpoint}?cnpj=11222333000182`);
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.message).toBe(localize("error.generic.invalid", { field: "cnpj" }));
+    });
+
+    test("Should return 404 status when the CNPJ is not in the registry", async () => {
+      const response = await fetch(`${endpoint}?cnpj=44556677000186`);
+      const body = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(body.action).toBe(localize("error.services.cnpj.notFoundAction"));
+    });
+
+    test("Should return 200 status with the registry data of a masked CNPJ and cache it", async () => {
+      const response = await fetch(`${endpoint}?cnpj=${encodeURIComponent("11.222.333/0001-81")}`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toEqual(
+        expect.objectContaining({
+          document: "11222333000181",
+          legal_name: "PADARIA PAULISTA COMERCIO DE ALIMENTOS LTDA",
+          trade_name: "PADARIA PAULISTA",
+          activity_code: "1091102",
+          registration_status: "ATIVA",
+          active: true,
+          cached: false,
+        }),
+      );
+      expect(body.address).toEqual(
+        expect.objectContaining({
+          zipcode: "01310100",
+          street: "AVENIDA PAULISTA",
+          number: 1000,
+          neighborhood: "BELA VISTA",
+          city: "SAO PAULO",
+          state: "SP",
+        }),
+      );
+
+      const cachedResponse = await fetch(`${endpoint}?cnpj=11222333000181`);
+      const cachedBody = await cachedResponse.json();
+
+      expect(cachedResponse.status).toBe(200);
+      expect(cachedBody.cached).toBe(true);
+      expect(cachedBody.legal_name).toBe(body.legal_name);
+    });
+
+    test("Should return 200 status flagging a closed company as inactive", async () => {
+      const response = await fetch(`${endpoint}?cnpj=98765432000198`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.active).toBe(false);
+      expect(body.registration_status).toBe("BAIXADA");
+      expect(body.trade_name).toBeNull();
+      expect(body.address.number).toBeNull();
+    });
+  });
+});
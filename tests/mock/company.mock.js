@@ -33,6 +33,12 @@ function createDummyCompany(options) {
     status: options?.status || statusConsts.RESOURCE_STATUS.PENDING,
     document: options?.document || generateCNPJ(),
     excluded: options?.excluded || false,
+    settings: options?.settings || {
+      reminders: {
+        enabled: false,
+        days_before: 3,
+      },
+    },
   };
 }
 
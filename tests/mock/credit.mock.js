@@ -10,7 +10,12 @@ function createDummyCredit(options) {
     status: options?.status || statusConsts.CREDITS_STATUS.AVAILABLE,
     excluded: options?.excluded || false,
     requested_at: options?.requested_at || null,
+    issued_by: options?.issued_by || null,
+    reviewed_by: options?.reviewed_by || null,
+    reviewed_at: options?.reviewed_at || null,
     expires_at: options?.expires_at || new Date(Date.now() + 1000 * 60 * 60 * 24 * 30),
+    reminded_at: options?.reminded_at || null,
+    created_at: options?.created_at,
   };
 }
 
@@ -0,0 +1,16 @@
+const roleConstants = require("../../constants/roles.constants");
+const statusConsts = require("../../constants/status.constants");
+
+function createDummyMembership(options) {
+  return {
+    user_id: options.user_id,
+    company_id: options.company_id,
+    company_role: options?.company_role || roleConstants.COMPANY_ROLES.OWNER,
+    status: options?.status || statusConsts.RESOURCE_STATUS.AVAILABLE,
+    invited_at: options?.invited_at || null,
+    invited_by: options?.invited_by || null,
+    excluded: options?.excluded || false,
+  };
+}
+
+module.exports = createDummyMembership;
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const statusConsts = require("../../constants/status.constants");
+const messageConstants = require("../../constants/message.constants");
+
+const { generatePhoneNumber } = require("../../utils/data.utils");
+
+function createDummyMessage(options) {
+  return {
+    user_id: options?.user_id || new mongoose.Types.ObjectId(),
+    recipient: options?.recipient || generatePhoneNumber(),
+    channel: options?.channel || messageConstants.CHANNELS.SMS,
+    template: options?.template || messageConstants.TEMPLATES.SEND_TOKEN,
+    provider: options?.provider || "AWS_SNS",
+    provider_message_id: options?.provider_message_id || null,
+    status: options?.status || statusConsts.MESSAGE_STATUS.SENT,
+    error: options?.error || null,
+    sent_at: options?.sent_at || null,
+    failed_at: options?.failed_at || null,
+    created_at: options?.created_at,
+  };
+}
+
+module.exports = createDummyMessage;
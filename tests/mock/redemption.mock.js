@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const statusConsts = require("../../constants/status.constants");
+
+const { fakerPT_BR: faker } = require("@faker-js/faker");
+
+function createDummyRedemption(options) {
+  return {
+    company_id: options?.company_id || new mongoose.Types.ObjectId(),
+    user_id: options?.user_id || new mongoose.Types.ObjectId(),
+    card_id: options?.card_id || new mongoose.Types.ObjectId(),
+    operator_id: options?.operator_id || new mongoose.Types.ObjectId(),
+    credit_ids: options?.credit_ids || [new mongoose.Types.ObjectId()],
+    card: options?.card || {
+      title: faker.lorem.sentence(),
+      credits_needed: faker.number.int({ min: 1, max: 10 }),
+    },
+    status: options?.status || statusConsts.REDEMPTION_STATUS.ACTIVE,
+    created_at: options?.created_at,
+  };
+}
+
+module.exports = createDummyRedemption;
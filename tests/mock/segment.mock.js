@@ -7,6 +7,7 @@ function createDummySegment(options) {
     icon: options?.icon || "https://via.placeholder.com/150",
     description: options?.description || faker.lorem.sentence(),
     status: options?.status || statusConsts.RESOURCE_STATUS.PENDING,
+    sort_order: options?.sort_order || 0,
     excluded: options?.excluded || false,
   };
 }
@@ -25,6 +25,14 @@ async function createDummyUser(options) {
     excluded: options?.excluded || false,
     validation_token: options?.validation_token || null,
     validation_token_expires_at: options?.validation_token_expires_at || null,
+    validation_token_purpose: options?.validation_token_purpose || null,
+    validation_token_attempts: options?.validation_token_attempts || 0,
+    validation_token_locked_at: options?.validation_token_locked_at || null,
+    validation_token_lockouts: options?.validation_token_lockouts || 0,
+    notification_preferences: options?.notification_preferences || {
+      expiring_credits: true,
+      channel: "sms",
+    },
   };
 
   if (options?.role === roleConstants.USER_ROLES.CLIENT) {
@@ -0,0 +1,62 @@
+const http = require("http");
+
+// Minimal stand-in for the WhatsApp Business Cloud API messages endpoint.
+// Point WHATSAPP_API_URL at it to exercise the real HTTP provider without reaching Meta.
+function startWhatsAppMockServer(options = {}) {
+  const requests = [];
+  let status = options.status || 200;
+
+  const server = http.createServer((req, res) => {
+    let data = "";
+
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+
+    req.on("end", () => {
+      const body = data ? JSON.parse(data) : {};
+
+      requests.push({
+        url: req.url,
+        authorization: req.headers["authorization"],
+        body,
+      });
+
+      res.writeHead(status, { "Content-Type": "application/json" });
+
+      if (status !== 200) {
+        res.end(JSON.stringify({ error: { message: "Mocked failure", code: status } }));
+        return;
+      }
+
+      res.end(
+        JSON.stringify({
+          messaging_product: "whatsapp",
+          contacts: [{ input: body.to, wa_id: body.to }],
+          messages: [{ id: `wamid.mock-${requests.length}` }],
+        }),
+      );
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(options.port || 0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setStatus: (newStatus) => {
+          status = newStatus;
+        },
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startWhatsAppMockServer({ port: parseInt(process.env.WHATSAPP_MOCK_PORT) || 3099 }).then(({ url }) => {
+    console.log(`🟢 WhatsApp mock server listening on ${url}`);
+  });
+}
+
+module.exports = startWhatsAppMockServer;
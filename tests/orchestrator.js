@@ -4,12 +4,20 @@ const path = require("path");
 const retry = require("async-retry");
 
 const database = require("infra/database");
+const dbHandler = require("utils/db-handler.utils");
+const membershipModel = require("models/membership.model");
+const roleConstants = require("constants/roles.constants");
 const createDummyUser = require("tests/mock/user.mock");
 const createDummyCard = require("tests/mock/card.mock");
 const createDummyCredit = require("tests/mock/credit.mock");
 const createDummySegment = require("tests/mock/segment.mock");
 const createDummyCompany = require("tests/mock/company.mock");
+const createDummyRedemption = require("tests/mock/redemption.mock");
+const createDummyMessage = require("tests/mock/message.mock");
 const createDummyKnownLocation = require("tests/mock/knownlocation.mock");
+const createDummyMembership = require("tests/mock/membership.mock");
+
+const membershipHandler = dbHandler(membershipModel);
 
 async function waitForAllServices() {
   await waitForWebServer();
@@ -34,11 +42,17 @@ async function fetchStatusPage() {
 
 async function clearDatabase() {
   require("models/knownlocation.model");
+  require("models/knowncompany.model");
   require("models/user.model");
   require("models/company.model");
   require("models/segment.model");
   require("models/card.model");
   require("models/credit.model");
+  require("models/redemption.model");
+  require("models/message.model");
+  require("models/session.model");
+  require("models/membership.model");
+  require("models/auditevent.model");
   await database.clearDatabase();
 }
 
@@ -88,12 +102,30 @@ async function createDocumentOnMongo(quantity = 1, handler, options = [{}]) {
       }
       break;
     }
+    case "Redemption": {
+      for (let i = 0; i < quantity; i++) {
+        documents.push(createDummyRedemption(options[i]));
+      }
+      break;
+    }
+    case "Message": {
+      for (let i = 0; i < quantity; i++) {
+        documents.push(createDummyMessage(options[i]));
+      }
+      break;
+    }
     case "KnownLocation": {
       for (let i = 0; i < quantity; i++) {
         documents.push(createDummyKnownLocation(options[i]));
       }
       break;
     }
+    case "Membership": {
+      for (let i = 0; i < quantity; i++) {
+        documents.push(createDummyMembership(options[i]));
+      }
+      break;
+    }
   }
 
   for (let i = 0; i < quantity; i++) {
@@ -102,6 +134,18 @@ async function createDocumentOnMongo(quantity = 1, handler, options = [{}]) {
     });
 
     documentsCreatedOnMongo.push(createdDocument);
+
+    // Client users work for their company through a membership, as when the API creates them
+    if (createdDocument.role === roleConstants.USER_ROLES.CLIENT && createdDocument.company_id) {
+      await membershipHandler.create({
+        data: createDummyMembership({
+          ...options[i],
+          user_id: createdDocument._id,
+          company_id: createdDocument.company_id,
+          status: createdDocument.status,
+        }),
+      });
+    }
   }
 
   return {
@@ -1,13 +1,26 @@
 const jwt = require("jsonwebtoken");
 
+const userModel = require("models/user.model");
+const dbHandler = require("utils/db-handler.utils");
 const orchestrator = require("tests/orchestrator.js");
+const statusConsts = require("constants/status.constants");
+const roleConstants = require("constants/roles.constants");
 const { authenticate } = require("infra/middleware/auth.middleware");
 
 const { UnauthorizedError } = require("infra/errors");
+const { connectDatabase, disconnectDatabase } = require("infra/database");
+
+const userHandler = dbHandler(userModel);
 
 beforeAll(async () => {
   await orchestrator.waitForAllServices();
   await orchestrator.startLocalization();
+  await connectDatabase();
+});
+
+afterAll(async () => {
+  await orchestrator.clearDatabase();
+  await disconnectDatabase();
 });
 
 describe("Authenticate", () => {
@@ -21,36 +34,53 @@ describe("Authenticate", () => {
       user: {},
     };
     res = {};
-    next = jest.fn(); // eslint-disable-line
+    next = jest.fn();
   });
 
-  test("Should throw UnauthorizedError when no token is provided", () => {
-    authenticate(req, res, next);
+  async function signTokenFor(options = {}, payload = {}) {
+    const user = await orchestrator.createDocumentOnMongo(1, userHandler, [
+      {
+        role: roleConstants.USER_ROLES.CONSUMER,
+        status: statusConsts.RESOURCE_STATUS.AVAILABLE,
+        ...options,
+      },
+    ]);
+
+    const decoded = {
+      _id: user.documentsCreatedOnMongo[0]._id.toString(),
+      role: user.documentsCreatedOnMongo[0].role,
+      token_version: 0,
+      ...payload,
+    };
+
+    return {
+      decoded,
+      token: jwt.sign(decoded, process.env.JWT_SECRET, {
+        expiresIn: process.env.LOGIN_EXPIRES_IN,
+      }),
+    };
+  }
+
+  test("Should throw UnauthorizedError when no token is provided", async () => {
+    await authenticate(req, res, next);
 
     expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
   });
 
-  test("Should throw UnauthorizedError when token is invalid", () => {
+  test("Should throw UnauthorizedError when token is invalid", async () => {
     req.headers["authorization"] = "Bearer invalid-token";
 
-    authenticate(req, res, next);
+    await authenticate(req, res, next);
 
     expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
   });
 
-  test("Should set user data when token is valid", () => {
-    const decoded = {
-      _id: "123",
-      role: "consumer",
-    };
-
-    const token = jwt.sign(decoded, process.env.JWT_SECRET, {
-      expiresIn: process.env.LOGIN_EXPIRES_IN,
-    });
+  test("Should set user data when token is valid", async () => {
+    const { decoded, token } = await signTokenFor();
 
     req.headers["authorization"] = `Bearer ${token}`;
 
-    authenticate(req, res, next);
+    await authenticate(req, res, next);
 
     expect(req.user).toEqual({
       _id: decoded._id,
@@ -58,4 +88,39 @@ describe("Authenticate", () => {
     });
     expect(next).toHaveBeenCalledWith();
   });
+
+  test("Should throw UnauthorizedError when the token version was bumped", async () => {
+    const { decoded, token } = await signTokenFor();
+
+    await userHandler.update({
+      filter: { _id: decoded._id },
+      data: { $inc: { token_version: 1 } },
+    });
+
+    req.headers["authorization"] = `Bearer ${token}`;
+
+    await authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+  });
+
+  test("Should throw UnauthorizedError when the user was excluded", async () => {
+    const { token } = await signTokenFor({ excluded: true });
+
+    req.headers["authorization"] = `Bearer ${token}`;
+
+    await authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+  });
+
+  test("Should throw UnauthorizedError when the role in the token no longer matches", async () => {
+    const { token } = await signTokenFor({}, { role: roleConstants.USER_ROLES.ADMIN });
+
+    req.headers["authorization"] = `Bearer ${token}`;
+
+    await authenticate(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+  });
 });
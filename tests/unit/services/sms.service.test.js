@@ -1,5 +1,9 @@
 require("dotenv").config();
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
 const smsService = require("services/sms.service");
 const smsTemplates = require("templates/sms.templates");
 
@@ -54,4 +58,137 @@ describe("SMS Services", () => {
       expect(err.message).toBe(localize("error.generic.required", { field: "SMS Provider" }));
     });
   });
+
+  describe("Providers", () => {
+    const env = { ...process.env };
+    const outboxPath = path.join(os.tmpdir(), `caramelo-sms-${process.pid}.jsonl`);
+
+    beforeEach(() => {
+      process.env.SMS_OUTBOX_PATH = outboxPath;
+      process.env.SMS_RETRIES = "1";
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+      fs.rmSync(outboxPath, { force: true });
+      jest.restoreAllMocks();
+    });
+
+    test("Should log the sms with the CONSOLE provider", async () => {
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+      const phone = dataUtils.generatePhoneNumber();
+
+      const { err, provider } = await smsService.sendSms({
+        phone,
+        content: smsTemplates.sendToken("123456"),
+        provider: "CONSOLE",
+      });
+
+      expect(err).toBeNull();
+      expect(provider).toBe("CONSOLE");
+      expect(log).toHaveBeenCalledWith(expect.stringContaining(phone));
+    });
+
+    test("Should write the sms to the outbox with the FILE provider", async () => {
+      const phone = dataUtils.generatePhoneNumber();
+
+      const { err, provider } = await smsService.sendSms({
+        phone,
+        content: smsTemplates.sendToken("123456"),
+        provider: "FILE",
+      });
+
+      const messages = await smsService.readOutbox({ phone });
+
+      expect(err).toBeNull();
+      expect(provider).toBe("FILE");
+      expect(messages).toHaveLength(1);
+      expect(messages[0].content).toBe(smsTemplates.sendToken("123456"));
+    });
+
+    test("Should return an empty outbox when nothing was sent", async () => {
+      const messages = await smsService.readOutbox();
+
+      expect(messages).toEqual([]);
+    });
+
+    test("Should neither send nor log the sms in dry mode", async () => {
+      process.env.SMS_DRY_MODE = "true";
+      process.env.SMS_WEBHOOK_URL = "http://sms.test/messages";
+
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+      const request = jest.spyOn(global, "fetch");
+
+      const { err, provider } = await smsService.sendSms({
+        phone: dataUtils.generatePhoneNumber(),
+        content: smsTemplates.sendToken("123456"),
+        provider: "WEBHOOK",
+      });
+
+      expect(err).toBeNull();
+      expect(provider).toBe("WEBHOOK");
+      expect(request).not.toHaveBeenCalled();
+      expect(log).not.toHaveBeenCalled();
+    });
+
+    test("Should fall back to the secondary provider when the primary fails", async () => {
+      process.env.SMS_DRY_MODE = "false";
+      process.env.SMS_PROVIDER = "WEBHOOK";
+      process.env.SMS_FALLBACK_PROVIDER = "FILE";
+      process.env.SMS_WEBHOOK_URL = "http://sms.test/messages";
+
+      const request = jest.spyOn(global, "fetch").mockResolvedValue(new Response(null, { status: 500 }));
+      const phone = dataUtils.generatePhoneNumber();
+
+      const { err, provider } = await smsService.sendSms({
+        phone,
+        content: smsTemplates.sendToken("123456"),
+      });
+
+      const messages = await smsService.readOutbox({ phone });
+
+      expect(err).toBeNull();
+      expect(provider).toBe("FILE");
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(messages).toHaveLength(1);
+    });
+
+    test("Should retry the webhook provider and return its message id", async () => {
+      process.env.SMS_DRY_MODE = "false";
+      process.env.SMS_PROVIDER = "WEBHOOK";
+      process.env.SMS_WEBHOOK_URL = "http://sms.test/messages";
+
+      const request = jest
+        .spyOn(global, "fetch")
+        .mockResolvedValueOnce(new Response(null, { status: 502 }))
+        .mockResolvedValueOnce(Response.json({ id: "message-1" }));
+
+      const { err, provider, message_id } = await smsService.sendSms({
+        phone: dataUtils.generatePhoneNumber(),
+        content: smsTemplates.sendToken("123456"),
+      });
+
+      expect(err).toBeNull();
+      expect(provider).toBe("WEBHOOK");
+      expect(message_id).toBe("message-1");
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    test("Should return the last error when every provider fails", async () => {
+      process.env.SMS_DRY_MODE = "false";
+      process.env.SMS_PROVIDER = "WEBHOOK";
+      delete process.env.SMS_FALLBACK_PROVIDER;
+      process.env.SMS_WEBHOOK_URL = "http://sms.test/messages";
+
+      jest.spyOn(global, "fetch").mockResolvedValue(new Response(null, { status: 503 }));
+
+      const { err } = await smsService.sendSms({
+        phone: dataUtils.generatePhoneNumber(),
+        content: smsTemplates.sendToken("123456"),
+      });
+
+      expect(err).toBeDefined();
+      expect(err.message).toBe(localize("error.services.sms.webhook", { status: 503 }));
+    });
+  });
 });
@@ -0,0 +1,102 @@
+require("dotenv").config();
+
+const whatsappService = require("services/whatsapp.service");
+const whatsappTemplates = require("templates/whatsapp.templates");
+const startWhatsAppMockServer = require("tests/mock/whatsapp-server.mock");
+
+const dataUtils = require("utils/data.utils");
+const { localize } = require("utils/localization.utils");
+
+describe("WhatsApp Services", () => {
+  const env = { ...process.env };
+  let mockServer;
+
+  beforeAll(async () => {
+    mockServer = await startWhatsAppMockServer();
+  });
+
+  afterAll(async () => {
+    await mockServer.close();
+  });
+
+  beforeEach(() => {
+    process.env.WHATSAPP_DRY_MODE = "false";
+    process.env.WHATSAPP_API_URL = mockServer.url;
+    process.env.WHATSAPP_PHONE_NUMBER_ID = "123456";
+    process.env.WHATSAPP_ACCESS_TOKEN = "whatsapp-token";
+    mockServer.requests.length = 0;
+    mockServer.setStatus(200);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe("sendWhatsApp", () => {
+    test("Should send the token template to the Cloud API", async () => {
+      const phone = dataUtils.generatePhoneNumber();
+
+      const { err, provider, message_id } = await whatsappService.sendWhatsApp({
+        phone,
+        template: whatsappTemplates.sendToken("12345"),
+      });
+
+      expect(err).toBeNull();
+      expect(provider).toBe("WHATSAPP_CLOUD");
+      expect(message_id).toBe("wamid.mock-1");
+      expect(mockServer.requests).toHaveLength(1);
+      expect(mockServer.requests[0].url).toBe("/123456/messages");
+      expect(mockServer.requests[0].authorization).toBe("Bearer whatsapp-token");
+      expect(mockServer.requests[0].body.to).toBe(phone);
+      expect(mockServer.requests[0].body.type).toBe("template");
+      expect(mockServer.requests[0].body.template.components[0].parameters[0].text).toBe("12345");
+    });
+
+    test("Should return an error when the Cloud API rejects the message", async () => {
+      mockServer.setStatus(400);
+
+      const { err } = await whatsappService.sendWhatsApp({
+        phone: dataUtils.generatePhoneNumber(),
+        template: whatsappTemplates.sendToken("12345"),
+      });
+
+      expect(err).toBeDefined();
+      expect(err.message).toBe(localize("error.services.whatsapp.message", { status: 400 }));
+    });
+
+    test("Should not call the Cloud API in dry mode", async () => {
+      process.env.WHATSAPP_DRY_MODE = "true";
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const { err } = await whatsappService.sendWhatsApp({
+        phone: dataUtils.generatePhoneNumber(),
+        template: whatsappTemplates.sendToken("12345"),
+      });
+
+      expect(err).toBeNull();
+      expect(mockServer.requests).toHaveLength(0);
+      jest.restoreAllMocks();
+    });
+
+    test("Should return an error when the provider is not configured", async () => {
+      delete process.env.WHATSAPP_ACCESS_TOKEN;
+
+      const { err } = await whatsappService.sendWhatsApp({
+        phone: dataUtils.generatePhoneNumber(),
+        template: whatsappTemplates.sendToken("12345"),
+      });
+
+      expect(err).toBeDefined();
+      expect(err.message).toBe(localize("error.generic.required", { field: "WhatsApp Provider" }));
+    });
+
+    test("Should return an error when the phone is missing", async () => {
+      const { err } = await whatsappService.sendWhatsApp({
+        template: whatsappTemplates.sendToken("12345"),
+      });
+
+      expect(err).toBeDefined();
+      expect(err.message).toBe(localize("error.generic.required", { field: "phone" }));
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const statusConsts = require("constants/status.constants");
+
+const { availableCreditsFilter, earnedCreditsFilter } = require("utils/credit.utils");
+
+describe("Credit Utils", () => {
+  describe("availableCreditsFilter", () => {
+    test("Should only match available credits that are not past their expiration date", () => {
+      const now = new Date("2025-01-10T12:00:00Z");
+
+      expect(availableCreditsFilter(now)).toEqual({
+        status: statusConsts.CREDITS_STATUS.AVAILABLE,
+        expires_at: { $gt: now },
+      });
+    });
+
+    test("Should use the current date when none is provided", () => {
+      const before = new Date();
+      const filter = availableCreditsFilter();
+
+      expect(filter.expires_at.$gt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+    });
+  });
+
+  describe("earnedCreditsFilter", () => {
+    test("Should match unexpired available credits or used credits", () => {
+      const now = new Date("2025-01-10T12:00:00Z");
+
+      expect(earnedCreditsFilter(now)).toEqual({
+        $or: [
+          {
+            status: statusConsts.CREDITS_STATUS.AVAILABLE,
+            expires_at: { $gt: now },
+          },
+          { status: statusConsts.CREDITS_STATUS.USED },
+        ],
+      });
+    });
+  });
+});
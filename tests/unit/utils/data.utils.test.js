@@ -4,6 +4,7 @@ const localeData = require("dayjs/plugin/localeData");
 const localizedFormat = require("dayjs/plugin/localizedFormat");
 
 const { generatePhoneNumber, generateCNPJ } = require("utils/data.utils");
+const { isValidCNPJ } = require("utils/document.utils");
 
 dayjs.extend(utc);
 dayjs.extend(localeData);
@@ -27,6 +28,7 @@ describe("Data Utils", () => {
       expect(cnpj).toMatch(/^\d{14}$/);
       expect(cnpj.length).toBe(14);
       expect(cnpj[0]).not.toBe("0");
+      expect(isValidCNPJ(cnpj)).toBe(true);
     });
   });
 });
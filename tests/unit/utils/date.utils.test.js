@@ -3,7 +3,15 @@ const utc = require("dayjs/plugin/utc");
 const localeData = require("dayjs/plugin/localeData");
 const localizedFormat = require("dayjs/plugin/localizedFormat");
 
-const { formatDate, addTime, subTime } = require("utils/date.utils");
+const {
+  formatDate,
+  formatLocalDate,
+  addTime,
+  subTime,
+  startOfPeriod,
+  parseLocalDay,
+  createDateBuckets,
+} = require("utils/date.utils");
 
 dayjs.extend(utc);
 dayjs.extend(localeData);
@@ -36,6 +44,26 @@ describe("Date Utils", () => {
     });
   });
 
+  describe("formatLocalDate", () => {
+    test("Should format a date in the Sao Paulo timezone", () => {
+      const result = formatLocalDate({ date: "2024-12-31T01:00:00Z" });
+      expect(result).toBe("30/12/2024");
+    });
+
+    test("Should use Brazilian Portuguese names", () => {
+      const result = formatLocalDate({ date: "2024-12-27T15:00:00Z", format: "dddd" });
+      expect(result).toBe("sexta-feira");
+    });
+
+    test("Should throw an error if no date is provided", () => {
+      expect(() => formatLocalDate({})).toThrow("The 'date' parameter is required.");
+    });
+
+    test("Should throw an error for an invalid date", () => {
+      expect(() => formatLocalDate({ date: "invalid-date" })).toThrow("Invalid date provided.");
+    });
+  });
+
   describe("addTime", () => {
     test("Should add time to a date correctly", () => {
       const date = new Date("2024-12-30T15:00:00Z");
@@ -67,4 +95,69 @@ describe("Date Utils", () => {
       expect(() => subTime(new Date(), null, "hour")).toThrow("The 'time' parameter is required.");
     });
   });
+
+  describe("startOfPeriod", () => {
+    test("Should return the start of the week on Sunday in the Sao Paulo timezone", () => {
+      // Saturday night in Sao Paulo, already Sunday in UTC
+      const result = startOfPeriod(new Date("2026-10-18T01:00:00Z"), "week");
+
+      expect(result.toISOString()).toBe("2026-10-11T03:00:00.000Z");
+    });
+
+    test("Should return the start of the month in the Sao Paulo timezone", () => {
+      const result = startOfPeriod(new Date("2026-01-01T02:00:00Z"), "month");
+
+      expect(result.toISOString()).toBe("2025-12-01T03:00:00.000Z");
+    });
+  });
+
+  describe("parseLocalDay", () => {
+    test("Should return the start of the day in the Sao Paulo timezone", () => {
+      expect(parseLocalDay("2026-10-01").toISOString()).toBe("2026-10-01T03:00:00.000Z");
+    });
+
+    test("Should return null for other formats and impossible dates", () => {
+      expect(parseLocalDay("2026-02-30")).toBeNull();
+      expect(parseLocalDay("01/10/2026")).toBeNull();
+      expect(parseLocalDay("2026-10-01T10:00:00Z")).toBeNull();
+      expect(parseLocalDay(undefined)).toBeNull();
+    });
+  });
+
+  describe("createDateBuckets", () => {
+    test("Should return every day of the range", () => {
+      const result = createDateBuckets({
+        from: parseLocalDay("2026-09-29"),
+        to: parseLocalDay("2026-10-02"),
+        granularity: "day",
+      });
+
+      expect(result.map((bucket) => bucket.key)).toEqual(["2026-09-29", "2026-09-30", "2026-10-01", "2026-10-02"]);
+      expect(result[0].label).toBe("29/09");
+    });
+
+    test("Should include the weeks and months the range only touches", () => {
+      const weeks = createDateBuckets({
+        from: parseLocalDay("2026-10-01"),
+        to: parseLocalDay("2026-10-19"),
+        granularity: "week",
+      });
+
+      expect(weeks.map((bucket) => bucket.key)).toEqual(["2026-09-27", "2026-10-04", "2026-10-11", "2026-10-18"]);
+
+      const months = createDateBuckets({
+        from: parseLocalDay("2025-12-15"),
+        to: parseLocalDay("2026-02-01"),
+        granularity: "month",
+      });
+
+      expect(months.map((bucket) => bucket.label)).toEqual(["12/2025", "01/2026", "02/2026"]);
+    });
+
+    test("Should throw an error for an unknown granularity", () => {
+      expect(() => createDateBuckets({ from: new Date(), to: new Date(), granularity: "year" })).toThrow(
+        "Invalid granularity provided.",
+      );
+    });
+  });
 });
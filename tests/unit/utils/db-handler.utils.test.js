@@ -192,6 +192,19 @@ describe("DB Handler Utils", () => {
       expect(response).toBeNull();
     });
 
+    test("Should create the document when upsert is set and none matches", async () => {
+      const name = faker.person.fullName();
+
+      const createdDocument = await userHandler.update({
+        filter: { _id: new mongoose.Types.ObjectId() },
+        data: { name, role: roleConstants.USER_ROLES.ADMIN },
+        upsert: true,
+      });
+
+      expect(createdDocument.name).toBe(name);
+      expect(await userHandler.read({ filter: { _id: createdDocument._id } })).not.toBeNull();
+    });
+
     test("Should return ServiceError if the filter is not provided", async () => {
       await expect(
         userHandler.update({
@@ -272,6 +285,34 @@ describe("DB Handler Utils", () => {
     });
   });
 
+  describe("AggregateCursor", () => {
+    test("Should return a cursor over the aggregated documents", async () => {
+      await orchestrator.createDocumentOnMongo(3, userHandler, [
+        {
+          name: "Atest",
+        },
+        {
+          name: "Atest",
+        },
+        {
+          name: "Btest",
+        },
+      ]);
+
+      const names = [];
+
+      for await (const user of userHandler.aggregateCursor({ pipeline: [{ $match: { name: "Atest" } }] })) {
+        names.push(user.name);
+      }
+
+      expect(names).toEqual(["Atest", "Atest"]);
+    });
+
+    test("Should return ServiceError if the pipeline is not provided", () => {
+      expect(() => userHandler.aggregateCursor()).toThrow(ServiceError);
+    });
+  });
+
   describe("UpdateMany", () => {
     test("Should update multiple documents successfully", async () => {
       // Create 3 documents
@@ -0,0 +1,91 @@
+const {
+  normalizeDocument,
+  calculateCNPJCheckDigits,
+  isValidCPF,
+  isValidCNPJ,
+  formatDocument,
+} = require("utils/document.utils");
+
+describe("Document Utils", () => {
+  describe("normalizeDocument", () => {
+    test("Should strip the CNPJ mask", () => {
+      expect(normalizeDocument("12.345.678/0001-95")).toBe("12345678000195");
+    });
+
+    test("Should strip the CPF mask", () => {
+      expect(normalizeDocument("049.922.719-01")).toBe("04992271901");
+    });
+
+    test("Should uppercase the letters of an alphanumeric CNPJ", () => {
+      expect(normalizeDocument("12.abc.345/01de-35")).toBe("12ABC34501DE35");
+    });
+
+    test("Should return the value untouched if it is not a string", () => {
+      expect(normalizeDocument(123)).toBe(123);
+    });
+  });
+
+  describe("isValidCPF", () => {
+    test("Should return true if the check digits are correct", () => {
+      expect(isValidCPF("04992271901")).toBe(true);
+    });
+
+    test("Should return false if the check digits are wrong", () => {
+      expect(isValidCPF("04992271902")).toBe(false);
+    });
+
+    test("Should return false if every digit is the same", () => {
+      expect(isValidCPF("11111111111")).toBe(false);
+    });
+  });
+
+  describe("isValidCNPJ", () => {
+    test("Should return true if the check digits of a numeric CNPJ are correct", () => {
+      expect(isValidCNPJ("12345678000195")).toBe(true);
+    });
+
+    test("Should return true if the check digits of an alphanumeric CNPJ are correct", () => {
+      expect(isValidCNPJ("12ABC34501DE35")).toBe(true);
+    });
+
+    test("Should return false if the check digits are wrong", () => {
+      expect(isValidCNPJ("12345678000196")).toBe(false);
+    });
+
+    test("Should return false if every digit is the same", () => {
+      expect(isValidCNPJ("11111111111111")).toBe(false);
+    });
+
+    test("Should return false if the check digits are letters", () => {
+      expect(isValidCNPJ("12ABC34501DEAB")).toBe(false);
+    });
+
+    test("Should return false if the letters are lowercase", () => {
+      expect(isValidCNPJ("12abc34501de35")).toBe(false);
+    });
+  });
+
+  describe("calculateCNPJCheckDigits", () => {
+    test("Should weight letters by their ASCII code minus 48", () => {
+      expect(calculateCNPJCheckDigits("12ABC34501DE")).toBe("35");
+    });
+  });
+
+  describe("formatDocument", () => {
+    test("Should format a CPF", () => {
+      expect(formatDocument("04992271901")).toBe("049.922.719-01");
+    });
+
+    test("Should format a CNPJ", () => {
+      expect(formatDocument("12345678000195")).toBe("12.345.678/0001-95");
+    });
+
+    test("Should format an alphanumeric CNPJ", () => {
+      expect(formatDocument("12ABC34501DE35")).toBe("12.ABC.345/01DE-35");
+    });
+
+    test("Should return the value untouched if it is not a valid document", () => {
+      expect(formatDocument("1234")).toBe("1234");
+    });
+  });
+});
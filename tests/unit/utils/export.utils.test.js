@@ -0,0 +1,119 @@
+const zlib = require("zlib");
+const { Buffer } = require("buffer");
+const { PassThrough } = require("stream");
+
+const { createCsvWriter, createXlsxWriter } = require("utils/export.utils");
+
+// Runs a writer against an in-memory stream and returns everything it wrote
+async function collect(createWriter, rows) {
+  const output = new PassThrough();
+  const chunks = [];
+
+  output.on("data", (chunk) => chunks.push(chunk));
+
+  const writer = createWriter(output);
+
+  for (const row of rows) {
+    await writer.writeRow(row);
+  }
+
+  await writer.end();
+
+  return Buffer.concat(chunks);
+}
+
+// Reads the files of a zip through its central directory
+function unzip(buffer) {
+  const end = buffer.length - 22;
+  const count = buffer.readUInt16LE(end + 10);
+  const files = {};
+
+  let position = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString("utf8", position + 46, position + 46 + nameLength);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26);
+
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString("utf8");
+    position += 46 + nameLength;
+  }
+
+  return files;
+}
+
+describe("Export Utils", () => {
+  describe("createCsvWriter", () => {
+    test("Should write rows separated by semicolons, starting with the UTF-8 BOM", async () => {
+      const result = await collect(createCsvWriter, [
+        ["Nome", "Créditos"],
+        ["João", 3],
+      ]);
+
+      expect(result.toString("utf8")).toBe("\uFEFFNome;Créditos\r\nJoão;3\r\n");
+    });
+
+    test("Should quote values with separators, quotes or line breaks", async () => {
+      const result = await collect(createCsvWriter, [['Café; "Centro"', "linha\nquebrada", null]]);
+
+      expect(result.toString("utf8")).toBe('\uFEFF"Café; ""Centro""";"linha\nquebrada";\r\n');
+    });
+
+    test("Should keep text that looks like a formula from being run", async () => {
+      const result = await collect(createCsvWriter, [['=HYPERLINK("x")', "@SUM(A1)"]]);
+
+      expect(result.toString("utf8")).toBe('\uFEFF"\'=HYPERLINK(""x"")";\'@SUM(A1)\r\n');
+    });
+
+    test("Should write dates in the Sao Paulo timezone", async () => {
+      const result = await collect(createCsvWriter, [[new Date("2026-10-01T02:30:00Z")]]);
+
+      expect(result.toString("utf8")).toBe("\uFEFF30/09/2026 23:30\r\n");
+    });
+  });
+
+  describe("createXlsxWriter", () => {
+    test("Should write a workbook with the rows in its sheet", async () => {
+      const result = await collect(
+        (output) => createXlsxWriter(output, { sheetName: "Clientes" }),
+        [
+          ["Nome", "Créditos"],
+          ["Ana & <Bia>", 3],
+        ],
+      );
+
+      const files = unzip(result);
+
+      expect(Object.keys(files)).toEqual([
+        "[Content_Types].xml",
+        "_rels/.rels",
+        "xl/workbook.xml",
+        "xl/_rels/workbook.xml.rels",
+        "xl/worksheets/sheet1.xml",
+      ]);
+      expect(files["xl/workbook.xml"]).toContain('<sheet name="Clientes" sheetId="1" r:id="rId1"/>');
+      expect(files["xl/worksheets/sheet1.xml"]).toContain(
+        '<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">Ana &amp; &lt;Bia&gt;</t></is></c>' +
+          '<c r="B2"><v>3</v></c></row>',
+      );
+    });
+
+    test("Should write a valid workbook without rows", async () => {
+      const files = unzip(await collect(createXlsxWriter, []));
+
+      expect(files["xl/worksheets/sheet1.xml"]).toContain("<sheetData></sheetData>");
+    });
+
+    test("Should stop with an error when the output is closed", async () => {
+      const output = new PassThrough({ highWaterMark: 1024 });
+      const writer = createXlsxWriter(output);
+
+      await writer.writeRow(["Nome"]);
+      output.destroy();
+
+      await expect(writer.writeRow(["Ana"])).rejects.toThrow("The export output was closed.");
+    });
+  });
+});
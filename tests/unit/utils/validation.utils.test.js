@@ -14,6 +14,30 @@ describe("Validation Utils", () => {
       expect(result).toBe(true);
     });
 
+    test("Should return true if the document is valid alphanumeric CNPJ", () => {
+      const document = "12ABC34501DE35";
+      const result = validateDocument(document);
+      expect(result).toBe(true);
+    });
+
+    test("Should return false if the check digits are wrong", () => {
+      const document = "33716749000198";
+      const result = validateDocument(document);
+      expect(result).toBe(false);
+    });
+
+    test("Should return false if every digit is the same", () => {
+      const document = "11111111111111";
+      const result = validateDocument(document);
+      expect(result).toBe(false);
+    });
+
+    test("Should return false if the document is masked", () => {
+      const document = "33.716.749/0001-99";
+      const result = validateDocument(document);
+      expect(result).toBe(false);
+    });
+
     test("Should return false if the document is invalid", () => {
       const document = "1234567890";
       const result = validateDocument(document);
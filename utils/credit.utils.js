@@ -0,0 +1,22 @@
+const statusConsts = require("../constants/status.constants");
+
+// Credits past their expiration date stay available until the expiration sweeper reaches them,
+// so reads also check the date to keep them out in the meantime
+function availableCreditsFilter(now = new Date()) {
+  return {
+    status: statusConsts.CREDITS_STATUS.AVAILABLE,
+    expires_at: { $gt: now },
+  };
+}
+
+// Available credits plus the ones already redeemed, for progress and totals of a card
+function earnedCreditsFilter(now = new Date()) {
+  return {
+    $or: [availableCreditsFilter(now), { status: statusConsts.CREDITS_STATUS.USED }],
+  };
+}
+
+module.exports = {
+  availableCreditsFilter,
+  earnedCreditsFilter,
+};
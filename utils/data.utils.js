@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { fakerPT_BR: faker } = require("@faker-js/faker");
+const { calculateCNPJCheckDigits } = require("./document.utils");
 
 function generatePhoneNumber() {
   const ddd = faker.string.numeric({
@@ -13,10 +14,12 @@ function generatePhoneNumber() {
 }
 
 function generateCNPJ() {
-  return faker.string.numeric({
-    length: 14,
+  const base = faker.string.numeric({
+    length: 12,
     allowLeadingZeros: false,
   });
+
+  return `${base}${calculateCNPJCheckDigits(base)}`;
 }
 
 function ObjectId(objectId) {
@@ -1,9 +1,15 @@
 const dayjs = require("dayjs");
 const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
 const localeData = require("dayjs/plugin/localeData");
 const localizedFormat = require("dayjs/plugin/localizedFormat");
 
+const datesConstants = require("../constants/dates.constants");
+
+require("dayjs/locale/pt-br");
+
 dayjs.extend(utc);
+dayjs.extend(timezone);
 dayjs.extend(localeData);
 dayjs.extend(localizedFormat);
 
@@ -27,6 +33,21 @@ function formatDate({ date, format }) {
   return parsedDate.utc().format(defaultFormat);
 }
 
+// Formats a date as our users read it: Brazilian Portuguese in the Sao Paulo timezone
+function formatLocalDate({ date, format = "DD/MM/YYYY" }) {
+  if (!date) {
+    throw new Error("The 'date' parameter is required.");
+  }
+
+  const parsedDate = dayjs(date);
+
+  if (!parsedDate.isValid()) {
+    throw new Error("Invalid date provided.");
+  }
+
+  return parsedDate.tz(datesConstants.TIMEZONE).locale("pt-br").format(format);
+}
+
 function addTime(date, time, unit = "minutes") {
   if (!date) {
     throw new Error("The 'date' parameter is required.");
@@ -51,85 +72,60 @@ function subTime(date, time, unit = "minutes") {
   return dayjs(date).subtract(time, unit).toDate();
 }
 
-function processWeeklyStats(items, uniqueField = null, dateField = "created_at") {
-  try {
-    // Validation: return empty structure if invalid data
-    if (!Array.isArray(items) || items.length === 0) {
-      return createEmptyWeeklyStats();
-    }
-
-    // Check if data has expected structure
-    const firstItem = items[0];
-    if (!firstItem || (!firstItem[uniqueField] && !firstItem._id && !uniqueField) || !firstItem[dateField]) {
-      return createEmptyWeeklyStats();
-    }
-
-    // Map _id to uniqueField if necessary (for aggregation results)
-    let processedItems = items;
-    if (uniqueField && !firstItem[uniqueField] && firstItem._id) {
-      processedItems = items.map((item) => ({
-        ...item,
-        [uniqueField]: item[uniqueField] || item._id,
-      }));
-    }
-
-    const weeks = [];
-    const now = new Date();
-
-    for (let i = 3; i >= 0; i--) {
-      const weekStart = new Date(now);
-      weekStart.setDate(now.getDate() - i * 7 - now.getDay());
-      weekStart.setHours(0, 0, 0, 0);
-
-      const weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekStart.getDate() + 6);
-      weekEnd.setHours(23, 59, 59, 999);
-
-      const weekLabel = `${weekStart.getDate().toString().padStart(2, "0")}/${(weekStart.getMonth() + 1).toString().padStart(2, "0")}`;
-
-      const weekItems = processedItems.filter((item) => {
-        const itemDate = new Date(item[dateField]);
-        return itemDate >= weekStart && itemDate <= weekEnd;
-      });
-
-      let count;
-      if (uniqueField) {
-        const uniqueItems = [...new Set(weekItems.map((item) => item[uniqueField]?.toString()).filter(Boolean))];
-        count = uniqueItems.length;
-      } else {
-        count = weekItems.length;
-      }
-
-      weeks.push({
-        week: weekLabel,
-        count: count,
-      });
-    }
-
-    return weeks;
-  } catch {
-    return createEmptyWeeklyStats();
+// Start of the day, week (from Sunday) or month a date falls in, in the Sao Paulo timezone
+function startOfPeriod(date, granularity) {
+  const localDate = dayjs(date).tz(datesConstants.TIMEZONE);
+
+  if (granularity === datesConstants.GRANULARITIES.WEEK) {
+    return localDate.subtract(localDate.day(), "day").startOf("day");
   }
+
+  return localDate.startOf(granularity);
 }
 
-function createEmptyWeeklyStats() {
-  const weeks = [];
-  const now = new Date();
+// Start of a day written as YYYY-MM-DD, in the Sao Paulo timezone. Anything else, impossible dates included, gives null.
+function parseLocalDay(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const day = dayjs.tz(value, datesConstants.TIMEZONE);
 
-  for (let i = 3; i >= 0; i--) {
-    const weekStart = new Date(now);
-    weekStart.setDate(now.getDate() - i * 7 - now.getDay());
-    weekStart.setHours(0, 0, 0, 0);
+  if (!day.isValid() || day.format("YYYY-MM-DD") !== value) {
+    return null;
+  }
+
+  return day.toDate();
+}
+
+// Every day, week or month touched by the range, in the Sao Paulo timezone. Keys are the local date each one
+// starts on, the same format MongoDB gives to buckets truncated with $dateTrunc and formatted as %Y-%m-%d.
+function createDateBuckets({ from, to, granularity }) {
+  if (!Object.values(datesConstants.GRANULARITIES).includes(granularity)) {
+    throw new Error("Invalid granularity provided.");
+  }
 
-    const weekLabel = `${weekStart.getDate().toString().padStart(2, "0")}/${(weekStart.getMonth() + 1).toString().padStart(2, "0")}`;
+  const labelFormat = granularity === datesConstants.GRANULARITIES.MONTH ? "MM/YYYY" : "DD/MM";
+  const end = dayjs(to);
+  const buckets = [];
 
-    weeks.push({
-      week: weekLabel,
-      count: 0,
+  for (let start = startOfPeriod(from, granularity); !start.isAfter(end); start = start.add(1, granularity)) {
+    buckets.push({
+      key: start.format("YYYY-MM-DD"),
+      label: start.format(labelFormat),
+      start: start.toDate(),
     });
   }
 
-  return weeks;
+  return buckets;
 }
 
-module.exports = { formatDate, addTime, subTime, processWeeklyStats };
+module.exports = {
+  formatDate,
+  formatLocalDate,
+  addTime,
+  subTime,
+  startOfPeriod,
+  parseLocalDay,
+  createDateBuckets,
+};
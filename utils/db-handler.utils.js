@@ -67,6 +67,8 @@ module.exports = function (model) {
           new: true,
           runValidators: true,
           timestamps: true,
+          // Creates the document when none matches. Races are settled by a unique index on the filter fields.
+          upsert: options.upsert === true,
         })
         .lean();
       return result;
@@ -103,6 +105,20 @@ module.exports = function (model) {
     }
   };
 
+  // Results one at a time instead of all at once, for exports too big to hold in memory.
+  // Database errors surface while iterating.
+  methods.aggregateCursor = (options) => {
+    if (!options?.pipeline) {
+      throw new ServiceError({
+        message: localize("error.generic.notFound", {
+          resource: "options.pipeline",
+        }),
+      });
+    }
+
+    return model.aggregate(options.pipeline).cursor();
+  };
+
   methods.createMany = async (options) => {
     if (!options?.data || !Array.isArray(options.data)) {
       throw new ServiceError({
@@ -0,0 +1,82 @@
+// CPF and CNPJ helpers. Since July 2026 new CNPJs may carry letters in their first 12 characters,
+// so CNPJs are handled as alphanumeric strings and only the two check digits are always numeric.
+
+const CPF_REGEX = /^[0-9]{11}$/;
+const CNPJ_REGEX = /^[0-9A-Z]{12}[0-9]{2}$/;
+
+// Strips masks like "12.345.678/0001-95" and uppercases letters
+function normalizeDocument(v) {
+  if (typeof v !== "string") {
+    return v;
+  }
+
+  return v.replace(/[^0-9a-zA-Z]/g, "").toUpperCase();
+}
+
+// Check digit shared by CPF and CNPJ: weighted sum modulo 11. Characters are worth their ASCII code minus 48,
+// which keeps digits at their face value and is how letters are weighted in alphanumeric CNPJs.
+function calculateCheckDigit(base, weights) {
+  const sum = base.split("").reduce((acc, char, index) => acc + (char.charCodeAt(0) - 48) * weights[index], 0);
+  const remainder = sum % 11;
+
+  return remainder < 2 ? 0 : 11 - remainder;
+}
+
+function calculateCPFCheckDigits(base) {
+  const first = calculateCheckDigit(base, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = calculateCheckDigit(`${base}${first}`, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return `${first}${second}`;
+}
+
+function calculateCNPJCheckDigits(base) {
+  const first = calculateCheckDigit(base, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = calculateCheckDigit(`${base}${first}`, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return `${first}${second}`;
+}
+
+// Documents made of a single repeated character pass the check digits but are never issued
+function isRepeated(v) {
+  return /^(.)\1+$/.test(v);
+}
+
+function isValidCPF(v) {
+  if (typeof v !== "string" || !CPF_REGEX.test(v) || isRepeated(v)) {
+    return false;
+  }
+
+  return calculateCPFCheckDigits(v.slice(0, 9)) === v.slice(9);
+}
+
+function isValidCNPJ(v) {
+  if (typeof v !== "string" || !CNPJ_REGEX.test(v) || isRepeated(v)) {
+    return false;
+  }
+
+  return calculateCNPJCheckDigits(v.slice(0, 12)) === v.slice(12);
+}
+
+// Masked representation for responses, e.g. "123.456.789-09" or "12.345.678/0001-95"
+function formatDocument(v) {
+  const document = normalizeDocument(v);
+
+  if (isValidCPF(document)) {
+    return document.replace(/^(.{3})(.{3})(.{3})(.{2})$/, "$1.$2.$3-$4");
+  }
+
+  if (isValidCNPJ(document)) {
+    return document.replace(/^(.{2})(.{3})(.{3})(.{4})(.{2})$/, "$1.$2.$3/$4-$5");
+  }
+
+  return v;
+}
+
+module.exports = {
+  normalizeDocument,
+  calculateCPFCheckDigits,
+  calculateCNPJCheckDigits,
+  isValidCPF,
+  isValidCNPJ,
+  formatDocument,
+};
@@ -0,0 +1,361 @@
+const zlib = require("zlib");
+const { Buffer } = require("buffer");
+
+const exportConstants = require("../constants/export.constants");
+
+const { formatLocalDate } = require("./date.utils");
+
+// Excel set to Portuguese reads ";" as the column separator, and only detects UTF-8 with the BOM
+const CSV_SEPARATOR = ";";
+const CSV_BOM = "\uFEFF";
+
+const XLSX_SHEET_PATH = "xl/worksheets/sheet1.xml";
+
+function toCellText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (value instanceof Date) {
+    return formatLocalDate({ date: value, format: "DD/MM/YYYY HH:mm" });
+  }
+
+  return String(value);
+}
+
+function escapeCsvValue(value) {
+  let text = toCellText(value);
+
+  // Keeps spreadsheets from running something a consumer typed as a formula
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[";\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+// XML does not allow most control characters, not even escaped
+function isXmlCharacter(character) {
+  const code = character.codePointAt(0);
+
+  if (code < 0x20) {
+    return code === 0x09 || code === 0x0a || code === 0x0d;
+  }
+
+  return (code < 0xd800 || code > 0xdfff) && code !== 0xfffe && code !== 0xffff;
+}
+
+function escapeXml(text) {
+  return Array.from(text)
+    .filter(isXmlCharacter)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// A, B, ..., Z, AA, AB, ...
+function getColumnName(index) {
+  let name = "";
+
+  for (let column = index + 1; column > 0; column = Math.floor((column - 1) / 26)) {
+    name = String.fromCharCode(65 + ((column - 1) % 26)) + name;
+  }
+
+  return name;
+}
+
+// Waits for `event` on a stream. Fails when the output is closed first, as when the client gives up.
+async function waitFor(stream, event, output) {
+  await new Promise((resolve) => {
+    const settle = () => {
+      stream.off(event, settle);
+      output.off("close", settle);
+      resolve();
+    };
+
+    stream.on(event, settle);
+    output.on("close", settle);
+  });
+
+  if (output.destroyed) {
+    throw new Error("The export output was closed.");
+  }
+}
+
+async function write(output, chunk) {
+  if (output.destroyed) {
+    throw new Error("The export output was closed.");
+  }
+
+  if (!output.write(chunk)) {
+    await waitFor(output, "drain", output);
+  }
+}
+
+function createCsvWriter(output) {
+  let started = false;
+
+  return {
+    async writeRow(values) {
+      const line = values.map(escapeCsvValue).join(CSV_SEPARATOR);
+
+      await write(output, `${started ? "" : CSV_BOM}${line}\r\n`);
+
+      started = true;
+    },
+
+    async end() {
+      output.end();
+    },
+  };
+}
+
+// Workbook with a single sheet, written as a zip while rows arrive. Each file of the zip is followed by a data
+// descriptor, so none of them needs its size known in advance.
+function createXlsxWriter(output, options = {}) {
+  const sheetName = escapeXml((options.sheetName || "Sheet1").replace(/[[\]:*?/\\]/g, "").slice(0, 31));
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const entries = [];
+  let offset = 0;
+  let sheet = null;
+  let rowCount = 0;
+
+  async function writeRaw(buffer) {
+    await write(output, buffer);
+    offset += buffer.length;
+  }
+
+  async function startEntry(path) {
+    const entry = {
+      name: Buffer.from(path),
+      offset,
+      crc: 0,
+      size: 0,
+      compressedSize: 0,
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    // Sizes and checksum come in the data descriptor, names are UTF-8
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(dosTime, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt16LE(entry.name.length, 26);
+
+    await writeRaw(Buffer.concat([header, entry.name]));
+
+    entry.deflate = zlib.createDeflateRaw();
+    entry.deflate.on("data", (chunk) => {
+      entry.compressedSize += chunk.length;
+    });
+    entry.deflate.pipe(output, { end: false });
+
+    return entry;
+  }
+
+  async function writeEntry(entry, text) {
+    if (output.destroyed) {
+      throw new Error("The export output was closed.");
+    }
+
+    const buffer = Buffer.from(text);
+
+    // zlib.crc32 is available from Node 20.15, the minimum in engines
+    entry.crc = zlib.crc32(buffer, entry.crc);
+    entry.size += buffer.length;
+
+    if (!entry.deflate.write(buffer)) {
+      await waitFor(entry.deflate, "drain", output);
+    }
+  }
+
+  async function finishEntry(entry) {
+    const ended = waitFor(entry.deflate, "end", output);
+
+    entry.deflate.end();
+    await ended;
+    entry.deflate.unpipe(output);
+
+    offset += entry.compressedSize;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+
+    await writeRaw(descriptor);
+
+    entries.push(entry);
+  }
+
+  async function writeFile(path, text) {
+    const entry = await startEntry(path);
+
+    await writeEntry(entry, text);
+    await finishEntry(entry);
+  }
+
+  async function start() {
+    await writeFile(
+      "[Content_Types].xml",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        `<Override PartName="/${XLSX_SHEET_PATH}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+        "</Types>",
+    );
+
+    await writeFile(
+      "_rels/.rels",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    );
+
+    await writeFile(
+      "xl/workbook.xml",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    );
+
+    await writeFile(
+      "xl/_rels/workbook.xml.rels",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        "</Relationships>",
+    );
+
+    sheet = await startEntry(XLSX_SHEET_PATH);
+
+    await writeEntry(
+      sheet,
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>',
+    );
+  }
+
+  return {
+    async writeRow(values) {
+      if (!sheet) {
+        await start();
+      }
+
+      rowCount += 1;
+
+      const cells = values.map((value, index) => {
+        const reference = `${getColumnName(index)}${rowCount}`;
+
+        if (typeof value === "number" && Number.isFinite(value)) {
+          return `<c r="${reference}"><v>${value}</v></c>`;
+        }
+
+        return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(toCellText(value))}</t></is></c>`;
+      });
+
+      await writeEntry(sheet, `<row r="${rowCount}">${cells.join("")}</row>`);
+    },
+
+    async end() {
+      if (!sheet) {
+        await start();
+      }
+
+      await writeEntry(sheet, "</sheetData></worksheet>");
+      await finishEntry(sheet);
+
+      const centralDirectory = entries.map((entry) => {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0808, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(dosTime, 12);
+        header.writeUInt16LE(dosDate, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.name.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+
+        return Buffer.concat([header, entry.name]);
+      });
+
+      const centralDirectoryBuffer = Buffer.concat(centralDirectory);
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(centralDirectoryBuffer.length, 12);
+      end.writeUInt32LE(offset, 16);
+
+      await writeRaw(Buffer.concat([centralDirectoryBuffer, end]));
+
+      output.end();
+    },
+  };
+}
+
+function createWriter(output, options) {
+  if (options.format === exportConstants.FORMATS.XLSX) {
+    return createXlsxWriter(output, options);
+  }
+
+  return createCsvWriter(output);
+}
+
+// Sends what a cursor yields as a CSV or XLSX download, one document at a time. Once the download has started,
+// errors can no longer become a JSON response, so they end the connection instead.
+async function streamExport(options) {
+  const { res, cursor, format, filename, headers, toRow } = options;
+  const date = formatLocalDate({ date: new Date(), format: "YYYY-MM-DD" });
+
+  res.setHeader("Content-Type", exportConstants.CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}-${date}.${format}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  const writer = createWriter(res, { format, sheetName: options.sheetName });
+
+  try {
+    await writer.writeRow(headers);
+
+    for await (const document of cursor) {
+      await writer.writeRow(toRow(document));
+    }
+
+    await writer.end();
+  } catch (error) {
+    await cursor.close().catch(() => {});
+
+    if (!res.headersSent) {
+      throw error;
+    }
+
+    res.destroy();
+  }
+}
+
+module.exports = {
+  createCsvWriter,
+  createXlsxWriter,
+  streamExport,
+};
@@ -1,10 +1,11 @@
 const { validationResult } = require("express-validator");
 
 const { ValidationError } = require("../infra/errors");
+const { isValidCPF, isValidCNPJ } = require("./document.utils");
 
+// Expects a normalized document, see normalizeDocument
 function validateDocument(v) {
-  const regex = /^[0-9]{11}$|^[0-9]{14}$/;
-  return regex.test(v);
+  return isValidCPF(v) || isValidCNPJ(v);
 }
 
 function validatePhone(v) {